@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+// Headless runner for pipelines and cluster nodes: the same analysis core and report tables as the web app,
+// so a CSV written here is byte-identical to the corresponding download for the same input and parameters.
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { gunzipSync } from 'node:zlib';
+import { parseArgs } from 'node:util';
+import { parseSequenceFile } from '../src/sequenceFormats.js';
+import { SITE_PREDICTORS, DEFAULT_PREDICTOR_KEYS } from '../src/predictors.js';
+import { findOrganisms, organismLabel } from '../src/taxonomy.js';
+import { readSession, DEFAULT_SESSION_PARAMS } from '../src/session.js';
+import { proteinsFromUniProtDump, buildReport, REPORT_KINDS } from '../src/pipeline.js';
+import { residueContext, unappliedContextFilters, DEFAULT_ROBUSTNESS_SETTINGS } from '../src/analysis.js';
+
+const USAGE = `Usage: proteocoloc analyze (--fasta <file> | --uniprot-json <file>) [options]
+
+Input (plain or gzipped):
+  --fasta <file>          FASTA, GenPept or UniProt flat text; sequence-only records get predicted sites
+  --uniprot-json <file>   UniProt dump: REST JSON ({ "results": [...] } or an array), TSV or flat text
+
+Options:
+  --params <file>         session (.json) or parameter file saved by the web app; defaults otherwise
+  --organism <taxon>      keep only entries of this organism (NCBI taxon ID or name, e.g. 9606, "mouse")
+  --predictors <keys>     comma-separated site predictors for sequence-only records
+                          (${SITE_PREDICTORS.map(p => p.key).join(', ')}; default: all)
+  --report <kind>         ${REPORT_KINDS.map(r => r.key).join(' | ')} (default: sites, or workbook for an .xls output)
+${REPORT_KINDS.map(r => `                            ${r.key.padEnd(10)}${r.label}`).join('\n')}
+  --stability             residues report: sweep the SS/glyco windows and thresholds for the
+                          Zone_Stability column (slow; left empty otherwise)
+  --out <file>            output file (default: standard output)
+  -h, --help              show this help
+`;
+
+// Errors caused by the command line itself: reported with the usage text and exit code 2
+class UsageError extends Error {}
+
+const warn = (message) => console.error(`proteocoloc: ${message}`);
+
+// Gzipped files are detected by their magic bytes, like the browser upload
+const readText = (path) => {
+    const bytes = readFileSync(path);
+    return (bytes[0] === 0x1f && bytes[1] === 0x8b ? gunzipSync(bytes) : bytes).toString('utf8');
+};
+
+const loadParams = (path) => {
+    if (!path) return DEFAULT_SESSION_PARAMS;
+    const { session, errors } = readSession(readText(path));
+    if (!session) {
+        const details = errors.map(e => `  ${e.path.startsWith('(') ? '' : `${e.path} `}${e.message}`).join('\n');
+        throw new Error(`${path} is not a usable session or parameter file:\n${details}`);
+    }
+    return session.params;
+};
+
+const resolveOrganism = (query) => {
+    if (/^\d+$/.test(query)) return query;
+    const [match] = findOrganisms(query, 1);
+    if (!match) throw new UsageError(`unknown organism "${query}"; use its NCBI taxon ID`);
+    return match.id;
+};
+
+const parsePredictors = (list) => {
+    if (!list) return DEFAULT_PREDICTOR_KEYS;
+    const keys = list.split(',').map(k => k.trim()).filter(Boolean);
+    const unknown = keys.filter(k => !SITE_PREDICTORS.some(p => p.key === k));
+    if (unknown.length > 0) throw new UsageError(`unknown predictor(s) ${unknown.join(', ')}`);
+    return keys;
+};
+
+const analyze = (options) => {
+    if (Boolean(options.fasta) === Boolean(options['uniprot-json'])) {
+        throw new UsageError('give exactly one of --fasta or --uniprot-json');
+    }
+    const report = options.report || (options.out && /\.xls$/i.test(options.out) ? 'workbook' : 'sites');
+    if (!REPORT_KINDS.some(r => r.key === report)) throw new UsageError(`unknown report "${report}"`);
+    const predictors = parsePredictors(options.predictors);
+    const organismId = options.organism ? resolveOrganism(options.organism) : null;
+    const params = loadParams(options.params);
+
+    const inputPath = options.fasta || options['uniprot-json'];
+    const input = options.fasta
+        ? parseSequenceFile(readText(inputPath), { predictors })
+        : proteinsFromUniProtDump(readText(inputPath));
+    input.errors.forEach(e => warn(`skipped entry ${e.entry}${e.id ? ` (${e.id})` : ''} of ${inputPath}: ${e.message}`));
+
+    let proteins = input.proteins;
+    if (organismId) {
+        proteins = proteins.filter(p => p.organismId === organismId);
+        const dropped = input.proteins.length - proteins.length;
+        if (dropped > 0) warn(`${dropped} entries of other or unspecified organisms were left out (--organism ${organismLabel(organismId)})`);
+    }
+    if (proteins.length === 0) throw new Error(`${inputPath} contains no proteins to analyze`);
+    // No input format carries a structure, so the same filters go unapplied for every protein
+    const unapplied = unappliedContextFilters(params.zoneRule, residueContext(proteins[0]));
+    if (unapplied.length > 0) warn(`no structure for the ${unapplied.join(', ')} site filter: those conditions count every site`);
+
+    const { text, failed } = buildReport(report, proteins, params, { robustness: options.stability ? DEFAULT_ROBUSTNESS_SETTINGS : null });
+    failed.forEach(f => warn(`analysis failed for ${f.id}: ${f.message}`));
+    if (options.out) {
+        writeFileSync(options.out, text);
+        warn(`${proteins.length - failed.length} proteins analyzed, ${report} report written to ${options.out}`);
+    } else {
+        process.stdout.write(text);
+    }
+};
+
+const COMMANDS = { analyze };
+
+const main = (argv) => {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            fasta: { type: 'string' },
+            'uniprot-json': { type: 'string' },
+            params: { type: 'string' },
+            organism: { type: 'string' },
+            predictors: { type: 'string' },
+            report: { type: 'string' },
+            stability: { type: 'boolean' },
+            out: { type: 'string' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+    if (values.help) {
+        process.stdout.write(USAGE);
+        return;
+    }
+    const [command] = positionals;
+    if (!COMMANDS[command]) throw new UsageError(command ? `unknown command "${command}"` : 'no command given');
+    COMMANDS[command](values);
+};
+
+try {
+    main(process.argv.slice(2));
+} catch (err) {
+    // parseArgs reports unknown or incomplete options with ERR_PARSE_ARGS_* codes
+    const usage = err instanceof UsageError || (err.code && err.code.startsWith('ERR_PARSE_ARGS'));
+    warn(err.message);
+    if (usage) process.stderr.write(`\n${USAGE}`);
+    process.exitCode = usage ? 2 : 1;
+}
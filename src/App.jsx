@@ -1,252 +1,148 @@
 import React, { useState, useEffect, useMemo, useRef } from 'react';
-import { Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Area, ComposedChart, ReferenceArea, ReferenceLine } from 'recharts';
-import { Search, Settings, Activity, FileText, Database, Info, AlertCircle, ChevronRight, Sliders, Download, Play, Loader, CheckCircle, Save, Upload } from 'lucide-react';
+import { Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Area, ComposedChart, ReferenceArea, ReferenceLine, BarChart, Bar, Legend } from 'recharts';
+import { Search, Settings, Activity, FileText, Database, Info, AlertCircle, ChevronRight, Sliders, Download, Play, Loader, CheckCircle, Save, Upload, Plus, X, History, RotateCcw, Trash2, HardDrive, WifiOff, Filter, ArrowUp, ArrowDown, BarChart2, Image as ImageIcon, ZoomIn, ZoomOut, ChevronLeft, Link2 } from 'lucide-react';
+import {
+    DENSITY_TRACKS, DEFAULT_CHART_TRACKS, getTrack, DEFAULT_ZONE_RULE, DISULFIDE_COUNTING_MODES, DEFAULT_DISULFIDE_COUNTING, DEFAULT_PERMUTATION_SETTINGS,
+    describeZoneRule, legacyParamsToZoneRule, computeTrackDensities, evaluateZoneRule,
+    DENSITY_MODES, DEFAULT_DENSITY_MODE, DEFAULT_SPATIAL_RADIUS,
+    residueContext, SITE_CONTEXT_FILTERS, unappliedContextFilters, EXPOSED_RSA_CUTOFF, DISORDER_CUTOFF,
+    findZoneRegions, computeZoneStability, stabilitySweepPlan, MAX_STABILITY_COMBINATIONS, DEFAULT_ROBUSTNESS_SETTINGS, scoredZoneRegions, applyProteomeFdr, formatPValue,
+    parseUniProtEntry, parseUniProtDump, summarizeProteome,
+    siteEvidence, filterSitesByEvidence, EVIDENCE_FILTERS, EVIDENCE_LEVELS, DEFAULT_EVIDENCE_FILTER, describeAnalysisParams
+} from './analysis.js';
+import { downloadBlob, downloadSvg, downloadPng, buildDensityFigure, downloadFigure, DEFAULT_FIGURE_OPTIONS, FIGURE_FONTS, FIGURE_LEGEND_PLACEMENTS } from './figureExport.js';
+import { parseSequenceFile, readSequenceFile, formatLabel } from './sequenceFormats.js';
+import { SITE_PREDICTORS, DEFAULT_PREDICTOR_KEYS } from './predictors.js';
+import { siteReportTable, proteinReportTable, zoneReportTable, tableToCsv, tablesToWorkbookXml } from './reports.js';
+import { buildReport } from './pipeline.js';
+import { createWorkerPool, alignInWorker, calibrateInWorker } from './workerPool.js';
+import { parseTrainingSet, applyCalibrationPoint, calibrationPlan, sensitivityGrid, CALIBRATION_OBJECTIVES, CALIBRATION_STRATEGIES, DEFAULT_CALIBRATION_SETTINGS, MAX_GRID_POINTS } from './calibration.js';
+import { unalignedRows, columnMap, pairIdentity, findConservedZones, mapProteinToIsoform } from './alignment.js';
+import { parseStructureFile, mapStructureToProtein } from './structure.js';
+import { DEFAULT_ORGANISM_ID, findOrganisms, organismLabel } from './taxonomy.js';
+import { SESSION_VERSION, readSession, buildSession, encodeSessionHash, decodeSessionHash } from './session.js';
+import { saveRun, listRuns, savePageResults, loadRunResults, deleteRun } from './runStore.js';
+import {
+    UNKNOWN_RELEASE, cacheEntries, isFresh, listCachedByGene, getCachedByAccession, listCachedProteins, countCachedProteins,
+    getCacheStats, pruneCache, clearCache
+} from './entryCache.js';
 
 // --- LOGIC & UTILS ---
 
-// Density Algorithm with Smoothing (Reusable)
-const calculateDensity = (positions, length, windowSize, smoothingFactor = 0) => {
-  if (!length || length <= 0) return [];
-  
-  const rawDensity = new Array(length).fill(0);
-  const halfWindow = Math.floor(windowSize / 2);
-
-  for (let i = 0; i < length; i++) {
-    const start = Math.max(0, i - halfWindow);
-    const end = Math.min(length, i + halfWindow);
-    let count = 0;
-    for (let p of positions) {
-      if (p >= start && p <= end) count++;
-    }
-    rawDensity[i] = count;
+// Fields requested from UniProt: sequence, organism and every feature type parseUniProtEntry understands
+const UNIPROT_FIELDS = [
+    "accession", "gene_names", "length", "sequence", "organism_name",
+    "ft_disulfid", "ft_carbohyd", "ft_mod_res", "ft_lipid", "ft_crosslnk",
+    "ft_domain", "ft_signal", "ft_transmem", "ft_topo_dom"
+].join(',');
+
+// Reads the UniProt release a response was served from (e.g. "2024_01")
+const getUniprotRelease = (res) => res.headers.get('x-uniprot-release') || UNKNOWN_RELEASE;
+
+// Parsed entries remember their release so that saved sessions can tell which data they were built on
+const withRelease = (protein, release) => ({ ...protein, uniprotRelease: release });
+const cachedProtein = (record) => withRelease(record.protein, record.release);
+
+// Extra fields of interactive lookups: enough to tell several matching entries apart and to offer isoforms
+const UNIPROT_SEARCH_FIELDS = `${UNIPROT_FIELDS},id,protein_name,reviewed,cc_alternative_products`;
+const MAX_SEARCH_MATCHES = 25;
+
+const UNIPROT_ACCESSION = /^([OPQ][0-9][A-Z0-9]{3}[0-9]|[A-NR-Z][0-9]([A-Z][A-Z0-9]{2}[0-9]){1,2})(-\d+)?$/i;
+const UNIPROT_ENTRY_NAME = /^[A-Z0-9]{1,11}_[A-Z0-9]{1,5}$/i;
+
+// Entries matching a search term: an accession (optionally of an isoform, e.g. P02751-3), an entry name
+// (FINC_HUMAN) or a gene name in `organismId`. Gene names prefer reviewed entries and fall back to TrEMBL.
+// Cached gene matches are reused when all of them are younger than `maxAgeDays`; `offline` never fetches.
+const fetchUniprotMatches = async (term, { organismId = DEFAULT_ORGANISM_ID, offline = false, maxAgeDays = 0 } = {}) => {
+  const clean = term.trim();
+  if (UNIPROT_ACCESSION.test(clean)) {
+    const accession = clean.toUpperCase();
+    const protein = await fetchUniprotByAccession(accession.replace(/-\d+$/, ''), { offline });
+    if (!protein) return [];
+    return [accession.includes('-') ? await loadIsoform(protein, accession, { offline }) : protein];
   }
 
-  if (smoothingFactor > 0) {
-    const smoothedDensity = new Array(length).fill(0);
-    const smoothWindow = Math.floor(smoothingFactor);
-    
-    for (let i = 0; i < length; i++) {
-      let sum = 0;
-      let count = 0;
-      for (let j = i - smoothWindow; j <= i + smoothWindow; j++) {
-        if (j >= 0 && j < length) {
-          sum += rawDensity[j];
-          count++;
-        }
-      }
-      smoothedDensity[i] = sum / count;
+  const isEntryName = UNIPROT_ENTRY_NAME.test(clean);
+  if (!isEntryName) {
+    let cached = [];
+    try {
+      cached = await listCachedByGene(clean, organismId);
+    } catch (error) {
+      console.warn("Entry cache unavailable:", error);
     }
-    return smoothedDensity;
+    if (offline) return cached.map(cachedProtein);
+    if (cached.length > 0 && cached.every(r => isFresh(r, maxAgeDays))) return cached.map(cachedProtein);
+  } else if (offline) {
+    return [];
   }
 
-  return rawDensity;
+  const search = async (query) => {
+    const res = await fetchUniprotPage(`https://rest.uniprot.org/uniprotkb/search?query=${encodeURIComponent(query)}&fields=${UNIPROT_SEARCH_FIELDS}&format=json&size=${MAX_SEARCH_MATCHES}`);
+    const results = (await res.json()).results || [];
+    const release = getUniprotRelease(res);
+    if (results.length > 0) {
+      cacheEntries(results, release, isEntryName ? null : organismId)
+        .catch(err => console.warn("Could not cache entries:", err));
+    }
+    return results.map(entry => withRelease(parseUniProtEntry(entry), release));
+  };
+  if (isEntryName) return search(`id:${clean.toUpperCase()}`);
+  const geneQuery = `(gene_exact:"${clean}") AND (organism_id:${organismId})`;
+  const reviewed = await search(`${geneQuery} AND (reviewed:true)`);
+  return reviewed.length > 0 ? reviewed : search(geneQuery);
 };
 
-// Pure Analytic Function for a single protein
-const analyzeProtein = (protein, params) => {
-    // Note: Phosphorylation uses the SAME parameters as Glycosylation (glyco*)
-    const { 
-        ssWindowSize, ssThreshold, ssSmoothing, 
-        glycoWindowSize, glycoThreshold, glycoSmoothing 
-    } = params;
-    const length = protein.length;
-
-    // 1. Calculate Densities
-    const ssDensity = calculateDensity(protein.ssBonds, length, ssWindowSize, ssSmoothing);
-    const nDensity = calculateDensity(protein.nLinked, length, glycoWindowSize, glycoSmoothing);
-    // Phosphorylation shares glyco parameters
-    const pDensity = calculateDensity(protein.phosphorylation, length, glycoWindowSize, glycoSmoothing);
-    
-    // We define the "High Density Zone" based on SS + N-Linked (the primary analysis target)
-    const isHighDensityZone = new Array(length).fill(false);
-    for(let i=0; i<length; i++) {
-        if(ssDensity[i] >= ssThreshold && nDensity[i] >= glycoThreshold) {
-            isHighDensityZone[i] = true;
-        }
-    }
+// Sequence of one isoform (e.g. P02751-3); UniProt serves isoforms as separate FASTA records
+const fetchIsoformSequence = async (isoformId) => {
+  const res = await fetchUniprotPage(`https://rest.uniprot.org/uniprotkb/${encodeURIComponent(isoformId)}.fasta`);
+  const text = await res.text();
+  return text.split(/\r?\n/).filter(line => !line.startsWith('>')).join('').replace(/\s+/g, '').toUpperCase();
+};
 
-    // Helper to process a list of sites
-    const processSites = (sites, typeCode, typeLabel) => {
-        return sites.map(pos => {
-            const arrayIndex = pos - 1; 
-            
-            // Check if embedded in a Disulfide (UniProt Range)
-            let embeddedInSS = false;
-            if (protein.ssBondRanges) {
-                embeddedInSS = protein.ssBondRanges.some(range => pos >= range.start && pos <= range.end);
-            }
-
-            // Check if in Co-localization zone
-            const inHighDensity = isHighDensityZone[arrayIndex] || false;
-
-            return {
-                gene: protein.gene,
-                accession: protein.id,
-                scientificName: protein.scientificName,
-                glycosite: `${typeCode}${pos}`, // e.g. N123, P456
-                type: typeLabel,
-                inUniProtDisulfide: embeddedInSS,
-                inHighDensityZone: inHighDensity
-            };
-        });
-    };
+// The canonical entry with its annotations mapped onto one of its isoforms (the canonical isoform is the entry itself)
+const loadIsoform = async (canonical, isoformId, { offline = false } = {}) => {
+  const listed = (canonical.isoforms || []).find(iso => iso.id === isoformId);
+  if (listed && listed.canonical) return canonical;
+  if (offline) throw new Error("isoform sequences are not cached; switch off offline mode");
+  const sequence = await fetchIsoformSequence(isoformId);
+  if (sequence === canonical.sequence) return canonical;
+  return mapProteinToIsoform(canonical, listed || { id: isoformId, name: isoformId }, sequence);
+};
 
-    const nRows = processSites(protein.nLinked, 'N', 'N-Linked');
-    const oRows = processSites(protein.oLinked, 'O', 'O-Linked');
-    const pRows = processSites(protein.phosphorylation, 'P', 'Phospho');
+// Direct accession lookup (cache first, then UniProt), used when opening a protein from batch results
+const fetchUniprotByAccession = async (accession, { offline = false } = {}) => {
+  try {
+    const cached = await getCachedByAccession(accession);
+    if (cached) return cachedProtein(cached);
+  } catch (error) {
+    console.warn("Entry cache unavailable:", error);
+  }
+  if (offline) return null;
 
-    return [...nRows, ...oRows, ...pRows];
+  const res = await fetchUniprotPage(`https://rest.uniprot.org/uniprotkb/${encodeURIComponent(accession)}?fields=${UNIPROT_SEARCH_FIELDS}&format=json`);
+  const entry = await res.json();
+  const release = getUniprotRelease(res);
+  cacheEntries([entry], release).catch(err => console.warn("Could not cache entry:", err));
+  return withRelease(parseUniProtEntry(entry), release);
 };
 
-const fetchUniprotData = async (geneName) => {
-  const maxRetries = 2;
-  let attempt = 0;
-
-  while (attempt <= maxRetries) {
+// Fetches one page of a proteome query, retrying transient failures (never retries an abort)
+const fetchUniprotPage = async (url, signal, maxRetries = 2) => {
+  for (let attempt = 0; ; attempt++) {
     try {
-      const cleanGene = geneName.trim();
-      const query = `(gene_exact:"${cleanGene}") AND (organism_id:9606) AND (reviewed:true)`;
-      // FIXED: Using 'ft_mod_res' which is the correct field name for Modified Residues in UniProt API
-      const fields = "accession,gene_names,length,sequence,ft_disulfid,ft_carbohyd,ft_mod_res,organism_name";
-      const searchUrl = `https://rest.uniprot.org/uniprotkb/search?query=${encodeURIComponent(query)}&fields=${fields}&format=json&size=1`;
-      
-      const searchRes = await fetch(searchUrl);
-      
-      if (!searchRes.ok) {
-        let errorDetails = searchRes.statusText;
-        try {
-            const errorJson = await searchRes.json();
-            if (errorJson.messages) errorDetails = errorJson.messages.join(", ");
-        } catch (e) { /* ignore */ }
-        throw new Error(`UniProt API Error (${searchRes.status}): ${errorDetails}`);
+      const res = await fetch(url, { signal });
+      if (!res.ok) {
+        let errorMsg = res.statusText;
+        try { const e = await res.json(); if (e.messages) errorMsg = e.messages.join(", "); } catch { /* ignore */ }
+        throw new Error(`API Error ${res.status}: ${errorMsg}`);
       }
-      
-      const searchData = await searchRes.json();
-
-      if (!searchData.results || searchData.results.length === 0) {
-        throw new Error(`Gene "${geneName}" not found in Homo sapiens (TaxID: 9606).`);
-      }
-
-      return parseUniProtEntry(searchData.results[0]);
+      return res;
     } catch (error) {
-      console.error(`Fetch Error (Attempt ${attempt + 1}/${maxRetries + 1}):`, error);
-      if (error.message.includes("not found")) return null;
-      attempt++;
-      if (attempt > maxRetries) return null;
-      await new Promise(resolve => setTimeout(resolve, 1000));
+      if (error.name === 'AbortError' || attempt >= maxRetries) throw error;
+      console.error(`Page fetch failed (Attempt ${attempt + 1}/${maxRetries + 1}):`, error);
+      await new Promise(resolve => setTimeout(resolve, 1000 * (attempt + 1)));
     }
   }
-  return null;
-};
-
-// Centralized parser to convert UniProt JSON to our internal format
-const parseUniProtEntry = (entry) => {
-    const sequence = entry.sequence.value;
-    const length = entry.sequence.length;
-    const features = entry.features || [];
-    
-    const scientificName = entry.organism ? entry.organism.scientificName : "Unknown Species";
-
-    let geneName = entry.primaryAccession;
-    if (entry.genes && entry.genes.length > 0 && entry.genes[0].geneName) {
-        geneName = entry.genes[0].geneName.value;
-    }
-
-    const ssBonds = [];
-    const ssBondRanges = [];
-    const nLinked = [];
-    const oLinked = [];
-    const phosphorylation = [];
-
-    features.forEach(f => {
-        if (f.type === 'Disulfide bond') {
-            ssBonds.push(f.location.start.value);
-            ssBondRanges.push({ start: f.location.start.value, end: f.location.end.value });
-        } else if (f.type === 'Glycosylation') {
-            if (f.description.includes('N-linked')) {
-                nLinked.push(f.location.start.value);
-            } else if (f.description.includes('O-linked')) {
-                oLinked.push(f.location.start.value);
-            }
-        } else if (f.type === 'Modified residue') {
-            const desc = f.description ? f.description.toLowerCase() : "";
-            if (desc.includes('phospho')) {
-                phosphorylation.push(f.location.start.value);
-            }
-        }
-    });
-
-    return {
-        id: entry.primaryAccession,
-        gene: geneName,
-        scientificName,
-        length,
-        sequence,
-        ssBonds,
-        ssBondRanges, 
-        nLinked,
-        oLinked,
-        phosphorylation
-    };
-};
-
-// Simple FASTA Parser
-const parseFasta = (text) => {
-    const proteins = [];
-    const lines = text.split('\n');
-    let currentHeader = null;
-    let currentSeq = "";
-
-    const finishEntry = () => {
-        if (currentHeader && currentSeq) {
-            const nLinked = [];
-            const ssBonds = []; 
-            const regexN = /N(?=[^P][ST][^P])/g;
-            let match;
-            while ((match = regexN.exec(currentSeq)) !== null) {
-                nLinked.push(match.index + 1); 
-            }
-
-            for (let i = 0; i < currentSeq.length; i++) {
-                if (currentSeq[i] === 'C') ssBonds.push(i + 1);
-            }
-
-            let gene = "Unknown";
-            const parts = currentHeader.split('|');
-            if (parts.length >= 3) {
-                gene = parts[2].split(' ')[0].split('_')[0];
-            } else {
-                gene = currentHeader.substring(1, 15);
-            }
-
-            proteins.push({
-                id: currentHeader.substring(1, 10),
-                gene: gene,
-                scientificName: "Custom FASTA",
-                length: currentSeq.length,
-                sequence: currentSeq,
-                ssBonds: ssBonds, 
-                ssBondRanges: [], 
-                nLinked: nLinked,
-                oLinked: [],
-                phosphorylation: []
-            });
-        }
-    };
-
-    for (const line of lines) {
-        const l = line.trim();
-        if (!l) continue;
-        if (l.startsWith('>')) {
-            finishEntry();
-            currentHeader = l;
-            currentSeq = "";
-        } else {
-            currentSeq += l;
-        }
-    }
-    finishEntry();
-    return proteins;
 };
 
 // --- COMPONENTS ---
@@ -291,23 +187,1717 @@ const ParameterControl = ({ label, value, onChange, min, max, step, unit, colorC
   </div>
 );
 
+// --- SEARCH ---
+
+// Organism autocomplete over the local taxonomy list; a typed numeric TaxID is accepted as is
+const OrganismPicker = ({ value, onChange }) => {
+  const [text, setText] = useState(null); // null while not editing
+  const matches = text === null ? [] : findOrganisms(text);
+  const commit = (id) => {
+    onChange(id);
+    setText(null);
+  };
+  const commitTyped = () => {
+    const typed = (text || "").trim();
+    if (/^\d+$/.test(typed)) commit(typed);
+    else if (typed && matches.length > 0) commit(matches[0].id);
+    else setText(null);
+  };
+
+  return (
+    <div className="relative">
+      <input
+        type="text"
+        value={text ?? organismLabel(value)}
+        onFocus={() => setText("")}
+        onChange={(e) => setText(e.target.value)}
+        onBlur={commitTyped}
+        onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+        placeholder="Name or TaxID"
+        className="w-full px-3 py-3 border border-slate-300 rounded-xl focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 outline-none text-sm"
+      />
+      {text !== null && matches.length > 0 && (
+        <ul className="absolute z-20 mt-1 w-full bg-white border border-slate-200 rounded-lg shadow-lg max-h-64 overflow-y-auto text-sm">
+          {matches.map(o => (
+            // mousedown fires before the input blurs
+            <li key={o.id} onMouseDown={(e) => { e.preventDefault(); commit(o.id); }} className={`px-3 py-2 cursor-pointer hover:bg-indigo-50 ${o.id === value ? 'bg-slate-50' : ''}`}>
+              <span className="italic">{o.scientificName}</span> <span className="text-slate-400">{o.commonName} · {o.id}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+const SESSION_STATUS_STYLES = {
+  ok: 'bg-emerald-50 border-emerald-200 text-emerald-800',
+  warning: 'bg-amber-50 border-amber-200 text-amber-800',
+  error: 'bg-red-50 border-red-200 text-red-700'
+};
+
+// Outcome of loading, saving or sharing a session, with validation errors listed field by field
+const SessionStatus = ({ status, onDismiss }) => (
+  <div className={`border px-4 py-3 rounded-lg text-sm ${SESSION_STATUS_STYLES[status.level]}`}>
+    <div className="flex items-center gap-2">
+      {status.level === 'ok' ? <CheckCircle className="w-5 h-5 shrink-0" /> : <AlertCircle className="w-5 h-5 shrink-0" />}
+      <span className="flex-1 font-medium">{status.text}</span>
+      <button onClick={onDismiss} className="opacity-60 hover:opacity-100" title="Dismiss">
+        <X className="w-4 h-4" />
+      </button>
+    </div>
+    {status.details.length > 0 && (
+      <ul className="list-disc ml-11 mt-1 space-y-0.5">
+        {status.details.map((detail, i) => <li key={i}>{detail}</li>)}
+      </ul>
+    )}
+  </div>
+);
+
+// Shown when a search matches several entries (paralogs sharing a gene name, unreviewed duplicates...)
+const EntryPicker = ({ matches, term, onPick, onCancel }) => (
+  <Card className="p-6">
+    <div className="flex justify-between items-center mb-3">
+      <h3 className="font-bold text-slate-800">{matches.length} entries match "{term}"</h3>
+      <button onClick={onCancel} className="text-slate-400 hover:text-slate-600" title="Close"><X className="w-4 h-4" /></button>
+    </div>
+    <table className="w-full text-xs">
+      <thead>
+        <tr className="text-left text-slate-500 border-b border-slate-200">
+          <th className="py-2">Accession</th>
+          <th>Entry name</th>
+          <th>Gene</th>
+          <th>Protein</th>
+          <th>Organism</th>
+          <th>Length</th>
+          <th>Sequence</th>
+        </tr>
+      </thead>
+      <tbody>
+        {matches.map(m => (
+          <tr key={m.id} className="border-b border-slate-100">
+            <td className="py-2 font-mono">
+              {m.id} {m.reviewed !== null && m.reviewed !== undefined && <Badge color={m.reviewed ? 'green' : 'gray'} text={m.reviewed ? 'Reviewed' : 'TrEMBL'} />}
+            </td>
+            <td className="font-mono">{m.entryName || '—'}</td>
+            <td className="font-medium">{m.gene}</td>
+            <td className="max-w-xs truncate" title={m.proteinName || ''}>{m.proteinName || '—'}</td>
+            <td className="italic">{m.scientificName}</td>
+            <td>{m.length} aa</td>
+            <td className="flex items-center gap-2 py-2">
+              <button onClick={() => onPick(m)} className="text-indigo-600 font-medium hover:underline">Canonical</button>
+              {m.isoforms && m.isoforms.length > 1 && (
+                <select value="" onChange={(e) => e.target.value && onPick(m, e.target.value)} className="border border-slate-300 rounded px-1 py-0.5 bg-white">
+                  <option value="">{m.isoforms.length} isoforms…</option>
+                  {m.isoforms.filter(iso => !iso.canonical).map(iso => <option key={iso.id} value={iso.id}>{iso.name} ({iso.id})</option>)}
+                </select>
+              )}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </Card>
+);
+
+// --- ZOOM ---
+
+const MIN_ZOOM_SPAN = 10;            // narrowest residue window reachable by brushing or zooming in
+const SEQUENCE_STRIP_MAX_SPAN = 150; // the residue letters are only legible below this window
+
+// Keeps a [start, end] window of at least MIN_ZOOM_SPAN residues inside 0..length; null once it covers everything
+const clampViewRange = (start, end, length) => {
+  const span = Math.min(length, Math.max(MIN_ZOOM_SPAN, Math.round(end - start)));
+  if (span >= length) return null;
+  const clampedStart = Math.min(Math.max(0, Math.round(start)), length - span);
+  return { start: clampedStart, end: clampedStart + span };
+};
+
+// Zoom in/out around the centre, pan by half a window and reset; brushing on the charts sets the range directly
+const ZoomToolbar = ({ length, range, onChange }) => {
+  const start = range ? range.start : 0;
+  const end = range ? range.end : length;
+  const span = end - start;
+  const center = (start + end) / 2;
+  const zoom = (factor) => onChange(clampViewRange(center - (span * factor) / 2, center + (span * factor) / 2, length));
+  const pan = (direction) => onChange(clampViewRange(start + (direction * span) / 2, end + (direction * span) / 2, length));
+  const buttonClass = "p-1 rounded border border-slate-200 text-slate-600 hover:bg-slate-100 disabled:opacity-40 disabled:cursor-not-allowed";
+
+  return (
+    <div className="flex items-center gap-1 mb-3 text-xs">
+      <button className={buttonClass} onClick={() => zoom(0.5)} disabled={span <= MIN_ZOOM_SPAN} title="Zoom in"><ZoomIn className="w-3.5 h-3.5" /></button>
+      <button className={buttonClass} onClick={() => zoom(2)} disabled={!range} title="Zoom out"><ZoomOut className="w-3.5 h-3.5" /></button>
+      <button className={buttonClass} onClick={() => pan(-1)} disabled={start <= 0} title="Pan left"><ChevronLeft className="w-3.5 h-3.5" /></button>
+      <button className={buttonClass} onClick={() => pan(1)} disabled={end >= length} title="Pan right"><ChevronRight className="w-3.5 h-3.5" /></button>
+      <button className={buttonClass} onClick={() => onChange(null)} disabled={!range} title="Show whole protein"><RotateCcw className="w-3.5 h-3.5" /></button>
+      <span className="ml-2 text-slate-500">
+        {range ? `Residues ${start + 1}–${end} of ${length}` : `Whole protein (${length} aa)`}
+      </span>
+      <span className="ml-auto text-slate-400">Drag across a chart to zoom</span>
+    </div>
+  );
+};
+
+// Residue letters of the visible window, tinted with the colour of the shown tracks that have a site there
+const SequenceStrip = ({ protein, range, tracks }) => {
+  const [start, end] = range;
+  const span = Math.max(1, end - start);
+  const sequence = protein.sequence || "";
+  const shown = tracks.map(getTrack).filter(Boolean);
+  const siteSets = shown.map(track => ({ track, positions: new Set(protein[track.siteField] || []) }));
+  const residues = [];
+  for (let pos = Math.max(1, start + 1); pos <= Math.min(end, sequence.length); pos++) {
+    const hits = siteSets.filter(s => s.positions.has(pos)).map(s => s.track);
+    residues.push({ pos, aa: sequence[pos - 1], hits });
+  }
+
+  return (
+    <div className="relative h-5 bg-slate-50 rounded font-mono">
+      {residues.map(({ pos, aa, hits }) => (
+        <div
+          key={pos}
+          className={`absolute top-0 h-5 leading-5 text-center text-[10px] rounded-sm ${hits.length ? 'font-bold text-white' : 'text-slate-500'}`}
+          style={{
+            left: `${((pos - 1 - start) / span) * 100}%`,
+            width: `${100 / span}%`,
+            background: hits.length ? hits[0].color : undefined
+          }}
+          title={`${aa}${pos}${hits.length ? ` — ${hits.map(t => t.label).join(', ')}` : ''}`}
+        >
+          {aa}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// Zone stability (share of swept parameter sets with the residue in a zone) as a colour strip; long
+// ranges are averaged into at most STABILITY_MAX_CELLS cells
+const STABILITY_MAX_CELLS = 600;
+const stabilityColor = (value) => `hsl(152, ${Math.round(20 + 60 * value)}%, ${Math.round(96 - 62 * value)}%)`;
+
+const StabilityHeatmap = ({ stability, range }) => {
+  const [start, end] = range;
+  const last = Math.min(end, stability.length);
+  const step = Math.max(1, Math.ceil((last - start) / STABILITY_MAX_CELLS));
+  const span = Math.max(1, end - start);
+  const cells = [];
+  for (let i = Math.max(0, start); i < last; i += step) {
+    const values = stability.slice(i, Math.min(i + step, last));
+    cells.push({ i, width: values.length, value: values.reduce((a, b) => a + b, 0) / values.length });
+  }
+
+  return (
+    <div className="relative h-4 bg-slate-50 rounded overflow-hidden">
+      {cells.map(({ i, width, value }) => (
+        <div
+          key={i}
+          className="absolute top-0 h-4"
+          style={{ left: `${((i - start) / span) * 100}%`, width: `${(width / span) * 100}%`, background: stabilityColor(value) }}
+          title={`AA ${i + 1}${width > 1 ? `-${i + width}` : ''}: in a zone for ${Math.round(value * 100)}% of parameter sets`}
+        />
+      ))}
+    </div>
+  );
+};
+
+// Disulfide bonds as arcs between their two cysteines, on the same position axis (and zoom range) as the raw tracks:
+// residue p sits at x = p - 1, like the density samples.
+// Interchain bonds (partner on another chain) are drawn as flagged ticks; predicted bonds are dashed.
+const DisulfideArcTrack = ({ protein, range, height = 48 }) => {
+  const ranges = protein.ssBondRanges || [];
+  const length = Math.max(1, protein.length);
+  const [viewStart, viewEnd] = range || [0, length];
+  const baseline = height - 2;
+  const maxSpan = Math.max(1, ...ranges.filter(r => !r.interchain).map(r => r.end - r.start));
+
+  return (
+    <svg width="100%" height={height} viewBox={`${viewStart} 0 ${Math.max(1, viewEnd - viewStart)} ${height}`} preserveAspectRatio="none" className="block">
+      <line x1={viewStart} y1={baseline} x2={viewEnd} y2={baseline} stroke="#cbd5e1" strokeWidth={1} vectorEffect="non-scaling-stroke" />
+      {ranges.map((r, i) => {
+        const predicted = siteEvidence(protein, 'ssBonds', r.start).evidence === 'predicted';
+        const dash = predicted ? "3 3" : undefined;
+        if (r.interchain) {
+          return (
+            <g key={`bond-${i}`}>
+              <title>{`Interchain disulfide at C${r.start}${predicted ? ' (predicted)' : ''}`}</title>
+              <line x1={r.start - 1} y1={baseline} x2={r.start - 1} y2={height * 0.3} stroke="#f59e0b" strokeWidth={2} strokeDasharray={dash} vectorEffect="non-scaling-stroke" />
+              <line x1={r.start - 1} y1={height * 0.3} x2={r.start - 1} y2={height * 0.15} stroke="#f59e0b" strokeWidth={6} vectorEffect="non-scaling-stroke" />
+            </g>
+          );
+        }
+        // Arc height grows with the bond span so that nested bonds stay readable
+        const peak = baseline - (baseline - 4) * Math.sqrt((r.end - r.start) / maxSpan);
+        const mid = (r.start + r.end) / 2 - 1;
+        return (
+          <path
+            key={`bond-${i}`}
+            d={`M ${r.start - 1} ${baseline} Q ${mid} ${2 * peak - baseline} ${r.end - 1} ${baseline}`}
+            fill="none"
+            stroke="#0284c7"
+            strokeWidth={1.5}
+            strokeDasharray={dash}
+            vectorEffect="non-scaling-stroke"
+          >
+            <title>{`C${r.start}–C${r.end} (${r.end - r.start} aa)${predicted ? ' predicted' : ''}`}</title>
+          </path>
+        );
+      })}
+    </svg>
+  );
+};
+
+// Density chart x values are 0-based residue indices; tooltips name the 1-based residue
+const residueLabel = (pos) => `Residue ${pos + 1}`;
+
+// Density line (or area for disulfides) of one track; called inline because recharts needs direct children
+const densitySeries = (track, { fillOpacity, name }) => {
+  if (track.key === 'ss') {
+    return <Area key={track.key} type="monotone" dataKey={track.key} stroke={track.color} fill={track.color} fillOpacity={fillOpacity} strokeWidth={2} name={name} />;
+  }
+  return <Line key={track.key} type="monotone" dataKey={track.key} stroke={track.color} strokeWidth={2} strokeDasharray={track.key === 'oLinked' ? "5 5" : undefined} dot={false} name={name} />;
+};
+
+// Chips for the tracks shown in the Calibration view, plus a menu to add the others
+const TrackPicker = ({ tracks, onChange }) => {
+  const hidden = DENSITY_TRACKS.filter(t => !tracks.includes(t.key));
+  return (
+    <div className="flex flex-wrap items-center gap-2 mb-4">
+      {tracks.map(getTrack).filter(Boolean).map(track => (
+        <span key={track.key} className="inline-flex items-center gap-1 text-xs border rounded-full pl-2 pr-1 py-0.5" style={{ borderColor: track.color, color: track.color }}>
+          {track.label}
+          <button onClick={() => onChange(tracks.filter(k => k !== track.key))} className="hover:bg-slate-100 rounded-full p-0.5" title={`Hide ${track.label}`}>
+            <X className="w-3 h-3" />
+          </button>
+        </span>
+      ))}
+      {hidden.length > 0 && (
+        <select value="" onChange={(e) => e.target.value && onChange([...tracks, e.target.value])} className="text-xs border border-slate-300 rounded px-2 py-1 bg-white">
+          <option value="">+ Add track</option>
+          {hidden.map(t => <option key={t.key} value={t.key}>{t.label}</option>)}
+        </select>
+      )}
+    </div>
+  );
+};
+
+const REGION_STYLES = {
+  signal: "bg-amber-300 text-amber-900",
+  transmembrane: "bg-slate-600 text-white",
+  extracellular: "bg-emerald-100 text-emerald-800",
+  cytoplasmic: "bg-sky-100 text-sky-800",
+  domain: "bg-indigo-200 text-indigo-900 border border-indigo-300"
+};
+
+// Domains (lower lane) and signal peptide / transmembrane / topological domains (upper lane) under the residue axis,
+// clipped to the zoom range when one is given
+const RegionRibbon = ({ protein, range }) => {
+  const [viewStart, viewEnd] = range || [0, Math.max(1, protein.length)];
+  const span = Math.max(1, viewEnd - viewStart);
+  const regions = (protein.regions || []).filter(r => r.end > viewStart && r.start - 1 < viewEnd);
+  const place = (r) => {
+    const from = Math.max(r.start - 1, viewStart);
+    const to = Math.min(r.end, viewEnd);
+    return { left: `${((from - viewStart) / span) * 100}%`, width: `${Math.max(0.2, ((to - from) / span) * 100)}%` };
+  };
+  const topoStyle = (r) => r.type !== 'topology' ? REGION_STYLES[r.type]
+    : /extracellular|lumenal/i.test(r.description) ? REGION_STYLES.extracellular : REGION_STYLES.cytoplasmic;
+  if ((protein.regions || []).length === 0) return <div className="h-6 text-[11px] text-slate-400 flex items-center">No domain or topology annotations</div>;
+
+  return (
+    <div className="space-y-0.5">
+      {[regions.filter(r => r.type !== 'domain'), regions.filter(r => r.type === 'domain')].map((lane, laneIdx) => (
+        <div key={laneIdx} className="relative h-4 bg-slate-50 rounded">
+          {lane.map((r, i) => (
+            <div
+              key={i}
+              className={`absolute top-0 h-4 rounded-sm text-[9px] leading-4 px-1 overflow-hidden whitespace-nowrap ${topoStyle(r)} ${r.predicted ? 'opacity-60' : ''}`}
+              style={place(r)}
+              title={`${r.description} (${r.start}-${r.end})`}
+            >
+              {r.description}
+            </div>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const ZoneRuleEditor = ({ rule, onChange, unappliedContexts = [] }) => {
+  const updateCondition = (idx, patch) => {
+    const conditions = rule.conditions.map((c, i) => i === idx ? { ...c, ...patch } : c);
+    onChange({ ...rule, conditions });
+  };
+  const removeCondition = (idx) => {
+    const conditions = rule.conditions.filter((_, i) => i !== idx);
+    onChange({ ...rule, conditions, minCount: Math.min(rule.minCount, Math.max(1, conditions.length)) });
+  };
+  const addCondition = () => {
+    const unused = DENSITY_TRACKS.find(t => !rule.conditions.some(c => c.track === t.key)) || DENSITY_TRACKS[0];
+    onChange({ ...rule, conditions: [...rule.conditions, { track: unused.key, threshold: 3 }] });
+  };
+
+  return (
+    <div>
+      <div className="flex items-center gap-2 mb-3">
+        <label className="text-xs font-medium text-slate-600">Combine with</label>
+        <select
+          value={rule.combinator}
+          onChange={(e) => onChange({ ...rule, combinator: e.target.value })}
+          className="text-xs border border-slate-300 rounded px-2 py-1 bg-white"
+        >
+          <option value="AND">AND (all)</option>
+          <option value="OR">OR (any)</option>
+          <option value="AT_LEAST">At least k of n</option>
+        </select>
+        {rule.combinator === 'AT_LEAST' && (
+          <input
+            type="number"
+            min={1}
+            max={Math.max(1, rule.conditions.length)}
+            value={rule.minCount}
+            onChange={(e) => onChange({ ...rule, minCount: Number(e.target.value) })}
+            className="w-14 text-xs border border-slate-300 rounded px-2 py-1"
+          />
+        )}
+      </div>
+
+      {rule.conditions.map((cond, idx) => (
+        <div key={idx} className="mb-2 p-2 rounded-lg border border-slate-100 bg-slate-50">
+          <div className="flex items-center justify-between gap-1 mb-1">
+            <select
+              value={cond.track}
+              onChange={(e) => updateCondition(idx, { track: e.target.value })}
+              className="text-xs border border-slate-300 rounded px-2 py-1 bg-white"
+            >
+              {DENSITY_TRACKS.map(t => <option key={t.key} value={t.key}>{t.label}</option>)}
+            </select>
+            <select
+              value={cond.context || ''}
+              onChange={(e) => updateCondition(idx, { context: e.target.value || undefined })}
+              className="text-xs border border-slate-300 rounded px-2 py-1 bg-white"
+              title="Count only the sites in this structural context (exposure needs a loaded structure; disorder falls back to a sequence estimate)"
+            >
+              <option value="">All sites</option>
+              {SITE_CONTEXT_FILTERS.map(f => <option key={f.key} value={f.key}>{f.label} sites</option>)}
+            </select>
+            <button onClick={() => removeCondition(idx)} className="text-slate-400 hover:text-red-500" title="Remove condition">
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+          {unappliedContexts.includes(cond.context) && (
+            <p className="text-[10px] text-amber-700 mb-1">
+              No structure loaded: this filter is not applied and every site counts, in the zones and in the permutation test.
+            </p>
+          )}
+          <ParameterControl label="Threshold" value={cond.threshold} onChange={(v) => updateCondition(idx, { threshold: v })} min={1} max={10} step={0.5} unit="sites" />
+        </div>
+      ))}
+
+      <button onClick={addCondition} className="text-xs text-indigo-600 font-medium hover:underline flex items-center gap-1">
+        <Plus className="w-3 h-3" /> Add condition
+      </button>
+    </div>
+  );
+};
+
+const formatBytes = (bytes) => bytes > 1e6 ? `${(bytes / 1e6).toFixed(1)} MB` : `${Math.round(bytes / 1e3)} kB`;
+
+const CacheSettingsPanel = ({ offlineMode, onOfflineChange, maxAgeDays, onMaxAgeChange }) => {
+  const [stats, setStats] = useState(null);
+  const [status, setStatus] = useState(null);
+  const [importRelease, setImportRelease] = useState("");
+
+  const refreshStats = async () => {
+    try {
+      setStats(await getCacheStats());
+    } catch (err) {
+      setStatus({ error: true, text: `Cache unavailable: ${err.message}` });
+    }
+  };
+
+  useEffect(() => {
+    refreshStats();
+  }, []);
+
+  const handlePrune = async () => {
+    try {
+      const removed = await pruneCache(maxAgeDays);
+      setStatus({ text: `Removed ${removed} entries older than ${maxAgeDays} days.` });
+    } catch (err) {
+      setStatus({ error: true, text: `Prune failed: ${err.message}` });
+    }
+    refreshStats();
+  };
+
+  const handleClear = async () => {
+    try {
+      await clearCache();
+      setStatus({ text: "Cache cleared." });
+    } catch (err) {
+      setStatus({ error: true, text: `Clear failed: ${err.message}` });
+    }
+    refreshStats();
+  };
+
+  const handleImport = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = async (evt) => {
+      try {
+        const entries = parseUniProtDump(evt.target.result);
+        const release = importRelease.trim() || file.name.replace(/\.[^.]+$/, "");
+        const written = await cacheEntries(entries, release);
+        setStatus({ text: `Imported ${written} of ${entries.length} entries as release "${release}".` });
+      } catch (err) {
+        setStatus({ error: true, text: `Import failed: ${err.message}` });
+      }
+      refreshStats();
+    };
+    reader.readAsText(file);
+    e.target.value = "";
+  };
+
+  return (
+    <Card className="p-6">
+      <div className="flex flex-wrap justify-between items-start gap-4 mb-4">
+        <h3 className="font-bold text-slate-800 flex items-center gap-2">
+          <HardDrive className="w-4 h-4" /> Local UniProt Cache
+        </h3>
+        <label className="flex items-center gap-2 text-sm font-medium text-slate-700 cursor-pointer">
+          <input type="checkbox" checked={offlineMode} onChange={(e) => onOfflineChange(e.target.checked)} className="accent-indigo-600" />
+          Offline mode (use cached entries only)
+        </label>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6 text-sm">
+        <div>
+          <h4 className="text-xs font-bold text-slate-500 uppercase tracking-wider mb-2">Contents</h4>
+          {stats ? (
+            <div className="space-y-1 text-slate-600">
+              <div>{stats.count} entries · ~{formatBytes(stats.approxBytes)}</div>
+              {stats.oldest && <div className="text-xs">Cached {new Date(stats.oldest).toLocaleDateString()} – {new Date(stats.newest).toLocaleDateString()}</div>}
+              <div className="flex flex-wrap gap-1 pt-1">
+                {Object.entries(stats.releases).map(([release, count]) => (
+                  <Badge key={release} color="gray" text={`${release}: ${count}`} />
+                ))}
+              </div>
+            </div>
+          ) : (
+            <p className="text-slate-400 italic">Loading...</p>
+          )}
+        </div>
+
+        <div>
+          <h4 className="text-xs font-bold text-slate-500 uppercase tracking-wider mb-2">Age Management</h4>
+          <ParameterControl label="Reuse entries younger than" value={maxAgeDays} onChange={onMaxAgeChange} min={1} max={365} step={1} unit="days" />
+          <div className="flex gap-2">
+            <button onClick={handlePrune} className="flex-1 bg-white border border-slate-300 hover:bg-slate-50 text-slate-700 py-2 rounded-lg text-xs font-medium">Prune older</button>
+            <button onClick={handleClear} className="flex-1 bg-white border border-red-200 hover:bg-red-50 text-red-600 py-2 rounded-lg text-xs font-medium flex justify-center items-center gap-1">
+              <Trash2 className="w-3 h-3" /> Clear all
+            </button>
+          </div>
+        </div>
+
+        <div>
+          <h4 className="text-xs font-bold text-slate-500 uppercase tracking-wider mb-2">Import Dump</h4>
+          <input
+            type="text"
+            value={importRelease}
+            onChange={(e) => setImportRelease(e.target.value)}
+            placeholder="Release label (e.g. 2024_01)"
+            className="w-full mb-2 px-3 py-2 border border-slate-300 rounded-lg text-xs"
+          />
+          <label className="flex items-center justify-center gap-2 w-full py-2 border border-dashed border-slate-300 rounded-lg text-xs text-indigo-600 font-medium cursor-pointer hover:border-indigo-400">
+            <Upload className="w-3 h-3" /> UniProt JSON / TSV / flat text
+            <input type="file" accept=".json,.tsv,.txt,.dat" className="hidden" onChange={handleImport} />
+          </label>
+        </div>
+      </div>
+
+      {status && (
+        <p className={`mt-4 text-xs ${status.error ? 'text-red-600' : 'text-emerald-700'}`}>{status.text}</p>
+      )}
+    </Card>
+  );
+};
+
+const EXPLORER_ROW_HEIGHT = 36;
+const EXPLORER_VIEWPORT_HEIGHT = 480;
+
+const EXPLORER_COLUMNS = [
+  { key: 'gene', label: 'Gene', width: '1.2fr' },
+  { key: 'accession', label: 'Accession', width: '1fr' },
+  { key: 'scientificName', label: 'Organism', width: '1.6fr' },
+  { key: 'type', label: 'Type', width: '0.9fr' },
+  { key: 'glycosite', label: 'Site', width: '0.8fr' },
+  { key: 'evidence', label: 'Evidence', width: '0.8fr' },
+  { key: 'inUniProtDisulfide', label: 'In SS', width: '0.6fr' },
+  { key: 'inHighDensityZone', label: 'In Zone', width: '0.6fr' },
+  { key: 'zonePValue', label: 'p', width: '0.7fr' },
+  { key: 'zoneQValue', label: 'q (BH)', width: '0.7fr' }
+];
+
+const explorerGridTemplate = EXPLORER_COLUMNS.map(c => c.width).join(' ');
+
+// Site position for numeric sorting of "N123"-style ids
+const sitePosition = (siteId) => Number(String(siteId).replace(/^\D+/, '')) || 0;
+
+const compareRows = (key) => (a, b) => {
+  if (key === 'glycosite') return sitePosition(a.glycosite) - sitePosition(b.glycosite);
+  const va = a[key], vb = b[key];
+  if (va === vb) return 0;
+  if (va === null || va === undefined) return 1;
+  if (vb === null || vb === undefined) return -1;
+  if (typeof va === 'number' || typeof va === 'boolean') return Number(va) - Number(vb);
+  return String(va).localeCompare(String(vb));
+};
+
+const BooleanFilter = ({ label, value, onChange }) => (
+  <select value={value} onChange={(e) => onChange(e.target.value)} className="text-xs border border-slate-300 rounded px-2 py-1.5 bg-white">
+    <option value="all">{label}: all</option>
+    <option value="yes">{label}: yes</option>
+    <option value="no">{label}: no</option>
+  </select>
+);
+
+// Sortable, filterable results table; only the rows in view are rendered
+const BatchResultsExplorer = ({ rows, onOpenProtein }) => {
+  const [geneQuery, setGeneQuery] = useState("");
+  const [typeFilter, setTypeFilter] = useState("all");
+  const [organismFilter, setOrganismFilter] = useState("all");
+  const [ssFilter, setSsFilter] = useState("all");
+  const [zoneFilter, setZoneFilter] = useState("all");
+  const [evidenceFilter, setEvidenceFilter] = useState("all");
+  const [sort, setSort] = useState({ key: 'gene', dir: 1 });
+  const [scrollTop, setScrollTop] = useState(0);
+  const viewportRef = useRef(null);
+
+  const types = useMemo(() => [...new Set(rows.map(r => r.type))].sort(), [rows]);
+  const organisms = useMemo(() => [...new Set(rows.map(r => r.scientificName))].sort(), [rows]);
+
+  const visibleRows = useMemo(() => {
+    const query = geneQuery.trim().toUpperCase();
+    const matchBool = (filter, v) => filter === 'all' || (filter === 'yes') === Boolean(v);
+    const filtered = rows.filter(r =>
+      (!query || String(r.gene).toUpperCase().includes(query) || String(r.accession).toUpperCase().includes(query)) &&
+      (typeFilter === 'all' || r.type === typeFilter) &&
+      (organismFilter === 'all' || r.scientificName === organismFilter) &&
+      matchBool(ssFilter, r.inUniProtDisulfide) &&
+      matchBool(zoneFilter, r.inHighDensityZone) &&
+      (evidenceFilter === 'all' || r.evidence === evidenceFilter)
+    );
+    const cmp = compareRows(sort.key);
+    return filtered.sort((a, b) => cmp(a, b) * sort.dir);
+  }, [rows, geneQuery, typeFilter, organismFilter, ssFilter, zoneFilter, evidenceFilter, sort]);
+
+  // Jump back to the top whenever the result set changes
+  useEffect(() => {
+    setScrollTop(0);
+    if (viewportRef.current) viewportRef.current.scrollTop = 0;
+  }, [visibleRows]);
+
+  const toggleSort = (key) => setSort(prev => prev.key === key ? { key, dir: -prev.dir } : { key, dir: 1 });
+
+  const overscan = 10;
+  const first = Math.max(0, Math.floor(scrollTop / EXPLORER_ROW_HEIGHT) - overscan);
+  const last = Math.min(visibleRows.length, Math.ceil((scrollTop + EXPLORER_VIEWPORT_HEIGHT) / EXPLORER_ROW_HEIGHT) + overscan);
+
+  const renderCell = (row, key) => {
+    const v = row[key];
+    if (key === 'inUniProtDisulfide' || key === 'inHighDensityZone') {
+      return v ? <CheckCircle className="w-4 h-4 text-emerald-500" /> : <span className="text-slate-300">–</span>;
+    }
+    if (key === 'zonePValue' || key === 'zoneQValue') return <span className="font-mono">{formatPValue(v)}</span>;
+    if (key === 'gene') return <span className="font-semibold text-indigo-700">{v}</span>;
+    if (key === 'glycosite' && row.residue) {
+      return <span>{v} <span className="text-slate-400">({row.residue})</span></span>;
+    }
+    if (key === 'evidence') {
+      return <span className={v === 'experimental' ? 'text-emerald-700' : v === 'predicted' ? 'text-amber-600' : 'text-slate-600'} title={(row.evidenceCodes || []).join(', ') || row.description}>{v}</span>;
+    }
+    return v;
+  };
+
+  return (
+    <Card className="p-6 text-left text-slate-800">
+      <div className="flex flex-wrap justify-between items-center gap-3 mb-4">
+        <h3 className="font-bold flex items-center gap-2">
+          <Filter className="w-4 h-4" /> Results Explorer
+        </h3>
+        <span className="text-xs text-slate-500">Showing {visibleRows.length.toLocaleString()} of {rows.length.toLocaleString()} sites · click a row to open the protein</span>
+      </div>
+
+      <div className="flex flex-wrap gap-2 mb-4">
+        <div className="relative">
+          <input
+            type="text"
+            value={geneQuery}
+            onChange={(e) => setGeneQuery(e.target.value)}
+            placeholder="Gene or accession..."
+            className="pl-8 pr-3 py-1.5 border border-slate-300 rounded text-xs w-48"
+          />
+          <Search className="w-3.5 h-3.5 text-slate-400 absolute left-2.5 top-2" />
+        </div>
+        <select value={typeFilter} onChange={(e) => setTypeFilter(e.target.value)} className="text-xs border border-slate-300 rounded px-2 py-1.5 bg-white">
+          <option value="all">Type: all</option>
+          {types.map(t => <option key={t} value={t}>{t}</option>)}
+        </select>
+        <select value={organismFilter} onChange={(e) => setOrganismFilter(e.target.value)} className="text-xs border border-slate-300 rounded px-2 py-1.5 bg-white max-w-[220px]">
+          <option value="all">Organism: all</option>
+          {organisms.map(o => <option key={o} value={o}>{o}</option>)}
+        </select>
+        <BooleanFilter label="In disulfide" value={ssFilter} onChange={setSsFilter} />
+        <BooleanFilter label="In zone" value={zoneFilter} onChange={setZoneFilter} />
+        <select value={evidenceFilter} onChange={(e) => setEvidenceFilter(e.target.value)} className="text-xs border border-slate-300 rounded px-2 py-1.5 bg-white">
+          <option value="all">Evidence: all</option>
+          {EVIDENCE_LEVELS.map(level => <option key={level} value={level}>{level}</option>)}
+        </select>
+      </div>
+
+      <div className="border border-slate-200 rounded-lg overflow-hidden text-xs">
+        <div className="grid bg-slate-50 border-b border-slate-200 font-semibold text-slate-600" style={{ gridTemplateColumns: explorerGridTemplate }}>
+          {EXPLORER_COLUMNS.map(col => (
+            <button key={col.key} onClick={() => toggleSort(col.key)} className="px-3 py-2 text-left flex items-center gap-1 hover:text-slate-900">
+              {col.label}
+              {sort.key === col.key && (sort.dir === 1 ? <ArrowUp className="w-3 h-3" /> : <ArrowDown className="w-3 h-3" />)}
+            </button>
+          ))}
+        </div>
+        <div
+          ref={viewportRef}
+          className="overflow-y-auto"
+          style={{ height: EXPLORER_VIEWPORT_HEIGHT }}
+          onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+        >
+          <div style={{ height: visibleRows.length * EXPLORER_ROW_HEIGHT, position: 'relative' }}>
+            {visibleRows.slice(first, last).map((row, i) => (
+              <div
+                key={first + i}
+                onClick={() => onOpenProtein(row)}
+                className="grid items-center border-b border-slate-100 hover:bg-indigo-50 cursor-pointer absolute left-0 right-0"
+                style={{ gridTemplateColumns: explorerGridTemplate, top: (first + i) * EXPLORER_ROW_HEIGHT, height: EXPLORER_ROW_HEIGHT }}
+              >
+                {EXPLORER_COLUMNS.map(col => (
+                  <div key={col.key} className="px-3 truncate">{renderCell(row, col.key)}</div>
+                ))}
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </Card>
+  );
+};
+
+// Card around a recharts chart with SVG / PNG download buttons
+const ChartPanel = ({ title, fileName, children, className = "" }) => {
+  const chartRef = useRef(null);
+  const [error, setError] = useState(null);
+  const getSvg = () => chartRef.current && chartRef.current.querySelector('svg.recharts-surface');
+  const savePng = async () => {
+    const svg = getSvg();
+    if (!svg) return;
+    setError(null);
+    try {
+      await downloadPng(svg, `${fileName}.png`, 3);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className={`border border-slate-200 rounded-lg p-4 ${className}`}>
+      <div className="flex justify-between items-center mb-2">
+        <h4 className="text-xs font-bold text-slate-500 uppercase tracking-wider">{title}</h4>
+        <div className="flex gap-2 text-xs">
+          <button onClick={() => getSvg() && downloadSvg(getSvg(), `${fileName}.svg`)} className="text-indigo-600 hover:underline flex items-center gap-1">
+            <ImageIcon className="w-3 h-3" /> SVG
+          </button>
+          <button onClick={savePng} className="text-indigo-600 hover:underline">PNG</button>
+        </div>
+      </div>
+      {error && <p className="text-xs text-red-600 mb-2">{error}</p>}
+      <div ref={chartRef} className="h-56">
+        {children}
+      </div>
+    </div>
+  );
+};
+
+// Options and preview for the manuscript figure (density plot + site rows + zones) of the current view
+const FigureExportPanel = ({ protein, densities, tracks, zones, range, params, onClose }) => {
+  const autoCaption = () => {
+    const [start, end] = range;
+    const window = start === 0 && end === protein.length ? `full length (${protein.length} aa)` : `residues ${start + 1}–${end} of ${protein.length}`;
+    return `${protein.gene} (${protein.id}, ${protein.scientificName}), ${window}. ${describeAnalysisParams(params)}. Shaded: co-localization zones (${zones.length}).`;
+  };
+  const [options, setOptions] = useState(() => ({ ...DEFAULT_FIGURE_OPTIONS, title: `${protein.gene} PTM density profile`, caption: autoCaption() }));
+  const [error, setError] = useState(null);
+  const set = (patch) => setOptions(prev => ({ ...prev, ...patch }));
+  const shownTracks = tracks.map(getTrack).filter(Boolean);
+  const [rangeStart, rangeEnd] = range;
+
+  const figure = useMemo(() => buildDensityFigure({
+    protein,
+    densities,
+    tracks: tracks.map(getTrack).filter(Boolean),
+    zones,
+    range: [rangeStart, rangeEnd],
+    thresholds: params.zoneRule.conditions
+  }, options), [protein, densities, tracks, zones, rangeStart, rangeEnd, params, options]);
+  const fileName = `${protein.gene}_density_figure`;
+  const save = async (format) => {
+    setError(null);
+    try {
+      await downloadFigure(figure, fileName, format, options.dpi);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+  const inputClass = "w-full text-xs border border-slate-300 rounded px-2 py-1 bg-white";
+
+  return (
+    <Card className="p-6 mb-6">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="font-bold text-slate-800 flex items-center gap-2"><ImageIcon className="w-4 h-4" /> Export Figure</h3>
+        <button onClick={onClose} className="text-slate-400 hover:text-slate-600" title="Close"><X className="w-4 h-4" /></button>
+      </div>
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="space-y-3 text-xs text-slate-600">
+          <div className="grid grid-cols-3 gap-2">
+            <label>Width (mm)<input type="number" min={40} max={400} value={options.widthMm} onChange={(e) => set({ widthMm: Number(e.target.value) || DEFAULT_FIGURE_OPTIONS.widthMm })} className={inputClass} /></label>
+            <label>Height (mm)<input type="number" min={30} max={400} value={options.heightMm} onChange={(e) => set({ heightMm: Number(e.target.value) || DEFAULT_FIGURE_OPTIONS.heightMm })} className={inputClass} /></label>
+            <label>PNG DPI
+              <select value={options.dpi} onChange={(e) => set({ dpi: Number(e.target.value) })} className={inputClass}>
+                {[150, 300, 600, 1200].map(d => <option key={d} value={d}>{d}</option>)}
+              </select>
+            </label>
+          </div>
+          <div className="grid grid-cols-3 gap-2">
+            <label className="col-span-2">Font
+              <select value={options.font} onChange={(e) => set({ font: e.target.value })} className={inputClass}>
+                {FIGURE_FONTS.map(f => <option key={f.key} value={f.key}>{f.label}</option>)}
+              </select>
+            </label>
+            <label>Size (px)<input type="number" min={5} max={24} value={options.fontSize} onChange={(e) => set({ fontSize: Number(e.target.value) || DEFAULT_FIGURE_OPTIONS.fontSize })} className={inputClass} /></label>
+          </div>
+          <label className="block">Legend
+            <select value={options.legend} onChange={(e) => set({ legend: e.target.value })} className={inputClass}>
+              {FIGURE_LEGEND_PLACEMENTS.map(p => <option key={p} value={p}>{p === 'none' ? 'No legend' : p[0].toUpperCase() + p.slice(1)}</option>)}
+            </select>
+          </label>
+          <div>
+            <div className="mb-1">Colors</div>
+            <div className="flex flex-wrap gap-2">
+              {shownTracks.map(track => (
+                <label key={track.key} className="flex items-center gap-1">
+                  <input type="color" value={options.colors[track.key] || track.color} onChange={(e) => set({ colors: { ...options.colors, [track.key]: e.target.value } })} className="w-6 h-6 border-0 p-0 bg-transparent" />
+                  {track.shortLabel}
+                </label>
+              ))}
+              <label className="flex items-center gap-1">
+                <input type="color" value={options.zoneColor} onChange={(e) => set({ zoneColor: e.target.value })} className="w-6 h-6 border-0 p-0 bg-transparent" />
+                Zones
+              </label>
+            </div>
+          </div>
+          <label className="flex items-center gap-2 cursor-pointer">
+            <input type="checkbox" checked={options.showThresholds} onChange={(e) => set({ showThresholds: e.target.checked })} className="accent-indigo-600" />
+            Zone rule thresholds
+          </label>
+          <label className="block">Title<input type="text" value={options.title} onChange={(e) => set({ title: e.target.value })} className={inputClass} /></label>
+          <label className="block">
+            <span className="flex justify-between">Caption <button onClick={() => set({ caption: autoCaption() })} className="text-indigo-600 hover:underline">Reset to parameters</button></span>
+            <textarea rows={5} value={options.caption} onChange={(e) => set({ caption: e.target.value })} className={inputClass} />
+          </label>
+          <div className="flex gap-2 pt-1">
+            <button onClick={() => save('svg')} className="flex-1 bg-indigo-600 hover:bg-indigo-700 text-white py-2 rounded-md font-medium flex justify-center items-center gap-1"><Download className="w-3.5 h-3.5" /> SVG</button>
+            <button onClick={() => save('png')} className="flex-1 bg-slate-900 hover:bg-slate-800 text-white py-2 rounded-md font-medium flex justify-center items-center gap-1"><Download className="w-3.5 h-3.5" /> PNG ({options.dpi} dpi)</button>
+          </div>
+          {error && <p className="text-red-600">{error}</p>}
+        </div>
+        <div className="lg:col-span-2 bg-slate-100 rounded-lg p-3 flex items-center justify-center">
+          <img src={`data:image/svg+xml;charset=utf-8,${encodeURIComponent(figure.markup)}`} alt="Figure preview" className="max-w-full bg-white shadow" style={{ aspectRatio: `${options.widthMm} / ${options.heightMm}`, width: '100%' }} />
+        </div>
+      </div>
+    </Card>
+  );
+};
+
+// --- AUTO-CALIBRATION ---
+
+// White → indigo scale for the sensitivity heatmap
+const heatmapColor = (score, min, max) => {
+  if (score === null) return '#f8fafc';
+  const t = max > min ? (score - min) / (max - min) : 1;
+  return `hsl(239, ${Math.round(40 + 44 * t)}%, ${Math.round(96 - 46 * t)}%)`;
+};
+
+// Loads a reference set (known zones or labelled proteins), searches the zone rule's window /
+// smoothing / threshold parameters in a worker and applies the best set to the sliders
+const AutoCalibrationPanel = ({ params, offlineMode, onApply }) => {
+  const [training, setTraining] = useState(null);
+  const [settings, setSettings] = useState(DEFAULT_CALIBRATION_SETTINGS);
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+  const [status, setStatus] = useState(null);
+  const [heatmapDims, setHeatmapDims] = useState([0, 1]);
+  const controllerRef = useRef(null);
+
+  useEffect(() => () => controllerRef.current && controllerRef.current.abort(), []);
+
+  const handleFile = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (evt) => {
+      const parsed = parseTrainingSet(evt.target.result);
+      setTraining({ ...parsed, fileName: file.name });
+      setResult(null);
+      setStatus(parsed.errors.length > 0
+        ? { error: true, text: `${parsed.errors.length} line(s) skipped: ${parsed.errors.slice(0, 3).map(err => `line ${err.line}: ${err.message}`).join('; ')}` }
+        : null);
+    };
+    reader.readAsText(file);
+    e.target.value = "";
+  };
+
+  const run = async () => {
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setResult(null);
+    setStatus(null);
+    try {
+      const examples = [];
+      const failed = [];
+      for (let i = 0; i < training.examples.length; i++) {
+        if (controller.signal.aborted) throw new DOMException('Aborted', 'AbortError');
+        const ex = training.examples[i];
+        setProgress({ phase: 'Loading entries', done: i, total: training.examples.length });
+        try {
+          const protein = await fetchUniprotByAccession(ex.accession, { offline: offlineMode });
+          if (protein) examples.push({ protein: filterSitesByEvidence(protein, params.evidenceFilter), zones: ex.zones, label: ex.label });
+          else failed.push(ex.accession);
+        } catch {
+          failed.push(ex.accession);
+        }
+      }
+      if (examples.length === 0) throw new Error("None of the training entries could be loaded.");
+      if (!examples.some(ex => ex.label)) throw new Error("The training set has no positive entries.");
+
+      const calibration = await calibrateInWorker(
+        { examples, params, settings: { ...settings, level: training.level } },
+        (done, total) => setProgress({ phase: 'Searching', done, total }),
+        controller.signal
+      );
+      setResult({ ...calibration, ruleTracks: params.zoneRule.conditions.map(c => c.track).join(',') });
+      setHeatmapDims([0, Math.min(1, calibration.dims.length - 1)]);
+      if (failed.length > 0) setStatus({ error: true, text: `Could not load ${failed.length} entr${failed.length === 1 ? 'y' : 'ies'}: ${failed.slice(0, 5).join(', ')}${failed.length > 5 ? '…' : ''}` });
+    } catch (err) {
+      setStatus(err.name === 'AbortError' ? { text: "Calibration cancelled." } : { error: true, text: err.message });
+    } finally {
+      controllerRef.current = null;
+      setProgress(null);
+    }
+  };
+
+  const cancel = () => controllerRef.current && controllerRef.current.abort();
+
+  // Size of the search before it starts: the grid grows with every group and condition of the rule
+  const plan = useMemo(() => calibrationPlan(params.zoneRule, settings), [params.zoneRule, settings]);
+  const [dimX, dimY] = heatmapDims;
+  const grid = useMemo(() => (result ? sensitivityGrid(result, dimX, dimY) : null), [result, dimX, dimY]);
+  const scores = grid ? grid.cells.flat().filter(s => s !== null) : [];
+  const minScore = scores.length > 0 ? Math.min(...scores) : 0;
+  const maxScore = scores.length > 0 ? Math.max(...scores) : 1;
+  // The point indexes thresholds by condition, so it only applies to the rule it was searched for
+  const ruleChanged = result && result.ruleTracks !== params.zoneRule.conditions.map(c => c.track).join(',');
+  const objectiveLabel = (key) => (key === 'auroc' ? 'AUROC' : 'F1');
+  const selectClass = "border border-slate-300 rounded px-2 py-1 text-sm bg-white";
+  const positives = training ? training.examples.filter(ex => ex.label).length : 0;
+
+  return (
+    <Card className="p-6 mt-6">
+      <h3 className="font-bold text-slate-800 mb-1 flex items-center gap-2">
+        <Sliders className="w-4 h-4 text-indigo-500" /> Auto-Calibration
+      </h3>
+      <p className="text-xs text-slate-500 mb-4">
+        Upload a reference set, one entry per line: <code>accession,start,end</code> for known co-localized regions (1-based, inclusive) or <code>accession,positive|negative</code> for protein-level labels.
+        The windows, smoothing and thresholds of the current zone rule are searched to maximise the objective,
+        either over a full grid of coarse values or by random sampling of finer values refined by hill climbing (there is no Bayesian optimisation).
+      </p>
+
+      <div className="flex flex-wrap items-end gap-3 text-sm mb-3">
+        <label className="cursor-pointer bg-slate-100 hover:bg-slate-200 text-slate-700 px-3 py-1.5 rounded-md font-medium flex items-center gap-1">
+          <Upload className="w-3.5 h-3.5" /> Training set
+          <input type="file" accept=".csv,.tsv,.txt" onChange={handleFile} className="hidden" />
+        </label>
+        <label className="flex flex-col text-xs text-slate-500">Objective
+          <select value={settings.objective} onChange={(e) => setSettings(s => ({ ...s, objective: e.target.value }))} className={selectClass}>
+            {CALIBRATION_OBJECTIVES.map(o => <option key={o.key} value={o.key}>{o.label}</option>)}
+          </select>
+        </label>
+        <label className="flex flex-col text-xs text-slate-500">Search
+          <select value={settings.strategy} onChange={(e) => setSettings(s => ({ ...s, strategy: e.target.value }))} className={selectClass}>
+            {CALIBRATION_STRATEGIES.map(o => <option key={o.key} value={o.key}>{o.label}</option>)}
+          </select>
+        </label>
+        {plan.strategy === 'random' && (
+          <label className="flex flex-col text-xs text-slate-500">Evaluations
+            <input type="number" min={50} max={5000} step={50} value={settings.budget} onChange={(e) => setSettings(s => ({ ...s, budget: Math.max(50, Number(e.target.value) || DEFAULT_CALIBRATION_SETTINGS.budget) }))} className={`${selectClass} w-24`} />
+          </label>
+        )}
+        <span className="text-xs text-slate-500 pb-2">
+          {plan.downgraded
+            ? `${plan.gridPoints.toLocaleString()} grid points (over ${MAX_GRID_POINTS.toLocaleString()}): random search of ${plan.evaluations} instead`
+            : `${plan.evaluations.toLocaleString()} parameter sets`}
+        </span>
+        {progress ? (
+          <button onClick={cancel} className="bg-red-50 hover:bg-red-100 text-red-700 px-3 py-1.5 rounded-md font-medium flex items-center gap-1"><X className="w-3.5 h-3.5" /> Cancel</button>
+        ) : (
+          <button onClick={run} disabled={!training || training.examples.length === 0} className="bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50 text-white px-3 py-1.5 rounded-md font-medium flex items-center gap-1"><Play className="w-3.5 h-3.5" /> Run</button>
+        )}
+      </div>
+
+      {training && (
+        <p className="text-xs text-slate-500 mb-3">
+          {training.fileName}: {training.examples.length} entries ({positives} positive, {training.examples.length - positives} negative) · scored at {training.level === 'residue' ? 'residue level (zone overlap)' : 'protein level (any zone)'}
+        </p>
+      )}
+
+      {progress && (
+        <div className="mb-3">
+          <div className="flex justify-between text-xs text-slate-500 mb-1"><span>{progress.phase}…</span><span>{progress.done} / {progress.total}</span></div>
+          <div className="w-full bg-slate-100 rounded-full h-2 overflow-hidden">
+            <div className="bg-indigo-600 h-2 transition-all" style={{ width: `${progress.total > 0 ? (100 * progress.done) / progress.total : 0}%` }} />
+          </div>
+        </div>
+      )}
+
+      {status && <p className={`text-xs mb-3 ${status.error ? 'text-red-600' : 'text-slate-500'}`}>{status.text}</p>}
+
+      {result && (
+        <div className="space-y-4">
+          <div className="flex flex-wrap items-center justify-between gap-3 bg-indigo-50 border border-indigo-100 rounded-lg p-3 text-sm">
+            <div>
+              <div className="font-bold text-indigo-900">Best {objectiveLabel(result.objective)}: {result.best.score.toFixed(3)} <span className="font-normal text-indigo-700">({result.evaluations} parameter sets evaluated{result.downgraded ? ' by random search: the grid was too large' : ''})</span></div>
+              <div className="text-xs text-indigo-800 mt-1">
+                {result.dims.map((dim, d) => `${dim.label} ${dim.values[result.best.point[d]]}`).join(' · ')}
+              </div>
+            </div>
+            <button onClick={() => onApply(applyCalibrationPoint(params, result.dims, result.best.point))} disabled={ruleChanged} title={ruleChanged ? "The zone rule has changed since this calibration; run it again" : undefined} className="disabled:opacity-50 bg-indigo-600 hover:bg-indigo-700 text-white px-3 py-1.5 rounded-md font-medium flex items-center gap-1">
+              <CheckCircle className="w-3.5 h-3.5" /> Apply to sliders
+            </button>
+          </div>
+
+          {result.dims.length > 1 && grid && (
+            <div>
+              <div className="flex flex-wrap items-center gap-3 text-xs text-slate-500 mb-2">
+                <span className="font-bold uppercase tracking-wider">Sensitivity</span>
+                <label className="flex items-center gap-1">X
+                  <select value={dimX} onChange={(e) => setHeatmapDims([Number(e.target.value), dimY])} className={selectClass}>
+                    {result.dims.map((dim, d) => <option key={dim.key} value={d} disabled={d === dimY}>{dim.label}</option>)}
+                  </select>
+                </label>
+                <label className="flex items-center gap-1">Y
+                  <select value={dimY} onChange={(e) => setHeatmapDims([dimX, Number(e.target.value)])} className={selectClass}>
+                    {result.dims.map((dim, d) => <option key={dim.key} value={d} disabled={d === dimX}>{dim.label}</option>)}
+                  </select>
+                </label>
+                <span>Best {objectiveLabel(result.objective)} over the other parameters · {minScore.toFixed(2)} – {maxScore.toFixed(2)}</span>
+              </div>
+              <div className="overflow-x-auto">
+                <table className="text-[10px] border-separate" style={{ borderSpacing: 2 }}>
+                  <tbody>
+                    {grid.rows.map((rowValue, y) => (
+                      <tr key={rowValue}>
+                        <th className="pr-2 text-right font-medium text-slate-500">{rowValue}</th>
+                        {grid.cols.map((colValue, x) => {
+                          const score = grid.cells[y][x];
+                          const isBest = result.best.point[dimX] === x && result.best.point[dimY] === y;
+                          return (
+                            <td key={colValue} title={`${result.dims[dimY].label} ${rowValue}, ${result.dims[dimX].label} ${colValue}: ${score === null ? 'not evaluated' : score.toFixed(3)}`}
+                              className={`w-9 h-7 text-center rounded ${isBest ? 'ring-2 ring-amber-500' : ''}`}
+                              style={{ background: heatmapColor(score, minScore, maxScore), color: score !== null && maxScore > minScore && (score - minScore) / (maxScore - minScore) > 0.6 ? 'white' : '#334155' }}>
+                              {score === null ? '' : score.toFixed(2)}
+                            </td>
+                          );
+                        })}
+                      </tr>
+                    ))}
+                    <tr>
+                      <th className="pr-2 text-right font-medium text-slate-400">{result.dims[dimY].label} ↑ / {result.dims[dimX].label} →</th>
+                      {grid.cols.map(colValue => <th key={colValue} className="font-medium text-slate-500">{colValue}</th>)}
+                    </tr>
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </Card>
+  );
+};
+
+// --- STRUCTURE ---
+
+// AlphaFold confidence colours (pLDDT is stored in the B-factor column of the models)
+const plddtColor = (b) => (b === null ? '#cbd5e1' : b > 90 ? '#0053d6' : b > 70 ? '#65cbf3' : b > 50 ? '#ffdb13' : '#ff7d45');
+const STRUCTURE_ZONE_COLOR = '#10b981';
+const STRUCTURE_BACKBONE_COLOR = '#94a3b8';
+const DISULFIDE_COLOR = '#eab308';
+
+// C-alpha trace of the mapped structure on a canvas: drag to rotate, scroll to zoom. Backbone coloured by
+// zone (or pLDDT), sites of the shown tracks as dots, intrachain disulfides as dashed links.
+const StructureViewer = ({ protein, mapping, isZone, tracks, colorBy, height = 420 }) => {
+  const canvasRef = useRef(null);
+  const dragRef = useRef(null);
+  const [view, setView] = useState({ rotX: -0.3, rotY: 0.4, zoom: 1 });
+
+  // Centre and extent of the mapped residues, so the model fills the canvas whatever its coordinate frame
+  const frame = useMemo(() => {
+    const points = mapping.coords.filter(Boolean);
+    const center = [0, 1, 2].map(k => points.reduce((sum, p) => sum + p[k], 0) / Math.max(1, points.length));
+    const radius = Math.max(1, ...points.map(p => Math.hypot(p[0] - center[0], p[1] - center[1], p[2] - center[2])));
+    return { center, radius };
+  }, [mapping]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth;
+    canvas.width = width * ratio;
+    canvas.height = height * ratio;
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    const { rotX, rotY, zoom } = view;
+    const scale = (zoom * Math.min(width, height) * 0.45) / frame.radius;
+    const [cx, cy, cz] = frame.center;
+    // Rotation about Y then X; screen y grows downwards
+    const project = (p) => {
+      const x = p[0] - cx, y = p[1] - cy, z = p[2] - cz;
+      const x1 = x * Math.cos(rotY) + z * Math.sin(rotY);
+      const z1 = -x * Math.sin(rotY) + z * Math.cos(rotY);
+      const y1 = y * Math.cos(rotX) - z1 * Math.sin(rotX);
+      const z2 = y * Math.sin(rotX) + z1 * Math.cos(rotX);
+      return { x: width / 2 + x1 * scale, y: height / 2 - y1 * scale, z: z2 };
+    };
+    const projected = mapping.coords.map(c => (c ? project(c) : null));
+    const depthAlpha = (z) => 0.35 + 0.65 * Math.min(1, Math.max(0, (z / frame.radius + 1) / 2));
+
+    const shapes = [];
+    for (let i = 0; i + 1 < projected.length; i++) {
+      const a = projected[i], b = projected[i + 1];
+      if (!a || !b) continue;
+      const color = colorBy === 'plddt' ? plddtColor(mapping.bFactors[i]) : (isZone[i] && isZone[i + 1] ? STRUCTURE_ZONE_COLOR : STRUCTURE_BACKBONE_COLOR);
+      const zone = colorBy !== 'plddt' && isZone[i] && isZone[i + 1];
+      shapes.push({ z: (a.z + b.z) / 2, draw: () => {
+        ctx.strokeStyle = color;
+        ctx.lineWidth = zone ? 4 : 2.5;
+        ctx.setLineDash([]);
+        ctx.beginPath(); ctx.moveTo(a.x, a.y); ctx.lineTo(b.x, b.y); ctx.stroke();
+      } });
+    }
+    (protein.ssBondRanges || []).filter(r => !r.interchain).forEach(r => {
+      const a = projected[r.start - 1], b = projected[r.end - 1];
+      if (!a || !b) return;
+      shapes.push({ z: Math.max(a.z, b.z), draw: () => {
+        ctx.strokeStyle = DISULFIDE_COLOR;
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash([3, 3]);
+        ctx.beginPath(); ctx.moveTo(a.x, a.y); ctx.lineTo(b.x, b.y); ctx.stroke();
+      } });
+    });
+    tracks.map(getTrack).filter(Boolean).forEach(track => {
+      (protein[track.siteField] || []).forEach(pos => {
+        const p = projected[pos - 1];
+        if (!p) return;
+        shapes.push({ z: p.z + 0.01, draw: () => {
+          ctx.fillStyle = track.color;
+          ctx.strokeStyle = 'white';
+          ctx.lineWidth = 1;
+          ctx.setLineDash([]);
+          ctx.beginPath(); ctx.arc(p.x, p.y, 4, 0, 2 * Math.PI); ctx.fill(); ctx.stroke();
+        } });
+      });
+    });
+
+    // Painter's algorithm: far shapes first, faded with depth
+    shapes.sort((a, b) => a.z - b.z).forEach(shape => {
+      ctx.globalAlpha = depthAlpha(shape.z);
+      shape.draw();
+    });
+    ctx.globalAlpha = 1;
+  }, [protein, mapping, isZone, tracks, colorBy, view, frame, height]);
+
+  const onMouseDown = (e) => { dragRef.current = { x: e.clientX, y: e.clientY }; };
+  const onMouseMove = (e) => {
+    if (!dragRef.current) return;
+    const dx = e.clientX - dragRef.current.x, dy = e.clientY - dragRef.current.y;
+    dragRef.current = { x: e.clientX, y: e.clientY };
+    setView(v => ({ ...v, rotY: v.rotY + dx * 0.01, rotX: v.rotX + dy * 0.01 }));
+  };
+  const onMouseUp = () => { dragRef.current = null; };
+  const onWheel = (e) => setView(v => ({ ...v, zoom: Math.min(8, Math.max(0.3, v.zoom * (e.deltaY < 0 ? 1.1 : 1 / 1.1))) }));
+
+  return (
+    <div className="relative">
+      <canvas
+        ref={canvasRef}
+        style={{ width: '100%', height }}
+        className="bg-slate-950 rounded-lg cursor-grab active:cursor-grabbing"
+        onMouseDown={onMouseDown} onMouseMove={onMouseMove} onMouseUp={onMouseUp} onMouseLeave={onMouseUp} onWheel={onWheel}
+      />
+      <button onClick={() => setView({ rotX: -0.3, rotY: 0.4, zoom: 1 })} className="absolute top-2 right-2 text-xs bg-slate-800/80 text-slate-200 px-2 py-1 rounded hover:bg-slate-700 flex items-center gap-1">
+        <RotateCcw className="w-3 h-3" /> Reset view
+      </button>
+    </div>
+  );
+};
+
+// Loads a PDB/mmCIF model of the current protein, shows it in the viewer and switches the densities
+// between sequence windows and the 3D radius
+const StructurePanel = ({ protein, structure, mapping, onLoad, onClear, chainId, onChainChange, densityMode, onDensityModeChange, spatialRadius, onSpatialRadiusChange, isZone, tracks }) => {
+  const [colorBy, setColorBy] = useState('zones');
+  const [error, setError] = useState(null);
+
+  const handleFile = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (evt) => {
+      try {
+        onLoad({ fileName: file.name, ...parseStructureFile(evt.target.result, file.name) });
+        setError(null);
+      } catch (err) {
+        setError(`Could not read ${file.name}: ${err.message}`);
+      }
+    };
+    reader.readAsText(file);
+    e.target.value = "";
+  };
+
+  const selectClass = "border border-slate-300 rounded px-2 py-1 text-sm bg-white";
+
+  return (
+    <Card className="p-6">
+      <div className="flex flex-wrap justify-between items-center gap-3 mb-4">
+        <h3 className="font-bold text-slate-800">3D Structure</h3>
+        <div className="flex flex-wrap items-center gap-3 text-sm">
+          <label className="flex items-center gap-2 text-indigo-600 font-medium cursor-pointer hover:text-indigo-800">
+            <Upload className="w-4 h-4" /> Load PDB / mmCIF
+            <input type="file" className="hidden" accept=".pdb,.ent,.cif,.mmcif" onChange={handleFile} />
+          </label>
+          {structure && (
+            <button onClick={onClear} className="text-slate-500 hover:text-red-600 flex items-center gap-1"><X className="w-4 h-4" /> Remove</button>
+          )}
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-red-600 mb-3">{error}</p>}
+
+      {!structure ? (
+        <p className="text-sm text-slate-500 italic">
+          Load a local structure of {protein.gene || protein.id} (e.g. the AlphaFold model) to see the zones and sites in 3D and to count sites within a spatial radius instead of a sequence window.
+          {densityMode === 'spatial' && ' The loaded parameters ask for 3D densities; sequence windows are used until a structure is loaded.'}
+        </p>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <div className="lg:col-span-2">
+            {mapping && mapping.mapped > 0 ? (
+              <StructureViewer protein={protein} mapping={mapping} isZone={isZone} tracks={tracks} colorBy={colorBy} />
+            ) : (
+              <p className="text-sm text-red-600">No residue of the structure matches the sequence of {protein.id}.</p>
+            )}
+          </div>
+          <div className="space-y-4 text-sm">
+            <div className="text-xs text-slate-500 space-y-1">
+              <div className="font-medium text-slate-700 truncate" title={structure.fileName}>{structure.fileName} ({structure.format})</div>
+              {mapping && <div>Chain {mapping.chainId}: {mapping.mapped} of {protein.length} residues mapped ({Math.round(mapping.coverage * 100)}%)</div>}
+              {mapping && <div>{mapping.rsa ? 'Solvent accessibility computed from the model' : 'C-alpha-only model: no solvent accessibility'} · disorder from {mapping.plddt ? 'pLDDT' : 'sequence (not an AlphaFold model)'}</div>}
+            </div>
+            {structure.chains.length > 1 && (
+              <label className="flex flex-col text-xs text-slate-500">Chain
+                <select value={chainId || ''} onChange={(e) => onChainChange(e.target.value || null)} className={selectClass}>
+                  <option value="">Best match</option>
+                  {structure.chains.map(c => <option key={c.id} value={c.id}>{c.id} ({c.residues.length} residues)</option>)}
+                </select>
+              </label>
+            )}
+            <label className="flex flex-col text-xs text-slate-500">Colour backbone by
+              <select value={colorBy} onChange={(e) => setColorBy(e.target.value)} className={selectClass}>
+                <option value="zones">Co-localization zones</option>
+                <option value="plddt">pLDDT / B-factor</option>
+              </select>
+            </label>
+            <div className="flex flex-wrap gap-x-3 gap-y-1 text-xs text-slate-600">
+              {colorBy === 'zones' ? (
+                <span className="flex items-center gap-1"><span className="w-3 h-1 rounded" style={{ background: STRUCTURE_ZONE_COLOR }}></span>Zone</span>
+              ) : (
+                [['>90', 95], ['70-90', 80], ['50-70', 60], ['<50', 40]].map(([label, b]) => (
+                  <span key={label} className="flex items-center gap-1"><span className="w-3 h-1 rounded" style={{ background: plddtColor(b) }}></span>{label}</span>
+                ))
+              )}
+              <span className="flex items-center gap-1"><span className="w-3 border-t border-dashed" style={{ borderColor: DISULFIDE_COLOR }}></span>Disulfide</span>
+              {tracks.map(getTrack).filter(Boolean).map(track => (
+                <span key={track.key} className="flex items-center gap-1"><span className="w-2 h-2 rounded-full" style={{ background: track.color }}></span>{track.shortLabel}</span>
+              ))}
+            </div>
+            <div className="border-t border-slate-100 pt-4 space-y-3">
+              <label className="flex flex-col text-xs text-slate-500">Density
+                <select value={densityMode} onChange={(e) => onDensityModeChange(e.target.value)} className={selectClass}>
+                  {DENSITY_MODES.map(m => <option key={m.key} value={m.key}>{m.label}</option>)}
+                </select>
+              </label>
+              {densityMode === 'spatial' && (
+                <>
+                  <ParameterControl label="Radius" value={spatialRadius} onChange={onSpatialRadiusChange} min={4} max={30} step={1} unit="Å" colorClass="accent-emerald-600" />
+                  <p className="text-xs text-slate-500">Each residue counts the sites whose C-alpha lies within {spatialRadius} Å of its own. Residues missing from the model get no density. The zone rule, regions and exports use these densities.</p>
+                </>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </Card>
+  );
+};
+
+const StatTile = ({ label, value, sub }) => (
+  <div className="bg-slate-50 rounded-lg border border-slate-200 p-4">
+    <div className="text-xs font-medium text-slate-500">{label}</div>
+    <div className="text-2xl font-bold text-slate-800">{value}</div>
+    {sub && <div className="text-xs text-slate-400">{sub}</div>}
+  </div>
+);
+
+const formatOddsRatio = (or) => (Number.isFinite(or) ? or.toFixed(2) : "∞");
+
+// Aggregate statistics of a batch run (zones per protein, zone lengths, site enrichment)
+const ProteomeDashboard = ({ rows, summaries }) => {
+  const [topN, setTopN] = useState(10);
+  const stats = useMemo(() => summarizeProteome(rows, summaries, topN), [rows, summaries, topN]);
+  const enrichmentChart = stats.enrichment.map(e => ({ type: e.type, log2OddsRatio: Number.isFinite(e.oddsRatio) && e.oddsRatio > 0 ? Math.log2(e.oddsRatio) : 0 }));
+  const tooltipStyle = { borderRadius: '8px', border: 'none', boxShadow: '0 4px 6px -1px rgb(0 0 0 / 0.1)', fontSize: '12px' };
+
+  if (summaries.length === 0) {
+    return (
+      <Card className="p-6 text-left text-slate-500 text-sm italic">
+        No protein-level summaries are stored for this run; re-run it to see the proteome dashboard.
+      </Card>
+    );
+  }
+
+  return (
+    <Card className="p-6 text-left text-slate-800">
+      <h3 className="font-bold flex items-center gap-2 mb-4">
+        <BarChart2 className="w-4 h-4" /> Proteome Summary
+      </h3>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+        <StatTile label="Proteins analyzed" value={stats.proteinCount.toLocaleString()} />
+        <StatTile label="With ≥1 zone" value={stats.proteinsWithZone.toLocaleString()} sub={`${(stats.fractionWithZone * 100).toFixed(1)}% of proteins`} />
+        <StatTile label="Zones detected" value={stats.zoneCount.toLocaleString()} />
+        <StatTile label="Sites analyzed" value={rows.length.toLocaleString()} />
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <ChartPanel title="Zones per protein" fileName="zones_per_protein">
+          <ResponsiveContainer width="100%" height="100%">
+            <BarChart data={stats.zoneCountHistogram} margin={{ top: 5, right: 10, left: 0, bottom: 5 }}>
+              <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#f1f5f9" />
+              <XAxis dataKey="label" tick={{ fontSize: 10 }} />
+              <YAxis tick={{ fontSize: 10 }} />
+              <Tooltip contentStyle={tooltipStyle} />
+              <Bar dataKey="count" name="Proteins" fill="#6366f1" />
+            </BarChart>
+          </ResponsiveContainer>
+        </ChartPanel>
+
+        <ChartPanel title="Zone length (aa)" fileName="zone_length_distribution">
+          <ResponsiveContainer width="100%" height="100%">
+            <BarChart data={stats.zoneLengthHistogram} margin={{ top: 5, right: 10, left: 0, bottom: 5 }}>
+              <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#f1f5f9" />
+              <XAxis dataKey="label" tick={{ fontSize: 10 }} />
+              <YAxis tick={{ fontSize: 10 }} />
+              <Tooltip contentStyle={tooltipStyle} />
+              <Bar dataKey="count" name="Zones" fill="#10b981" />
+            </BarChart>
+          </ResponsiveContainer>
+        </ChartPanel>
+
+        <ChartPanel title="Sites inside vs outside zones" fileName="sites_by_type">
+          <ResponsiveContainer width="100%" height="100%">
+            <BarChart data={stats.sitesByType} margin={{ top: 5, right: 10, left: 0, bottom: 5 }}>
+              <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#f1f5f9" />
+              <XAxis dataKey="type" tick={{ fontSize: 10 }} />
+              <YAxis tick={{ fontSize: 10 }} />
+              <Tooltip contentStyle={tooltipStyle} />
+              <Legend wrapperStyle={{ fontSize: '11px' }} />
+              <Bar dataKey="inZone" name="In zone" fill="#10b981" />
+              <Bar dataKey="outsideZone" name="Outside zone" fill="#cbd5e1" />
+            </BarChart>
+          </ResponsiveContainer>
+        </ChartPanel>
+
+        <ChartPanel title="Enrichment in zones (log2 odds ratio)" fileName="site_enrichment">
+          <ResponsiveContainer width="100%" height="100%">
+            <BarChart data={enrichmentChart} margin={{ top: 5, right: 10, left: 0, bottom: 5 }}>
+              <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#f1f5f9" />
+              <XAxis dataKey="type" tick={{ fontSize: 10 }} />
+              <YAxis tick={{ fontSize: 10 }} />
+              <Tooltip contentStyle={tooltipStyle} formatter={(v) => v.toFixed(2)} />
+              <ReferenceLine y={0} stroke="#94a3b8" />
+              <Bar dataKey="log2OddsRatio" name="log2 OR" fill="#a855f7" />
+            </BarChart>
+          </ResponsiveContainer>
+        </ChartPanel>
+
+        <ChartPanel title={`Top ${topN} proteins by zone coverage (aa)`} fileName="top_zone_coverage" className="lg:col-span-2">
+          <ResponsiveContainer width="100%" height="100%">
+            <BarChart data={stats.topProteins} layout="vertical" margin={{ top: 5, right: 20, left: 20, bottom: 5 }}>
+              <CartesianGrid strokeDasharray="3 3" horizontal={false} stroke="#f1f5f9" />
+              <XAxis type="number" tick={{ fontSize: 10 }} />
+              <YAxis type="category" dataKey="gene" tick={{ fontSize: 10 }} width={80} />
+              <Tooltip contentStyle={tooltipStyle} />
+              <Bar dataKey="zoneCoverage" name="Zone coverage (aa)" fill="#38bdf8" />
+            </BarChart>
+          </ResponsiveContainer>
+        </ChartPanel>
+      </div>
+
+      <div className="flex items-center gap-2 mt-3 text-xs text-slate-600">
+        <label>Top N</label>
+        <select value={topN} onChange={(e) => setTopN(Number(e.target.value))} className="border border-slate-300 rounded px-2 py-1 bg-white">
+          {[10, 20, 50].map(n => <option key={n} value={n}>{n}</option>)}
+        </select>
+      </div>
+
+      <div className="mt-6">
+        <h4 className="text-xs font-bold text-slate-500 uppercase tracking-wider mb-2">Per-type enrichment (Fisher's exact test, sites vs. all other residues)</h4>
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="text-left text-slate-500 border-b border-slate-200">
+              <th className="py-2">Type</th>
+              <th>In zone</th>
+              <th>Outside zone</th>
+              <th>Odds ratio</th>
+              <th>p-value</th>
+            </tr>
+          </thead>
+          <tbody>
+            {stats.enrichment.map(e => (
+              <tr key={e.type} className="border-b border-slate-100">
+                <td className="py-2 font-medium">{e.type}</td>
+                <td>{e.inZone.toLocaleString()}</td>
+                <td>{e.outsideZone.toLocaleString()}</td>
+                <td className="font-mono">{formatOddsRatio(e.oddsRatio)}</td>
+                <td className={`font-mono ${e.pValue < 0.05 ? 'text-emerald-700 font-bold' : ''}`}>{formatPValue(e.pValue)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </Card>
+  );
+};
+
+// --- COMPARISON ---
+
+const MAX_COMPARED_PROTEINS = 8;
+const CONSERVED_ZONE_COLOR = "#f59e0b";
+
+// Stacked density profiles of several proteins on a shared axis: residue numbers, or the columns of a
+// multiple alignment computed in a worker. Zones found in enough of the proteins are marked as conserved.
+const ComparisonView = ({ proteins, params, tracks, onRemove, onAdd, onAddCurrent, onUpload, adding }) => {
+  const [query, setQuery] = useState("");
+  const [aligned, setAligned] = useState(true);
+  const [alignment, setAlignment] = useState(null); // { key, rows }
+  const [alignError, setAlignError] = useState(null);
+  const [minProteins, setMinProteins] = useState(null); // null = all proteins
+  const shownTracks = tracks.map(getTrack).filter(Boolean);
+  const sequences = useMemo(() => proteins.map(p => p.sequence || 'X'.repeat(p.length)), [proteins]);
+  const alignmentKey = proteins.map(p => p.id).join('|');
+
+  useEffect(() => {
+    if (!aligned || proteins.length < 2 || (alignment && alignment.key === alignmentKey)) return;
+    let cancelled = false;
+    setAlignError(null);
+    alignInWorker(sequences)
+      .then(rows => { if (!cancelled) setAlignment({ key: alignmentKey, rows }); })
+      .catch(err => { if (!cancelled) setAlignError(err.message); });
+    return () => { cancelled = true; };
+  }, [aligned, alignmentKey, sequences, alignment, proteins.length]);
+
+  const alignmentReady = aligned && alignment && alignment.key === alignmentKey;
+  const rows = useMemo(() => alignmentReady ? alignment.rows : unalignedRows(sequences), [alignmentReady, alignment, sequences]);
+  const width = Math.max(1, ...rows.map(r => r.length));
+
+  const profiles = useMemo(() => proteins.map((protein, k) => {
+    const filtered = filterSitesByEvidence(protein, params.evidenceFilter);
+    const densities = computeTrackDensities(filtered, params);
+    const isZone = evaluateZoneRule(densities, params.zoneRule, protein.length);
+    const { toResidue, toColumn } = columnMap(rows[k] || "");
+    const zones = findZoneRegions(isZone).map(z => ({ start: toColumn[z.start], end: toColumn[z.end - 1] + 1 }));
+    return { protein, densities, isZone, toResidue, zones };
+  }), [proteins, params, rows]);
+
+  const required = Math.min(proteins.length, Math.max(2, minProteins ?? proteins.length));
+  const conserved = useMemo(
+    () => proteins.length < 2 ? [] : findConservedZones(rows, profiles.map(p => p.isZone), required),
+    [proteins.length, rows, profiles, required]
+  );
+
+  const step = Math.max(1, Math.ceil(width / 600));
+  const chartPoints = (profile) => {
+    const points = [];
+    for (let col = 0; col < width; col += step) {
+      const r = col < profile.toResidue.length ? profile.toResidue[col] : -1;
+      const point = { col };
+      shownTracks.forEach(track => { point[track.key] = r >= 0 ? profile.densities[track.key][r] : null; });
+      points.push(point);
+    }
+    return points;
+  };
+
+  const submit = () => {
+    if (!query.trim()) return;
+    onAdd(query);
+    setQuery("");
+  };
+
+  return (
+    <div className="space-y-6">
+      <Card className="p-6">
+        <div className="flex flex-wrap items-center gap-3 mb-4">
+          <h3 className="font-bold text-slate-800 mr-auto">Compare Proteins <span className="text-xs font-normal text-slate-400">({proteins.length}/{MAX_COMPARED_PROTEINS})</span></h3>
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && submit()}
+            placeholder="Genes or UniProt accessions, e.g. FN1, P07589"
+            className="text-sm border border-slate-300 rounded-md px-3 py-1.5 w-72"
+          />
+          <button onClick={submit} disabled={adding || proteins.length >= MAX_COMPARED_PROTEINS} className="text-sm bg-indigo-600 hover:bg-indigo-700 text-white px-3 py-1.5 rounded-md flex items-center gap-1 disabled:opacity-50">
+            {adding ? <Loader className="w-4 h-4 animate-spin" /> : <Plus className="w-4 h-4" />} Add
+          </button>
+          <button onClick={onAddCurrent} disabled={proteins.length >= MAX_COMPARED_PROTEINS} className="text-sm text-indigo-600 font-medium hover:underline disabled:opacity-50">Add current protein</button>
+          <label className="text-sm text-indigo-600 font-medium cursor-pointer hover:underline flex items-center gap-1">
+            <Upload className="w-4 h-4" /> Sequence file
+            <input type="file" className="hidden" accept=".fasta,.fa,.faa,.gp,.gpt,.txt,.dat,.gz" onChange={onUpload} />
+          </label>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-4 mb-4 text-xs text-slate-600">
+          <label className="flex items-center gap-1 cursor-pointer">
+            <input type="checkbox" checked={aligned} onChange={(e) => setAligned(e.target.checked)} className="accent-indigo-600" />
+            Align sequences (BLOSUM62, center-star)
+          </label>
+          {aligned && proteins.length >= 2 && !alignmentReady && !alignError && (
+            <span className="flex items-center gap-1 text-slate-400"><Loader className="w-3 h-3 animate-spin" /> Aligning…</span>
+          )}
+          {alignError && <span className="text-red-600">Alignment failed: {alignError}</span>}
+          <label className="flex items-center gap-1">
+            Conserved zones in at least
+            <select value={required} onChange={(e) => setMinProteins(Number(e.target.value))} disabled={proteins.length < 2} className="border border-slate-300 rounded px-2 py-1 bg-white">
+              {Array.from({ length: Math.max(0, proteins.length - 1) }, (_, i) => i + 2).map(n => <option key={n} value={n}>{n}</option>)}
+            </select>
+            of {proteins.length} proteins
+          </label>
+          <span className="ml-auto flex items-center gap-3">
+            <span className="flex items-center gap-1"><span className="inline-block w-3 h-3 rounded-sm" style={{ background: '#86efac' }} /> Zone</span>
+            <span className="flex items-center gap-1"><span className="inline-block w-3 h-3 rounded-sm" style={{ background: CONSERVED_ZONE_COLOR, opacity: 0.5 }} /> Conserved zone</span>
+          </span>
+        </div>
+
+        {proteins.length === 0 ? (
+          <p className="text-sm text-slate-500 italic">Add paralogs or orthologs to compare their density profiles.</p>
+        ) : (
+          <div className="space-y-1">
+            {profiles.map((profile, k) => (
+              <div key={profile.protein.id} className="flex items-center">
+                <div className="w-44 pr-3 text-right text-xs leading-tight">
+                  <div className="font-bold text-slate-800 flex items-center justify-end gap-1">
+                    {profile.protein.gene}
+                    <button onClick={() => onRemove(profile.protein.id)} className="text-slate-300 hover:text-red-500" title="Remove from comparison"><X className="w-3 h-3" /></button>
+                  </div>
+                  <div className="text-slate-400 truncate" title={profile.protein.scientificName}>{profile.protein.id} · {profile.protein.scientificName}</div>
+                  <div className="text-slate-400">
+                    {profile.protein.length} aa{alignmentReady && k > 0 ? ` · ${pairIdentity(rows[0], rows[k]).toFixed(0)}% id` : ''}
+                  </div>
+                </div>
+                <div className="flex-1 h-28">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <ComposedChart data={chartPoints(profile)} syncId="comparison" margin={{ top: 4, right: 10, left: 0, bottom: 0 }}>
+                      <XAxis dataKey="col" type="number" domain={[0, width]} hide={k < profiles.length - 1} tick={{ fontSize: 10, fill: '#94a3b8' }} />
+                      <YAxis hide domain={[0, 'auto']} />
+                      <Tooltip
+                        labelFormatter={(col) => {
+                          const r = profile.toResidue[col];
+                          return r >= 0 ? `${profile.protein.gene} ${profile.protein.sequence?.[r] || ''}${r + 1}` : `${profile.protein.gene} (gap)`;
+                        }}
+                        contentStyle={{ fontSize: '11px', borderRadius: '6px' }}
+                      />
+                      {profile.zones.map((z, i) => <ReferenceArea key={`z-${i}`} x1={z.start} x2={z.end} fill="#86efac" fillOpacity={0.4} />)}
+                      {conserved.map((z, i) => <ReferenceArea key={`c-${i}`} x1={z.start} x2={z.end} fill={CONSERVED_ZONE_COLOR} fillOpacity={0.25} />)}
+                      {shownTracks.map(track => densitySeries(track, { fillOpacity: 0.15, name: track.label }))}
+                    </ComposedChart>
+                  </ResponsiveContainer>
+                </div>
+              </div>
+            ))}
+            <div className="text-xs text-slate-400 text-center">{alignmentReady ? 'Alignment column' : 'Residue position'}</div>
+          </div>
+        )}
+      </Card>
+
+      {proteins.length >= 2 && (
+        <Card className="p-6">
+          <h3 className="font-bold text-slate-800 mb-3">Conserved Zones</h3>
+          {conserved.length === 0 ? (
+            <p className="text-sm text-slate-500 italic">No zone is shared by {required} or more proteins with the current parameters.</p>
+          ) : (
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-left text-slate-500 border-b border-slate-200">
+                  <th className="py-2">Region</th>
+                  <th>{alignmentReady ? 'Columns' : 'Positions'}</th>
+                  <th>Proteins</th>
+                  {proteins.map(p => <th key={p.id}>{p.gene}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {conserved.map((z, i) => (
+                  <tr key={i} className="border-b border-slate-100">
+                    <td className="py-2 font-medium">{i + 1}</td>
+                    <td className="font-mono">{z.start + 1}–{z.end}</td>
+                    <td>{z.count}/{proteins.length}</td>
+                    {z.ranges.map((r, k) => <td key={k} className="font-mono">{r ? `${r.start + 1}–${r.end}` : '—'}</td>)}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </Card>
+      )}
+    </div>
+  );
+};
+
 export default function App() {
   // State
   const [geneName, setGeneName] = useState("FN1");
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [data, setData] = useState(null);
+  const [rawData, setData] = useState(null); // protein as fetched/parsed; `data` below applies the evidence filter
   
   // --- Parameters ---
   // Group 1: SS
   const [ssWindowSize, setSsWindowSize] = useState(50);
-  const [ssThreshold, setSsThreshold] = useState(3);
   const [ssSmoothing, setSsSmoothing] = useState(5); 
   
-  // Group 2: Glyco (Shared with Phospho)
+  // Group 2: Glyco
   const [glycoWindowSize, setGlycoWindowSize] = useState(50);
-  const [glycoThreshold, setGlycoThreshold] = useState(3);
   const [glycoSmoothing, setGlycoSmoothing] = useState(5); 
+
+  // Group 3: Phospho
+  const [phosphoWindowSize, setPhosphoWindowSize] = useState(50);
+  const [phosphoSmoothing, setPhosphoSmoothing] = useState(5);
+
+  // Group 4: Other PTMs (C-mannosylation, lipidation, acetylation, ubiquitin-like, cross-links)
+  const [otherWindowSize, setOtherWindowSize] = useState(50);
+  const [otherSmoothing, setOtherSmoothing] = useState(5);
+
+  // Tracks drawn in the Calibration view
+  const [chartTracks, setChartTracks] = useState(DEFAULT_CHART_TRACKS);
+
+  // How disulfide bonds are counted in the SS density ('first' | 'both' | 'span')
+  const [ssCounting, setSsCounting] = useState(DEFAULT_DISULFIDE_COUNTING);
+
+  // Which sites take part in the analysis, by UniProt evidence level
+  const [evidenceFilter, setEvidenceFilter] = useState(DEFAULT_EVIDENCE_FILTER);
+
+  // Co-localization rule (tracks + thresholds + combinator)
+  const [zoneRule, setZoneRule] = useState(DEFAULT_ZONE_RULE);
+
+  // Sequence windows or 3D radius (needs a structure mapped onto the protein)
+  const [densityMode, setDensityMode] = useState(DEFAULT_DENSITY_MODE);
+  const [spatialRadius, setSpatialRadius] = useState(DEFAULT_SPATIAL_RADIUS);
+
+  // Significance of zones (residue-shuffling permutation test)
+  const [permutation, setPermutation] = useState(DEFAULT_PERMUTATION_SETTINGS);
+
+  // Single parameter object shared by the charts, the exports and the batch run
+  const analysisParams = useMemo(() => ({
+      ssWindowSize, ssSmoothing, ssCounting,
+      glycoWindowSize, glycoSmoothing,
+      phosphoWindowSize, phosphoSmoothing,
+      otherWindowSize, otherSmoothing,
+      densityMode, spatialRadius,
+      evidenceFilter,
+      zoneRule,
+      permutation
+  }), [ssWindowSize, ssSmoothing, ssCounting, glycoWindowSize, glycoSmoothing, phosphoWindowSize, phosphoSmoothing, otherWindowSize, otherSmoothing, densityMode, spatialRadius, evidenceFilter, zoneRule, permutation]);
+
+  // Structure loaded for the current protein and its C-alpha coordinates per residue
+  const [structure, setStructure] = useState(null);
+  const [structureChainId, setStructureChainId] = useState(null);
+  const structureMapping = useMemo(() => {
+    if (!structure || !rawData) return null;
+    try {
+      return mapStructureToProtein(structure, rawData, structureChainId);
+    } catch (err) {
+      console.warn('Structure mapping failed:', err);
+      return null;
+    }
+  }, [structure, rawData, structureChainId]);
+
+  const data = useMemo(() => {
+    const filtered = filterSitesByEvidence(rawData, evidenceFilter);
+    if (!filtered || !structureMapping) return filtered;
+    return {
+      ...filtered,
+      residueCoords: structureMapping.coords,
+      ...(structureMapping.rsa && { residueRsa: structureMapping.rsa }),
+      // pLDDT < 50 is AlphaFold's "very low" band, i.e. disorder >= 0.5
+      ...(structureMapping.plddt && { residueDisorder: structureMapping.plddt.map(b => (b === null ? null : 1 - b / 100)) })
+    };
+  }, [rawData, evidenceFilter, structureMapping]);
+
+  // Robustness sweep of the loaded protein (stability heatmap under the Analysis chart). The sweep only
+  // runs on request: `stabilityRun` holds the inputs it was started with, and goes stale when they change.
+  const [showStability, setShowStability] = useState(false);
+  const [robustnessSettings, setRobustnessSettings] = useState(DEFAULT_ROBUSTNESS_SETTINGS);
+  const [stabilityRun, setStabilityRun] = useState(null);
+
+  // Zoomed residue range of the charts ({ start, end } on the chart's position axis; null = whole protein)
+  const [viewRange, setViewRange] = useState(null);
+  const [zoomDrag, setZoomDrag] = useState(null); // { from, to } while brushing a range on a chart
+  const [showFigureExport, setShowFigureExport] = useState(false);
+  // Range to show once the protein of a restored session has loaded (any other load shows the whole protein)
+  const pendingViewRangeRef = useRef(null);
+  useEffect(() => {
+    setViewRange(pendingViewRangeRef.current);
+    pendingViewRangeRef.current = null;
+  }, [rawData]);
+
+  // A structure belongs to one entry: drop it when another protein is loaded
+  const loadedAccession = rawData ? rawData.id : null;
+  useEffect(() => {
+    setStructure(null);
+    setStructureChainId(null);
+  }, [loadedAccession]);
+  const viewStart = viewRange && data ? viewRange.start : 0;
+  const viewEnd = viewRange && data ? viewRange.end : (data ? data.length : 0);
+  const xDomain = [viewStart, viewEnd];
   
   const [view, setView] = useState("calibration"); 
 
@@ -316,273 +1906,752 @@ export default function App() {
   const [batchProgress, setBatchProgress] = useState(0);
   const [batchStatus, setBatchStatus] = useState("idle"); 
   const [batchResults, setBatchResults] = useState([]);
+  const [batchSummaries, setBatchSummaries] = useState([]); // one zone summary per protein
+  const [batchParams, setBatchParams] = useState(null); // parameters the current batchResults were computed with
+  const [ingestReport, setIngestReport] = useState(null); // { fileName, format, accepted, errors } of the last sequence upload
+  const [predictorKeys, setPredictorKeys] = useState(DEFAULT_PREDICTOR_KEYS); // site predictors for sequence-only uploads
+  const [comparison, setComparison] = useState([]); // proteins of the Compare view, in display order
+  const [comparisonLoading, setComparisonLoading] = useState(false);
   const [processedCount, setProcessedCount] = useState(0);
-  
+  const [runHistory, setRunHistory] = useState([]);
+
+  // Entry cache / offline mode
+  const [offlineMode, setOfflineMode] = useState(false);
+  const [cacheMaxAgeDays, setCacheMaxAgeDays] = useState(30);
+  const [showCacheSettings, setShowCacheSettings] = useState(false);
+  const [searchOrganismId, setSearchOrganismId] = useState(DEFAULT_ORGANISM_ID);
+  const [searchMatches, setSearchMatches] = useState(null); // several entries matched the last search
+
+  // Sessions: { level: 'ok' | 'warning' | 'error', text, details } of the last load, save or share
+  const [sessionStatus, setSessionStatus] = useState(null);
+  const restoringSessionRef = useRef(false);
+
+  // A shared link (#session=...) restores its session instead of the default search
   useEffect(() => {
-    handleSearch();
+    const shared = decodeSessionHash(window.location.hash);
+    if (shared === null) handleSearch();
+    else loadSessionText(shared, 'the shared link');
   }, []);
 
-  const handleSearch = async () => {
-    if (!geneName.trim()) return;
+  // Loads the single match directly; several matching entries go to the disambiguation picker
+  const handleSearch = async () => {
+    if (!geneName.trim()) return;
+    setLoading(true);
+    setError(null);
+    setSearchMatches(null);
+
+    try {
+      const matches = await fetchUniprotMatches(geneName, { organismId: searchOrganismId, offline: offlineMode, maxAgeDays: cacheMaxAgeDays });
+      if (matches.length === 1) {
+        setData(matches[0]);
+      } else if (matches.length > 1) {
+        setSearchMatches(matches);
+      } else if (offlineMode) {
+        setError(`"${geneName}" is not in the local cache for ${organismLabel(searchOrganismId)}. Switch off offline mode or import a UniProt dump.`);
+      } else {
+        setError(`No UniProt entry matches "${geneName}" in ${organismLabel(searchOrganismId)}. Please check the name, accession or organism.`);
+      }
+    } catch (err) {
+      console.error(err);
+      setError(`Could not retrieve data for "${geneName}": ${err.message}`);
+    }
+    setLoading(false);
+  };
+
+  const pickSearchMatch = async (protein, isoformId = null) => {
+    setSearchMatches(null);
+    if (!isoformId) {
+      setData(protein);
+      return;
+    }
+    setLoading(true);
+    setError(null);
+    try {
+      setData(await loadIsoform(protein, isoformId, { offline: offlineMode }));
+    } catch (err) {
+      setError(`Could not load isoform ${isoformId}: ${err.message}`);
+    }
+    setLoading(false);
+  };
+
+  // Switches between the canonical sequence and an isoform of the current entry
+  const selectIsoform = async (isoformId) => {
     setLoading(true);
     setError(null);
-    
-    const result = await fetchUniprotData(geneName);
-    
-    if (result) {
-      setData(result);
-    } else {
-      setError(`Could not retrieve data for gene "${geneName}". Please check the name and try again.`);
+    try {
+      const canonical = data.isoformOf ? await fetchUniprotByAccession(data.isoformOf, { offline: offlineMode }) : data;
+      if (!canonical) throw new Error("the canonical entry is not in the local cache");
+      setData(await loadIsoform(canonical, isoformId, { offline: offlineMode }));
+    } catch (err) {
+      setError(`Could not load isoform ${isoformId}: ${err.message}`);
     }
     setLoading(false);
   };
 
-  // --- IMPORT / EXPORT PARAMETERS ---
-  const exportParameters = () => {
-      const params = {
-          ssWindowSize, ssThreshold, ssSmoothing,
-          glycoWindowSize, glycoThreshold, glycoSmoothing
-      };
-      const blob = new Blob([JSON.stringify(params, null, 2)], { type: 'text/plain' });
-      const url = URL.createObjectURL(blob);
-      const link = document.createElement('a');
-      link.href = url;
-      link.download = 'protein_coloc_params.txt';
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
+  // --- SESSIONS ---
+  const currentSession = useMemo(() => buildSession({
+      protein: rawData,
+      compared: comparison,
+      params: analysisParams,
+      view: { tab: view, chartTracks, range: viewRange, organismId: searchOrganismId }
+  }), [rawData, comparison, analysisParams, view, chartTracks, viewRange, searchOrganismId]);
+
+  // Keeps the address bar shareable; skipped while a session is being restored so it is not overwritten half-way
+  useEffect(() => {
+      if (restoringSessionRef.current || !rawData) return;
+      window.history.replaceState(null, '', encodeSessionHash(currentSession));
+  }, [currentSession, rawData]);
+
+  const exportSession = () => {
+      const session = { ...currentSession, savedAt: new Date().toISOString() };
+      const name = rawData ? rawData.id : 'protein_coloc';
+      downloadBlob(new Blob([JSON.stringify(session, null, 2)], { type: 'application/json' }), `${name}_session.json`);
+      setSessionStatus({ level: 'ok', text: `Session saved as ${name}_session.json.`, details: [] });
   };
 
-  const importParameters = (e) => {
-      const file = e.target.files[0];
-      if (!file) return;
-      const reader = new FileReader();
-      reader.onload = (evt) => {
+  const copyShareLink = async () => {
+      const url = `${window.location.href.split('#')[0]}${encodeSessionHash(currentSession)}`;
+      const { current, compared } = currentSession.proteins;
+      const fromFiles = [current, ...compared].filter(ref => ref && ref.source === 'file').map(ref => ref.accession);
+      const details = fromFiles.length > 0
+          ? [`${fromFiles.join(', ')} came from uploaded files and cannot travel in a link; save a session file to share them.`]
+          : [];
+      try {
+          await navigator.clipboard.writeText(url);
+          setSessionStatus({ level: fromFiles.length > 0 ? 'warning' : 'ok', text: 'Share link copied to the clipboard.', details });
+      } catch (err) {
+          setSessionStatus({ level: 'error', text: `Could not copy the link (${err.message}). Copy it from the address bar instead.`, details });
+      }
+  };
+
+  // Current protein of a session reference: embedded, or fetched by accession (isoforms through their canonical entry)
+  const loadSessionProtein = async (ref) => {
+      if (ref.protein) return ref.protein;
+      if (ref.source !== 'uniprot') throw new Error("was loaded from a file that is not embedded in this session");
+      const canonical = await fetchUniprotByAccession(ref.canonical || ref.accession, { offline: offlineMode });
+      if (!canonical) throw new Error("is not in the local cache; switch off offline mode");
+      return ref.canonical ? loadIsoform(canonical, ref.accession, { offline: offlineMode }) : canonical;
+  };
+
+  // Applies a validated session; returns notes on proteins that could not be loaded as saved
+  const restoreSession = async (session) => {
+      const notes = [];
+      const load = async (ref) => {
           try {
-              const params = JSON.parse(evt.target.result);
-              if (params.ssWindowSize) setSsWindowSize(params.ssWindowSize);
-              if (params.ssThreshold) setSsThreshold(params.ssThreshold);
-              if (params.ssSmoothing) setSsSmoothing(params.ssSmoothing);
-              if (params.glycoWindowSize) setGlycoWindowSize(params.glycoWindowSize);
-              if (params.glycoThreshold) setGlycoThreshold(params.glycoThreshold);
-              if (params.glycoSmoothing) setGlycoSmoothing(params.glycoSmoothing);
-              alert("Parameters loaded successfully!");
+              const protein = await loadSessionProtein(ref);
+              const known = [ref.uniprotRelease, protein.uniprotRelease].every(r => r && r !== UNKNOWN_RELEASE);
+              if (known && protein.uniprotRelease !== ref.uniprotRelease) {
+                  notes.push(`${ref.accession} was saved with UniProt release ${ref.uniprotRelease}; the loaded entry is from release ${protein.uniprotRelease}.`);
+              }
+              return protein;
           } catch (err) {
-              alert("Error parsing parameter file.");
+              notes.push(`${ref.accession} ${err.message}.`);
+              return null;
           }
       };
+
+      restoringSessionRef.current = true;
+      setLoading(true);
+      setError(null);
+      setSearchMatches(null);
+      applyParams(session.params);
+      setChartTracks(session.view.chartTracks);
+      if (session.view.organismId) setSearchOrganismId(session.view.organismId);
+
+      const { current, compared } = session.proteins;
+      if (current) {
+          const protein = await load(current);
+          if (protein) {
+              const { range } = session.view;
+              pendingViewRangeRef.current = range && range.end <= protein.length ? range : null;
+              setGeneName(protein.id);
+              setData(protein);
+          }
+      }
+      const comparedProteins = [];
+      for (const ref of compared) {
+          const protein = await load(ref);
+          if (protein) comparedProteins.push(protein);
+      }
+      setComparison(comparedProteins.slice(0, MAX_COMPARED_PROTEINS));
+      setView(session.view.tab);
+      setLoading(false);
+      restoringSessionRef.current = false;
+      return notes;
+  };
+
+  // Session files, shared links and version 1 parameter files (which only carry parameters)
+  const loadSessionText = async (text, source) => {
+      const { session, errors } = readSession(text);
+      if (!session) {
+          setSessionStatus({
+              level: 'error',
+              text: `Could not load ${source}:`,
+              details: errors.map(e => (e.path.startsWith('(') ? e.message : `${e.path} ${e.message}`))
+          });
+          return;
+      }
+      if (session.migratedFrom) {
+          applyParams(session.params);
+          setSessionStatus({ level: 'ok', text: `Parameters loaded from ${source} (older parameter file, converted to session version ${SESSION_VERSION}).`, details: [] });
+          return;
+      }
+      const notes = await restoreSession(session);
+      setSessionStatus(notes.length > 0
+          ? { level: 'warning', text: `Session restored from ${source} with differences:`, details: notes }
+          : { level: 'ok', text: `Session restored from ${source}.`, details: [] });
+  };
+
+  // Pushes a parameter object (file, stored run, ...) into the calibration controls.
+  // Numbers are checked by type so that a smoothing of 0 is applied too.
+  const applyParams = (params) => {
+      if (typeof params.ssWindowSize === 'number') setSsWindowSize(params.ssWindowSize);
+      if (typeof params.ssSmoothing === 'number') setSsSmoothing(params.ssSmoothing);
+      // Files without the field predate the option and were computed with the first cysteine only
+      setSsCounting(DISULFIDE_COUNTING_MODES.some(m => m.key === params.ssCounting) ? params.ssCounting : DEFAULT_DISULFIDE_COUNTING);
+      if (typeof params.glycoWindowSize === 'number') setGlycoWindowSize(params.glycoWindowSize);
+      if (typeof params.glycoSmoothing === 'number') setGlycoSmoothing(params.glycoSmoothing);
+      if (typeof params.phosphoWindowSize === 'number') setPhosphoWindowSize(params.phosphoWindowSize);
+      if (typeof params.phosphoSmoothing === 'number') setPhosphoSmoothing(params.phosphoSmoothing);
+      if (typeof params.otherWindowSize === 'number') setOtherWindowSize(params.otherWindowSize);
+      if (typeof params.otherSmoothing === 'number') setOtherSmoothing(params.otherSmoothing);
+      setDensityMode(DENSITY_MODES.some(m => m.key === params.densityMode) ? params.densityMode : DEFAULT_DENSITY_MODE);
+      if (typeof params.spatialRadius === 'number') setSpatialRadius(params.spatialRadius);
+      if (params.zoneRule && Array.isArray(params.zoneRule.conditions)) {
+          setZoneRule(params.zoneRule);
+      } else if (typeof params.ssThreshold === 'number' || typeof params.glycoThreshold === 'number') {
+          // Older parameter files only stored per-group thresholds
+          setZoneRule(legacyParamsToZoneRule(params));
+      }
+      setEvidenceFilter(EVIDENCE_FILTERS.some(f => f.key === params.evidenceFilter) ? params.evidenceFilter : DEFAULT_EVIDENCE_FILTER);
+      if (params.permutation) setPermutation({ ...DEFAULT_PERMUTATION_SETTINGS, ...params.permutation });
+  };
+
+  const importSession = (e) => {
+      const file = e.target.files[0];
+      e.target.value = '';
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload = (evt) => loadSessionText(evt.target.result, file.name);
+      reader.onerror = () => setSessionStatus({ level: 'error', text: `Could not read ${file.name}.`, details: [] });
       reader.readAsText(file);
   };
 
   // --- EXPORT SINGLE ANALYSIS LOGIC ---
+  // Both downloads go through the pipeline's reports, so they match the CLI output for the same entry.
+  // They start from the protein on screen, with the coordinates, RSA and pLDDT of a loaded structure.
+  const downloadReport = (kind, fileName) => {
+    // The residue report carries the stability of a sweep that is on screen, and nothing otherwise
+    const { text, failed } = buildReport(kind, [data], analysisParams, { robustness: zoneStability ? robustnessSettings : null });
+    if (failed.length > 0) {
+      setError(`Could not export ${geneName}: ${failed[0].message}`);
+      return;
+    }
+    downloadBlob(new Blob([text], { type: 'text/csv;charset=utf-8;' }), fileName);
+  };
+
   const handleExport = () => {
+    if (!data || !zoneProfile) return;
+    downloadReport('residues', `${geneName}_colocalization_analysis.csv`);
+  };
+
+  // Same protein-level report as the batch runs, for the protein on screen
+  const handleExportSummary = () => {
     if (!data) return;
+    downloadReport('proteins', `${geneName}_protein_summary.csv`);
+  };
 
-    const ssDensity = calculateDensity(data.ssBonds, data.length, ssWindowSize, ssSmoothing);
-    const nDensity = calculateDensity(data.nLinked, data.length, glycoWindowSize, glycoSmoothing);
-    const oDensity = calculateDensity(data.oLinked, data.length, glycoWindowSize, glycoSmoothing);
-    const pDensity = calculateDensity(data.phosphorylation, data.length, glycoWindowSize, glycoSmoothing); // Uses Glyco params
+  // --- BATCH PROCESSING LOGIC ---
 
-    let csvContent = "Scientific_Name,Position,Amino_Acid,SS_Density,N_Linked_Density,O_Linked_Density,Phospho_Density,Is_HighDensity_Zone\n";
+  const downloadBatchCSV = (rows) => {
+      const blob = new Blob([tableToCsv(siteReportTable(rows))], { type: 'text/csv;charset=utf-8;' });
+      downloadBlob(blob, `proteome_analysis_results.csv`);
+  };
 
-    for (let i = 0; i < data.length; i++) {
-        const isOverlap = (ssDensity[i] >= ssThreshold && nDensity[i] >= glycoThreshold);
-        const pos = i + 1; 
-        const aa = data.sequence[i] || '-';
-        
-        const row = [
-            `"${data.scientificName}"`,
-            pos,
-            aa,
-            ssDensity[i].toFixed(4), 
-            nDensity[i].toFixed(4),
-            oDensity[i].toFixed(4),
-            pDensity[i].toFixed(4),
-            isOverlap ? "TRUE" : "FALSE"
-        ].join(",");
-        
-        csvContent += row + "\n";
-    }
+  // One row per protein: site counts, zone coordinates, coverage, peak densities and significance
+  const downloadProteinCSV = (summaries) => {
+      const blob = new Blob([tableToCsv(proteinReportTable(summaries))], { type: 'text/csv;charset=utf-8;' });
+      downloadBlob(blob, `proteome_protein_summary.csv`);
+  };
 
-    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement('a');
-    link.href = url;
-    link.setAttribute('download', `${geneName}_colocalization_analysis.csv`);
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
+  // Sites, proteins and zones as sheets of a single spreadsheet file
+  const downloadBatchWorkbook = (rows, summaries) => {
+      const xml = tablesToWorkbookXml([siteReportTable(rows), proteinReportTable(summaries), zoneReportTable(summaries)]);
+      downloadBlob(new Blob([xml], { type: 'application/vnd.ms-excel' }), `proteome_analysis_results.xls`);
   };
 
+  // Holds the AbortController and worker pool of the run in progress (null when idle)
+  const batchJobRef = useRef(null);
+  // Parsed proteins of the last FASTA batch, by id, so results can be opened without UniProt
+  const fastaProteinsRef = useRef(null);
 
-  // --- BATCH PROCESSING LOGIC ---
+  const startBatchJob = () => {
+      const controller = new AbortController();
+      const pool = createWorkerPool();
+      batchJobRef.current = { controller, pool };
+      return { controller, pool };
+  };
 
-  const downloadBatchCSV = (rows) => {
-      const header = "Scientific_Name,Gene_Name,Type,Site_ID,In_UniProt_Disulfide_Bond,In_HighDensity_Colocalization_Zone\n";
-      const content = rows.map(r => 
-        `"${r.scientificName}",${r.gene},${r.type},${r.glycosite},${r.inUniProtDisulfide ? "TRUE" : "FALSE"},${r.inHighDensityZone ? "TRUE" : "FALSE"}`
-      ).join('\n');
-      
-      const blob = new Blob([header + content], { type: 'text/csv;charset=utf-8;' });
-      const url = URL.createObjectURL(blob);
-      const link = document.createElement('a');
-      link.href = url;
-      link.setAttribute('download', `proteome_analysis_results.csv`);
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-  };
-
-  const processBatchList = (proteins) => {
-      // Pass glyco params as they are shared for phospho
-      const params = { ssWindowSize, ssThreshold, ssSmoothing, glycoWindowSize, glycoThreshold, glycoSmoothing };
-      let results = [];
-      proteins.forEach(prot => {
-          const analysis = analyzeProtein(prot, params);
-          results = [...results, ...analysis];
-      });
-      return results;
+  const finishBatchJob = () => {
+      if (batchJobRef.current) {
+          batchJobRef.current.pool.terminate();
+          batchJobRef.current = null;
+      }
+  };
+
+  const cancelBatch = () => {
+      if (batchJobRef.current) batchJobRef.current.controller.abort();
+  };
+
+  // Make sure no worker outlives the component
+  useEffect(() => () => finishBatchJob(), []);
+
+  const refreshRunHistory = async () => {
+      try {
+          setRunHistory(await listRuns());
+      } catch (err) {
+          console.warn('Run history unavailable:', err);
+      }
   };
 
-  const runWholeOrganismAnalysis = async () => {
+  useEffect(() => {
+      refreshRunHistory();
+  }, []);
+
+  // Checkpoint writes must never abort the analysis itself (e.g. IndexedDB disabled); resolves with
+  // whether the write went through
+  const persist = (promise) => promise.then(() => true, err => {
+      console.warn('Run checkpoint failed:', err);
+      return false;
+  });
+
+  // Proteins a worker could not analyze: runs keep their accessions, the reasons go to the console
+  const reportFailedProteins = (failed) => failed.forEach(f => console.warn(`Analysis failed for ${f.id}: ${f.message}`));
+
+  // Starts a new proteome run, or continues `resumeRun` from its last checkpoint
+  const runWholeOrganismAnalysis = async (resumeRun = null) => {
       setBatchStatus("processing");
       setBatchProgress(0);
-      setProcessedCount(0);
+      setProcessedCount(resumeRun ? resumeRun.processedCount : 0);
       setBatchResults([]);
+      setBatchSummaries([]);
       setError(null);
-
-      let allReportRows = [];
-      let nextCursor = null;
-      let totalProcessed = 0;
+      fastaProteinsRef.current = null;
+
+      const run = resumeRun ? { ...resumeRun, status: 'running', error: null } : {
+          id: `run-${Date.now()}`,
+          organismId,
+          params: analysisParams,
+          cursor: null,          // cursor of the first page not yet checkpointed
+          completedPages: 0,     // pages whose rows are stored, counted from the start of the run
+          processedCount: 0,
+          total: null,
+          failedAccessions: [],
+          source: null,          // 'uniprot' (download + cache) or 'cache' (local entries only)
+          release: null,
+          status: 'running',
+          startedAt: Date.now()
+      };
+      setBatchParams(run.params);
+      await persist(saveRun(run));
+      refreshRunHistory();
+
+      const { controller, pool } = startBatchJob();
+      const { signal } = controller;
+
+      const pendingJobs = [];
+      // Every job gets its rejection handler when it is queued: the first failure stops the whole run
+      // (including the download), and jobs still in flight afterwards leave the run state alone
+      let active = true;
+      let jobError = null;
+      const failJob = (err) => {
+          if (jobError) return;
+          jobError = err;
+          active = false;
+          controller.abort();
+      };
+      const finishedPages = {};   // page -> { count, failed, saved } awaiting an in-order checkpoint
+      // Results of the pages analyzed in this session: the final report is built from these, the store
+      // only serves resuming and the run history. Pages of an earlier session are read back from it.
+      const firstPage = run.completedPages;
+      const pageResults = {};
+      const cursorAfterPage = {}; // page -> cursor of the page that follows it
+      let nextCursor = run.cursor;
+      let totalProcessed = run.processedCount;
+      let total = run.total || 20400;
       const size = 250; 
-      let hasMore = true;
+      // A checkpointed run without a cursor has already downloaded its last page
+      let hasMore = !(run.completedPages > 0 && !run.cursor);
+      let pageIndex = run.completedPages;
+
+      // Pages finish out of order in the pool; only advance the checkpoint over a contiguous prefix of
+      // stored pages, so that resuming repeats a page whose results could not be written
+      const checkpoint = () => {
+          while (finishedPages[run.completedPages] && finishedPages[run.completedPages].saved) {
+              const page = run.completedPages;
+              run.processedCount += finishedPages[page].count;
+              run.failedAccessions = [...run.failedAccessions, ...finishedPages[page].failed];
+              run.cursor = cursorAfterPage[page];
+              run.completedPages = page + 1;
+              delete finishedPages[page];
+          }
+          run.total = total;
+          return persist(saveRun(run));
+      };
+
+      const query = `(organism_id:${run.organismId}) AND (reviewed:true)`;
+      const fields = UNIPROT_FIELDS;
+
+      // Decides where a new run reads its proteins from: the cache when offline or when it already
+      // holds the complete proteome of the current UniProt release, UniProt otherwise
+      const resolveSource = async () => {
+          if (offlineMode) return { source: 'cache', release: null };
+          const probeUrl = `https://rest.uniprot.org/uniprotkb/search?query=${encodeURIComponent(query)}&fields=accession&format=json&size=1`;
+          const probe = await fetchUniprotPage(probeUrl, signal);
+          const release = getUniprotRelease(probe);
+          const expected = Number(probe.headers.get('x-total-results')) || 0;
+          if (release !== UNKNOWN_RELEASE && expected > 0) {
+              const cachedCount = await countCachedProteins(run.organismId, release).catch(() => 0);
+              if (cachedCount >= expected) return { source: 'cache', release };
+          }
+          return { source: 'uniprot', release };
+      };
+
+      // Cache runs page through the accession-sorted cached proteins; the cursor is the offset
+      let cachedProteins = null;
+      const fetchNextPage = async (cursor) => {
+          if (run.source === 'cache') {
+              if (!cachedProteins) {
+                  cachedProteins = await listCachedProteins(run.organismId, run.release);
+                  if (cachedProteins.length === 0) {
+                      throw new Error(`No cached entries for TaxID ${run.organismId}. Import a UniProt dump or run once online.`);
+                  }
+              }
+              const offset = Number(cursor || 0);
+              const next = offset + size < cachedProteins.length ? String(offset + size) : null;
+              return { payload: { proteins: cachedProteins.slice(offset, offset + size) }, total: cachedProteins.length, next };
+          }
+
+          let url = `https://rest.uniprot.org/uniprotkb/search?query=${encodeURIComponent(query)}&fields=${fields}&format=json&size=${size}`;
+          if (cursor) url += `&cursor=${cursor}`;
+
+          const res = await fetchUniprotPage(url, signal);
+          const json = await res.json();
+          persist(cacheEntries(json.results, getUniprotRelease(res), run.organismId));
+
+          let next = null;
+          const linkHeader = res.headers.get('link');
+          if (json.results.length >= size && linkHeader && linkHeader.includes('rel="next"')) {
+              const match = linkHeader.match(/[?&]cursor=([^&>"]+)/);
+              if (match) next = match[1];
+          }
+          return { payload: { entries: json.results }, total: Number(res.headers.get('x-total-results')), next };
+      };
 
       try {
+          if (!run.source) {
+              // Runs checkpointed before sources existed were UniProt downloads
+              Object.assign(run, run.completedPages > 0 ? { source: 'uniprot' } : await resolveSource());
+              await persist(saveRun(run));
+          }
+
           while(hasMore) {
-             const query = `(organism_id:${organismId}) AND (reviewed:true)`;
-             // FIXED: Using 'ft_mod_res' here as well
-             const fields = "accession,gene_names,length,sequence,ft_disulfid,ft_carbohyd,ft_mod_res,organism_name";
-             let url = `https://rest.uniprot.org/uniprotkb/search?query=${encodeURIComponent(query)}&fields=${fields}&format=json&size=${size}`;
-             if (nextCursor) url += `&cursor=${nextCursor}`;
-
-             const res = await fetch(url);
-             if (!res.ok) {
-                 let errorMsg = res.statusText;
-                 try { const e = await res.json(); if(e.messages) errorMsg = e.messages.join(", "); } catch(x){}
-                 throw new Error(`API Error ${res.status}: ${errorMsg}`);
-             }
-             const json = await res.json();
-
-             const total = Number(res.headers.get('x-total-results')) || 20400;
-
-             const proteins = json.results.map(parseUniProtEntry);
-             const chunkResults = processBatchList(proteins);
-             allReportRows = [...allReportRows, ...chunkResults];
-
-             totalProcessed += proteins.length;
-             setProcessedCount(totalProcessed);
-             setBatchProgress(Math.min(100, (totalProcessed / total) * 100));
-
-             if (json.results.length < size || !res.headers.get('link')) {
-                 hasMore = false;
-             } else {
-                 const linkHeader = res.headers.get('link');
-                 if (linkHeader && linkHeader.includes('rel="next"')) {
-                     const match = linkHeader.match(/[?&]cursor=([^&>"]+)/);
-                     if (match) nextCursor = match[1];
-                     else hasMore = false;
-                 } else {
-                     hasMore = false;
-                 }
-             }
-             
-             if (totalProcessed > 5000 && organismId === "9606") {
-                 // Limit for demo
+             const { payload, total: pageTotal, next } = await fetchNextPage(nextCursor);
+             total = pageTotal || total;
+             nextCursor = next;
+             hasMore = next !== null;
+
+             // Hand the page to the pool and keep downloading while it is analyzed
+             const page = pageIndex++;
+             cursorAfterPage[page] = nextCursor;
+             pendingJobs.push(
+                 pool.run({ ...payload, params: run.params }, signal).then(async ({ rows, summaries, count, failed }) => {
+                     if (!active) return;
+                     pageResults[page] = { rows, summaries };
+                     const saved = await persist(savePageResults(run.id, page, rows, summaries));
+                     if (!active) return;
+                     reportFailedProteins(failed);
+                     finishedPages[page] = { count, failed: failed.map(f => f.id), saved };
+                     totalProcessed += count;
+                     setProcessedCount(totalProcessed);
+                     setBatchProgress(Math.min(100, (totalProcessed / total) * 100));
+                     await checkpoint();
+                 }).catch(failJob)
+             );
+
+             // Back-pressure: do not let downloaded pages pile up faster than the workers drain them
+             if (pendingJobs.length >= pool.size * 2) {
+                 await pendingJobs.shift();
              }
+             if (jobError) throw jobError;
+          }
+
+          await Promise.all(pendingJobs);
+          if (jobError) throw jobError;
+
+          const earlier = await loadRunResults(run.id, firstPage);
+          const current = Array.from({ length: pageIndex - firstPage }, (_, k) => pageResults[firstPage + k]);
+          const { rows, summaries } = applyProteomeFdr(
+              [...earlier.rows, ...current.flatMap(p => p.rows)],
+              [...earlier.summaries, ...current.flatMap(p => p.summaries)]
+          );
+
+          if (run.completedPages === pageIndex) {
+              run.status = 'completed';
+              run.total = run.processedCount;
+          } else {
+              // The results are complete here, but the stored run stops at the first page that failed to save
+              run.status = 'interrupted';
+              run.error = `Results from page ${run.completedPages + 1} on could not be stored`;
           }
+          await persist(saveRun(run));
 
+          setBatchProgress(100);
           setBatchStatus("completed");
-          setBatchResults(allReportRows);
-          downloadBatchCSV(allReportRows);
+          setBatchResults(rows);
+          setBatchSummaries(summaries);
+          downloadBatchCSV(rows);
+
+      } catch (caught) {
+          active = false;
+          // A failed page aborts the download, which then surfaces as an AbortError: report the page's error
+          const err = jobError || caught;
+          if (err.name === 'AbortError') {
+              run.status = 'cancelled';
+          } else {
+              console.error(err);
+              run.status = 'interrupted';
+              run.error = err.message;
+          }
+          const resumable = await persist(saveRun(run));
+          const progress = resumable
+              ? "Progress was saved and can be resumed from the run history."
+              : "Progress could not be saved, so the run cannot be resumed.";
+          setError(err.name === 'AbortError' ? `Bulk analysis cancelled. ${progress}` : `Error during bulk analysis: ${err.message}. ${progress}`);
+          setBatchStatus("idle");
+      } finally {
+          active = false;
+          finishBatchJob();
+          refreshRunHistory();
+      }
+  };
 
+  // Reloads the stored rows of an earlier run without contacting UniProt
+  const openStoredRun = async (run, download = false) => {
+      try {
+          const stored = await loadRunResults(run.id, run.completedPages);
+          const { rows, summaries } = applyProteomeFdr(stored.rows, stored.summaries);
+          fastaProteinsRef.current = null;
+          setBatchParams(run.params);
+          setBatchResults(rows);
+          setBatchSummaries(summaries);
+          setProcessedCount(run.processedCount);
+          setBatchProgress(100);
+          setBatchStatus("completed");
+          if (download) downloadBatchCSV(rows);
       } catch (err) {
-          console.error(err);
-          setError(`Error during bulk analysis: ${err.message}`);
-          setBatchStatus("idle");
+          setError(`Could not load stored run: ${err.message}`);
       }
   };
 
-  const handleFastaUpload = (e) => {
+  const removeStoredRun = async (run) => {
+      await persist(deleteRun(run.id));
+      refreshRunHistory();
+  };
+
+  // FASTA, GenPept or UniProt flat text, optionally gzipped; invalid entries are skipped and listed in the ingest report
+  const handleFastaUpload = async (e) => {
       const file = e.target.files[0];
+      e.target.value = "";
       if (!file) return;
-      const reader = new FileReader();
-      reader.onload = (evt) => {
-          const text = evt.target.result;
-          const proteins = parseFasta(text);
-          setBatchStatus("processing");
-          const results = processBatchList(proteins);
-          setBatchResults(results);
-          setProcessedCount(proteins.length);
+      let parsed;
+      try {
+          parsed = parseSequenceFile(await readSequenceFile(file), { predictors: predictorKeys });
+      } catch (err) {
+          setIngestReport(null);
+          setError(`Could not read ${file.name}: ${err.message}`);
+          return;
+      }
+      const { format, proteins, errors } = parsed;
+      setIngestReport({ fileName: file.name, format, accepted: proteins.length, errors });
+      if (proteins.length === 0) {
+          setError(`${file.name} contains no valid sequences.`);
+          return;
+      }
+      fastaProteinsRef.current = new Map(proteins.map(p => [p.id, p]));
+      setBatchParams(analysisParams);
+      setBatchStatus("processing");
+      setBatchProgress(0);
+      setProcessedCount(0);
+      setError(null);
+
+      const { controller, pool } = startBatchJob();
+      const size = 250;
+      let totalProcessed = 0;
+      try {
+          const jobs = [];
+          for (let i = 0; i < proteins.length; i += size) {
+              jobs.push(pool.run({ proteins: proteins.slice(i, i + size), params: analysisParams }, controller.signal).then(res => {
+                  reportFailedProteins(res.failed);
+                  totalProcessed += res.count;
+                  setProcessedCount(totalProcessed);
+                  setBatchProgress(Math.min(100, (totalProcessed / proteins.length) * 100));
+                  return res;
+              }));
+          }
+          const chunks = await Promise.all(jobs);
+          const { rows, summaries } = applyProteomeFdr(chunks.flatMap(c => c.rows), chunks.flatMap(c => c.summaries));
+          setBatchResults(rows);
+          setBatchSummaries(summaries);
           setBatchProgress(100);
           setBatchStatus("completed");
-          downloadBatchCSV(results);
-      };
-      reader.readAsText(file);
+          downloadBatchCSV(rows);
+      } catch (err) {
+          if (err.name === 'AbortError') {
+              setError("FASTA analysis cancelled.");
+          } else {
+              console.error(err);
+              setError(`Error during FASTA analysis: ${err.message}`);
+          }
+          setBatchStatus("idle");
+      } finally {
+          finishBatchJob();
+      }
+  };
+
+  // Loads a protein from the results explorer into the charts with the parameters of that batch
+  const openProteinFromResults = async (row) => {
+      setLoading(true);
+      setError(null);
+      try {
+          const fromFasta = fastaProteinsRef.current && fastaProteinsRef.current.get(row.accession);
+          const protein = fromFasta || await fetchUniprotByAccession(row.accession, { offline: offlineMode });
+          if (!protein) throw new Error("entry is not in the local cache");
+          if (batchParams) applyParams(batchParams);
+          setData(protein);
+          setGeneName(protein.gene);
+          setView('analysis');
+      } catch (err) {
+          setError(`Could not open ${row.gene} (${row.accession}): ${err.message}`);
+      }
+      setLoading(false);
+  };
+
+  // --- COMPARISON ---
+  const addProteinsToComparison = (proteins) => {
+      setComparison(prev => {
+          const fresh = proteins.filter(p => !prev.some(q => q.id === p.id));
+          return [...prev, ...fresh].slice(0, MAX_COMPARED_PROTEINS);
+      });
+  };
+
+  // Accepts gene names (first match in the search organism), entry names and accessions separated by commas or spaces
+  const addToComparison = async (query) => {
+      const terms = query.split(/[\s,;]+/).filter(Boolean);
+      setComparisonLoading(true);
+      setError(null);
+      const found = [];
+      const failed = [];
+      for (const term of terms) {
+          try {
+              const [protein] = await fetchUniprotMatches(term, { organismId: searchOrganismId, offline: offlineMode, maxAgeDays: cacheMaxAgeDays });
+              if (protein) found.push(protein);
+              else failed.push(term);
+          } catch (err) {
+              console.warn(`Could not load ${term}:`, err);
+              failed.push(term);
+          }
+      }
+      addProteinsToComparison(found);
+      if (failed.length > 0) setError(`Could not load ${failed.join(', ')} for the comparison.`);
+      setComparisonLoading(false);
+  };
+
+  const handleComparisonUpload = async (e) => {
+      const file = e.target.files[0];
+      e.target.value = "";
+      if (!file) return;
+      try {
+          const { proteins, errors } = parseSequenceFile(await readSequenceFile(file), { predictors: predictorKeys });
+          addProteinsToComparison(proteins);
+          setError(errors.length > 0 ? `${file.name}: skipped ${errors.length} invalid entr${errors.length > 1 ? 'ies' : 'y'}.` : null);
+      } catch (err) {
+          setError(`Could not read ${file.name}: ${err.message}`);
+      }
   };
 
   // --- CHART DATA MEMO ---
+  // Full-resolution densities and zone mask, shared by the chart, the regions list and the export
+  const zoneProfile = useMemo(() => {
+    if (!data || !data.length) return null;
+    const densities = computeTrackDensities(data, analysisParams);
+    const isZone = evaluateZoneRule(densities, analysisParams.zoneRule, data.length);
+    return { densities, isZone };
+  }, [data, analysisParams]);
+
+  // Accessibility and disorder of the residues, drawn under the density chart
+  const contextProfile = useMemo(() => (data && data.length ? residueContext(data) : null), [data]);
+
   const chartData = useMemo(() => {
-    if (!data || !data.length) return [];
+    if (!zoneProfile) return [];
     
-    const ssDensity = calculateDensity(data.ssBonds, data.length, ssWindowSize, ssSmoothing);
-    const nDensity = calculateDensity(data.nLinked, data.length, glycoWindowSize, glycoSmoothing);
-    const oDensity = calculateDensity(data.oLinked, data.length, glycoWindowSize, glycoSmoothing);
-    // Phospho uses Glyco params
-    const pDensity = calculateDensity(data.phosphorylation, data.length, glycoWindowSize, glycoSmoothing);
+    const { densities } = zoneProfile;
 
-    const step = Math.max(1, Math.ceil(data.length / 600)); 
+    // Sample step follows the visible range, so zooming in reaches full residue resolution. A point stands
+    // for the residues up to the next one and keeps their highest density, so narrow peaks that create a
+    // zone are not skipped; zones themselves are drawn from the exact regions, not from these samples.
+    const step = Math.max(1, Math.ceil((viewEnd - viewStart) / 600)); 
     const points = [];
 
-    for (let i = 0; i < data.length; i += step) {
-      const isHighSS = ssDensity[i] >= ssThreshold;
-      const isHighN = nDensity[i] >= glycoThreshold;
-      const isOverlap = isHighSS && isHighN;
-
-      points.push({
-        pos: i,
-        ss: ssDensity[i],
-        nLinked: nDensity[i],
-        oLinked: oDensity[i],
-        phos: pDensity[i],
-        overlapHeight: isOverlap ? Math.max(ssDensity[i], nDensity[i]) * 1.1 : 0 
+    for (let i = viewStart; i < Math.min(viewEnd, data.length); i += step) {
+      const bucketEnd = Math.min(i + step, viewEnd, data.length);
+      const point = { pos: i };
+      DENSITY_TRACKS.forEach(track => {
+        const values = densities[track.key];
+        let max = values[i];
+        for (let j = i + 1; j < bucketEnd; j++) if (values[j] > max) max = values[j];
+        point[track.key] = max;
       });
+      if (contextProfile) {
+        point.rsa = contextProfile.rsa ? contextProfile.rsa[i] : null;
+        point.disorder = contextProfile.disorder[i] ?? null;
+      }
+      points.push(point);
     }
     
-    if (points.length > 0 && points[points.length - 1].pos < data.length) {
-        points.push({ pos: data.length, ss: 0, nLinked: 0, oLinked: 0, phos: 0, overlapHeight: 0 });
+    if (points.length > 0 && points[points.length - 1].pos < viewEnd) {
+        const last = { pos: viewEnd };
+        DENSITY_TRACKS.forEach(track => { last[track.key] = viewEnd < data.length ? densities[track.key][viewEnd] : 0; });
+        points.push(last);
     }
     
     return points;
-  }, [data, ssWindowSize, ssThreshold, ssSmoothing, glycoWindowSize, glycoThreshold, glycoSmoothing]);
-
-  const overlapRegions = useMemo(() => {
-    if (!chartData.length) return [];
-    const regions = [];
-    let currentStart = null;
-
-    chartData.forEach((pt) => {
-      if (pt.overlapHeight > 0 && currentStart === null) {
-        currentStart = pt.pos;
-      } else if (pt.overlapHeight === 0 && currentStart !== null) {
-        regions.push({ start: currentStart, end: pt.pos });
-        currentStart = null;
+  }, [data, zoneProfile, contextProfile, viewStart, viewEnd]);
+
+  // Brush-to-zoom handlers shared by the density charts
+  const zoomHandlers = {
+    onMouseDown: (e) => e && e.activeLabel !== undefined && setZoomDrag({ from: e.activeLabel, to: e.activeLabel }),
+    onMouseMove: (e) => zoomDrag && e && e.activeLabel !== undefined && setZoomDrag({ ...zoomDrag, to: e.activeLabel }),
+    onMouseUp: () => {
+      if (zoomDrag && Math.abs(zoomDrag.to - zoomDrag.from) >= MIN_ZOOM_SPAN) {
+        setViewRange({ start: Math.min(zoomDrag.from, zoomDrag.to), end: Math.max(zoomDrag.from, zoomDrag.to) });
       }
-    });
-    if (currentStart !== null) {
-        regions.push({ start: currentStart, end: chartData[chartData.length - 1].pos });
+      setZoomDrag(null);
     }
-    return regions;
-  }, [chartData]);
+  };
+  const zoomDragArea = zoomDrag && <ReferenceArea x1={zoomDrag.from} x2={zoomDrag.to} fill="#6366f1" fillOpacity={0.15} />;
+
+  const stabilityPlan = useMemo(() => stabilitySweepPlan(analysisParams, robustnessSettings), [analysisParams, robustnessSettings]);
+  const stabilityCurrent = Boolean(stabilityRun) && stabilityRun.data === data && stabilityRun.params === analysisParams && stabilityRun.settings === robustnessSettings;
+  const zoneStability = useMemo(() => {
+    if (!showStability || !stabilityCurrent || !data || !data.length) return null;
+    return computeZoneStability(data, analysisParams, robustnessSettings);
+  }, [showStability, stabilityCurrent, data, analysisParams, robustnessSettings]);
+
+  const overlapRegions = useMemo(() => {
+    if (!zoneProfile) return [];
+    return scoredZoneRegions(data, analysisParams, zoneProfile.isZone);
+  }, [data, zoneProfile, analysisParams]);
 
   const commonMargins = { top: 0, right: 0, bottom: 0, left: 0 };
   const xAxisHeight = 20; 
@@ -602,16 +2671,29 @@ export default function App() {
             <button onClick={() => setView('calibration')} className={`px-4 py-1.5 rounded-md text-sm font-medium transition-all ${view === 'calibration' ? 'bg-white text-indigo-700 shadow-sm' : 'text-slate-500 hover:text-slate-700'}`}>1. Calibration</button>
             <button onClick={() => setView('analysis')} className={`px-4 py-1.5 rounded-md text-sm font-medium transition-all ${view === 'analysis' ? 'bg-white text-indigo-700 shadow-sm' : 'text-slate-500 hover:text-slate-700'}`}>2. Analysis</button>
             <button onClick={() => setView('database')} className={`px-4 py-1.5 rounded-md text-sm font-medium transition-all ${view === 'database' ? 'bg-white text-indigo-700 shadow-sm' : 'text-slate-500 hover:text-slate-700'}`}>3. Full Proteome</button>
+            <button onClick={() => setView('compare')} className={`px-4 py-1.5 rounded-md text-sm font-medium transition-all ${view === 'compare' ? 'bg-white text-indigo-700 shadow-sm' : 'text-slate-500 hover:text-slate-700'}`}>4. Compare</button>
+            <button onClick={() => setShowCacheSettings(!showCacheSettings)} title="Local cache & offline mode" className={`px-3 py-1.5 rounded-md text-sm font-medium transition-all flex items-center gap-1 ${showCacheSettings ? 'bg-white text-indigo-700 shadow-sm' : 'text-slate-500 hover:text-slate-700'}`}>
+              {offlineMode ? <WifiOff className="w-4 h-4" /> : <HardDrive className="w-4 h-4" />}
+            </button>
           </nav>
         </div>
       </header>
 
       <main className="max-w-7xl mx-auto px-4 py-8 space-y-6">
+
+        {showCacheSettings && (
+            <CacheSettingsPanel
+                offlineMode={offlineMode}
+                onOfflineChange={setOfflineMode}
+                maxAgeDays={cacheMaxAgeDays}
+                onMaxAgeChange={setCacheMaxAgeDays}
+            />
+        )}
         
-        {view !== 'database' && (
+        {(view === 'calibration' || view === 'analysis') && (
             <section className="flex flex-col md:flex-row gap-4 items-end">
             <div className="flex-1 w-full">
-                <label className="block text-xs font-semibold text-slate-500 uppercase tracking-wider mb-1">Target Gene Name</label>
+                <label className="block text-xs font-semibold text-slate-500 uppercase tracking-wider mb-1">Gene, Accession or Entry Name</label>
                 <div className="relative">
                 <input 
                     type="text" 
@@ -619,11 +2701,15 @@ export default function App() {
                     onChange={(e) => setGeneName(e.target.value)}
                     onKeyDown={(e) => e.key === 'Enter' && handleSearch()}
                     className="w-full pl-10 pr-4 py-3 border border-slate-300 rounded-xl focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 outline-none transition-shadow"
-                    placeholder="e.g. FN1, ALB, INS..."
+                    placeholder="e.g. FN1, P02751, P02751-3, FINC_HUMAN..."
                 />
                 <Search className="w-5 h-5 text-slate-400 absolute left-3 top-3.5" />
                 </div>
             </div>
+            <div className="w-full md:w-72">
+                <label className="block text-xs font-semibold text-slate-500 uppercase tracking-wider mb-1">Organism</label>
+                <OrganismPicker value={searchOrganismId} onChange={setSearchOrganismId} />
+            </div>
             <button 
                 onClick={handleSearch}
                 disabled={loading}
@@ -642,7 +2728,13 @@ export default function App() {
           </div>
         )}
 
-        {view !== 'database' && data && chartData.length > 0 && (
+        {sessionStatus && <SessionStatus status={sessionStatus} onDismiss={() => setSessionStatus(null)} />}
+
+        {searchMatches && (view === 'calibration' || view === 'analysis') && (
+            <EntryPicker matches={searchMatches} term={geneName} onPick={pickSearchMatch} onCancel={() => setSearchMatches(null)} />
+        )}
+
+        {(view === 'calibration' || view === 'analysis') && data && chartData.length > 0 && (
           <>
             <div className="flex flex-wrap gap-4 items-center text-sm text-slate-600 bg-white p-4 rounded-xl border border-slate-200 shadow-sm">
               <span className="font-semibold text-slate-900">ID: {data.id}</span>
@@ -651,11 +2743,44 @@ export default function App() {
               <div className="w-px h-4 bg-slate-300 mx-2"></div>
               <span className="font-semibold text-slate-900">Length: {data.length} aa</span>
               <div className="w-px h-4 bg-slate-300 mx-2"></div>
+              {data.isoforms && data.isoforms.length > 1 && (
+                <>
+                  <label className="flex items-center gap-2">
+                    <span className="font-semibold text-slate-900">Isoform:</span>
+                    <select
+                      value={data.isoformOf ? data.id : (data.isoforms.find(iso => iso.canonical) || data.isoforms[0]).id}
+                      onChange={(e) => selectIsoform(e.target.value)}
+                      disabled={loading}
+                      className="text-xs border border-slate-300 rounded px-2 py-1 bg-white"
+                    >
+                      {data.isoforms.map(iso => (
+                        <option key={iso.id} value={iso.id}>{iso.name} ({iso.id}){iso.canonical ? ' – canonical' : ''}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <div className="w-px h-4 bg-slate-300 mx-2"></div>
+                </>
+              )}
+              {data.isoformOf && <Badge color="yellow" text={`Sites mapped from ${data.isoformOf}`} />}
               <Badge color="blue" text={`${data.ssBonds.length} Disulfides`} />
               <Badge color="red" text={`${data.nLinked.length} N-Linked`} />
               <Badge color="purple" text={`${data.phosphorylation.length} Phospho`} />
+              {data.predictedSites && <Badge color="yellow" text="Sequence-predicted sites" />}
             </div>
 
+            {showFigureExport && zoneProfile && (
+              <FigureExportPanel
+                key={data.id}
+                protein={data}
+                densities={zoneProfile.densities}
+                tracks={chartTracks}
+                zones={overlapRegions}
+                range={xDomain}
+                params={analysisParams}
+                onClose={() => setShowFigureExport(false)}
+              />
+            )}
+
             {view === 'calibration' && (
               <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
                  <div className="lg:col-span-2 space-y-0">
@@ -665,89 +2790,97 @@ export default function App() {
                         <Settings className="w-5 h-5 text-indigo-500" />
                         Calibration Canvas
                       </h2>
-                      <div className="text-xs text-slate-400">Sync ID: proteinView</div>
+                      <button onClick={() => setShowFigureExport(true)} className="text-xs text-indigo-600 font-medium hover:underline flex items-center gap-1">
+                        <ImageIcon className="w-3.5 h-3.5" /> Export figure
+                      </button>
                     </div>
+                    <TrackPicker tracks={chartTracks} onChange={setChartTracks} />
+                    <ZoomToolbar length={data.length} range={viewRange} onChange={setViewRange} />
                     {/* Calibration Charts */}
                     <div className="flex items-end mb-1">
                         <div className="w-20 text-xs font-bold text-slate-400 text-right pr-3 pb-6">Density</div>
                         <div className="flex-1 h-64 relative border-b border-slate-200">
                             <ResponsiveContainer width="100%" height="100%">
-                                <ComposedChart data={chartData} syncId="proteinView" margin={commonMargins}>
+                                <ComposedChart data={chartData} syncId="proteinView" margin={commonMargins} {...zoomHandlers}>
                                     <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#f1f5f9" />
-                                    <XAxis dataKey="pos" type="number" domain={[0, data.length]} height={xAxisHeight} tick={{fontSize: 10, fill: '#94a3b8'}} axisLine={false} tickLine={false} />
+                                    <XAxis dataKey="pos" type="number" domain={xDomain} allowDataOverflow height={xAxisHeight} tick={{fontSize: 10, fill: '#94a3b8'}} axisLine={false} tickLine={false} />
                                     <YAxis hide domain={[0, 'auto']} />
-                                    <Tooltip contentStyle={{ borderRadius: '8px', border: 'none', boxShadow: '0 4px 6px -1px rgb(0 0 0 / 0.1)' }} labelStyle={{ color: '#64748b', fontSize: '12px' }} />
-                                    <Area type="monotone" dataKey="ss" stroke="#38bdf8" fill="#38bdf8" fillOpacity={0.2} strokeWidth={2} name="SS Density" />
-                                    <Line type="monotone" dataKey="nLinked" stroke="#f43f5e" strokeWidth={2} dot={false} name="N-Linked Density" />
-                                    <Line type="monotone" dataKey="oLinked" stroke="#eab308" strokeWidth={2} strokeDasharray="5 5" dot={false} name="O-Linked Density" />
-                                    <Line type="monotone" dataKey="phos" stroke="#a855f7" strokeWidth={2} dot={false} name="Phospho Density" />
-                                    <ReferenceLine y={ssThreshold} stroke="#38bdf8" strokeDasharray="3 3" opacity={0.5} />
-                                    <ReferenceLine y={glycoThreshold} stroke="#f43f5e" strokeDasharray="3 3" opacity={0.5} />
-                                </ComposedChart>
-                            </ResponsiveContainer>
-                        </div>
-                    </div>
-                    <div className="flex items-center mb-1">
-                        <div className="w-20 text-xs font-bold text-sky-500 text-right pr-3">Raw SS</div>
-                        <div className="flex-1 h-6 bg-slate-100 rounded overflow-hidden relative">
-                            <ResponsiveContainer width="100%" height="100%">
-                                <ComposedChart data={chartData} syncId="proteinView" margin={commonMargins}>
-                                    <XAxis dataKey="pos" type="number" domain={[0, data.length]} height={xAxisHeight} hide />
-                                    <YAxis hide />
-                                    <Tooltip cursor={{ stroke: 'black', strokeWidth: 1 }} content={<></>} />
-                                    {data.ssBonds.map((pos, i) => (
-                                        <ReferenceLine key={`ss-${i}`} x={pos} stroke="#0ea5e9" strokeWidth={1} />
+                                    <Tooltip contentStyle={{ borderRadius: '8px', border: 'none', boxShadow: '0 4px 6px -1px rgb(0 0 0 / 0.1)' }} labelStyle={{ color: '#64748b', fontSize: '12px' }} labelFormatter={residueLabel} />
+                                    {chartTracks.map(getTrack).filter(Boolean).map(track => densitySeries(track, { fillOpacity: 0.2, name: `${track.label} Density` }))}
+                                    {zoneRule.conditions.map((c, i) => (
+                                        <ReferenceLine key={`thr-${i}`} y={c.threshold} stroke={getTrack(c.track)?.color} strokeDasharray="3 3" opacity={0.5} />
                                     ))}
+                                    {zoomDragArea}
                                 </ComposedChart>
                             </ResponsiveContainer>
                         </div>
                     </div>
-                    <div className="flex items-center mb-1">
-                        <div className="w-20 text-xs font-bold text-rose-500 text-right pr-3">Raw N-Gly</div>
-                        <div className="flex-1 h-6 bg-slate-100 rounded overflow-hidden relative">
-                            <ResponsiveContainer width="100%" height="100%">
-                                <ComposedChart data={chartData} syncId="proteinView" margin={commonMargins}>
-                                    <XAxis dataKey="pos" type="number" domain={[0, data.length]} height={xAxisHeight} hide />
-                                    <YAxis hide />
-                                    <Tooltip cursor={{ stroke: 'black', strokeWidth: 1 }} content={<></>} />
-                                    {data.nLinked.map((pos, i) => (
-                                        <ReferenceLine key={`n-${i}`} x={pos} stroke="#f43f5e" strokeWidth={1} />
-                                    ))}
-                                </ComposedChart>
-                            </ResponsiveContainer>
+                    {chartTracks.map(getTrack).filter(Boolean).map(track => (
+                        <React.Fragment key={track.key}>
+                            <div className="flex items-center mb-1">
+                                <div className="w-20 text-xs font-bold text-right pr-3" style={{ color: track.color }}>Raw {track.shortLabel}</div>
+                                <div className="flex-1 h-6 bg-slate-100 rounded overflow-hidden relative">
+                                    <ResponsiveContainer width="100%" height="100%">
+                                        <ComposedChart data={chartData} syncId="proteinView" margin={commonMargins}>
+                                            <XAxis dataKey="pos" type="number" domain={xDomain} allowDataOverflow height={xAxisHeight} hide />
+                                            <YAxis hide />
+                                            <Tooltip cursor={{ stroke: 'black', strokeWidth: 1 }} content={<></>} />
+                                            {(data[track.siteField] || []).map((pos, i) => (
+                                                <ReferenceLine key={`${track.key}-${i}`} x={pos - 1} strokeDasharray={siteEvidence(data, track.siteField, pos).evidence === 'predicted' ? "2 2" : undefined} stroke={track.color} strokeWidth={1} />
+                                            ))}
+                                        </ComposedChart>
+                                    </ResponsiveContainer>
+                                </div>
+                            </div>
+                            {track.key === 'ss' && data.ssBondRanges && data.ssBondRanges.length > 0 && (
+                                <div className="flex items-center mb-1">
+                                    <div className="w-20 text-xs font-bold text-sky-600 text-right pr-3 leading-tight">SS Bonds</div>
+                                    <div className="flex-1 bg-slate-50 rounded overflow-hidden relative">
+                                        <DisulfideArcTrack protein={data} range={xDomain} />
+                                    </div>
+                                </div>
+                            )}
+                        </React.Fragment>
+                    ))}
+                    {contextProfile && [
+                        { key: 'rsa', label: 'RSA', color: '#0ea5e9', cutoff: EXPOSED_RSA_CUTOFF, available: Boolean(contextProfile.rsa), missing: 'Load a structure in the Analysis view for solvent accessibility' },
+                        { key: 'disorder', label: contextProfile.disorderSource === 'plddt' ? 'Disorder (pLDDT)' : 'Disorder (seq.)', color: '#f97316', cutoff: DISORDER_CUTOFF, available: true }
+                    ].map(row => (
+                        <div key={row.key} className="flex items-center mb-1">
+                            <div className="w-20 text-[11px] font-bold text-right pr-3 leading-tight" style={{ color: row.color }}>{row.label}</div>
+                            <div className="flex-1 h-8 bg-slate-50 rounded overflow-hidden relative">
+                                {row.available ? (
+                                    <ResponsiveContainer width="100%" height="100%">
+                                        <ComposedChart data={chartData} syncId="proteinView" margin={commonMargins}>
+                                            <XAxis dataKey="pos" type="number" domain={xDomain} allowDataOverflow height={xAxisHeight} hide />
+                                            <YAxis hide domain={[0, 1]} />
+                                            <Tooltip cursor={{ stroke: 'black', strokeWidth: 1 }} content={<></>} />
+                                            <ReferenceLine y={row.cutoff} stroke={row.color} strokeDasharray="2 2" opacity={0.6} />
+                                            <Area type="monotone" dataKey={row.key} stroke={row.color} fill={row.color} fillOpacity={0.25} strokeWidth={1} dot={false} isAnimationActive={false} connectNulls={false} />
+                                        </ComposedChart>
+                                    </ResponsiveContainer>
+                                ) : (
+                                    <div className="h-8 px-2 text-[11px] text-slate-400 flex items-center">{row.missing}</div>
+                                )}
+                            </div>
                         </div>
-                    </div>
-                     <div className="flex items-center mb-1">
-                        <div className="w-20 text-xs font-bold text-yellow-600 text-right pr-3">Raw O-Gly</div>
-                        <div className="flex-1 h-6 bg-slate-100 rounded overflow-hidden relative">
-                            <ResponsiveContainer width="100%" height="100%">
-                                <ComposedChart data={chartData} syncId="proteinView" margin={commonMargins}>
-                                    <XAxis dataKey="pos" type="number" domain={[0, data.length]} height={xAxisHeight} hide />
-                                    <YAxis hide />
-                                    <Tooltip cursor={{ stroke: 'black', strokeWidth: 1 }} content={<></>} />
-                                    {data.oLinked.map((pos, i) => (
-                                        <ReferenceLine key={`o-${i}`} x={pos} stroke="#ca8a04" strokeWidth={1} />
-                                    ))}
-                                </ComposedChart>
-                            </ResponsiveContainer>
+                    ))}
+                    {xDomain[1] - xDomain[0] <= SEQUENCE_STRIP_MAX_SPAN && (
+                        <div className="flex items-center mt-2">
+                            <div className="w-20 text-xs font-bold text-slate-500 text-right pr-3 leading-tight">Sequence</div>
+                            <div className="flex-1">
+                                <SequenceStrip protein={data} range={xDomain} tracks={chartTracks} />
+                            </div>
                         </div>
-                    </div>
-                    <div className="flex items-center">
-                        <div className="w-20 text-xs font-bold text-purple-600 text-right pr-3">Raw Phospho</div>
-                        <div className="flex-1 h-6 bg-slate-100 rounded overflow-hidden relative">
-                            <ResponsiveContainer width="100%" height="100%">
-                                <ComposedChart data={chartData} syncId="proteinView" margin={commonMargins}>
-                                    <XAxis dataKey="pos" type="number" domain={[0, data.length]} height={xAxisHeight} hide />
-                                    <YAxis hide />
-                                    <Tooltip cursor={{ stroke: 'black', strokeWidth: 1 }} content={<></>} />
-                                    {data.phosphorylation.map((pos, i) => (
-                                        <ReferenceLine key={`p-${i}`} x={pos} stroke="#9333ea" strokeWidth={1} />
-                                    ))}
-                                </ComposedChart>
-                            </ResponsiveContainer>
+                    )}
+                    <div className="flex items-center mt-2">
+                        <div className="w-20 text-xs font-bold text-slate-500 text-right pr-3 leading-tight">Domains</div>
+                        <div className="flex-1">
+                            <RegionRibbon protein={data} range={xDomain} />
                         </div>
                     </div>
                   </Card>
+                  <AutoCalibrationPanel params={analysisParams} offlineMode={offlineMode} onApply={applyParams} />
                 </div>
 
                 <div className="space-y-6">
@@ -756,27 +2889,63 @@ export default function App() {
                              <Sliders className="w-4 h-4" /> Calibration Controls
                         </h3>
                         
+                        <div className="mb-6 pb-6 border-b border-slate-100">
+                            <h4 className="text-xs font-bold text-slate-600 uppercase tracking-wider mb-3">Site Evidence</h4>
+                            <select value={evidenceFilter} onChange={(e) => setEvidenceFilter(e.target.value)} className="w-full text-xs border border-slate-300 rounded px-2 py-1.5 bg-white">
+                                {EVIDENCE_FILTERS.map(f => <option key={f.key} value={f.key}>{f.label}</option>)}
+                            </select>
+                            <p className="text-[11px] text-slate-400 mt-2">Experimental: ECO:0000269, 0000314, 0007744. Predicted: sequence models and sequence-based predictions.</p>
+                        </div>
+
                         <div className="mb-6 pb-6 border-b border-slate-100">
                             <h4 className="text-xs font-bold text-sky-600 uppercase tracking-wider mb-3 flex items-center gap-1">
                                 <div className="w-2 h-2 bg-sky-500 rounded-full"></div> Disulfide (Cysteines)
                             </h4>
                             <ParameterControl label="Window Size" value={ssWindowSize} onChange={setSsWindowSize} min={10} max={200} step={5} unit="aa" colorClass="accent-sky-500" />
-                            <ParameterControl label="Threshold" value={ssThreshold} onChange={setSsThreshold} min={1} max={10} step={0.5} unit="sites" colorClass="accent-sky-500" />
                             <ParameterControl label="Smoothing" value={ssSmoothing} onChange={setSsSmoothing} min={0} max={20} step={1} unit="px" colorClass="accent-sky-500" />
+                            <div className="flex justify-between items-center">
+                                <label className="text-xs font-medium text-slate-600">Count per bond</label>
+                                <select value={ssCounting} onChange={(e) => setSsCounting(e.target.value)} className="text-xs border border-slate-300 rounded px-2 py-1 bg-white">
+                                    {DISULFIDE_COUNTING_MODES.map(m => <option key={m.key} value={m.key}>{m.label}</option>)}
+                                </select>
+                            </div>
                         </div>
 
-                        <div className="mb-6">
+                        <div className="mb-6 pb-6 border-b border-slate-100">
                             <h4 className="text-xs font-bold text-rose-600 uppercase tracking-wider mb-3 flex items-center gap-1">
-                                <div className="w-2 h-2 bg-rose-500 rounded-full"></div> Glyco & Phospho
+                                <div className="w-2 h-2 bg-rose-500 rounded-full"></div> Glycosylation
                             </h4>
                             <ParameterControl label="Window Size" value={glycoWindowSize} onChange={setGlycoWindowSize} min={10} max={200} step={5} unit="aa" colorClass="accent-rose-500" />
-                            <ParameterControl label="Threshold" value={glycoThreshold} onChange={setGlycoThreshold} min={1} max={10} step={0.5} unit="sites" colorClass="accent-rose-500" />
                             <ParameterControl label="Smoothing" value={glycoSmoothing} onChange={setGlycoSmoothing} min={0} max={20} step={1} unit="px" colorClass="accent-rose-500" />
                         </div>
 
+                        <div className="mb-6 pb-6 border-b border-slate-100">
+                            <h4 className="text-xs font-bold text-purple-600 uppercase tracking-wider mb-3 flex items-center gap-1">
+                                <div className="w-2 h-2 bg-purple-500 rounded-full"></div> Phosphorylation
+                            </h4>
+                            <ParameterControl label="Window Size" value={phosphoWindowSize} onChange={setPhosphoWindowSize} min={5} max={200} step={5} unit="aa" colorClass="accent-purple-500" />
+                            <ParameterControl label="Smoothing" value={phosphoSmoothing} onChange={setPhosphoSmoothing} min={0} max={20} step={1} unit="px" colorClass="accent-purple-500" />
+                        </div>
+
+                        <div className="mb-6 pb-6 border-b border-slate-100">
+                            <h4 className="text-xs font-bold text-stone-600 uppercase tracking-wider mb-3 flex items-center gap-1">
+                                <div className="w-2 h-2 bg-stone-500 rounded-full"></div> Other PTMs
+                            </h4>
+                            <ParameterControl label="Window Size" value={otherWindowSize} onChange={setOtherWindowSize} min={5} max={200} step={5} unit="aa" colorClass="accent-stone-500" />
+                            <ParameterControl label="Smoothing" value={otherSmoothing} onChange={setOtherSmoothing} min={0} max={20} step={1} unit="px" colorClass="accent-stone-500" />
+                            <p className="text-[11px] text-slate-400">C-mannosylation, GPI anchors, lipidation, acetylation, ubiquitin-like and other cross-links.</p>
+                        </div>
+
+                        <div className="mb-6">
+                            <h4 className="text-xs font-bold text-emerald-600 uppercase tracking-wider mb-3 flex items-center gap-1">
+                                <div className="w-2 h-2 bg-emerald-500 rounded-full"></div> Co-localization Rule
+                            </h4>
+                            <ZoneRuleEditor rule={zoneRule} onChange={setZoneRule} unappliedContexts={contextProfile ? unappliedContextFilters(zoneRule, contextProfile) : []} />
+                        </div>
+
                         <div className="flex gap-2">
-                            <button onClick={exportParameters} className="flex-1 bg-white border border-slate-300 hover:bg-slate-50 text-slate-700 py-3 rounded-lg font-medium transition-colors flex justify-center items-center gap-2 text-sm">
-                                <Save className="w-4 h-4" /> Save Params
+                            <button onClick={exportSession} className="flex-1 bg-white border border-slate-300 hover:bg-slate-50 text-slate-700 py-3 rounded-lg font-medium transition-colors flex justify-center items-center gap-2 text-sm" title="Download the protein, parameters and view as a session file">
+                                <Save className="w-4 h-4" /> Save Session
                             </button>
                             <button onClick={() => setView('analysis')} className="flex-1 bg-slate-900 hover:bg-slate-800 text-white py-3 rounded-lg font-medium transition-colors flex justify-center items-center gap-2">
                                 Confirm <ChevronRight className="w-4 h-4" />
@@ -792,33 +2961,135 @@ export default function App() {
                     <Card className="p-6">
                         <div className="flex justify-between items-center mb-4">
                              <h3 className="font-bold text-slate-800">Analysis View</h3>
-                             <label className="flex items-center gap-2 text-sm text-indigo-600 font-medium cursor-pointer hover:text-indigo-800">
-                                <Upload className="w-4 h-4" /> Load Params (.txt)
-                                <input type="file" className="hidden" accept=".txt" onChange={importParameters} />
-                             </label>
+                             <div className="flex items-center gap-4">
+                                <label className="flex items-center gap-2 text-sm text-slate-600 font-medium cursor-pointer" title="Sweep the SS and glyco window sizes and thresholds around the current values">
+                                    <input type="checkbox" checked={showStability} onChange={(e) => setShowStability(e.target.checked)} className="accent-emerald-600" />
+                                    Robustness sweep
+                                </label>
+                                <button onClick={() => setShowFigureExport(true)} className="flex items-center gap-2 text-sm text-indigo-600 font-medium hover:text-indigo-800">
+                                    <ImageIcon className="w-4 h-4" /> Export figure
+                                </button>
+                                <button onClick={copyShareLink} className="flex items-center gap-2 text-sm text-indigo-600 font-medium hover:text-indigo-800">
+                                    <Link2 className="w-4 h-4" /> Share link
+                                </button>
+                                <label className="flex items-center gap-2 text-sm text-indigo-600 font-medium cursor-pointer hover:text-indigo-800" title="Session file (.json) or older parameter file (.txt)">
+                                    <Upload className="w-4 h-4" /> Load Session
+                                    <input type="file" className="hidden" accept=".json,.txt" onChange={importSession} />
+                                </label>
+                             </div>
                         </div>
+                        <ZoomToolbar length={data.length} range={viewRange} onChange={setViewRange} />
                         <div className="h-96 w-full">
                             <ResponsiveContainer width="100%" height="100%">
-                                <ComposedChart data={chartData} margin={{ top: 10, right: 30, left: 10, bottom: 30 }}>
+                                <ComposedChart data={chartData} margin={{ top: 10, right: 30, left: 10, bottom: 30 }} {...zoomHandlers}>
                                     <CartesianGrid strokeDasharray="3 3" stroke="#f1f5f9" />
-                                    <XAxis dataKey="pos" label={{ value: 'Residue Position', position: 'bottom', offset: 0 }} tick={{fontSize: 12}} />
+                                    <XAxis dataKey="pos" type="number" domain={xDomain} allowDataOverflow label={{ value: 'Residue Position', position: 'bottom', offset: 0 }} tick={{fontSize: 12}} />
                                     <YAxis label={{ value: 'Relative Density', angle: -90, position: 'insideLeft' }} />
-                                    <Tooltip contentStyle={{ backgroundColor: 'rgba(255, 255, 255, 0.95)', borderRadius: '8px', boxShadow: '0 4px 12px rgba(0,0,0,0.1)', border: 'none' }} />
+                                    <Tooltip contentStyle={{ backgroundColor: 'rgba(255, 255, 255, 0.95)', borderRadius: '8px', boxShadow: '0 4px 12px rgba(0,0,0,0.1)', border: 'none' }} labelFormatter={residueLabel} />
                                     {overlapRegions.map((region, i) => (
-                                        <ReferenceArea key={i} x1={region.start} x2={region.end} fill="#86efac" fillOpacity={0.4} />
+                                        <ReferenceArea key={i} x1={region.start} x2={region.end} fill="#86efac" fillOpacity={0.4} ifOverflow="hidden" />
                                     ))}
-                                    <Area type="monotone" dataKey="ss" stroke="#38bdf8" fill="#38bdf8" fillOpacity={0.1} strokeWidth={2} name="Disulfide" />
-                                    <Line type="monotone" dataKey="nLinked" stroke="#f43f5e" strokeWidth={2} dot={false} name="N-Linked" />
-                                    <Line type="monotone" dataKey="oLinked" stroke="#eab308" strokeWidth={2} strokeDasharray="5 5" dot={false} name="O-Linked" />
-                                    <Line type="monotone" dataKey="phos" stroke="#a855f7" strokeWidth={2} dot={false} name="Phospho" />
+                                    {chartTracks.map(getTrack).filter(Boolean).map(track => densitySeries(track, { fillOpacity: 0.1, name: track.label }))}
+                                    {zoomDragArea}
                                 </ComposedChart>
                             </ResponsiveContainer>
                         </div>
+                        {xDomain[1] - xDomain[0] <= SEQUENCE_STRIP_MAX_SPAN && (
+                            // Inset by the chart's left margin + Y axis width and its right margin
+                            <div style={{ paddingLeft: 70, paddingRight: 30 }}>
+                                <SequenceStrip protein={data} range={xDomain} tracks={chartTracks} />
+                            </div>
+                        )}
+                        {showStability && (
+                            <div className="mt-3 space-y-2">
+                                {zoneStability && (
+                                    <div style={{ paddingLeft: 70, paddingRight: 30 }}>
+                                        <StabilityHeatmap stability={zoneStability.stability} range={xDomain} />
+                                    </div>
+                                )}
+                                <div className="flex flex-wrap items-center gap-3 text-xs text-slate-500" style={{ paddingLeft: 70, paddingRight: 30 }}>
+                                    <span className="font-bold text-slate-600">Zone stability</span>
+                                    {zoneStability && (
+                                        <span className="flex items-center gap-1">
+                                            0%
+                                            <span className="inline-block w-20 h-2 rounded" style={{ background: `linear-gradient(to right, ${stabilityColor(0)}, ${stabilityColor(1)})` }}></span>
+                                            100% of {zoneStability.combinations} parameter sets
+                                        </span>
+                                    )}
+                                    <label className="flex items-center gap-1">Windows ±
+                                        <select value={robustnessSettings.windowSpread} onChange={(e) => setRobustnessSettings({ ...robustnessSettings, windowSpread: Number(e.target.value) })} className="border border-slate-300 rounded px-1 py-0.5 bg-white">
+                                            {[10, 20, 30, 50].map(n => <option key={n} value={n}>{n}</option>)}
+                                        </select>
+                                        step
+                                        <select value={robustnessSettings.windowStep} onChange={(e) => setRobustnessSettings({ ...robustnessSettings, windowStep: Number(e.target.value) })} className="border border-slate-300 rounded px-1 py-0.5 bg-white">
+                                            {[5, 10, 20].map(n => <option key={n} value={n}>{n}</option>)}
+                                        </select>
+                                    </label>
+                                    <label className="flex items-center gap-1">Thresholds ±
+                                        <select value={robustnessSettings.thresholdSpread} onChange={(e) => setRobustnessSettings({ ...robustnessSettings, thresholdSpread: Number(e.target.value) })} className="border border-slate-300 rounded px-1 py-0.5 bg-white">
+                                            {[0.5, 1, 1.5, 2].map(n => <option key={n} value={n}>{n}</option>)}
+                                        </select>
+                                        step
+                                        <select value={robustnessSettings.thresholdStep} onChange={(e) => setRobustnessSettings({ ...robustnessSettings, thresholdStep: Number(e.target.value) })} className="border border-slate-300 rounded px-1 py-0.5 bg-white">
+                                            {[0.25, 0.5, 1].map(n => <option key={n} value={n}>{n}</option>)}
+                                        </select>
+                                    </label>
+                                    <span className="text-slate-400">SS {stabilityPlan.windows.ss.join('/')} aa · Glyco {stabilityPlan.windows.glyco.join('/')} aa</span>
+                                    {!zoneStability && (
+                                        <button
+                                            onClick={() => setStabilityRun({ data, params: analysisParams, settings: robustnessSettings })}
+                                            disabled={stabilityPlan.combinations > MAX_STABILITY_COMBINATIONS}
+                                            className="px-2 py-0.5 rounded bg-emerald-600 text-white font-medium hover:bg-emerald-700 disabled:opacity-50"
+                                        >
+                                            Run sweep ({stabilityPlan.combinations} parameter sets)
+                                        </button>
+                                    )}
+                                    {stabilityPlan.combinations > MAX_STABILITY_COMBINATIONS && (
+                                        <span className="text-amber-700">At most {MAX_STABILITY_COMBINATIONS} parameter sets: narrow the spreads or widen the steps</span>
+                                    )}
+                                    {stabilityRun && !stabilityCurrent && <span className="text-amber-700">Parameters changed since the last sweep</span>}
+                                </div>
+                            </div>
+                        )}
                     </Card>
 
+                    <StructurePanel
+                        protein={data}
+                        structure={structure}
+                        mapping={structureMapping}
+                        onLoad={(loaded) => { setStructure(loaded); setStructureChainId(null); }}
+                        onClear={() => { setStructure(null); setDensityMode(DEFAULT_DENSITY_MODE); }}
+                        chainId={structureChainId}
+                        onChainChange={setStructureChainId}
+                        densityMode={densityMode}
+                        onDensityModeChange={setDensityMode}
+                        spatialRadius={spatialRadius}
+                        onSpatialRadiusChange={setSpatialRadius}
+                        isZone={zoneProfile.isZone}
+                        tracks={chartTracks}
+                    />
+
                     <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
                         <Card className="p-6">
-                            <h3 className="font-bold text-slate-800 mb-4">Detected Regions of Interest</h3>
+                            <h3 className="font-bold text-slate-800 mb-3">Detected Regions of Interest</h3>
+                            <div className="flex flex-wrap items-center gap-3 mb-4 text-xs text-slate-600">
+                                <label className="flex items-center gap-1 cursor-pointer">
+                                    <input type="checkbox" checked={permutation.enabled} onChange={(e) => setPermutation({ ...permutation, enabled: e.target.checked })} className="accent-emerald-600" />
+                                    Permutation test
+                                </label>
+                                <select
+                                    value={permutation.iterations}
+                                    disabled={!permutation.enabled}
+                                    onChange={(e) => setPermutation({ ...permutation, iterations: Number(e.target.value) })}
+                                    className="border border-slate-300 rounded px-2 py-1 bg-white disabled:opacity-50"
+                                >
+                                    {[100, 200, 500, 1000].map(n => <option key={n} value={n}>{n} shuffles</option>)}
+                                </select>
+                                <label className="flex items-center gap-1 cursor-pointer" title="Shuffle sites only among C (SS), N-X-S/T (N-glycan), S/T (O-glycan) and S/T/Y (phospho)">
+                                    <input type="checkbox" checked={permutation.constrained} disabled={!permutation.enabled} onChange={(e) => setPermutation({ ...permutation, constrained: e.target.checked })} className="accent-emerald-600" />
+                                    Compatible residues only
+                                </label>
+                            </div>
                             <div className="space-y-2 max-h-60 overflow-y-auto pr-2">
                                 {overlapRegions.length === 0 ? (
                                     <p className="text-slate-500 text-sm italic">No significant co-localization zones found with current parameters.</p>
@@ -826,7 +3097,12 @@ export default function App() {
                                     overlapRegions.map((reg, idx) => (
                                         <div key={idx} className="flex justify-between items-center p-3 bg-emerald-50 rounded-lg border border-emerald-100">
                                             <span className="font-mono text-emerald-800 font-medium">Region {idx + 1}</span>
-                                            <span className="text-sm text-emerald-700">AA {reg.start} - {reg.end}</span>
+                                            <span className="text-sm text-emerald-700">AA {reg.start + 1} - {reg.end}</span>
+                                            {reg.pValue !== undefined && (
+                                                <span className={`text-xs font-mono ${reg.qValue < 0.05 ? 'text-emerald-700 font-bold' : 'text-slate-400'}`} title="Empirical p-value (Benjamini-Hochberg q-value across regions)">
+                                                    p={formatPValue(reg.pValue)} q={formatPValue(reg.qValue)}
+                                                </span>
+                                            )}
                                             <span className="text-xs bg-white px-2 py-1 rounded text-emerald-600 border border-emerald-200 font-bold">
                                                 {reg.end - reg.start} aa
                                             </span>
@@ -842,7 +3118,7 @@ export default function App() {
                             </div>
                             <div>
                                 <h3 className="font-bold text-slate-800">Export Results</h3>
-                                <p className="text-sm text-slate-500 mt-1">Download a CSV report with densities and detected regions for {data.gene}.</p>
+                                <p className="text-sm text-slate-500 mt-1">Download a CSV report with densities, detected regions and, after a robustness sweep, zone stability for {data.gene}.</p>
                             </div>
                             <button 
                                 onClick={handleExport}
@@ -850,6 +3126,12 @@ export default function App() {
                             >
                                 <Download className="w-4 h-4" /> Download CSV
                             </button>
+                            <button 
+                                onClick={handleExportSummary}
+                                className="text-indigo-600 font-medium text-sm hover:underline flex items-center gap-2"
+                            >
+                                <Download className="w-4 h-4" /> Protein Summary CSV
+                            </button>
                         </Card>
                     </div>
                 </div>
@@ -864,19 +3146,34 @@ export default function App() {
                         <div className="flex justify-center items-center gap-4 mb-2">
                             <h2 className="text-2xl font-bold">Full Proteome Analysis</h2>
                             <label className="flex items-center gap-2 text-xs bg-indigo-700 hover:bg-indigo-600 px-3 py-1 rounded-full cursor-pointer transition-colors">
-                                <Upload className="w-3 h-3" /> Load Params
-                                <input type="file" className="hidden" accept=".txt" onChange={importParameters} />
+                                <Upload className="w-3 h-3" /> Load Session
+                                <input type="file" className="hidden" accept=".json,.txt" onChange={importSession} />
                             </label>
                         </div>
                         <p className="text-indigo-200 mb-6 text-center">
                             This module will process thousands of proteins using your calibrated parameters: 
                             <br/>
                             <span className="font-mono text-xs bg-indigo-800 px-2 py-1 rounded ml-1">
-                                SS[W:{ssWindowSize}/T:{ssThreshold}]
+                                SS[W:{ssWindowSize}{ssCounting !== DEFAULT_DISULFIDE_COUNTING ? `, ${ssCounting}` : ""}]
+                            </span>
+                            <span className="font-mono text-xs bg-indigo-800 px-2 py-1 rounded ml-1">
+                                Glyco[W:{glycoWindowSize}]
+                            </span>
+                            <span className="font-mono text-xs bg-indigo-800 px-2 py-1 rounded ml-1">
+                                Phospho[W:{phosphoWindowSize}]
+                            </span>
+                            <span className="font-mono text-xs bg-indigo-800 px-2 py-1 rounded ml-1">
+                                Other[W:{otherWindowSize}]
                             </span>
+                            <br/>
                             <span className="font-mono text-xs bg-indigo-800 px-2 py-1 rounded ml-1">
-                                Glyco[W:{glycoWindowSize}/T:{glycoThreshold}]
+                                Zone: {describeZoneRule(zoneRule)}
                             </span>
+                            {permutation.enabled && (
+                                <span className="font-mono text-xs bg-indigo-800 px-2 py-1 rounded ml-1">
+                                    Permutations[{permutation.iterations}{permutation.constrained ? '/compatible' : ''}, BH]
+                                </span>
+                            )}
                         </p>
                         
                         {batchStatus === 'idle' && (
@@ -896,27 +3193,105 @@ export default function App() {
                                             className="bg-indigo-900 border border-indigo-600 rounded px-3 py-2 text-sm w-full focus:outline-none focus:border-white"
                                         />
                                         <button 
-                                            onClick={runWholeOrganismAnalysis}
+                                            onClick={() => runWholeOrganismAnalysis()}
                                             className="bg-white text-indigo-900 px-4 py-2 rounded font-bold text-sm hover:bg-indigo-50 whitespace-nowrap flex items-center gap-2"
                                         >
                                             <Play className="w-3 h-3" /> Run
                                         </button>
                                     </div>
                                     <p className="text-xs text-indigo-400 mt-2">Default: 9606 (Homo sapiens)</p>
+                                    {offlineMode && <p className="text-xs text-amber-300 mt-1">Offline mode: runs from the local cache only.</p>}
                                 </div>
 
                                 {/* Card 2: FASTA Upload */}
                                 <div className="bg-indigo-800 bg-opacity-50 p-6 rounded-xl border border-indigo-700">
                                     <div className="flex items-center gap-3 mb-4">
                                         <FileText className="w-6 h-6 text-indigo-300" />
-                                        <h3 className="font-bold">Custom FASTA</h3>
+                                        <h3 className="font-bold">Custom Sequences</h3>
                                     </div>
-                                    <label className="block text-xs text-indigo-300 mb-1">Upload .fasta file</label>
+                                    <label className="block text-xs text-indigo-300 mb-1">Upload FASTA, GenPept or UniProt flat text (.gz accepted)</label>
                                     <label className="flex items-center justify-center w-full h-10 px-4 transition bg-indigo-900 border border-indigo-600 border-dashed rounded appearance-none cursor-pointer hover:border-indigo-400 focus:outline-none">
                                         <span className="text-sm text-indigo-300">Select file...</span>
-                                        <input type="file" accept=".fasta,.txt" className="hidden" onChange={handleFastaUpload} />
+                                        <input type="file" accept=".fasta,.fa,.faa,.txt,.gp,.gpff,.gb,.dat,.gz" className="hidden" onChange={handleFastaUpload} />
                                     </label>
-                                    <p className="text-xs text-indigo-400 mt-2">Analysis based on motif search (N-X-S/T).</p>
+                                    <p className="text-xs text-indigo-400 mt-2">FASTA and GenPept: sites predicted from sequence. UniProt flat text: annotated sites.</p>
+                                    <div className="mt-3 space-y-1 text-left">
+                                        {SITE_PREDICTORS.map(predictor => (
+                                            <label key={predictor.key} className="flex items-start gap-2 text-xs text-indigo-200 cursor-pointer">
+                                                <input
+                                                    type="checkbox"
+                                                    className="mt-0.5"
+                                                    checked={predictorKeys.includes(predictor.key)}
+                                                    onChange={(e) => setPredictorKeys(prev => e.target.checked ? [...prev, predictor.key] : prev.filter(k => k !== predictor.key))}
+                                                />
+                                                {predictor.label}
+                                            </label>
+                                        ))}
+                                    </div>
+                                    {ingestReport && (
+                                        <div className="mt-3 text-left text-xs">
+                                            <p className="text-indigo-200">
+                                                {ingestReport.fileName} ({formatLabel(ingestReport.format)}): {ingestReport.accepted} accepted
+                                                {ingestReport.errors.length > 0 && <span className="text-amber-300">, {ingestReport.errors.length} skipped</span>}
+                                            </p>
+                                            {ingestReport.errors.length > 0 && (
+                                                <ul className="mt-1 max-h-32 overflow-y-auto bg-indigo-950 rounded p-2 space-y-0.5 font-mono text-amber-200">
+                                                    {ingestReport.errors.slice(0, 200).map(err => (
+                                                        <li key={err.entry}>
+                                                            #{err.entry}{err.line ? ` (line ${err.line})` : ''} {err.id}: {err.message}
+                                                        </li>
+                                                    ))}
+                                                    {ingestReport.errors.length > 200 && <li>... {ingestReport.errors.length - 200} more</li>}
+                                                </ul>
+                                            )}
+                                        </div>
+                                    )}
+                                </div>
+                            </div>
+                        )}
+
+                        {batchStatus === 'idle' && runHistory.length > 0 && (
+                            <div className="mt-6 bg-indigo-800 bg-opacity-50 p-6 rounded-xl border border-indigo-700">
+                                <div className="flex items-center gap-3 mb-4">
+                                    <History className="w-5 h-5 text-indigo-300" />
+                                    <h3 className="font-bold">Run History</h3>
+                                </div>
+                                <div className="space-y-2 max-h-72 overflow-y-auto pr-1">
+                                    {runHistory.map(run => (
+                                        <div key={run.id} className="flex flex-wrap items-center gap-3 justify-between bg-indigo-900 rounded-lg px-4 py-2 text-sm">
+                                            <div className="text-left">
+                                                <div className="font-medium">
+                                                    TaxID {run.organismId}
+                                                    <span className={`ml-2 text-xs px-2 py-0.5 rounded-full ${run.status === 'completed' ? 'bg-emerald-500 bg-opacity-20 text-emerald-300' : 'bg-amber-500 bg-opacity-20 text-amber-300'}`}>
+                                                        {run.status}
+                                                    </span>
+                                                </div>
+                                                <div className="text-xs text-indigo-300">
+                                                    {new Date(run.startedAt).toLocaleString()} · {run.processedCount}{run.total && run.status !== 'completed' ? ` / ${run.total}` : ''} proteins
+                                                    {run.failedAccessions.length > 0 && ` · ${run.failedAccessions.length} failed`}
+                                                </div>
+                                                {run.error && <div className="text-xs text-red-300">{run.error}</div>}
+                                            </div>
+                                            <div className="flex gap-2">
+                                                {run.status !== 'completed' && (
+                                                    <button onClick={() => runWholeOrganismAnalysis(run)} className="bg-white text-indigo-900 px-3 py-1 rounded font-bold text-xs hover:bg-indigo-50 flex items-center gap-1">
+                                                        <RotateCcw className="w-3 h-3" /> Resume
+                                                    </button>
+                                                )}
+                                                {run.status === 'completed' && (
+                                                    <>
+                                                        <button onClick={() => openStoredRun(run)} className="bg-indigo-700 hover:bg-indigo-600 px-3 py-1 rounded text-xs">Open</button>
+                                                        <button onClick={() => openStoredRun(run, true)} className="bg-indigo-700 hover:bg-indigo-600 px-3 py-1 rounded text-xs flex items-center gap-1">
+                                                            <Download className="w-3 h-3" /> CSV
+                                                        </button>
+                                                    </>
+                                                )}
+                                                <button onClick={() => removeStoredRun(run)} className="text-indigo-300 hover:text-red-300 px-1" title="Delete run">
+                                                    <Trash2 className="w-4 h-4" />
+                                                </button>
+                                            </div>
+                                        </div>
+                                    ))}
                                 </div>
                             </div>
                         )}
@@ -942,8 +3317,39 @@ export default function App() {
                                     ></div>
                                 </div>
                                 
-                                {batchStatus === 'completed' && (
+                                {batchStatus === 'processing' && (
                                     <div className="mt-4">
+                                        <button 
+                                            onClick={cancelBatch}
+                                            className="text-sm bg-indigo-800 hover:bg-indigo-700 px-4 py-1.5 rounded-full text-indigo-100 inline-flex items-center gap-2"
+                                        >
+                                            <X className="w-3 h-3" /> Cancel
+                                        </button>
+                                    </div>
+                                )}
+
+                                {batchStatus === 'completed' && (
+                                    <div className="mt-4 flex flex-col items-center gap-3">
+                                        <div className="flex flex-wrap justify-center gap-2">
+                                            <button
+                                                onClick={() => downloadBatchCSV(batchResults)}
+                                                className="text-sm bg-indigo-800 hover:bg-indigo-700 px-4 py-1.5 rounded-full text-indigo-100 inline-flex items-center gap-2"
+                                            >
+                                                <Download className="w-3 h-3" /> Sites CSV
+                                            </button>
+                                            <button
+                                                onClick={() => downloadProteinCSV(batchSummaries)}
+                                                className="text-sm bg-indigo-800 hover:bg-indigo-700 px-4 py-1.5 rounded-full text-indigo-100 inline-flex items-center gap-2"
+                                            >
+                                                <Download className="w-3 h-3" /> Protein Summary CSV
+                                            </button>
+                                            <button
+                                                onClick={() => downloadBatchWorkbook(batchResults, batchSummaries)}
+                                                className="text-sm bg-indigo-800 hover:bg-indigo-700 px-4 py-1.5 rounded-full text-indigo-100 inline-flex items-center gap-2"
+                                            >
+                                                <Download className="w-3 h-3" /> Workbook (.xls)
+                                            </button>
+                                        </div>
                                         <button 
                                             onClick={() => setBatchStatus('idle')}
                                             className="text-sm underline text-indigo-300 hover:text-white"
@@ -956,8 +3362,29 @@ export default function App() {
                         )}
                     </div>
                 </div>
+
+                {batchStatus === 'completed' && (
+                    <ProteomeDashboard rows={batchResults} summaries={batchSummaries} />
+                )}
+
+                {batchStatus === 'completed' && batchResults.length > 0 && (
+                    <BatchResultsExplorer rows={batchResults} onOpenProtein={openProteinFromResults} />
+                )}
             </div>
         )}
+
+        {view === 'compare' && (
+            <ComparisonView
+                proteins={comparison}
+                params={analysisParams}
+                tracks={chartTracks}
+                onRemove={(id) => setComparison(prev => prev.filter(p => p.id !== id))}
+                onAdd={addToComparison}
+                onAddCurrent={() => data && addProteinsToComparison([data])}
+                onUpload={handleComparisonUpload}
+                adding={comparisonLoading}
+            />
+        )}
       </main>
     </div>
   );
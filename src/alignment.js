@@ -0,0 +1,346 @@
+// Protein sequence alignment for the comparison view: pairwise Gotoh (BLOSUM62, affine gaps, free end gaps)
+// and a center-star multiple alignment. Pure functions, so it can run in a worker.
+
+import { DENSITY_TRACKS } from './analysis.js';
+
+// --- SCORING ---
+
+const BLOSUM_ORDER = "ARNDCQEGHILKMFPSTWYVBZX";
+const BLOSUM62_ROWS = [
+    " 4 -1 -2 -2  0 -1 -1  0 -2 -1 -1 -1 -1 -2 -1  1  0 -3 -2  0 -2 -1  0",
+    "-1  5  0 -2 -3  1  0 -2  0 -3 -2  2 -1 -3 -2 -1 -1 -3 -2 -3 -1  0 -1",
+    "-2  0  6  1 -3  0  0  0  1 -3 -3  0 -2 -3 -2  1  0 -4 -2 -3  3  0 -1",
+    "-2 -2  1  6 -3  0  2 -1 -1 -3 -4 -1 -3 -3 -1  0 -1 -4 -3 -3  4  1 -1",
+    " 0 -3 -3 -3  9 -3 -4 -3 -3 -1 -1 -3 -1 -2 -3 -1 -1 -2 -2 -1 -3 -3 -2",
+    "-1  1  0  0 -3  5  2 -2  0 -3 -2  1  0 -3 -1  0 -1 -2 -1 -2  0  3 -1",
+    "-1  0  0  2 -4  2  5 -2  0 -3 -3  1 -2 -3 -1  0 -1 -3 -2 -2  1  4 -1",
+    " 0 -2  0 -1 -3 -2 -2  6 -2 -4 -4 -2 -3 -3 -2  0 -2 -2 -3 -3 -1 -2 -1",
+    "-2  0  1 -1 -3  0  0 -2  8 -3 -3 -1 -2 -1 -2 -1 -2 -2  2 -3  0  0 -1",
+    "-1 -3 -3 -3 -1 -3 -3 -4 -3  4  2 -3  1  0 -3 -2 -1 -3 -1  3 -3 -3 -1",
+    "-1 -2 -3 -4 -1 -2 -3 -4 -3  2  4 -2  2  0 -3 -2 -1 -2 -1  1 -4 -3 -1",
+    "-1  2  0 -1 -3  1  1 -2 -1 -3 -2  5 -1 -3 -1  0 -1 -3 -2 -2  0  1 -1",
+    "-1 -1 -2 -3 -1  0 -2 -3 -2  1  2 -1  5  0 -2 -1 -1 -1 -1  1 -3 -1 -1",
+    "-2 -3 -3 -3 -2 -3 -3 -3 -1  0  0 -3  0  6 -4 -2 -2  1  3 -1 -3 -3 -1",
+    "-1 -2 -2 -1 -3 -1 -1 -2 -2 -3 -3 -1 -2 -4  7 -1 -1 -4 -3 -2 -2 -1 -2",
+    " 1 -1  1  0 -1  0  0  0 -1 -2 -2  0 -1 -2 -1  4  1 -3 -2 -2  0  0  0",
+    " 0 -1  0 -1 -1 -1 -1 -2 -2 -1 -1 -1 -1 -2 -1  1  5 -2 -2  0 -1 -1  0",
+    "-3 -3 -4 -4 -2 -2 -3 -2 -2 -3 -2 -3 -1  1 -4 -3 -2 11  2 -3 -4 -3 -2",
+    "-2 -2 -2 -3 -2 -1 -2 -3  2 -1 -1 -2 -1  3 -3 -2 -2  2  7 -1 -3 -2 -1",
+    " 0 -3 -3 -3 -1 -2 -2 -3 -3  3  1 -2  1 -1 -2 -2  0 -3 -1  4 -3 -2 -1",
+    "-2 -1  3  4 -3  0  1 -1  0 -3 -4  0 -3 -3 -2  0 -1 -4 -3 -3  4  1 -1",
+    "-1  0  0  1 -3  3  4 -2  0 -3 -3  1 -1 -3 -1  0 -1 -3 -2 -2  1  4 -1",
+    " 0 -1 -1 -1 -2 -1 -1 -1 -1 -1 -1 -1 -1 -1 -2  0  0 -2 -1 -1 -1 -1 -1"
+];
+const BLOSUM62 = BLOSUM62_ROWS.map(row => row.trim().split(/\s+/).map(Number));
+
+// Residues outside the matrix: selenocysteine scores as C, pyrrolysine as K, J (I/L) as L, anything else as X
+const RESIDUE_ALIASES = { U: 'C', O: 'K', J: 'L' };
+const residueIndex = (aa) => {
+    const idx = BLOSUM_ORDER.indexOf(RESIDUE_ALIASES[aa] || aa);
+    return idx >= 0 ? idx : BLOSUM_ORDER.length - 1;
+};
+
+// BLAST defaults: a gap of length k costs gapOpen + k * gapExtend
+export const DEFAULT_ALIGNMENT_SETTINGS = { gapOpen: 11, gapExtend: 1 };
+
+// Quadratic traceback memory: larger pairs are refused instead of freezing the tab
+export const MAX_ALIGNMENT_CELLS = 25_000_000;
+
+export const GAP = '-';
+
+// --- PAIRWISE ---
+
+const NEG = -1e9;
+const STATE_M = 0, STATE_X = 1, STATE_Y = 2; // match, gap in b (consumes a), gap in a (consumes b)
+
+// Global alignment with affine gaps whose leading/trailing gaps are free, so fragments and isoforms
+// with extra termini align on their shared core. Returns { a, b, score } with gapped strings.
+export const alignPair = (seqA, seqB, { gapOpen, gapExtend } = DEFAULT_ALIGNMENT_SETTINGS) => {
+    const n = seqA.length;
+    const m = seqB.length;
+    if ((n + 1) * (m + 1) > MAX_ALIGNMENT_CELLS) {
+        throw new Error(`Sequences too long to align in the browser (${n} x ${m} residues)`);
+    }
+    const open = gapOpen + gapExtend;
+    const a = Array.from(seqA, residueIndex);
+    const b = Array.from(seqB, residueIndex);
+
+    // Rolling score rows; the traceback keeps the predecessor state of M (bits 0-1), X (2-3) and Y (4-5)
+    let prevM = new Float64Array(m + 1).fill(NEG);
+    let prevX = new Float64Array(m + 1).fill(NEG);
+    let prevY = new Float64Array(m + 1).fill(0);  // leading gaps in a are free
+    prevM[0] = 0;
+    prevY[0] = NEG;
+    let curM = new Float64Array(m + 1);
+    let curX = new Float64Array(m + 1);
+    let curY = new Float64Array(m + 1);
+    const trace = new Uint8Array((n + 1) * (m + 1));
+
+    const best = { score: NEG, i: 0, j: m, state: STATE_M };
+    const consider = (i, j, M, X, Y) => {
+        if (M > best.score) Object.assign(best, { score: M, i, j, state: STATE_M });
+        if (X > best.score) Object.assign(best, { score: X, i, j, state: STATE_X });
+        if (Y > best.score) Object.assign(best, { score: Y, i, j, state: STATE_Y });
+    };
+    if (n === 0) consider(0, m, NEG, NEG, m === 0 ? 0 : prevY[m]);
+
+    for (let i = 1; i <= n; i++) {
+        curM[0] = NEG;
+        curX[0] = 0; // leading gaps in b are free
+        curY[0] = NEG;
+        const row = BLOSUM62[a[i - 1]];
+        for (let j = 1; j <= m; j++) {
+            let bits = 0;
+
+            const dM = prevM[j - 1], dX = prevX[j - 1], dY = prevY[j - 1];
+            let diag = dM;
+            if (dX > diag) { diag = dX; bits = STATE_X; }
+            if (dY > diag) { diag = dY; bits = STATE_Y; }
+            curM[j] = diag + row[b[j - 1]];
+
+            let up = prevM[j] - open, upFrom = STATE_M;
+            if (prevX[j] - gapExtend > up) { up = prevX[j] - gapExtend; upFrom = STATE_X; }
+            if (prevY[j] - open > up) { up = prevY[j] - open; upFrom = STATE_Y; }
+            curX[j] = up;
+            bits |= upFrom << 2;
+
+            let lt = curM[j - 1] - open, ltFrom = STATE_M;
+            if (curY[j - 1] - gapExtend > lt) { lt = curY[j - 1] - gapExtend; ltFrom = STATE_Y; }
+            if (curX[j - 1] - open > lt) { lt = curX[j - 1] - open; ltFrom = STATE_X; }
+            curY[j] = lt;
+            bits |= ltFrom << 4;
+
+            trace[i * (m + 1) + j] = bits;
+        }
+        // Trailing gaps are free: the alignment may end anywhere on the last row or column
+        if (m === 0) consider(i, 0, NEG, curX[0], NEG);
+        else consider(i, m, curM[m], curX[m], curY[m]);
+        if (i === n) for (let j = 1; j < m; j++) consider(n, j, curM[j], curX[j], curY[j]);
+        [prevM, curM] = [curM, prevM];
+        [prevX, curX] = [curX, prevX];
+        [prevY, curY] = [curY, prevY];
+    }
+
+    // Trailing overhang, then traceback, then leading overhang (built reversed)
+    const outA = [];
+    const outB = [];
+    for (let k = n - 1; k >= best.i; k--) { outA.push(seqA[k]); outB.push(GAP); }
+    for (let k = m - 1; k >= best.j; k--) { outA.push(GAP); outB.push(seqB[k]); }
+    let { i, j, state } = best;
+    while (i > 0 && j > 0) {
+        const bits = trace[i * (m + 1) + j];
+        if (state === STATE_M) {
+            outA.push(seqA[i - 1]); outB.push(seqB[j - 1]);
+            state = bits & 3; i--; j--;
+        } else if (state === STATE_X) {
+            outA.push(seqA[i - 1]); outB.push(GAP);
+            state = (bits >> 2) & 3; i--;
+        } else {
+            outA.push(GAP); outB.push(seqB[j - 1]);
+            state = (bits >> 4) & 3; j--;
+        }
+    }
+    for (; i > 0; i--) { outA.push(seqA[i - 1]); outB.push(GAP); }
+    for (; j > 0; j--) { outA.push(GAP); outB.push(seqB[j - 1]); }
+    return { a: outA.reverse().join(''), b: outB.reverse().join(''), score: best.score };
+};
+
+// --- MULTIPLE ---
+
+// Adds a pairwise alignment (center vs new sequence) to an MSA whose row `centerIdx` is the same center.
+// Gaps already in the MSA stay ("once a gap, always a gap"); new center gaps become new columns.
+const mergeIntoAlignment = (rows, centerIdx, pair) => {
+    const merged = rows.map(() => []);
+    const added = [];
+    const center = rows[centerIdx];
+    let i = 0;
+    let j = 0;
+    while (i < center.length || j < pair.a.length) {
+        const inMsa = i < center.length ? center[i] : null;
+        const inPair = j < pair.a.length ? pair.a[j] : null;
+        if (inMsa === GAP || (inPair === null && inMsa !== null)) {
+            rows.forEach((row, r) => merged[r].push(row[i]));
+            added.push(GAP);
+            i++;
+        } else if (inPair === GAP || inMsa === null) {
+            rows.forEach((_, r) => merged[r].push(GAP));
+            added.push(pair.b[j]);
+            j++;
+        } else {
+            rows.forEach((row, r) => merged[r].push(row[i]));
+            added.push(pair.b[j]);
+            i++;
+            j++;
+        }
+    }
+    return [...merged.map(r => r.join('')), added.join('')];
+};
+
+// Center-star multiple alignment: the sequence with the best summed pairwise scores is the center and
+// every other sequence is aligned to it. Returns the gapped rows in input order.
+export const alignSequences = (sequences, settings = DEFAULT_ALIGNMENT_SETTINGS) => {
+    if (sequences.length < 2) return [...sequences];
+    const pairs = new Map();
+    const totals = sequences.map(() => 0);
+    for (let x = 0; x < sequences.length; x++) {
+        for (let y = x + 1; y < sequences.length; y++) {
+            const pair = alignPair(sequences[x], sequences[y], settings);
+            pairs.set(`${x}:${y}`, pair);
+            totals[x] += pair.score;
+            totals[y] += pair.score;
+        }
+    }
+    const center = totals.indexOf(Math.max(...totals));
+    const pairWithCenter = (k) => {
+        if (k > center) return pairs.get(`${center}:${k}`);
+        const { a, b, score } = pairs.get(`${k}:${center}`);
+        return { a: b, b: a, score };
+    };
+
+    // Build the MSA in the order the sequences are added, then restore the input order
+    const order = [center];
+    let rows = [sequences[center]];
+    sequences.forEach((_, k) => {
+        if (k === center) return;
+        rows = mergeIntoAlignment(rows, 0, pairWithCenter(k));
+        order.push(k);
+    });
+    const result = new Array(sequences.length);
+    order.forEach((k, r) => { result[k] = rows[r]; });
+    return result;
+};
+
+// Rows padded at the C-terminus, so that residue numbers line up when no alignment is requested
+export const unalignedRows = (sequences) => {
+    const width = Math.max(0, ...sequences.map(s => s.length));
+    return sequences.map(s => s + GAP.repeat(width - s.length));
+};
+
+// --- COLUMN MAPPING ---
+
+// For one gapped row: column -> 0-based residue index (-1 at gaps) and residue index -> column
+export const columnMap = (row) => {
+    const toResidue = new Int32Array(row.length).fill(-1);
+    const toColumn = [];
+    for (let col = 0; col < row.length; col++) {
+        if (row[col] === GAP) continue;
+        toResidue[col] = toColumn.length;
+        toColumn.push(col);
+    }
+    return { toResidue, toColumn };
+};
+
+// Percent identity of two gapped rows over the columns where both have a residue
+export const pairIdentity = (rowA, rowB) => {
+    let aligned = 0;
+    let identical = 0;
+    for (let col = 0; col < Math.min(rowA.length, rowB.length); col++) {
+        if (rowA[col] === GAP || rowB[col] === GAP) continue;
+        aligned++;
+        if (rowA[col] === rowB[col]) identical++;
+    }
+    return aligned ? (identical / aligned) * 100 : 0;
+};
+
+// Alignment columns where at least `minProteins` of the rows sit inside one of their own zones.
+// `zoneMasks[k][r]` tells whether residue index r of protein k is in a zone.
+// Returns [{ start, end (exclusive), count, ranges }] where `ranges[k]` is the residue span
+// ({ start, end } 0-based, end exclusive) of protein k under the region, or null if it has only gaps there.
+export const findConservedZones = (rows, zoneMasks, minProteins) => {
+    const maps = rows.map(columnMap);
+    const width = Math.max(0, ...rows.map(r => r.length));
+    const support = new Int32Array(width);
+    maps.forEach(({ toResidue }, k) => {
+        for (let col = 0; col < toResidue.length; col++) {
+            const r = toResidue[col];
+            if (r >= 0 && zoneMasks[k][r]) support[col]++;
+        }
+    });
+
+    const regions = [];
+    let start = null;
+    for (let col = 0; col <= width; col++) {
+        const conserved = col < width && support[col] >= minProteins;
+        if (conserved && start === null) start = col;
+        if (!conserved && start !== null) {
+            const ranges = maps.map(({ toResidue }) => {
+                let first = -1;
+                let last = -1;
+                for (let c = start; c < col; c++) {
+                    if (toResidue[c] < 0) continue;
+                    if (first < 0) first = toResidue[c];
+                    last = toResidue[c];
+                }
+                return first < 0 ? null : { start: first, end: last + 1 };
+            });
+            let count = 0;
+            for (let c = start; c < col; c++) count = Math.max(count, support[c]);
+            regions.push({ start, end: col, count, ranges });
+            start = null;
+        }
+    }
+    return regions;
+};
+
+// --- ISOFORMS ---
+
+// Moves the annotations of a canonical entry onto one of its isoform sequences. A site survives when its
+// residue aligns to an identical residue of the isoform; bonds need both cysteines, regions are trimmed
+// to the part that aligns. Returns a protein shaped like the canonical one, identified by the isoform.
+export const mapProteinToIsoform = (protein, isoform, sequence) => {
+    const pair = alignPair(protein.sequence, sequence);
+    const fromCanonical = columnMap(pair.a).toColumn;
+    const toIsoform = columnMap(pair.b).toResidue;
+    // 1-based canonical position -> 1-based isoform position, or null
+    const mapPos = (pos) => {
+        const col = fromCanonical[pos - 1];
+        if (col === undefined) return null;
+        const r = toIsoform[col];
+        return r >= 0 && sequence[r] === protein.sequence[pos - 1] ? r + 1 : null;
+    };
+    const mapList = (positions) => (positions || []).map(mapPos).filter(p => p !== null);
+
+    const sites = {};
+    const siteDetails = {};
+    DENSITY_TRACKS.forEach(({ siteField }) => {
+        sites[siteField] = mapList(protein[siteField]);
+        const details = (protein.siteDetails && protein.siteDetails[siteField]) || {};
+        siteDetails[siteField] = {};
+        Object.entries(details).forEach(([pos, detail]) => {
+            const mapped = mapPos(Number(pos));
+            if (mapped !== null) siteDetails[siteField][mapped] = detail;
+        });
+    });
+
+    const ssBondRanges = (protein.ssBondRanges || []).map(r => {
+        const start = mapPos(r.start);
+        const end = r.interchain ? start : mapPos(r.end);
+        return start !== null && end !== null ? { ...r, start, end } : null;
+    }).filter(Boolean);
+
+    const regions = (protein.regions || []).map(region => {
+        const covered = [];
+        for (let pos = region.start; pos <= region.end; pos++) {
+            const col = fromCanonical[pos - 1];
+            if (col !== undefined && toIsoform[col] >= 0) covered.push(toIsoform[col] + 1);
+        }
+        return covered.length ? { ...region, start: covered[0], end: covered[covered.length - 1] } : null;
+    }).filter(Boolean);
+
+    const mapped = {
+        ...protein,
+        ...sites,
+        id: isoform.id,
+        length: sequence.length,
+        sequence,
+        ssBondRanges,
+        regions,
+        siteDetails,
+        isoformOf: protein.id,
+        isoformName: isoform.name
+    };
+    if (protein.predictedSites) {
+        mapped.predictedSites = Object.fromEntries(Object.entries(protein.predictedSites).map(([field, list]) => [field, mapList(list)]));
+    }
+    return mapped;
+};
@@ -0,0 +1,11 @@
+// One-shot worker for the comparison view: aligns the sequences of the compared proteins off the main thread
+import { alignSequences } from './alignment.js';
+
+self.onmessage = (e) => {
+    const { sequences, settings } = e.data;
+    try {
+        self.postMessage({ rows: alignSequences(sequences, settings) });
+    } catch (err) {
+        self.postMessage({ error: err.message });
+    }
+};
@@ -0,0 +1,1134 @@
+// Analysis core shared by the UI and the batch workers (no React / DOM access here)
+
+import { predictDisorder } from './predictors.js';
+
+// Density Algorithm with Smoothing (Reusable)
+// Sliding-window counts via prefix sums: O(length + sites) instead of O(length x sites).
+// `positions` are 1-based residue numbers (as in UniProt); the result is indexed by 0-based residue index,
+// and residue index i counts the sites of residues i - half .. i + half (clamped to the sequence).
+export const calculateDensity = (positions, length, windowSize, smoothingFactor = 0) => {
+  if (!length || length <= 0) return [];
+  
+  // sitesUpTo[k] = number of sites at residue indices 0 .. k - 1
+  const sitesUpTo = new Array(length + 1).fill(0);
+  for (const p of positions) {
+    const index = Math.floor(p) - 1;
+    if (index >= 0 && index < length) sitesUpTo[index + 1]++;
+  }
+  for (let k = 1; k < sitesUpTo.length; k++) sitesUpTo[k] += sitesUpTo[k - 1];
+
+  const rawDensity = new Array(length).fill(0);
+  const halfWindow = Math.floor(windowSize / 2);
+
+  for (let i = 0; i < length; i++) {
+    const start = Math.max(0, i - halfWindow);
+    const end = Math.min(length - 1, i + halfWindow);
+    rawDensity[i] = sitesUpTo[end + 1] - sitesUpTo[start];
+  }
+
+  return smoothProfile(rawDensity, smoothingFactor);
+};
+
+// Moving average of ±smoothingFactor residues (no-op for 0)
+const smoothProfile = (rawDensity, smoothingFactor) => {
+  const length = rawDensity.length;
+  if (smoothingFactor > 0) {
+    const smoothedDensity = new Array(length).fill(0);
+    const smoothWindow = Math.floor(smoothingFactor);
+
+    const rawUpTo = new Array(length + 1).fill(0);
+    for (let i = 0; i < length; i++) rawUpTo[i + 1] = rawUpTo[i] + rawDensity[i];
+    
+    for (let i = 0; i < length; i++) {
+      const from = Math.max(0, i - smoothWindow);
+      const to = Math.min(length - 1, i + smoothWindow);
+      smoothedDensity[i] = (rawUpTo[to + 1] - rawUpTo[from]) / (to - from + 1);
+    }
+    return smoothedDensity;
+  }
+
+  return rawDensity;
+};
+
+// 3D variant: counts the sites whose residue lies within `radius` Å of each residue. `coords[i]` is the
+// [x, y, z] of residue index i (C-alpha) or null when the structure does not cover it; uncovered residues
+// get 0 and uncovered sites are not counted.
+export const calculateSpatialDensity = (positions, coords, radius, smoothingFactor = 0) => {
+  const length = coords.length;
+  if (!length) return [];
+  const sites = positions.map(p => coords[Math.floor(p) - 1]).filter(Boolean);
+  const radiusSq = radius * radius;
+  const rawDensity = new Array(length).fill(0);
+  for (let i = 0; i < length; i++) {
+    const c = coords[i];
+    if (!c) continue;
+    let count = 0;
+    for (const s of sites) {
+      const dx = s[0] - c[0], dy = s[1] - c[1], dz = s[2] - c[2];
+      if (dx * dx + dy * dy + dz * dz <= radiusSq) count++;
+    }
+    rawDensity[i] = count;
+  }
+  return smoothProfile(rawDensity, smoothingFactor);
+};
+
+// Density tracks that can take part in a co-localization rule.
+// `group` selects the window/smoothing parameters ({group}WindowSize, {group}Smoothing).
+// `csvName` prefixes the track's columns in the reports (e.g. SS_Density, SS_Sites).
+// `residues` matches the positions a site of this type can occupy (used by the permutation test).
+// `positions(protein, params)`, when present, replaces the plain `protein[siteField]` list in the density.
+// `shuffleUnits(protein, params)` / `unitPositions(units, params)`, when present, make the permutation test
+// move multi-residue sites as a whole (units keep their { start, end } span) instead of single positions.
+// `siteCode` prefixes the Site_ID of the per-site report rows (tracks without one produce no rows).
+// New tracks only need an entry here to become available in the rule editor and the Calibration view.
+export const DENSITY_TRACKS = [
+    { key: 'ss', label: 'Disulfide', shortLabel: 'SS', csvName: 'SS', siteField: 'ssBonds', group: 'ss', color: '#38bdf8', residues: /C/g,
+        positions: (protein, params) => disulfideSitePositions(protein, params.ssCounting),
+        shuffleUnits: (protein, params) => disulfideShuffleUnits(protein, params.ssCounting),
+        unitPositions: (bonds, params) => disulfideSitePositions({ ssBonds: bonds.map(b => b.start), ssBondRanges: bonds }, params.ssCounting) },
+    { key: 'nLinked', label: 'N-Linked', shortLabel: 'N-Gly', csvName: 'N_Linked', siteField: 'nLinked', siteCode: 'N', group: 'glyco', color: '#f43f5e', residues: /N(?=[^P][ST])/g },
+    { key: 'oLinked', label: 'O-Linked', shortLabel: 'O-Gly', csvName: 'O_Linked', siteField: 'oLinked', siteCode: 'O', group: 'glyco', color: '#eab308', residues: /[ST]/g },
+    { key: 'phos', label: 'Phospho', shortLabel: 'Phospho', csvName: 'Phospho', siteField: 'phosphorylation', siteCode: 'P', group: 'phospho', color: '#a855f7', residues: /[STY]/g },
+    { key: 'cLinked', label: 'C-Mannosyl', shortLabel: 'C-Man', csvName: 'C_Linked', siteField: 'cLinked', siteCode: 'CM', group: 'other', color: '#14b8a6', residues: /W/g },
+    { key: 'gpi', label: 'GPI Anchor', shortLabel: 'GPI', csvName: 'GPI_Anchor', siteField: 'gpiAnchor', siteCode: 'GPI', group: 'other', color: '#84cc16', residues: /[SNDGAC]/g },
+    { key: 'lipid', label: 'Lipidation', shortLabel: 'Lipid', csvName: 'Lipidation', siteField: 'lipidation', siteCode: 'L', group: 'other', color: '#f97316', residues: /[CGK]/g },
+    // N-terminal acetylation sits on residue 1 or 2 (after Met removal), lysine acetylation anywhere
+    { key: 'acetyl', label: 'Acetylation', shortLabel: 'Acetyl', csvName: 'Acetylation', siteField: 'acetylation', siteCode: 'AC', group: 'other', color: '#6366f1', residues: /(?<=^.?)[A-Z]|K/g },
+    { key: 'ubiq', label: 'Ubiquitin-like', shortLabel: 'Ubiq', csvName: 'Ubiquitination', siteField: 'ubiquitination', siteCode: 'UB', group: 'other', color: '#ec4899', residues: /K/g },
+    { key: 'xlink', label: 'Cross-link', shortLabel: 'X-link', csvName: 'Cross_Link', siteField: 'crossLinks', siteCode: 'XL', group: 'other', color: '#78716c', residues: /[KQ]/g }
+];
+
+// Tracks drawn in the Calibration view until the user picks others
+export const DEFAULT_CHART_TRACKS = ['ss', 'nLinked', 'oLinked', 'phos'];
+
+// Window/smoothing of groups missing from older parameter objects (same as the calibration defaults)
+const DEFAULT_WINDOW_SIZE = 50;
+const DEFAULT_SMOOTHING = 5;
+
+const trackWindow = (params, track) => ({
+    windowSize: params[`${track.group}WindowSize`] ?? DEFAULT_WINDOW_SIZE,
+    smoothing: params[`${track.group}Smoothing`] ?? DEFAULT_SMOOTHING
+});
+
+export const getTrack = (key) => DENSITY_TRACKS.find(t => t.key === key);
+
+// Sequence windows, or a 3D radius around each residue when a structure is mapped onto the protein
+// (`protein.residueCoords`). Proteins without coordinates (e.g. batch runs) always use the window.
+export const DENSITY_MODES = [
+    { key: 'sequence', label: 'Sequence window' },
+    { key: 'spatial', label: '3D radius (structure)' }
+];
+export const DEFAULT_DENSITY_MODE = 'sequence';
+export const DEFAULT_SPATIAL_RADIUS = 12; // Å
+
+const usesSpatialDensity = (protein, params) =>
+    params.densityMode === 'spatial' && Array.isArray(protein.residueCoords) && protein.residueCoords.length === protein.length;
+
+// Density of one track for the given site positions, in the mode selected by `params`
+const trackDensity = (protein, track, params, positions) => {
+    const { windowSize, smoothing } = trackWindow(params, track);
+    return usesSpatialDensity(protein, params)
+        ? calculateSpatialDensity(positions, protein.residueCoords, params.spatialRadius ?? DEFAULT_SPATIAL_RADIUS, smoothing)
+        : calculateDensity(positions, protein.length, windowSize, smoothing);
+};
+
+// Positions that feed a track's density
+export const sitePositions = (protein, track, params) =>
+    (track.positions ? track.positions(protein, params) : protein[track.siteField]) || [];
+
+// How disulfide bonds enter the SS density
+export const DISULFIDE_COUNTING_MODES = [
+    { key: 'first', label: 'First cysteine' },
+    { key: 'both', label: 'Both cysteines' },
+    { key: 'span', label: 'Whole bond span' }
+];
+export const DEFAULT_DISULFIDE_COUNTING = 'first';
+
+// 'first' keeps the historical behaviour (one position per bond); 'both' adds the partner cysteine;
+// 'span' counts every residue between the two cysteines. Interchain bonds only have one cysteine here.
+export const disulfideSitePositions = (protein, mode = DEFAULT_DISULFIDE_COUNTING) => {
+    const ranges = protein.ssBondRanges || [];
+    if (mode === 'first' || ranges.length === 0) return protein.ssBonds || [];
+    const positions = new Set(protein.ssBonds || []);
+    ranges.forEach(range => {
+        positions.add(range.start);
+        if (range.interchain) return;
+        if (mode === 'both') {
+            positions.add(range.end);
+        } else {
+            for (let pos = range.start; pos <= range.end; pos++) positions.add(pos);
+        }
+    });
+    return [...positions].sort((a, b) => a - b);
+};
+
+// Bonds the permutation test moves as units when the partner cysteine or the span enters the density.
+// 'first' counts one cysteine per bond and keeps shuffling single positions. Proteins without bond
+// ranges have only their listed cysteines.
+const disulfideShuffleUnits = (protein, mode = DEFAULT_DISULFIDE_COUNTING) => {
+    const ranges = protein.ssBondRanges || [];
+    if (mode === 'first' || ranges.length === 0) return null;
+    return ranges.map(({ start, end, interchain }) => ({ start, end, interchain }));
+};
+
+// --- RESIDUE CONTEXT ---
+
+// Exposed: relative solvent accessibility >= 25% (Rost & Sander). Disordered: score >= 0.5, i.e. pLDDT < 50
+// for AlphaFold models or FoldIndex < 0 for the sequence estimate.
+export const EXPOSED_RSA_CUTOFF = 0.25;
+export const DISORDER_CUTOFF = 0.5;
+
+// Per-residue structural context, null where unknown: `rsa` from a structure mapped onto the protein
+// (`protein.residueRsa`) and `disorder` from its pLDDT (`protein.residueDisorder`) or, without a model,
+// the sequence-based estimate
+export const residueContext = (protein) => ({
+    rsa: protein.residueRsa || null,
+    disorder: protein.residueDisorder || predictDisorder(protein.sequence || ''),
+    disorderSource: protein.residueDisorder ? 'plddt' : 'sequence'
+});
+
+// Optional per-condition restriction of the sites that feed a rule track (e.g. only exposed N-glycans)
+export const SITE_CONTEXT_FILTERS = [
+    { key: 'exposed', label: 'Exposed', field: 'rsa', test: (v) => v >= EXPOSED_RSA_CUTOFF },
+    { key: 'buried', label: 'Buried', field: 'rsa', test: (v) => v < EXPOSED_RSA_CUTOFF },
+    { key: 'ordered', label: 'Ordered', field: 'disorder', test: (v) => v < DISORDER_CUTOFF },
+    { key: 'disordered', label: 'Disordered', field: 'disorder', test: (v) => v >= DISORDER_CUTOFF }
+];
+
+// Keeps the positions whose residue passes the filter. Residues without a value (no structure loaded,
+// not covered by the model) are kept: the filter only removes sites it can judge. Without any values
+// (exposure with no structure) nothing is filtered; see unappliedContextFilters.
+export const filterPositionsByContext = (positions, context, filterKey) => {
+    const filter = SITE_CONTEXT_FILTERS.find(f => f.key === filterKey);
+    const values = filter && context[filter.field];
+    if (!values) return positions;
+    return positions.filter(pos => {
+        const value = values[pos - 1];
+        return value === null || value === undefined || filter.test(value);
+    });
+};
+
+// Context filters of the rule that have no values for this protein, e.g. "exposed" without a structure.
+// Their conditions, and the permutation null behind them, count every site of the track.
+export const unappliedContextFilters = (rule, context) => [...new Set(
+    ((rule && rule.conditions) || [])
+        .filter(c => c.context && !context[SITE_CONTEXT_FILTERS.find(f => f.key === c.context)?.field])
+        .map(c => c.context)
+)];
+
+// Key of a condition's density: the track itself, or the track restricted to a site context ("nLinked@exposed")
+export const conditionDensityKey = (condition) => (condition.context ? `${condition.track}@${condition.context}` : condition.track);
+
+// Default rule reproduces the original "SS AND N-Linked" zone definition
+export const DEFAULT_ZONE_RULE = {
+    combinator: 'AND', // 'AND' | 'OR' | 'AT_LEAST'
+    minCount: 2,       // only used by 'AT_LEAST'
+    conditions: [
+        { track: 'ss', threshold: 3 },
+        { track: 'nLinked', threshold: 3 }
+    ]
+};
+
+// Computes the density profile of every registered track
+export const computeTrackDensities = (protein, params) => {
+    const densities = {};
+    DENSITY_TRACKS.forEach(track => {
+        densities[track.key] = trackDensity(protein, track, params, sitePositions(protein, track, params));
+    });
+    // Context-restricted densities of the rule conditions that ask for one
+    let context = null;
+    ((params.zoneRule && params.zoneRule.conditions) || []).forEach(c => {
+        const track = getTrack(c.track);
+        const key = conditionDensityKey(c);
+        if (!track || !c.context || densities[key]) return;
+        context = context || residueContext(protein);
+        densities[key] = trackDensity(protein, track, params, filterPositionsByContext(sitePositions(protein, track, params), context, c.context));
+    });
+    return densities;
+};
+
+// Evaluates the co-localization rule at every residue index
+export const evaluateZoneRule = (densities, rule, length) => {
+    const conditions = rule.conditions.filter(c => densities[conditionDensityKey(c)]);
+    const isZone = new Array(length).fill(false);
+    if (conditions.length === 0) return isZone;
+
+    const required = rule.combinator === 'AND' ? conditions.length
+        : rule.combinator === 'OR' ? 1
+        : Math.min(Math.max(1, rule.minCount), conditions.length);
+
+    for (let i = 0; i < length; i++) {
+        let passed = 0;
+        for (const c of conditions) {
+            if (densities[conditionDensityKey(c)][i] >= c.threshold) passed++;
+        }
+        isZone[i] = passed >= required;
+    }
+    return isZone;
+};
+
+// Human readable summary, e.g. "Disulfide≥3 AND N-Linked≥3"
+export const describeZoneRule = (rule) => {
+    if (rule.conditions.length === 0) return 'No conditions';
+    const contextLabel = (c) => {
+        const filter = SITE_CONTEXT_FILTERS.find(f => f.key === c.context);
+        return filter ? ` (${filter.label.toLowerCase()})` : '';
+    };
+    const terms = rule.conditions.map(c => `${getTrack(c.track)?.label || c.track}${contextLabel(c)}≥${c.threshold}`);
+    if (rule.combinator === 'AT_LEAST') return `≥${rule.minCount} of (${terms.join(', ')})`;
+    return terms.join(` ${rule.combinator} `);
+};
+
+const WINDOW_GROUP_LABELS = { ss: 'SS', glyco: 'glyco', phospho: 'phospho', other: 'other PTMs' };
+
+// One-line record of the parameters behind a density plot (figure captions, exported parameter notes)
+export const describeAnalysisParams = (params) => {
+    const windows = Object.entries(WINDOW_GROUP_LABELS).map(([group, label]) => {
+        const { windowSize, smoothing } = trackWindow(params, { group });
+        return `${label} ${windowSize} aa/±${smoothing}`;
+    });
+    const counting = DISULFIDE_COUNTING_MODES.find(m => m.key === (params.ssCounting || DEFAULT_DISULFIDE_COUNTING));
+    const evidence = EVIDENCE_FILTERS.find(f => f.key === (params.evidenceFilter || DEFAULT_EVIDENCE_FILTER));
+    const parts = [
+        params.densityMode === 'spatial'
+            ? `3D density: sites within ${params.spatialRadius ?? DEFAULT_SPATIAL_RADIUS} Å (sequence windows where no structure is mapped: ${windows.join(', ')})`
+            : `Sliding window/smoothing: ${windows.join(', ')}`,
+        `SS counting: ${counting ? counting.label.toLowerCase() : params.ssCounting}`,
+        `Sites: ${evidence ? evidence.label.toLowerCase() : params.evidenceFilter}`,
+        `Zone rule: ${describeZoneRule(params.zoneRule || DEFAULT_ZONE_RULE)}`
+    ];
+    if (params.permutation && params.permutation.enabled) {
+        parts.push(`Permutation test: ${params.permutation.iterations} shuffles${params.permutation.constrained ? ' (compatible residues)' : ''}`);
+    }
+    return parts.join('; ');
+};
+
+// Converts the threshold fields of older parameter files into an equivalent rule
+export const legacyParamsToZoneRule = (params) => {
+    const conditions = [
+        { track: 'ss', threshold: params.ssThreshold ?? 3 },
+        { track: 'nLinked', threshold: params.glycoThreshold ?? 3 }
+    ];
+    if (params.includePhosphoInZone) {
+        conditions.push({ track: 'phos', threshold: params.phosphoThreshold ?? 3 });
+    }
+    return { combinator: 'AND', minCount: conditions.length, conditions };
+};
+
+// Contiguous runs of zone residues as { start, end } index pairs (end exclusive)
+export const findZoneRegions = (isZone) => {
+    const regions = [];
+    let currentStart = null;
+    for (let i = 0; i < isZone.length; i++) {
+        if (isZone[i] && currentStart === null) {
+            currentStart = i;
+        } else if (!isZone[i] && currentStart !== null) {
+            regions.push({ start: currentStart, end: i });
+            currentStart = null;
+        }
+    }
+    if (currentStart !== null) regions.push({ start: currentStart, end: isZone.length });
+    return regions;
+};
+
+// --- ROBUSTNESS ---
+
+// Groups whose window sizes (and rule thresholds) are varied by the stability sweep
+export const ROBUSTNESS_GROUPS = ['ss', 'glyco'];
+
+// Sweep around the current values: window ± windowSpread in windowStep increments, threshold likewise
+export const DEFAULT_ROBUSTNESS_SETTINGS = { windowSpread: 20, windowStep: 10, thresholdSpread: 1, thresholdStep: 0.5 };
+
+const sweepValues = (center, spread, step, min) => {
+    const values = [];
+    for (let k = -Math.floor(spread / step); k * step <= spread + 1e-9; k++) {
+        const value = Math.round((center + k * step) * 100) / 100;
+        if (value >= min) values.push(value);
+    }
+    return values.length > 0 ? values : [center];
+};
+
+// Largest sweep computeZoneStability runs: every parameter set evaluates the rule over the whole protein
+export const MAX_STABILITY_COMBINATIONS = 5000;
+
+// Values the sweep visits: only the SS/glyco windows and thresholds the rule depends on are varied.
+// Returns { windows: { ss, glyco }, thresholds, combinations } without evaluating anything.
+export const stabilitySweepPlan = (params, settings = DEFAULT_ROBUSTNESS_SETTINGS) => {
+    const { windowSpread, windowStep, thresholdSpread, thresholdStep } = { ...DEFAULT_ROBUSTNESS_SETTINGS, ...settings };
+    const rule = params.zoneRule;
+    const ruleTracks = rule.conditions.map(c => getTrack(c.track)).filter(Boolean);
+    const swept = (track) => track && ROBUSTNESS_GROUPS.includes(track.group);
+
+    const windows = {};
+    ROBUSTNESS_GROUPS.forEach(group => {
+        const { windowSize } = trackWindow(params, { group });
+        windows[group] = ruleTracks.some(t => t.group === group) ? sweepValues(windowSize, windowSpread, windowStep, 5) : [windowSize];
+    });
+    const thresholds = rule.conditions.map(c => (
+        swept(getTrack(c.track)) ? sweepValues(c.threshold, thresholdSpread, thresholdStep, thresholdStep) : [c.threshold]
+    ));
+    const combinations = thresholds.reduce((n, values) => n * values.length, windows.ss.length * windows.glyco.length);
+    return { windows, thresholds, combinations };
+};
+
+// Fraction of the swept parameter sets in which each residue falls in a zone (1 = zone under every
+// variation). Smoothing, the tracks outside the sweep and the combinator stay as in `params`.
+// Sweeps larger than MAX_STABILITY_COMBINATIONS are refused.
+// Returns { stability, combinations, windows: { ss, glyco }, thresholds } with the swept values.
+export const computeZoneStability = (protein, params, settings = DEFAULT_ROBUSTNESS_SETTINGS) => {
+    const rule = params.zoneRule;
+    const { windows, thresholds, combinations: planned } = stabilitySweepPlan(params, settings);
+    if (planned > MAX_STABILITY_COMBINATIONS) {
+        throw new Error(`the stability sweep has ${planned} parameter sets (at most ${MAX_STABILITY_COMBINATIONS}); narrow the spreads or widen the steps`);
+    }
+
+    const cache = new Map();
+    const context = rule.conditions.some(c => c.context) ? residueContext(protein) : null;
+    const densityOf = (condition, track, windowSize) => {
+        const key = `${conditionDensityKey(condition)}:${windowSize}`;
+        if (!cache.has(key)) {
+            const sweptParams = { ...params, [`${track.group}WindowSize`]: windowSize };
+            const positions = sitePositions(protein, track, params);
+            cache.set(key, trackDensity(protein, track, sweptParams, condition.context ? filterPositionsByContext(positions, context, condition.context) : positions));
+        }
+        return cache.get(key);
+    };
+
+    const counts = new Array(protein.length).fill(0);
+    let combinations = 0;
+    windows.ss.forEach(ssWindow => windows.glyco.forEach(glycoWindow => {
+        const densities = {};
+        rule.conditions.forEach(c => {
+            const track = getTrack(c.track);
+            if (!track) return;
+            const windowSize = track.group === 'ss' ? ssWindow : track.group === 'glyco' ? glycoWindow : trackWindow(params, track).windowSize;
+            densities[conditionDensityKey(c)] = densityOf(c, track, windowSize);
+        });
+        // Odometer over the threshold values of each condition
+        const picks = thresholds.map(() => 0);
+        for (;;) {
+            const conditions = rule.conditions.map((c, idx) => ({ ...c, threshold: thresholds[idx][picks[idx]] }));
+            evaluateZoneRule(densities, { ...rule, conditions }, protein.length).forEach((inZone, i) => { if (inZone) counts[i]++; });
+            combinations++;
+            let d = picks.length - 1;
+            while (d >= 0 && ++picks[d] >= thresholds[d].length) picks[d--] = 0;
+            if (d < 0) break;
+        }
+    }));
+
+    return { stability: counts.map(n => n / combinations), combinations, windows, thresholds };
+};
+
+// --- PERMUTATION TEST ---
+
+// Off unless asked for: the shuffles cost about ten times the rest of a protein's analysis, in the
+// Analysis view on every parameter change and for every protein of a batch
+export const DEFAULT_PERMUTATION_SETTINGS = {
+    enabled: false,
+    iterations: 200,
+    constrained: true // shuffle sites only among compatible residues (C, N-X-S/T, S/T, S/T/Y)
+};
+
+// Small deterministic PRNG so that p-values are reproducible for a given protein
+const createRandom = (seedText) => {
+    let seed = 2166136261;
+    for (let i = 0; i < seedText.length; i++) {
+        seed = Math.imul(seed ^ seedText.charCodeAt(i), 16777619);
+    }
+    return () => {
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+// 1-based positions of the residues a site of the given track could occupy
+const findCompatiblePositions = (sequence, track) => {
+    const positions = [];
+    const regex = new RegExp(track.residues.source, 'g');
+    let match;
+    while ((match = regex.exec(sequence || "")) !== null) {
+        positions.push(match.index + 1);
+    }
+    return positions;
+};
+
+// Draws `count` distinct positions from `candidates` (partial Fisher-Yates)
+const samplePositions = (candidates, count, random) => {
+    const pool = [...candidates];
+    const n = Math.min(count, pool.length);
+    for (let i = 0; i < n; i++) {
+        const j = i + Math.floor(random() * (pool.length - i));
+        [pool[i], pool[j]] = [pool[j], pool[i]];
+    }
+    return pool.slice(0, n);
+};
+
+// Places each unit at a new start drawn from `candidates`, keeping its span inside the sequence.
+// Units that find no free start are dropped.
+const placeUnits = (units, candidates, length, random) => {
+    const taken = new Set();
+    const placed = [];
+    units.forEach(unit => {
+        const span = unit.end - unit.start;
+        const free = candidates.filter(start => start + span <= length && !taken.has(start));
+        if (free.length === 0) return;
+        const start = free[Math.floor(random() * free.length)];
+        taken.add(start);
+        placed.push({ ...unit, start, end: start + span });
+    });
+    return placed;
+};
+
+// Shuffles the site positions of every track in the rule and records, per permutation,
+// the longest zone run and the total zone coverage obtained by chance
+export const runPermutationTest = (protein, params, settings) => {
+    const length = protein.length;
+    const random = createRandom(`${protein.id}:${length}`);
+    const allPositions = Array.from({ length }, (_, i) => i + 1);
+
+    // One input per distinct condition density; a context-restricted track keeps its sites, and its
+    // shuffles, within the residues that pass the context filter
+    const context = params.zoneRule.conditions.some(c => c.context) ? residueContext(protein) : null;
+    const inputs = [];
+    params.zoneRule.conditions.forEach(c => {
+        const track = getTrack(c.track);
+        const key = conditionDensityKey(c);
+        if (track && !inputs.some(input => input.key === key)) inputs.push({ key, track, context: c.context });
+    });
+
+    inputs.forEach(input => {
+        const { track, context: filterKey } = input;
+        input.restrict = (positions) => (filterKey ? filterPositionsByContext(positions, context, filterKey) : positions);
+        input.siteCount = input.restrict(sitePositions(protein, track, params)).length;
+        // Tracks with multi-residue sites (disulfide spans) shuffle whole units, drawn by their first residue
+        input.units = track.shuffleUnits ? track.shuffleUnits(protein, params) : null;
+        const needed = input.units ? input.units.length : input.siteCount;
+        const compatible = input.restrict(settings.constrained ? findCompatiblePositions(protein.sequence, track) : []);
+        // Fall back to any (context-passing) residue when the sequence cannot host the observed number of sites
+        input.candidates = compatible.length >= needed && compatible.length > 0 ? compatible : input.restrict(allPositions);
+    });
+
+    const nullStats = [];
+    for (let it = 0; it < settings.iterations; it++) {
+        const densities = {};
+        inputs.forEach(({ key, track, restrict, siteCount, units, candidates }) => {
+            const sites = units
+                ? restrict(track.unitPositions(placeUnits(units, candidates, length, random), params))
+                : samplePositions(candidates, siteCount, random);
+            densities[key] = trackDensity(protein, track, params, sites);
+        });
+        const isZone = evaluateZoneRule(densities, params.zoneRule, length);
+        let longestRun = 0, coverage = 0, run = 0;
+        for (let i = 0; i < length; i++) {
+            if (isZone[i]) {
+                run++;
+                coverage++;
+                if (run > longestRun) longestRun = run;
+            } else {
+                run = 0;
+            }
+        }
+        nullStats.push({ longestRun, coverage });
+    }
+    return nullStats;
+};
+
+// Empirical p-value with the usual +1 correction
+const empiricalPValue = (nullValues, observed) => {
+    const exceed = nullValues.filter(v => v >= observed).length;
+    return (exceed + 1) / (nullValues.length + 1);
+};
+
+// Benjamini-Hochberg adjusted p-values (q-values), returned in input order
+export const benjaminiHochberg = (pValues) => {
+    const m = pValues.length;
+    const order = pValues.map((p, i) => ({ p, i })).sort((a, b) => a.p - b.p);
+    const qValues = new Array(m);
+    let minQ = 1;
+    for (let rank = m; rank >= 1; rank--) {
+        const { p, i } = order[rank - 1];
+        minQ = Math.min(minQ, (p * m) / rank);
+        qValues[i] = minQ;
+    }
+    return qValues;
+};
+
+// Region-level significance: each zone is compared with the longest chance zone of each permutation
+export const scoreZoneRegions = (regions, nullStats) => {
+    const nullRuns = nullStats.map(s => s.longestRun);
+    const pValues = regions.map(r => empiricalPValue(nullRuns, r.end - r.start));
+    const qValues = benjaminiHochberg(pValues);
+    return regions.map((r, i) => ({ ...r, pValue: pValues[i], qValue: qValues[i] }));
+};
+
+// Zone regions of one protein, scored against its permutation test when the test is enabled
+export const scoredZoneRegions = (protein, params, isZone) => {
+    const regions = findZoneRegions(isZone);
+    if (!params.permutation || !params.permutation.enabled || regions.length === 0) return regions;
+    return scoreZoneRegions(regions, runPermutationTest(protein, params, params.permutation));
+};
+
+// Multiple-testing correction across a proteome run: one test per protein.
+// Protein summaries are the reference set when present (they include proteins without sites);
+// otherwise the p-values are collected from the site rows.
+export const applyProteomeFdr = (rows, summaries = []) => {
+    const pByProtein = new Map();
+    const source = summaries.length > 0 ? summaries : rows;
+    source.forEach(r => {
+        if (r.zonePValue !== null && r.zonePValue !== undefined) pByProtein.set(r.accession, r.zonePValue);
+    });
+    const accessions = [...pByProtein.keys()];
+    const qValues = benjaminiHochberg(accessions.map(a => pByProtein.get(a)));
+    const qByProtein = new Map(accessions.map((a, i) => [a, qValues[i]]));
+    const withQ = (r) => ({ ...r, zoneQValue: qByProtein.has(r.accession) ? qByProtein.get(r.accession) : null });
+    return { rows: rows.map(withQ), summaries: summaries.map(withQ) };
+};
+
+export const formatPValue = (p) => (p === null || p === undefined) ? "" : p.toPrecision(3);
+
+// Sites produced by the sequence predictors (not UniProt) are listed per site field in `protein.predictedSites`
+export const isPredictedSite = (protein, siteField, pos) =>
+    Boolean(protein.predictedSites && protein.predictedSites[siteField] && protein.predictedSites[siteField].includes(pos));
+
+// Pure Analytic Function for a single protein.
+// Returns the per-site report rows and a protein-level summary of its zones.
+export const analyzeProtein = (rawProtein, params) => {
+    const protein = filterSitesByEvidence(rawProtein, params.evidenceFilter);
+    const length = protein.length;
+
+    // 1. Calculate Densities and the zone defined by the co-localization rule
+    const densities = computeTrackDensities(protein, params);
+    const isHighDensityZone = evaluateZoneRule(densities, params.zoneRule, length);
+    const coverage = isHighDensityZone.filter(Boolean).length;
+
+    // 2. Protein-level significance: total zone coverage against shuffled sites
+    let zonePValue = null;
+    if (params.permutation && params.permutation.enabled) {
+        zonePValue = coverage === 0 ? 1
+            : empiricalPValue(runPermutationTest(protein, params, params.permutation).map(s => s.coverage), coverage);
+    }
+
+    // Only annotated bonds count as UniProt disulfides; predicted pairs are left out
+    const annotatedBondRanges = (protein.ssBondRanges || []).filter(range => !isPredictedSite(protein, 'ssBonds', range.start));
+
+    // Helper to process a list of sites
+    const processSites = (sites, siteField, typeCode, typeLabel) => {
+        return sites.map(pos => {
+            const arrayIndex = pos - 1; 
+            
+            // Check if embedded in a Disulfide (UniProt Range)
+            const embeddedInSS = annotatedBondRanges.some(range => pos >= range.start && pos <= range.end);
+
+            // Check if in Co-localization zone
+            const inHighDensity = isHighDensityZone[arrayIndex] || false;
+
+            return {
+                gene: protein.gene,
+                accession: protein.id,
+                scientificName: protein.scientificName,
+                glycosite: `${typeCode}${pos}`, // e.g. N123, P456
+                ...siteContext(protein, pos),
+                type: typeLabel,
+                inUniProtDisulfide: embeddedInSS,
+                inHighDensityZone: inHighDensity,
+                predicted: isPredictedSite(protein, siteField, pos),
+                ...siteEvidence(protein, siteField, pos),
+                zonePValue
+            };
+        });
+    };
+
+    const rows = DENSITY_TRACKS.filter(track => track.siteCode)
+        .flatMap(track => processSites(protein[track.siteField] || [], track.siteField, track.siteCode, track.label));
+
+    // 3. Protein-level summary: same zone coordinates as the Analysis view's regions list
+    const siteCounts = {};
+    const maxDensities = {};
+    DENSITY_TRACKS.forEach(track => {
+        siteCounts[track.key] = (protein[track.siteField] || []).length;
+        maxDensities[track.key] = densities[track.key].reduce((max, v) => (v > max ? v : max), 0);
+    });
+    const summary = {
+        accession: protein.id,
+        gene: protein.gene,
+        scientificName: protein.scientificName,
+        length,
+        siteCounts,
+        maxDensities,
+        zones: findZoneRegions(isHighDensityZone).map(z => ({ ...z, length: z.end - z.start })),
+        zoneCoverage: coverage,
+        zonePValue,
+        unappliedContextFilters: params.zoneRule.conditions.some(c => c.context)
+            ? unappliedContextFilters(params.zoneRule, residueContext(protein)) : []
+    };
+
+    return { rows, summary };
+};
+
+// --- PROTEOME STATISTICS ---
+
+// Lanczos approximation of ln(Gamma(x)), accurate to ~15 digits for x > 0
+const LANCZOS = [
+    676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61502916214059,
+    12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
+];
+const lnGamma = (x) => {
+    if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - lnGamma(1 - x);
+    x -= 1;
+    let a = 0.99999999999980993;
+    const t = x + 7.5;
+    for (let i = 0; i < LANCZOS.length; i++) a += LANCZOS[i] / (x + i + 1);
+    return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
+};
+const lnChoose = (n, k) => lnGamma(n + 1) - lnGamma(k + 1) - lnGamma(n - k + 1);
+
+// Two-sided Fisher's exact test on the 2x2 table [[a, b], [c, d]].
+// The odds ratio uses the Haldane-Anscombe +0.5 correction when a cell is empty.
+export const fisherExactTest = (a, b, c, d) => {
+    const row1 = a + b, col1 = a + c, n = a + b + c + d;
+    const lnDenominator = lnChoose(n, row1);
+    const lnP = (x) => lnChoose(col1, x) + lnChoose(n - col1, row1 - x) - lnDenominator;
+
+    const observed = lnP(a);
+    let pValue = 0;
+    for (let x = Math.max(0, row1 + col1 - n); x <= Math.min(row1, col1); x++) {
+        const lp = lnP(x);
+        if (lp <= observed + 1e-7) pValue += Math.exp(lp);
+    }
+
+    const hasZero = a === 0 || b === 0 || c === 0 || d === 0;
+    const oddsRatio = hasZero
+        ? ((a + 0.5) * (d + 0.5)) / ((b + 0.5) * (c + 0.5))
+        : (a * d) / (b * c);
+    return { oddsRatio, pValue: Math.min(1, pValue) };
+};
+
+// Counts values into fixed-width bins, the last bin collecting everything above `maxValue`
+const histogram = (values, binWidth, maxValue) => {
+    const binCount = Math.ceil(maxValue / binWidth);
+    const bins = Array.from({ length: binCount + 1 }, (_, i) => ({
+        label: i < binCount ? (binWidth === 1 ? `${i * binWidth}` : `${i * binWidth}-${(i + 1) * binWidth - 1}`) : `${binCount * binWidth}+`,
+        count: 0
+    }));
+    values.forEach(v => {
+        bins[Math.min(binCount, Math.floor(v / binWidth))].count++;
+    });
+    return bins;
+};
+
+// Aggregate view of a batch run built from its site rows and protein summaries
+export const summarizeProteome = (rows, summaries, topN = 10) => {
+    const proteinCount = summaries.length;
+    const proteinsWithZone = summaries.filter(s => s.zones.length > 0).length;
+    const zoneLengths = summaries.flatMap(s => s.zones.map(z => z.end - z.start));
+
+    // Site counts per type, inside vs outside zones
+    const byType = {};
+    rows.forEach(r => {
+        if (!byType[r.type]) byType[r.type] = { type: r.type, inZone: 0, outsideZone: 0 };
+        if (r.inHighDensityZone) byType[r.type].inZone++;
+        else byType[r.type].outsideZone++;
+    });
+    const sitesByType = Object.values(byType);
+
+    // Enrichment of each site type in zones, relative to all other residues
+    const totalResidues = summaries.reduce((sum, s) => sum + s.length, 0);
+    const zoneResidues = summaries.reduce((sum, s) => sum + s.zoneCoverage, 0);
+    const enrichment = sitesByType.map(({ type, inZone, outsideZone }) => {
+        const c = Math.max(0, zoneResidues - inZone);
+        const d = Math.max(0, totalResidues - zoneResidues - outsideZone);
+        return { type, inZone, outsideZone, ...fisherExactTest(inZone, outsideZone, c, d) };
+    });
+
+    const topProteins = [...summaries]
+        .filter(s => s.zoneCoverage > 0)
+        .sort((x, y) => y.zoneCoverage - x.zoneCoverage)
+        .slice(0, topN)
+        .map(s => ({
+            gene: s.gene,
+            accession: s.accession,
+            zoneCoverage: s.zoneCoverage,
+            coverageFraction: s.length ? s.zoneCoverage / s.length : 0
+        }));
+
+    return {
+        proteinCount,
+        proteinsWithZone,
+        fractionWithZone: proteinCount ? proteinsWithZone / proteinCount : 0,
+        zoneCount: zoneLengths.length,
+        zoneCountHistogram: histogram(summaries.map(s => s.zones.length), 1, 10),
+        zoneLengthHistogram: histogram(zoneLengths, 20, 300),
+        sitesByType,
+        enrichment,
+        topProteins
+    };
+};
+
+// --- SITE EVIDENCE ---
+
+// UniProt ECO codes grouped into the evidence levels offered by the filters
+const ECO_LEVELS = {
+    'ECO:0000269': 'experimental', // experimental evidence, manual assertion
+    'ECO:0000314': 'experimental', // direct assay
+    'ECO:0007744': 'experimental', // large-scale experimental (proteomics, structures)
+    'ECO:0000303': 'curated',      // author statement
+    'ECO:0000305': 'curated',      // curator inference
+    'ECO:0000312': 'curated',      // imported from another database, manual
+    'ECO:0000250': 'similarity',   // sequence similarity
+    'ECO:0000266': 'similarity',   // sequence orthology
+    'ECO:0000255': 'predicted',    // sequence model, manual
+    'ECO:0000256': 'predicted',    // sequence model, automatic
+    'ECO:0000259': 'predicted',    // InterPro match
+    'ECO:0000313': 'predicted'     // imported, automatic
+};
+
+// Strongest first; a site backed by several evidences takes the strongest level
+export const EVIDENCE_LEVELS = ['experimental', 'curated', 'similarity', 'predicted', 'unknown'];
+
+export const evidenceLevelFromCodes = (codes) => {
+    const ranks = codes.map(code => EVIDENCE_LEVELS.indexOf(ECO_LEVELS[code] || 'unknown'));
+    return ranks.length > 0 ? EVIDENCE_LEVELS[Math.min(...ranks)] : 'unknown';
+};
+
+// Splits a UniProt feature description, e.g. "N-linked (GlcNAc...) asparagine; by host" or "Phosphoserine; by PKA"
+const describeSite = (f, sequence, pos) => {
+    const description = f.description || "";
+    const glycan = description.match(/\(([^)]+)\)/);
+    const enzyme = description.match(/;\s*by ([^;]+)/);
+    const codes = [...new Set((f.evidences || []).map(e => e.evidenceCode).filter(Boolean))];
+    return {
+        evidence: evidenceLevelFromCodes(codes),
+        evidenceCodes: codes,
+        description,
+        residue: (sequence || "")[pos - 1] || "",
+        glycan: f.type === 'Glycosylation' && glycan ? glycan[1] : "",
+        enzyme: enzyme ? enzyme[1].trim() : ""
+    };
+};
+
+const SEQUENCE_PREDICTION = { evidence: 'predicted', evidenceCodes: [], description: 'Predicted from sequence', glycan: "", enzyme: "" };
+
+// Evidence and annotation details of one site: { evidence, evidenceCodes, description, residue, glycan, enzyme }
+export const siteEvidence = (protein, siteField, pos) => {
+    const details = protein.siteDetails && protein.siteDetails[siteField] && protein.siteDetails[siteField][pos];
+    if (details) return details;
+    const residue = (protein.sequence || "")[pos - 1] || "";
+    if (isPredictedSite(protein, siteField, pos)) return { ...SEQUENCE_PREDICTION, residue };
+    return { evidence: 'unknown', evidenceCodes: [], description: "", residue, glycan: "", enzyme: "" };
+};
+
+// Site filters of the parameter panel; `levels` lists the evidence levels that are kept
+export const EVIDENCE_FILTERS = [
+    { key: 'all', label: 'All sites', levels: EVIDENCE_LEVELS },
+    { key: 'noPredicted', label: 'Exclude predicted', levels: ['experimental', 'curated', 'similarity', 'unknown'] },
+    { key: 'experimental', label: 'Experimental only', levels: ['experimental'] }
+];
+export const DEFAULT_EVIDENCE_FILTER = 'all';
+
+// Drops the sites (and disulfide bonds) whose evidence level the filter excludes
+export const filterSitesByEvidence = (protein, filterKey = DEFAULT_EVIDENCE_FILTER) => {
+    const filter = EVIDENCE_FILTERS.find(f => f.key === filterKey);
+    if (!protein || !filter || filter.key === 'all') return protein;
+    const keep = (siteField) => (pos) => filter.levels.includes(siteEvidence(protein, siteField, pos).evidence);
+    const filtered = { ...protein };
+    DENSITY_TRACKS.forEach(track => {
+        filtered[track.siteField] = (protein[track.siteField] || []).filter(keep(track.siteField));
+    });
+    filtered.ssBondRanges = (protein.ssBondRanges || []).filter(range => keep('ssBonds')(range.start));
+    return filtered;
+};
+
+// Feature types drawn in the domain/topology ribbon rather than as site tracks
+const REGION_FEATURE_TYPES = {
+    'Domain': 'domain',
+    'Signal': 'signal',
+    'Transmembrane': 'transmembrane',
+    'Topological domain': 'topology'
+};
+
+// Entry name, protein name, review status and isoforms, for telling apart several entries matching a search.
+// Isoforms are [{ id, name, canonical }] from the "Alternative products" comment (empty when not requested).
+const entryMetadata = (entry) => {
+    const description = entry.proteinDescription || {};
+    const name = (description.recommendedName && description.recommendedName.fullName)
+        || (description.submissionNames && description.submissionNames[0] && description.submissionNames[0].fullName);
+    const alternativeProducts = (entry.comments || []).find(c => c.commentType === 'ALTERNATIVE PRODUCTS');
+    const isoforms = ((alternativeProducts && alternativeProducts.isoforms) || [])
+        .filter(iso => iso.isoformIds && iso.isoformIds.length > 0)
+        .map(iso => ({
+            id: iso.isoformIds[0],
+            name: iso.name ? iso.name.value : iso.isoformIds[0],
+            canonical: iso.isoformSequenceStatus === 'Displayed'
+        }));
+    return {
+        entryName: entry.uniProtkbId || null,
+        proteinName: name ? name.value : null,
+        reviewed: entry.entryType ? !/unreviewed|TrEMBL/i.test(entry.entryType) : null,
+        isoforms
+    };
+};
+
+// Domains and topology around a residue, for the site reports
+export const siteContext = (protein, pos) => {
+    const here = (protein.regions || []).filter(r => pos >= r.start && pos <= r.end);
+    const domain = here.filter(r => r.type === 'domain').map(r => r.description).join(';');
+    const topo = here.find(r => r.type !== 'domain');
+    const topology = !topo ? "" : topo.type === 'topology' ? topo.description : topo.type === 'signal' ? 'Signal peptide' : 'Transmembrane';
+    return { domain, topology };
+};
+
+// Centralized parser to convert UniProt JSON to our internal format
+export const parseUniProtEntry = (entry) => {
+    const sequence = entry.sequence.value;
+    const length = entry.sequence.length;
+    const features = entry.features || [];
+    
+    const scientificName = entry.organism ? entry.organism.scientificName : "Unknown Species";
+    const organismId = entry.organism && entry.organism.taxonId ? String(entry.organism.taxonId) : null;
+
+    let geneName = entry.primaryAccession;
+    if (entry.genes && entry.genes.length > 0 && entry.genes[0].geneName) {
+        geneName = entry.genes[0].geneName.value;
+    }
+
+    const ssBonds = [];
+    const ssBondRanges = [];
+    const nLinked = [];
+    const oLinked = [];
+    const phosphorylation = [];
+    const cLinked = [];
+    const gpiAnchor = [];
+    const lipidation = [];
+    const acetylation = [];
+    const ubiquitination = [];
+    const crossLinks = [];
+    const regions = [];
+    const siteDetails = Object.fromEntries(DENSITY_TRACKS.map(t => [t.siteField, {}]));
+    const addSite = (list, siteField, f) => {
+        const pos = f.location.start.value;
+        list.push(pos);
+        siteDetails[siteField][pos] = describeSite(f, sequence, pos);
+    };
+
+    features.forEach(f => {
+        if (f.type === 'Disulfide bond') {
+            const start = f.location.start.value;
+            const end = f.location.end.value;
+            // Interchain bonds link to another chain: UniProt gives a single position and says so in the description
+            const interchain = start === end || /interchain/i.test(f.description || "");
+            addSite(ssBonds, 'ssBonds', f);
+            ssBondRanges.push({ start, end, interchain });
+        } else if (f.type === 'Glycosylation') {
+            if (f.description.includes('N-linked')) {
+                addSite(nLinked, 'nLinked', f);
+            } else if (f.description.includes('O-linked')) {
+                addSite(oLinked, 'oLinked', f);
+            } else if (f.description.includes('C-linked')) {
+                addSite(cLinked, 'cLinked', f);
+            }
+        } else if (f.type === 'Modified residue') {
+            const desc = f.description ? f.description.toLowerCase() : "";
+            if (desc.includes('phospho')) {
+                addSite(phosphorylation, 'phosphorylation', f);
+            } else if (desc.includes('acetyl')) {
+                addSite(acetylation, 'acetylation', f);
+            }
+        } else if (f.type === 'Lipidation') {
+            if (/GPI-anchor/i.test(f.description || "")) {
+                addSite(gpiAnchor, 'gpiAnchor', f);
+            } else {
+                addSite(lipidation, 'lipidation', f);
+            }
+        } else if (f.type === 'Cross-link') {
+            // Isopeptide bonds to ubiquitin and ubiquitin-like modifiers vs. all other cross-links
+            const ubiquitinLike = /ubiquitin|SUMO|NEDD8|ISG15|UFM1|URM1|ATG12/i.test(f.description || "");
+            if (ubiquitinLike) {
+                addSite(ubiquitination, 'ubiquitination', f);
+            } else {
+                addSite(crossLinks, 'crossLinks', f);
+            }
+        } else if (REGION_FEATURE_TYPES[f.type]) {
+            regions.push({
+                type: REGION_FEATURE_TYPES[f.type],
+                start: f.location.start.value,
+                end: f.location.end.value,
+                description: f.description || f.type
+            });
+        }
+    });
+
+    return {
+        id: entry.primaryAccession,
+        gene: geneName,
+        scientificName,
+        organismId,
+        length,
+        sequence,
+        ssBonds,
+        ssBondRanges, 
+        nLinked,
+        oLinked,
+        phosphorylation,
+        cLinked,
+        gpiAnchor,
+        lipidation,
+        acetylation,
+        ubiquitination,
+        crossLinks,
+        regions,
+        siteDetails,
+        ...entryMetadata(entry)
+    };
+};
+
+// --- UNIPROT DUMP FILES ---
+
+// Feature keywords used by the UniProt TSV and flat text formats, mapped to the JSON feature types
+const TSV_FEATURE_TYPES = {
+    DISULFID: 'Disulfide bond',
+    CARBOHYD: 'Glycosylation',
+    MOD_RES: 'Modified residue',
+    LIPID: 'Lipidation',
+    CROSSLNK: 'Cross-link',
+    DOMAIN: 'Domain',
+    SIGNAL: 'Signal',
+    TRANSMEM: 'Transmembrane',
+    TOPO_DOM: 'Topological domain'
+};
+const TSV_FEATURE_KEYS = Object.keys(TSV_FEATURE_TYPES).join('|');
+
+// `ECO:0000269|PubMed:123, ECO:0000250|UniProtKB:P123` -> [{ evidenceCode }] as in the JSON format
+const parseEvidenceCodes = (text) => (text.match(/ECO:\d{7}/g) || []).map(evidenceCode => ({ evidenceCode }));
+
+// Parses a TSV feature cell such as `CARBOHYD 45; /note="N-linked (GlcNAc...) asparagine"; /evidence="..."`
+const parseTsvFeatures = (cell) => {
+    if (!cell) return [];
+    const features = [];
+    const chunks = cell.split(new RegExp(`(?=\\b(?:${TSV_FEATURE_KEYS}) )`));
+    chunks.forEach(chunk => {
+        const match = chunk.match(new RegExp(`^(${TSV_FEATURE_KEYS}) [<>?]?(\\d+)(?:\\.\\.[<>?]?(\\d+))?`));
+        if (!match) return;
+        const start = Number(match[2]);
+        const end = match[3] ? Number(match[3]) : start;
+        const note = chunk.match(/\/note="([^"]*)"/);
+        const evidence = chunk.match(/\/evidence="([^"]*)"/);
+        features.push({
+            type: TSV_FEATURE_TYPES[match[1]],
+            location: { start: { value: start }, end: { value: end } },
+            description: note ? note[1] : "",
+            evidences: parseEvidenceCodes(evidence ? evidence[1] : "")
+        });
+    });
+    return features;
+};
+
+// Converts a UniProt TSV export (with header row) into JSON-shaped entries
+const parseUniProtTsv = (text) => {
+    const lines = text.split(/\r?\n/).filter(l => l.trim());
+    if (lines.length === 0) return [];
+    const header = lines[0].split('\t');
+    const col = (name) => header.indexOf(name);
+    const idx = {
+        accession: col('Entry'),
+        genes: col('Gene Names'),
+        sequence: col('Sequence'),
+        organism: col('Organism'),
+        organismId: col('Organism (ID)'),
+        features: ['Disulfide bond', 'Glycosylation', 'Modified residue', 'Lipidation', 'Cross-link',
+            'Domain [FT]', 'Signal peptide', 'Transmembrane', 'Topological domain'].map(col)
+    };
+    if (idx.accession < 0 || idx.sequence < 0) {
+        throw new Error('TSV dump must contain at least the "Entry" and "Sequence" columns.');
+    }
+    const cell = (cells, i) => (i >= 0 ? cells[i] || "" : "");
+
+    return lines.slice(1).map(line => {
+        const cells = line.split('\t');
+        const sequence = cell(cells, idx.sequence).trim();
+        const gene = cell(cells, idx.genes).split(' ')[0];
+        return {
+            primaryAccession: cell(cells, idx.accession),
+            genes: gene ? [{ geneName: { value: gene } }] : [],
+            organism: {
+                scientificName: cell(cells, idx.organism) || "Unknown Species",
+                taxonId: cell(cells, idx.organismId) || undefined
+            },
+            sequence: { value: sequence, length: sequence.length },
+            features: idx.features.flatMap(i => parseTsvFeatures(cell(cells, i)))
+        };
+    });
+};
+
+// Converts UniProt flat text (the `.dat`/`.txt` format: ID/AC/GN/OS/OX/FT/SQ lines, entries ended by `//`)
+// into JSON-shaped entries
+export const parseUniProtFlatText = (text) => {
+    const entries = [];
+    let lines = [];
+    const finishEntry = () => {
+        if (lines.length > 0) entries.push(parseFlatEntry(lines));
+        lines = [];
+    };
+    text.split(/\r?\n/).forEach(line => {
+        if (line.startsWith('//')) finishEntry();
+        else if (line.trim()) lines.push(line);
+    });
+    finishEntry();
+    return entries;
+};
+
+const parseFlatEntry = (lines) => {
+    const field = (code) => lines.filter(l => l.startsWith(`${code}   `)).map(l => l.slice(5).trim()).join(' ');
+
+    const accession = field('AC').split(';')[0].trim();
+    const geneMatch = field('GN').match(/Name=([^;{]+)/);
+    const organism = field('OS').replace(/\.$/, '').split(' (')[0].trim();
+    const taxonMatch = field('OX').match(/NCBI_TaxID=(\d+)/);
+
+    // Sequence block: every line after SQ (indented, grouped in tens)
+    const sqIndex = lines.findIndex(l => l.startsWith('SQ   '));
+    const sequence = sqIndex < 0 ? "" : lines.slice(sqIndex + 1).join('').replace(/\s+/g, '');
+
+    // Features: a key line (`FT   CARBOHYD        45`) followed by qualifier lines (`FT                   /note="..."`)
+    const features = [];
+    let current = null;
+    lines.filter(l => l.startsWith('FT   ')).forEach(l => {
+        const keyMatch = l.match(/^FT {3}(\S+)\s+[<>?]?(\d+)(?:\.\.[<>?]?(\d+))?/);
+        if (keyMatch) {
+            current = TSV_FEATURE_TYPES[keyMatch[1]]
+                ? { type: TSV_FEATURE_TYPES[keyMatch[1]], location: { start: { value: Number(keyMatch[2]) }, end: { value: Number(keyMatch[3] || keyMatch[2]) } }, description: "", evidences: [] }
+                : null;
+            if (current) features.push(current);
+            return;
+        }
+        if (!current) return;
+        const note = l.match(/\/note="([^"]*)"?/);
+        if (note) current.description = note[1];
+        // Evidence lists wrap over several lines; ECO codes are picked up wherever they appear
+        current.evidences.push(...parseEvidenceCodes(l.includes('/note=') ? "" : l));
+    });
+
+    return {
+        primaryAccession: accession,
+        genes: geneMatch ? [{ geneName: { value: geneMatch[1].trim() } }] : [],
+        organism: { scientificName: organism || "Unknown Species", taxonId: taxonMatch ? taxonMatch[1] : undefined },
+        sequence: { value: sequence, length: sequence.length },
+        features
+    };
+};
+
+// Accepts a UniProt REST JSON export ({ results: [...] }, a bare array or a single entry), a TSV export
+// or flat text and returns raw entries ready for parseUniProtEntry
+export const parseUniProtDump = (text) => {
+    const trimmed = text.trimStart();
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+        const json = JSON.parse(trimmed);
+        if (json.primaryAccession) return [json];
+        const entries = Array.isArray(json) ? json : json.results;
+        if (!Array.isArray(entries)) throw new Error('JSON dump has no "results" array.');
+        return entries;
+    }
+    if (trimmed.startsWith('ID   ')) return parseUniProtFlatText(text);
+    return parseUniProtTsv(text);
+};
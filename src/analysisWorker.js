@@ -0,0 +1,14 @@
+// Batch worker: parses and analyzes one page of proteins off the main thread
+import { analyzeBatch } from './pipeline.js';
+
+self.onmessage = (e) => {
+    const { id, entries, proteins, params } = e.data;
+    try {
+        // UniProt pages arrive as raw JSON entries, FASTA uploads as already parsed proteins
+        const items = proteins || entries;
+        const { rows, summaries, failed } = analyzeBatch(items, params, { parse: !proteins });
+        self.postMessage({ id, rows, summaries, failed, count: items.length });
+    } catch (err) {
+        self.postMessage({ id, error: err.message });
+    }
+};
@@ -0,0 +1,361 @@
+// Automatic calibration: searches the window / smoothing / threshold parameters of the current zone rule
+// against a reference set of known zones or positive/negative proteins. Pure, so it runs in a worker.
+
+import { calculateDensity, sitePositions, getTrack, residueContext, filterPositionsByContext, conditionDensityKey } from './analysis.js';
+
+// --- TRAINING SET ---
+
+const POSITIVE_LABELS = /^(positive|pos|yes|true|1|\+)$/i;
+const NEGATIVE_LABELS = /^(negative|neg|no|false|0|-)$/i;
+
+// One entry per line, comma/tab/space separated; '#' comments and a header line are skipped.
+//   P02751,1205,1290        known zone of P02751 at residues 1205-1290 (1-based, inclusive)
+//   P02751,positive         protein-level label (positive/negative, yes/no, 1/0)
+// Several zone lines may share an accession. Returns { examples, errors, level } where `level` is
+// 'residue' when every positive protein has zone coordinates and 'protein' otherwise.
+export const parseTrainingSet = (text) => {
+    const byAccession = new Map();
+    const errors = [];
+    let headerSkipped = false;
+    const example = (accession) => {
+        if (!byAccession.has(accession)) byAccession.set(accession, { accession, zones: [], label: null });
+        return byAccession.get(accession);
+    };
+
+    text.split(/\r?\n/).forEach((raw, i) => {
+        const line = raw.replace(/#.*/, '').trim();
+        if (!line) return;
+        const cells = line.split(/[\s,;]+/).filter(Boolean);
+        const [accession, second, third] = cells;
+        if (cells.length >= 3 && /^\d+$/.test(second) && /^\d+$/.test(third)) {
+            const start = Number(second);
+            const end = Number(third);
+            if (start < 1 || end < start) {
+                errors.push({ line: i + 1, message: `invalid range ${second}-${third}` });
+                return;
+            }
+            const ex = example(accession.toUpperCase());
+            ex.zones.push({ start, end });
+            ex.label = true;
+        } else if (cells.length === 2 && (POSITIVE_LABELS.test(second) || NEGATIVE_LABELS.test(second))) {
+            const ex = example(accession.toUpperCase());
+            if (ex.label === true && NEGATIVE_LABELS.test(second)) {
+                errors.push({ line: i + 1, message: `${accession} is labelled both positive and negative` });
+                return;
+            }
+            ex.label = POSITIVE_LABELS.test(second);
+        } else if (!headerSkipped && byAccession.size === 0) {
+            headerSkipped = true;
+        } else {
+            errors.push({ line: i + 1, message: `expected "accession,start,end" or "accession,positive|negative"` });
+        }
+    });
+
+    const examples = [...byAccession.values()];
+    const level = examples.length > 0 && examples.every(ex => !ex.label || ex.zones.length > 0) ? 'residue' : 'protein';
+    return { examples, errors, level };
+};
+
+// --- SEARCH SPACE ---
+
+const GRID_VALUES = {
+    coarse: { window: [20, 35, 50, 75, 100], smoothing: [0, 3, 6], threshold: [1, 2, 3, 4, 5] },
+    fine: { window: [15, 20, 25, 30, 40, 50, 60, 75, 100, 150], smoothing: [0, 1, 2, 3, 5, 8], threshold: [1, 1.5, 2, 2.5, 3, 3.5, 4, 5, 6, 8] }
+};
+
+const GROUP_LABELS = { ss: 'SS', glyco: 'Glyco', phospho: 'Phospho', other: 'Other PTM' };
+
+export const CALIBRATION_OBJECTIVES = [
+    { key: 'f1', label: 'F1 (residue overlap / protein calls)' },
+    { key: 'auroc', label: 'AUROC' }
+];
+
+// Full grid over the coarse values, or random samples of the fine values refined by hill climbing
+export const CALIBRATION_STRATEGIES = [
+    { key: 'grid', label: 'Grid search (coarse)' },
+    { key: 'random', label: 'Random search + hill climbing (fine)' }
+];
+
+// Dimensions searched for a rule: window and smoothing of every group its conditions use, plus each
+// condition's threshold. The default SS AND N-Linked rule gives the classic six parameters.
+export const calibrationSpace = (rule, resolution = 'coarse') => {
+    const values = GRID_VALUES[resolution] || GRID_VALUES.coarse;
+    const tracks = rule.conditions.map(c => getTrack(c.track)).filter(Boolean);
+    const groups = [...new Set(tracks.map(t => t.group))];
+    return [
+        ...groups.flatMap(group => [
+            { key: `${group}WindowSize`, label: `${GROUP_LABELS[group] || group} window`, values: values.window },
+            { key: `${group}Smoothing`, label: `${GROUP_LABELS[group] || group} smoothing`, values: values.smoothing }
+        ]),
+        ...rule.conditions.map((c, idx) => ({
+            key: `threshold:${idx}`,
+            label: `${getTrack(c.track) ? getTrack(c.track).label : c.track} threshold`,
+            values: values.threshold
+        }))
+    ];
+};
+
+// Parameters with one point of the space applied (window/smoothing fields and rule thresholds)
+export const applyCalibrationPoint = (params, dims, point) => {
+    const next = { ...params, zoneRule: { ...params.zoneRule, conditions: params.zoneRule.conditions.map(c => ({ ...c })) } };
+    dims.forEach((dim, d) => {
+        const value = dim.values[point[d]];
+        if (dim.key.startsWith('threshold:')) next.zoneRule.conditions[Number(dim.key.split(':')[1])].threshold = value;
+        else next[dim.key] = value;
+    });
+    return next;
+};
+
+// --- SCORING ---
+
+// How strongly each residue satisfies the rule: each condition contributes density / threshold and the
+// rule keeps the min (AND), max (OR) or k-th largest (AT_LEAST k). A residue is in a zone iff this is >= 1,
+// which is exactly evaluateZoneRule, but the value also ranks residues for the AUROC.
+const ruleSatisfaction = (densities, conditions, required, out) => {
+    const n = conditions.length;
+    const ratios = new Float64Array(n);
+    for (let i = 0; i < out.length; i++) {
+        for (let c = 0; c < n; c++) {
+            ratios[c] = conditions[c].threshold > 0 ? densities[c][i] / conditions[c].threshold : Infinity;
+        }
+        if (required === n || required === 1) {
+            let value = ratios[0];
+            for (let c = 1; c < n; c++) value = required === n ? Math.min(value, ratios[c]) : Math.max(value, ratios[c]);
+            out[i] = value;
+        } else {
+            out[i] = Array.from(ratios).sort((a, b) => b - a)[required - 1];
+        }
+    }
+    return out;
+};
+
+const requiredConditions = (rule) => rule.combinator === 'AND' ? rule.conditions.length
+    : rule.combinator === 'OR' ? 1
+    : Math.min(Math.max(1, rule.minCount), rule.conditions.length);
+
+const f1Score = (tp, fp, fn) => (tp === 0 ? 0 : (2 * tp) / (2 * tp + fp + fn));
+
+// AUROC (Mann-Whitney) with ties counted as half
+const exactAuroc = (scores, labels) => {
+    const order = scores.map((s, i) => i).sort((a, b) => scores[a] - scores[b]);
+    let positives = 0;
+    let rankSum = 0;
+    for (let k = 0; k < order.length;) {
+        let end = k;
+        while (end + 1 < order.length && scores[order[end + 1]] === scores[order[k]]) end++;
+        const rank = (k + end) / 2 + 1;
+        for (let t = k; t <= end; t++) {
+            if (labels[order[t]]) { positives++; rankSum += rank; }
+        }
+        k = end + 1;
+    }
+    const negatives = order.length - positives;
+    if (positives === 0 || negatives === 0) return 0.5;
+    return (rankSum - (positives * (positives + 1)) / 2) / (positives * negatives);
+};
+
+// Residue-level AUROC over histogram bins (linear in the number of residues, which the grid evaluates often)
+const AUROC_BINS = 400;
+const AUROC_MAX_RATIO = 4;
+const binnedAuroc = (positiveBins, negativeBins) => {
+    let positives = 0;
+    let negatives = 0;
+    for (let b = 0; b < AUROC_BINS; b++) { positives += positiveBins[b]; negatives += negativeBins[b]; }
+    if (positives === 0 || negatives === 0) return 0.5;
+    let below = 0;
+    let area = 0;
+    for (let b = 0; b < AUROC_BINS; b++) {
+        area += positiveBins[b] * (below + negativeBins[b] / 2);
+        below += negativeBins[b];
+    }
+    return area / (positives * negatives);
+};
+
+// Densities are cached per protein, condition input, window and smoothing: thresholds only change the scoring
+const createEvaluator = (examples, baseParams, dims, objective, level) => {
+    const cache = examples.map(() => new Map());
+    const contexts = examples.map(() => null);
+    const buffers = examples.map(ex => new Float64Array(ex.protein.length));
+    const truths = examples.map(ex => {
+        const mask = new Uint8Array(ex.protein.length);
+        ex.zones.forEach(z => { for (let p = z.start; p <= Math.min(z.end, ex.protein.length); p++) mask[p - 1] = 1; });
+        return mask;
+    });
+
+    const densityOf = (k, condition, params) => {
+        const track = getTrack(condition.track);
+        const windowSize = params[`${track.group}WindowSize`];
+        const smoothing = params[`${track.group}Smoothing`];
+        const key = `${conditionDensityKey(condition)}:${windowSize}:${smoothing}`;
+        if (!cache[k].has(key)) {
+            const protein = examples[k].protein;
+            let positions = sitePositions(protein, track, params);
+            if (condition.context) {
+                contexts[k] = contexts[k] || residueContext(protein);
+                positions = filterPositionsByContext(positions, contexts[k], condition.context);
+            }
+            cache[k].set(key, calculateDensity(positions, protein.length, windowSize, smoothing));
+        }
+        return cache[k].get(key);
+    };
+
+    return (point) => {
+        const params = applyCalibrationPoint(baseParams, dims, point);
+        const rule = params.zoneRule;
+        const required = requiredConditions(rule);
+        let tp = 0, fp = 0, fn = 0;
+        const positiveBins = new Float64Array(AUROC_BINS);
+        const negativeBins = new Float64Array(AUROC_BINS);
+        const proteinScores = [];
+        const proteinLabels = [];
+
+        examples.forEach((ex, k) => {
+            const densities = rule.conditions.map(c => densityOf(k, c, params));
+            const satisfaction = ruleSatisfaction(densities, rule.conditions, required, buffers[k]);
+            if (level === 'residue') {
+                const truth = truths[k];
+                for (let i = 0; i < satisfaction.length; i++) {
+                    const predicted = satisfaction[i] >= 1;
+                    if (predicted && truth[i]) tp++;
+                    else if (predicted) fp++;
+                    else if (truth[i]) fn++;
+                    const bin = Math.min(AUROC_BINS - 1, Math.floor((Math.min(satisfaction[i], AUROC_MAX_RATIO) / AUROC_MAX_RATIO) * AUROC_BINS));
+                    (truth[i] ? positiveBins : negativeBins)[bin]++;
+                }
+            } else {
+                let best = 0;
+                for (let i = 0; i < satisfaction.length; i++) best = Math.max(best, satisfaction[i]);
+                const predicted = best >= 1;
+                if (predicted && ex.label) tp++;
+                else if (predicted) fp++;
+                else if (ex.label) fn++;
+                proteinScores.push(best);
+                proteinLabels.push(Boolean(ex.label));
+            }
+        });
+
+        if (objective === 'f1') return f1Score(tp, fp, fn);
+        return level === 'residue' ? binnedAuroc(positiveBins, negativeBins) : exactAuroc(proteinScores, proteinLabels);
+    };
+};
+
+// --- SEARCH ---
+
+// Deterministic generator so that a random search can be repeated
+const mulberry32 = (seed) => () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = seed;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+export const DEFAULT_CALIBRATION_SETTINGS = { strategy: 'grid', objective: 'f1', budget: 600, seed: 1 };
+
+// Largest grid searched point by point; rules with more parameters are searched at random instead
+export const MAX_GRID_POINTS = 20000;
+
+// The search runCalibration will do for a rule, known before it starts: { dims, gridPoints, strategy,
+// downgraded, evaluations }. A grid above MAX_GRID_POINTS is downgraded to random search + hill
+// climbing over the same coarse values, with the settings' evaluation budget.
+export const calibrationPlan = (rule, { resolution, ...settings } = {}) => {
+    const { strategy, budget } = { ...DEFAULT_CALIBRATION_SETTINGS, ...settings };
+    const dims = calibrationSpace(rule, resolution || (strategy === 'grid' ? 'coarse' : 'fine'));
+    const gridPoints = dims.reduce((n, d) => n * d.values.length, 1);
+    const downgraded = strategy === 'grid' && gridPoints > MAX_GRID_POINTS;
+    const searched = downgraded ? 'random' : strategy;
+    return { dims, gridPoints, strategy: searched, downgraded, evaluations: searched === 'grid' ? gridPoints : Math.min(budget, gridPoints) };
+};
+
+// Searches the space for the best objective. `examples` are { protein, zones, label } with proteins already
+// filtered by evidence. Returns { dims, best: { point, score }, evaluations, pairMaxima, strategy, downgraded,
+// level, objective } where `point` holds value indexes into each dimension and `pairMaxima` the best score
+// of every value pair of two dimensions (see sensitivityGrid). `onProgress(done, total)` is called every
+// few evaluations.
+export const runCalibration = (examples, baseParams, { level, ...settings } = {}, onProgress = () => {}) => {
+    const { objective, budget, seed } = { ...DEFAULT_CALIBRATION_SETTINGS, ...settings };
+    const { dims, strategy, downgraded } = calibrationPlan(baseParams.zoneRule, settings);
+    const evaluate = createEvaluator(examples, baseParams, dims, objective, level);
+
+    // Only the running best and the per-pair maxima are kept, not every evaluated point
+    const pairMaxima = {};
+    dims.forEach((dimA, a) => dims.forEach((dimB, b) => {
+        if (a < b) pairMaxima[`${a},${b}`] = dimA.values.map(() => dimB.values.map(() => null));
+    }));
+    let best = null;
+    let evaluations = 0;
+    // Random search and hill climbing revisit points: their scores are remembered (at most `budget` of them)
+    const seen = strategy === 'grid' ? null : new Map();
+    const score = (point) => {
+        const key = point.join(',');
+        if (seen && seen.has(key)) return seen.get(key);
+        const value = evaluate(point);
+        if (seen) seen.set(key, value);
+        evaluations++;
+        if (!best || value > best.score) best = { point: [...point], score: value };
+        for (let a = 0; a < dims.length; a++) {
+            for (let b = a + 1; b < dims.length; b++) {
+                const row = pairMaxima[`${a},${b}`][point[a]];
+                if (row[point[b]] === null || value > row[point[b]]) row[point[b]] = value;
+            }
+        }
+        return value;
+    };
+
+    if (strategy === 'grid') {
+        const total = dims.reduce((n, d) => n * d.values.length, 1);
+        const point = dims.map(() => 0);
+        for (let done = 0; done < total; done++) {
+            score(point);
+            if (done % 50 === 0) onProgress(done, total);
+            // odometer increment over the dimension indexes
+            for (let d = dims.length - 1; d >= 0; d--) {
+                point[d]++;
+                if (point[d] < dims[d].values.length) break;
+                point[d] = 0;
+            }
+        }
+        onProgress(total, total);
+    } else {
+        const random = mulberry32(seed);
+        const samples = Math.max(1, Math.floor(budget * 0.6));
+        for (let s = 0; s < samples; s++) {
+            score(dims.map(d => Math.floor(random() * d.values.length)));
+            if (s % 20 === 0) onProgress(evaluations, budget);
+        }
+        // Hill climbing from the best sample: move one dimension by one step while it improves
+        let current = best.point;
+        let improved = true;
+        while (improved && evaluations < budget) {
+            improved = false;
+            const currentScore = score(current);
+            for (let d = 0; d < dims.length && evaluations < budget; d++) {
+                for (const delta of [-1, 1]) {
+                    const next = [...current];
+                    next[d] += delta;
+                    if (next[d] < 0 || next[d] >= dims[d].values.length) continue;
+                    if (score(next) > currentScore) {
+                        current = next;
+                        improved = true;
+                        break;
+                    }
+                }
+                if (improved) break;
+            }
+            onProgress(evaluations, budget);
+        }
+        onProgress(budget, budget);
+    }
+
+    return { dims, best, evaluations, pairMaxima, strategy, downgraded, level, objective };
+};
+
+// Best score for every value pair of two dimensions (maximised over the others); null where the search
+// never evaluated the pair. Returns { rows: values of dimY, cols: values of dimX, cells[y][x] }.
+export const sensitivityGrid = (calibration, dimX, dimY) => {
+    const { dims, pairMaxima } = calibration;
+    const cells = dimY < dimX
+        ? pairMaxima[`${dimY},${dimX}`].map(row => [...row])
+        : dims[dimY].values.map((_, y) => dims[dimX].values.map((__, x) => pairMaxima[`${dimX},${dimY}`][x][y]));
+    return { rows: dims[dimY].values, cols: dims[dimX].values, cells };
+};
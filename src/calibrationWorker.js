@@ -0,0 +1,14 @@
+// One-shot worker for auto-calibration: runs the parameter search and streams progress back
+import { runCalibration } from './calibration.js';
+
+self.onmessage = (e) => {
+    const { examples, params, settings } = e.data;
+    try {
+        const result = runCalibration(examples, params, settings, (done, total) => {
+            self.postMessage({ progress: { done, total } });
+        });
+        self.postMessage({ result });
+    } catch (err) {
+        self.postMessage({ error: err.message });
+    }
+};
@@ -0,0 +1,58 @@
+// Shared IndexedDB connection for run checkpoints and the UniProt entry cache
+
+const DB_NAME = 'proteocoloc';
+const DB_VERSION = 2;
+
+export const STORES = {
+    RUNS: 'runs',
+    RUN_PAGES: 'runPages',
+    ENTRIES: 'entries'
+};
+
+let dbPromise = null;
+
+const openDb = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                // v1: proteome run checkpoints
+                if (!db.objectStoreNames.contains(STORES.RUNS)) {
+                    db.createObjectStore(STORES.RUNS, { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains(STORES.RUN_PAGES)) {
+                    db.createObjectStore(STORES.RUN_PAGES, { keyPath: ['runId', 'page'] });
+                }
+                // v2: parsed UniProt entries keyed by accession and release
+                if (!db.objectStoreNames.contains(STORES.ENTRIES)) {
+                    const entries = db.createObjectStore(STORES.ENTRIES, { keyPath: ['accession', 'release'] });
+                    entries.createIndex('geneKey', 'geneKey');
+                    entries.createIndex('organismId', 'organismId');
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                dbPromise = null;
+                reject(request.error);
+            };
+        });
+    }
+    return dbPromise;
+};
+
+// Runs `work(...stores)` in a transaction and resolves with the result of the request it returns
+// (if any) once the transaction commits
+export const withStores = async (storeNames, mode, work) => {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeNames, mode);
+        const stores = storeNames.map(name => tx.objectStore(name));
+        let result;
+        const request = work(...stores);
+        if (request) request.onsuccess = () => { result = request.result; };
+        tx.oncomplete = () => resolve(result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+};
@@ -0,0 +1,134 @@
+// Local cache of parsed UniProt entries, keyed by accession and UniProt release
+
+import { STORES, withStores } from './db.js';
+import { parseUniProtEntry } from './analysis.js';
+
+const { ENTRIES } = STORES;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const UNKNOWN_RELEASE = 'unknown';
+
+// Parses raw UniProt entries and stores them; returns the number of entries written
+export const cacheEntries = async (entries, release, fallbackOrganismId = null) => {
+    const records = [];
+    entries.forEach(entry => {
+        try {
+            const protein = parseUniProtEntry(entry);
+            records.push({
+                accession: protein.id,
+                release: release || UNKNOWN_RELEASE,
+                geneKey: String(protein.gene).toUpperCase(),
+                organismId: protein.organismId || fallbackOrganismId,
+                cachedAt: Date.now(),
+                protein
+            });
+        } catch (err) {
+            console.warn('Skipping unparseable entry:', entry && entry.primaryAccession, err);
+        }
+    });
+    if (records.length === 0) return 0;
+    await withStores([ENTRIES], 'readwrite', (store) => {
+        records.forEach(r => store.put(r));
+    });
+    return records.length;
+};
+
+// Keeps only the newest release of each accession
+const latestPerAccession = (records) => {
+    const byAccession = new Map();
+    records.forEach(r => {
+        const current = byAccession.get(r.accession);
+        if (!current || r.release > current.release) byAccession.set(r.accession, r);
+    });
+    return [...byAccession.values()];
+};
+
+export const isFresh = (record, maxAgeDays) => !maxAgeDays || (Date.now() - record.cachedAt) <= maxAgeDays * DAY_MS;
+
+// Newest cached record whose gene name matches (case-insensitive), or null
+export const getCachedByGene = async (geneName, organismId) => {
+    const records = await withStores([ENTRIES], 'readonly', (store) =>
+        store.index('geneKey').getAll(geneName.trim().toUpperCase())
+    );
+    const matches = (records || []).filter(r => !organismId || r.organismId === organismId);
+    if (matches.length === 0) return null;
+    return matches.reduce((best, r) => (r.release > best.release || (r.release === best.release && r.cachedAt > best.cachedAt)) ? r : best);
+};
+
+// Every cached entry of a gene in an organism (newest release of each accession), for ambiguous gene names
+export const listCachedByGene = async (geneName, organismId) => {
+    const records = await withStores([ENTRIES], 'readonly', (store) =>
+        store.index('geneKey').getAll(geneName.trim().toUpperCase())
+    );
+    return latestPerAccession((records || []).filter(r => !organismId || r.organismId === organismId));
+};
+
+// Newest cached record of an accession, or null
+export const getCachedByAccession = async (accession) => {
+    const records = await withStores([ENTRIES], 'readonly', (store) =>
+        store.getAll(IDBKeyRange.bound([accession, ''], [accession, '\uffff']))
+    );
+    if (!records || records.length === 0) return null;
+    return records.reduce((best, r) => (r.release > best.release ? r : best));
+};
+
+// Parsed proteins of an organism sorted by accession; `release` = null picks the newest release of each entry
+export const listCachedProteins = async (organismId, release = null) => {
+    const records = await withStores([ENTRIES], 'readonly', (store) =>
+        store.index('organismId').getAll(organismId)
+    );
+    const selected = release ? (records || []).filter(r => r.release === release) : latestPerAccession(records || []);
+    return selected
+        .sort((a, b) => (a.accession < b.accession ? -1 : a.accession > b.accession ? 1 : 0))
+        .map(r => r.protein);
+};
+
+export const countCachedProteins = async (organismId, release) => {
+    const records = await withStores([ENTRIES], 'readonly', (store) =>
+        store.index('organismId').getAll(organismId)
+    );
+    return (records || []).filter(r => r.release === release).length;
+};
+
+// Entry count, approximate size and age range, plus entry counts per release
+export const getCacheStats = async () => {
+    const stats = { count: 0, approxBytes: 0, oldest: null, newest: null, releases: {} };
+    await withStores([ENTRIES], 'readonly', (store) => {
+        const cursorRequest = store.openCursor();
+        cursorRequest.onsuccess = () => {
+            const cursor = cursorRequest.result;
+            if (!cursor) return;
+            const r = cursor.value;
+            stats.count++;
+            stats.approxBytes += r.protein.length * 2 + 64 * (r.protein.ssBonds.length + r.protein.nLinked.length + r.protein.oLinked.length + r.protein.phosphorylation.length) + 256;
+            stats.oldest = stats.oldest === null ? r.cachedAt : Math.min(stats.oldest, r.cachedAt);
+            stats.newest = stats.newest === null ? r.cachedAt : Math.max(stats.newest, r.cachedAt);
+            stats.releases[r.release] = (stats.releases[r.release] || 0) + 1;
+            cursor.continue();
+        };
+    });
+    return stats;
+};
+
+// Deletes entries cached more than `maxAgeDays` ago; resolves with the number removed
+export const pruneCache = async (maxAgeDays) => {
+    const cutoff = Date.now() - maxAgeDays * DAY_MS;
+    let removed = 0;
+    await withStores([ENTRIES], 'readwrite', (store) => {
+        const cursorRequest = store.openCursor();
+        cursorRequest.onsuccess = () => {
+            const cursor = cursorRequest.result;
+            if (!cursor) return;
+            if (cursor.value.cachedAt < cutoff) {
+                cursor.delete();
+                removed++;
+            }
+            cursor.continue();
+        };
+    });
+    return removed;
+};
+
+export const clearCache = () => withStores([ENTRIES], 'readwrite', (store) => {
+    store.clear();
+});
@@ -0,0 +1,305 @@
+// Download helpers for charts: SVG straight from the DOM, PNG rasterized through a canvas
+
+export const downloadBlob = (blob, fileName) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.setAttribute('download', fileName);
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+};
+
+// Standalone SVG markup (explicit size, namespace and white background) for an on-screen <svg>
+export const serializeSvg = (svg) => {
+    const { width, height } = svg.getBoundingClientRect();
+    const clone = svg.cloneNode(true);
+    clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+    clone.setAttribute('width', width);
+    clone.setAttribute('height', height);
+    clone.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    clone.setAttribute('font-family', 'ui-sans-serif, system-ui, sans-serif');
+    const background = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+    background.setAttribute('width', '100%');
+    background.setAttribute('height', '100%');
+    background.setAttribute('fill', '#ffffff');
+    clone.insertBefore(background, clone.firstChild);
+    return { markup: new XMLSerializer().serializeToString(clone), width, height };
+};
+
+export const downloadSvg = (svg, fileName) => {
+    const { markup } = serializeSvg(svg);
+    downloadBlob(new Blob([markup], { type: 'image/svg+xml;charset=utf-8' }), fileName);
+};
+
+// Rasterizes SVG markup at `scale` x its CSS size and resolves with a PNG blob
+export const svgMarkupToPng = (markup, width, height, scale = 2) => new Promise((resolve, reject) => {
+    const img = new Image();
+    const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml;charset=utf-8' }));
+    img.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(width * scale);
+        canvas.height = Math.round(height * scale);
+        const ctx = canvas.getContext('2d');
+        ctx.scale(scale, scale);
+        ctx.drawImage(img, 0, 0, width, height);
+        URL.revokeObjectURL(url);
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('PNG encoding failed'))), 'image/png');
+    };
+    img.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error('Could not render SVG'));
+    };
+    img.src = url;
+});
+
+export const downloadPng = async (svg, fileName, scale = 2) => {
+    const { markup, width, height } = serializeSvg(svg);
+    downloadBlob(await svgMarkupToPng(markup, width, height, scale), fileName);
+};
+
+// --- PUBLICATION FIGURE ---
+
+// Figures are laid out in CSS pixels and sized in millimetres, so the SVG prints at its physical size
+// and the PNG gets exactly `dpi` pixels per inch
+const PX_PER_MM = 96 / 25.4;
+
+export const FIGURE_FONTS = [
+    { key: 'helvetica', label: 'Helvetica / Arial', css: 'Helvetica, Arial, sans-serif' },
+    { key: 'times', label: 'Times', css: '"Times New Roman", Times, serif' },
+    { key: 'system', label: 'System sans-serif', css: 'ui-sans-serif, system-ui, sans-serif' }
+];
+
+export const FIGURE_LEGEND_PLACEMENTS = ['top', 'right', 'bottom', 'none'];
+
+export const DEFAULT_FIGURE_OPTIONS = {
+    widthMm: 180,
+    heightMm: 110,
+    dpi: 300,
+    font: 'helvetica',
+    fontSize: 9,
+    legend: 'top',
+    title: "",
+    caption: "",
+    colors: {},
+    zoneColor: '#86efac',
+    showThresholds: true
+};
+
+const escapeXml = (text) => String(text)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// Rough text metrics; exact widths would need a canvas, and the layout only needs to avoid overlaps
+const textWidth = (text, fontSize) => String(text).length * fontSize * 0.56;
+
+const wrapText = (text, maxWidth, fontSize) => {
+    const lines = [];
+    let line = "";
+    String(text).split(/\s+/).filter(Boolean).forEach(word => {
+        const candidate = line ? `${line} ${word}` : word;
+        if (line && textWidth(candidate, fontSize) > maxWidth) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = candidate;
+        }
+    });
+    if (line) lines.push(line);
+    return lines;
+};
+
+// ~`count` round tick values covering [min, max]
+const niceTicks = (min, max, count = 5) => {
+    const span = Math.max(max - min, 1e-9);
+    const raw = span / count;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+    const step = [1, 2, 2.5, 5, 10].map(m => m * magnitude).find(s => s >= raw) || raw;
+    const ticks = [];
+    for (let t = Math.ceil(min / step) * step; t <= max + step * 1e-6; t += step) ticks.push(Number(t.toFixed(10)));
+    return ticks;
+};
+
+const formatTick = (value) => Number.isInteger(value) ? String(value) : value.toFixed(1);
+
+// Builds a standalone SVG of the density plot, one site row per track and the co-localization zones.
+//   protein:   the analysed protein (site lists, length, gene/id)
+//   densities: per-track density arrays, as returned by computeTrackDensities
+//   tracks:    DENSITY_TRACKS entries to draw, in order
+//   zones:     [{ start, end }] on the density index axis
+//   range:     [start, end] residue window (defaults to the whole protein)
+//   thresholds:[{ track, threshold }] drawn as dashed lines when options.showThresholds is set
+// Returns { markup, width, height } with width/height in CSS pixels.
+export const buildDensityFigure = ({ protein, densities, tracks, zones = [], range, thresholds = [] }, options = {}) => {
+    const opts = { ...DEFAULT_FIGURE_OPTIONS, ...options };
+    const width = opts.widthMm * PX_PER_MM;
+    const height = opts.heightMm * PX_PER_MM;
+    const fs = opts.fontSize;
+    const font = (FIGURE_FONTS.find(f => f.key === opts.font) || FIGURE_FONTS[0]).css;
+    const colorOf = (track) => opts.colors[track.key] || track.color;
+    const [start, end] = range || [0, protein.length];
+    const span = Math.max(1, end - start);
+    const pad = fs;
+    const lineHeight = fs * 1.3;
+    const out = [];
+
+    // Title and legend (top)
+    let top = pad;
+    if (opts.title) {
+        out.push(`<text x="${width / 2}" y="${top + fs * 1.3}" font-size="${fs * 1.3}" font-weight="bold" text-anchor="middle">${escapeXml(opts.title)}</text>`);
+        top += fs * 1.3 * 1.6;
+    }
+    const legendItems = [...tracks.map(t => ({ label: t.label, color: colorOf(t), dashed: t.key === 'oLinked' })),
+        ...(zones.length > 0 ? [{ label: 'Co-localization zone', color: opts.zoneColor, box: true }] : [])];
+    const itemWidth = (item) => fs * 2.4 + textWidth(item.label, fs) + fs;
+    const legendRows = (maxWidth) => {
+        const rows = [[]];
+        let used = 0;
+        legendItems.forEach(item => {
+            if (used + itemWidth(item) > maxWidth && rows[rows.length - 1].length) {
+                rows.push([]);
+                used = 0;
+            }
+            rows[rows.length - 1].push(item);
+            used += itemWidth(item);
+        });
+        return rows;
+    };
+    const drawLegendItem = (item, x, y) => {
+        const swatch = item.box
+            ? `<rect x="${x}" y="${y - fs * 0.6}" width="${fs * 1.8}" height="${fs * 0.9}" fill="${item.color}" fill-opacity="0.5"/>`
+            : `<line x1="${x}" y1="${y - fs * 0.15}" x2="${x + fs * 1.8}" y2="${y - fs * 0.15}" stroke="${item.color}" stroke-width="2"${item.dashed ? ' stroke-dasharray="4 3"' : ''}/>`;
+        return `${swatch}<text x="${x + fs * 2.4}" y="${y + fs * 0.2}" font-size="${fs}">${escapeXml(item.label)}</text>`;
+    };
+    if (opts.legend === 'top') {
+        legendRows(width - 2 * pad).forEach(row => {
+            let x = pad;
+            row.forEach(item => { out.push(drawLegendItem(item, x, top + fs * 0.8)); x += itemWidth(item); });
+            top += lineHeight;
+        });
+        top += fs * 0.5;
+    }
+
+    // Caption and legend (bottom)
+    const captionLines = opts.caption ? wrapText(opts.caption, width - 2 * pad, fs * 0.9) : [];
+    let bottom = height - pad - captionLines.length * fs * 0.9 * 1.3;
+    captionLines.forEach((line, i) => {
+        out.push(`<text x="${pad}" y="${bottom + (i + 1) * fs * 0.9 * 1.3 - fs * 0.25}" font-size="${fs * 0.9}" fill="#334155">${escapeXml(line)}</text>`);
+    });
+    if (captionLines.length) bottom -= fs * 0.6;
+    if (opts.legend === 'bottom') {
+        const rows = legendRows(width - 2 * pad);
+        bottom -= rows.length * lineHeight;
+        rows.forEach((row, r) => {
+            let x = pad;
+            row.forEach(item => { out.push(drawLegendItem(item, x, bottom + r * lineHeight + fs * 0.9)); x += itemWidth(item); });
+        });
+        bottom -= fs * 0.5;
+    }
+
+    // Plot area: density panel above one row per track, sharing the x axis
+    const legendRight = opts.legend === 'right' ? Math.max(...legendItems.map(itemWidth), 0) + pad : 0;
+    const trackLabelWidth = Math.max(...tracks.map(t => textWidth(t.shortLabel, fs)), 0);
+    const left = pad + Math.max(fs * 3.6, trackLabelWidth + fs * 0.6);
+    const right = width - pad - legendRight;
+    const plotWidth = Math.max(1, right - left);
+    const axisBottom = bottom - fs * 2.9;
+    const trackHeight = fs * 1.4;
+    const tracksTop = axisBottom - tracks.length * trackHeight;
+    const densityTop = top + fs * 0.5;
+    const densityBottom = tracksTop - fs * 0.6;
+    const densityHeight = Math.max(1, densityBottom - densityTop);
+    const x = (pos) => left + ((pos - start) / span) * plotWidth;
+
+    let maxY = 0;
+    tracks.forEach(t => {
+        const d = densities[t.key] || [];
+        for (let i = start; i < Math.min(end, d.length); i++) maxY = Math.max(maxY, d[i]);
+    });
+    if (opts.showThresholds) thresholds.forEach(c => { maxY = Math.max(maxY, c.threshold); });
+    const yTicks = niceTicks(0, Math.max(maxY, 1), 4);
+    const yMax = yTicks[yTicks.length - 1];
+    const y = (value) => densityBottom - (value / yMax) * densityHeight;
+
+    if (opts.legend === 'right') {
+        legendItems.forEach((item, i) => out.push(drawLegendItem(item, right + pad, densityTop + fs + i * lineHeight)));
+    }
+
+    // Zones behind everything else, spanning the density panel and the site rows
+    zones.filter(z => z.end > start && z.start < end).forEach(z => {
+        const x1 = x(Math.max(z.start, start));
+        const x2 = x(Math.min(z.end, end));
+        out.push(`<rect x="${x1}" y="${densityTop}" width="${Math.max(0.5, x2 - x1)}" height="${axisBottom - densityTop}" fill="${opts.zoneColor}" fill-opacity="0.4"/>`);
+    });
+
+    // Y axis
+    out.push(`<line x1="${left}" y1="${densityTop}" x2="${left}" y2="${densityBottom}" stroke="#334155" stroke-width="0.75"/>`);
+    yTicks.forEach(t => {
+        out.push(`<line x1="${left - fs * 0.3}" y1="${y(t)}" x2="${left}" y2="${y(t)}" stroke="#334155" stroke-width="0.75"/>`);
+        out.push(`<line x1="${left}" y1="${y(t)}" x2="${right}" y2="${y(t)}" stroke="#e2e8f0" stroke-width="0.5"/>`);
+        out.push(`<text x="${left - fs * 0.5}" y="${y(t) + fs * 0.35}" font-size="${fs * 0.9}" text-anchor="end">${formatTick(t)}</text>`);
+    });
+    const yLabelX = pad + fs * 0.6;
+    out.push(`<text x="${yLabelX}" y="${(densityTop + densityBottom) / 2}" font-size="${fs}" text-anchor="middle" transform="rotate(-90 ${yLabelX} ${(densityTop + densityBottom) / 2})">Density</text>`);
+
+    if (opts.showThresholds) {
+        thresholds.filter(c => tracks.some(t => t.key === c.track)).forEach(c => {
+            const track = tracks.find(t => t.key === c.track);
+            out.push(`<line x1="${left}" y1="${y(c.threshold)}" x2="${right}" y2="${y(c.threshold)}" stroke="${colorOf(track)}" stroke-width="0.75" stroke-dasharray="3 3" stroke-opacity="0.7"/>`);
+        });
+    }
+
+    // Density curves, downsampled to at most ~1500 points per track
+    const step = Math.max(1, Math.ceil(span / 1500));
+    tracks.forEach(track => {
+        const d = densities[track.key] || [];
+        const points = [];
+        for (let i = start; i < Math.min(end, d.length); i += step) points.push([x(i), y(d[i])]);
+        if (points.length === 0) return;
+        const path = points.map(([px, py], i) => `${i ? 'L' : 'M'}${px.toFixed(2)} ${py.toFixed(2)}`).join(' ');
+        const color = colorOf(track);
+        if (track.key === 'ss') {
+            out.push(`<path d="${path} L${points[points.length - 1][0].toFixed(2)} ${densityBottom} L${points[0][0].toFixed(2)} ${densityBottom} Z" fill="${color}" fill-opacity="0.2" stroke="none"/>`);
+        }
+        out.push(`<path d="${path}" fill="none" stroke="${color}" stroke-width="1.5"${track.key === 'oLinked' ? ' stroke-dasharray="5 4"' : ''}/>`);
+    });
+
+    // Site rows
+    tracks.forEach((track, i) => {
+        const rowTop = tracksTop + i * trackHeight;
+        const color = colorOf(track);
+        out.push(`<rect x="${left}" y="${rowTop + 1}" width="${plotWidth}" height="${trackHeight - 2}" fill="#f1f5f9"/>`);
+        out.push(`<text x="${left - fs * 0.5}" y="${rowTop + trackHeight / 2 + fs * 0.35}" font-size="${fs * 0.9}" text-anchor="end" fill="${color}" font-weight="bold">${escapeXml(track.shortLabel)}</text>`);
+        // Sites are 1-based residues; residue p sits at index p - 1 like its density sample
+        (protein[track.siteField] || []).filter(pos => pos > start && pos <= end).forEach(pos => {
+            out.push(`<line x1="${x(pos - 1).toFixed(2)}" y1="${rowTop + 1}" x2="${x(pos - 1).toFixed(2)}" y2="${rowTop + trackHeight - 1}" stroke="${color}" stroke-width="0.75"/>`);
+        });
+    });
+
+    // X axis
+    out.push(`<line x1="${left}" y1="${axisBottom}" x2="${right}" y2="${axisBottom}" stroke="#334155" stroke-width="0.75"/>`);
+    niceTicks(start, end, Math.max(2, Math.floor(plotWidth / (fs * 6)))).forEach(t => {
+        out.push(`<line x1="${x(t)}" y1="${axisBottom}" x2="${x(t)}" y2="${axisBottom + fs * 0.3}" stroke="#334155" stroke-width="0.75"/>`);
+        out.push(`<text x="${x(t)}" y="${axisBottom + fs * 1.3}" font-size="${fs * 0.9}" text-anchor="middle">${formatTick(t)}</text>`);
+    });
+    out.push(`<text x="${left + plotWidth / 2}" y="${axisBottom + fs * 2.6}" font-size="${fs}" text-anchor="middle">Residue position</text>`);
+
+    const markup = [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${opts.widthMm}mm" height="${opts.heightMm}mm" viewBox="0 0 ${width.toFixed(2)} ${height.toFixed(2)}" font-family="${escapeXml(font)}" fill="#0f172a">`,
+        `<title>${escapeXml(opts.title || `${protein.gene || protein.id} density profile`)}</title>`,
+        opts.caption ? `<desc>${escapeXml(opts.caption)}</desc>` : '',
+        `<rect width="100%" height="100%" fill="#ffffff"/>`,
+        ...out,
+        '</svg>'
+    ].join('\n');
+    return { markup, width, height };
+};
+
+// Saves a figure from buildDensityFigure as 'svg' or as a PNG at its `dpi`
+export const downloadFigure = async (figure, fileName, format, dpi = DEFAULT_FIGURE_OPTIONS.dpi) => {
+    if (format === 'svg') {
+        downloadBlob(new Blob([figure.markup], { type: 'image/svg+xml;charset=utf-8' }), `${fileName}.svg`);
+        return;
+    }
+    downloadBlob(await svgMarkupToPng(figure.markup, figure.width, figure.height, dpi / 96), `${fileName}.png`);
+};
@@ -0,0 +1,107 @@
+// Analysis pipeline shared by the batch workers, the single-protein export and the command-line runner.
+// Input parsing to report tables without React, DOM or Node APIs, so every front end writes the same files.
+
+import {
+    analyzeProtein, parseUniProtEntry, parseUniProtDump, applyProteomeFdr, filterSitesByEvidence,
+    computeTrackDensities, evaluateZoneRule, scoredZoneRegions, computeZoneStability, residueContext
+} from './analysis.js';
+import { siteReportTable, proteinReportTable, zoneReportTable, residueReportRows, residueReportTable, tableToCsv, tablesToWorkbookXml } from './reports.js';
+
+// --- INPUT ---
+
+// Proteins of a UniProt dump (REST JSON, TSV or flat text); entries that fail to parse are listed in `errors`
+export const proteinsFromUniProtDump = (text) => {
+    const proteins = [];
+    const errors = [];
+    parseUniProtDump(text).forEach((entry, i) => {
+        try {
+            proteins.push(parseUniProtEntry(entry));
+        } catch (err) {
+            errors.push({ entry: i + 1, id: entry.primaryAccession || null, message: err.message });
+        }
+    });
+    return { format: 'uniprot', proteins, errors };
+};
+
+// --- ANALYSIS ---
+
+// Identifier and reason of a protein whose analysis threw; the front ends decide how to report it
+const failure = (item, err) => ({ id: item.primaryAccession || item.id || 'unknown', message: err.message });
+
+// Analyzes proteins, or raw UniProt JSON entries when `parse` is set, in input order.
+// A protein whose analysis throws is listed in `failed` instead of sinking the whole batch.
+export const analyzeBatch = (items, params, { parse = false } = {}) => {
+    const rows = [];
+    const summaries = [];
+    const failed = [];
+    items.forEach(item => {
+        try {
+            const result = analyzeProtein(parse ? parseUniProtEntry(item) : item, params);
+            rows.push(...result.rows);
+            summaries.push(result.summary);
+        } catch (err) {
+            failed.push(failure(item, err));
+        }
+    });
+    return { rows, summaries, failed };
+};
+
+// A complete run: site rows and protein summaries with proteome-wide q-values
+export const analyzeProteome = (proteins, params) => {
+    const { rows, summaries, failed } = analyzeBatch(proteins, params);
+    return { ...applyProteomeFdr(rows, summaries), failed };
+};
+
+// Everything the Analysis view shows for one protein, computed on its evidence-filtered sites.
+// The stability sweep only runs when `robustness` settings are given (stability is null otherwise).
+export const analyzeResidues = (rawProtein, params, robustness = null) => {
+    const protein = filterSitesByEvidence(rawProtein, params.evidenceFilter);
+    const densities = computeTrackDensities(protein, params);
+    const isZone = evaluateZoneRule(densities, params.zoneRule, protein.length);
+    return {
+        protein,
+        densities,
+        isZone,
+        regions: scoredZoneRegions(protein, params, isZone),
+        stability: robustness ? computeZoneStability(protein, params, robustness).stability : null,
+        context: residueContext(protein)
+    };
+};
+
+// --- REPORTS ---
+
+export const REPORT_KINDS = [
+    { key: 'sites', label: 'One row per site (the batch results download)', extension: 'csv' },
+    { key: 'proteins', label: 'One row per protein (protein summary)', extension: 'csv' },
+    { key: 'zones', label: 'One row per zone', extension: 'csv' },
+    { key: 'residues', label: 'One row per residue (the Analysis view export)', extension: 'csv' },
+    { key: 'workbook', label: 'Sites, proteins and zones as one spreadsheet', extension: 'xls' }
+];
+
+// Text of a report, byte for byte what the web app downloads for the same proteins and parameters.
+// Residue reports carry the zone stability only when `robustness` sweep settings are given.
+export const buildReport = (kind, proteins, params, { robustness = null } = {}) => {
+    if (!REPORT_KINDS.some(r => r.key === kind)) {
+        throw new Error(`unknown report "${kind}" (expected ${REPORT_KINDS.map(r => r.key).join(', ')})`);
+    }
+    if (kind === 'residues') {
+        const rows = [];
+        const failed = [];
+        proteins.forEach(protein => {
+            try {
+                rows.push(...residueReportRows(analyzeResidues(protein, params, robustness)));
+            } catch (err) {
+                failed.push(failure(protein, err));
+            }
+        });
+        return { text: tableToCsv(residueReportTable(rows)), failed };
+    }
+    const { rows, summaries, failed } = analyzeProteome(proteins, params);
+    const tables = {
+        sites: () => tableToCsv(siteReportTable(rows)),
+        proteins: () => tableToCsv(proteinReportTable(summaries)),
+        zones: () => tableToCsv(zoneReportTable(summaries)),
+        workbook: () => tablesToWorkbookXml([siteReportTable(rows), proteinReportTable(summaries), zoneReportTable(summaries)])
+    };
+    return { text: tables[kind](), failed };
+};
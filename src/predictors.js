@@ -0,0 +1,229 @@
+// Sequence-based PTM prediction for proteins without UniProt annotations (custom FASTA/GenPept input).
+// Heuristics only: every site produced here is flagged as predicted on the protein (see isPredictedSite).
+
+// Kyte-Doolittle hydropathy
+const HYDROPATHY = {
+    A: 1.8, R: -4.5, N: -3.5, D: -3.5, C: 2.5, Q: -3.5, E: -3.5, G: -0.4, H: -3.2, I: 4.5,
+    L: 3.8, K: -3.9, M: 1.9, F: 2.8, P: -1.6, S: -0.8, T: -0.7, W: -0.9, Y: -1.3, V: 4.2
+};
+
+const meanHydropathy = (sequence, start, size) => {
+    let sum = 0;
+    for (let i = start; i < start + size; i++) sum += HYDROPATHY[sequence[i]] || 0;
+    return sum / size;
+};
+
+// --- TOPOLOGY ---
+
+// Signal peptide: a hydrophobic h-region near the N-terminus followed by a cleavage site obeying
+// von Heijne's (-3, -1) rule. Returns the length of the signal peptide, or 0.
+const findSignalPeptide = (sequence) => {
+    const hSize = 8;
+    for (let h = 2; h + hSize <= Math.min(sequence.length, 30); h++) {
+        if (meanHydropathy(sequence, h, hSize) < 2.0) continue;
+        const hEnd = h + hSize;
+        for (let cut = hEnd + 3; cut <= Math.min(hEnd + 12, 40, sequence.length - 1); cut++) {
+            // cut = number of residues in the signal peptide; -1 and -3 are 0-based cut-1 and cut-3
+            if (/[AGSCT]/.test(sequence[cut - 1]) && /[AGSCTVIL]/.test(sequence[cut - 3]) && sequence[cut] !== 'P') {
+                return cut;
+            }
+        }
+        return 0;
+    }
+    return 0;
+};
+
+// Transmembrane helices: 19-residue windows with mean hydropathy >= 1.6, merged when overlapping
+const findTransmembraneSegments = (sequence, from) => {
+    const size = 19;
+    const segments = [];
+    for (let i = from; i + size <= sequence.length; i++) {
+        if (meanHydropathy(sequence, i, size) < 1.6) continue;
+        const last = segments[segments.length - 1];
+        if (last && i <= last.end) last.end = i + size;
+        else segments.push({ start: i, end: i + size });
+    }
+    return segments;
+};
+
+const countPositive = (sequence, start, end) => {
+    let n = 0;
+    for (let i = Math.max(0, start); i < Math.min(sequence.length, end); i++) {
+        if (sequence[i] === 'K' || sequence[i] === 'R') n++;
+    }
+    return n;
+};
+
+// Splits the sequence into signal / cytosolic / extracellular / transmembrane segments
+// ({ start, end } 1-based inclusive). "Extracellular" also covers the ER/Golgi lumen.
+export const predictTopology = (sequence) => {
+    const signalLength = findSignalPeptide(sequence);
+    const tm = findTransmembraneSegments(sequence, signalLength);
+    const segments = [];
+    if (signalLength > 0) segments.push({ start: 1, end: signalLength, type: 'signal' });
+
+    // A signal peptide puts the mature N-terminus outside; otherwise follow the positive-inside rule
+    let outside;
+    if (signalLength > 0) {
+        outside = true;
+    } else if (tm.length > 0) {
+        const before = countPositive(sequence, tm[0].start - 15, tm[0].start);
+        const after = countPositive(sequence, tm[0].end, tm[0].end + 15);
+        outside = before < after;
+    } else {
+        outside = false;
+    }
+
+    let cursor = signalLength;
+    const pushSoluble = (end) => {
+        if (end > cursor) segments.push({ start: cursor + 1, end, type: outside ? 'extracellular' : 'cytosolic' });
+    };
+    tm.forEach(seg => {
+        pushSoluble(seg.start);
+        segments.push({ start: seg.start + 1, end: seg.end, type: 'transmembrane' });
+        cursor = seg.end;
+        outside = !outside;
+    });
+    pushSoluble(sequence.length);
+    return segments;
+};
+
+const regionAt = (topology, pos) => {
+    const seg = topology.find(s => pos >= s.start && pos <= s.end);
+    return seg ? seg.type : 'cytosolic';
+};
+
+// 1-based positions where `regex` matches (use lookaheads so matches may overlap)
+const motifPositions = (sequence, regex, offset = 0) => {
+    const positions = [];
+    const re = new RegExp(regex.source, 'g');
+    let match;
+    while ((match = re.exec(sequence)) !== null) {
+        positions.push(match.index + 1 + offset);
+        re.lastIndex = match.index + 1;
+    }
+    return positions;
+};
+
+// --- PREDICTORS ---
+
+// Each predictor fills one site field of the protein shape. `predict(sequence, topology)` returns
+// 1-based positions; the disulfide predictor also returns the bond ranges.
+// New predictors only need an entry here to appear in the upload options.
+export const SITE_PREDICTORS = [
+    {
+        key: 'nSequon',
+        label: 'N-glycan sequons (N-X-S/T), luminal/extracellular only',
+        siteField: 'nLinked',
+        predict: (sequence, topology) => motifPositions(sequence, /N(?=[^P][ST][^P])/)
+            .filter(pos => regionAt(topology, pos) === 'extracellular')
+    },
+    {
+        key: 'mucinO',
+        label: 'O-GalNAc in mucin-like S/T/P-rich windows',
+        siteField: 'oLinked',
+        predict: (sequence, topology) => {
+            const half = 7;
+            const positions = [];
+            for (let i = 0; i < sequence.length; i++) {
+                if (sequence[i] !== 'S' && sequence[i] !== 'T') continue;
+                if (regionAt(topology, i + 1) !== 'extracellular') continue;
+                const window = sequence.slice(Math.max(0, i - half), i + half + 1);
+                const st = window.replace(/[^ST]/g, '').length;
+                const pro = window.replace(/[^P]/g, '').length;
+                if (st / window.length >= 0.4 && pro >= 1) positions.push(i + 1);
+            }
+            return positions;
+        }
+    },
+    {
+        key: 'kinaseMotifs',
+        label: 'Phospho kinase motifs (R-X-X-S/T, S/T-P, S/T-X-X-D/E; S-X-E when secreted)',
+        siteField: 'phosphorylation',
+        predict: (sequence, topology) => {
+            const cytosolic = new Set([
+                ...motifPositions(sequence, /R(?=..[ST])/, 3),   // basophilic: PKA, PKC, CaMKII
+                ...motifPositions(sequence, /[ST](?=P)/),        // proline-directed: CDKs, MAPKs
+                ...motifPositions(sequence, /[ST](?=..[DE])/)    // acidophilic: CK2
+            ]);
+            const secreted = motifPositions(sequence, /S(?=.E)/);  // FAM20C
+            return [
+                ...[...cytosolic].filter(pos => regionAt(topology, pos) === 'cytosolic'),
+                ...secreted.filter(pos => regionAt(topology, pos) === 'extracellular')
+            ].sort((a, b) => a - b);
+        }
+    },
+    {
+        key: 'cysteinePairs',
+        label: 'Disulfides: pair consecutive luminal/extracellular cysteines',
+        siteField: 'ssBonds',
+        predict: (sequence, topology) => {
+            // The cytosol is reducing; pair each free cysteine with the next one at least 3 residues away
+            const cysteines = motifPositions(sequence, /C/).filter(pos => regionAt(topology, pos) === 'extracellular');
+            const ranges = [];
+            const paired = new Set();
+            cysteines.forEach((c, i) => {
+                if (paired.has(c)) return;
+                const partner = cysteines.slice(i + 1).find(p => !paired.has(p) && p - c >= 3);
+                if (partner === undefined) return;
+                paired.add(c).add(partner);
+                ranges.push({ start: c, end: partner, interchain: false });
+            });
+            return { positions: ranges.map(r => r.start), ranges };
+        }
+    }
+];
+
+export const DEFAULT_PREDICTOR_KEYS = SITE_PREDICTORS.map(p => p.key);
+
+// Runs the selected predictors and returns the site fields of the protein shape,
+// with `predictedSites` listing every predicted position per field and the topology used
+export const predictSites = (sequence, predictorKeys = DEFAULT_PREDICTOR_KEYS) => {
+    const topology = predictTopology(sequence);
+    const sites = { ssBonds: [], ssBondRanges: [], nLinked: [], oLinked: [], phosphorylation: [] };
+    SITE_PREDICTORS.filter(p => predictorKeys.includes(p.key)).forEach(predictor => {
+        const result = predictor.predict(sequence, topology);
+        const positions = Array.isArray(result) ? result : result.positions;
+        sites[predictor.siteField] = [...new Set([...sites[predictor.siteField], ...positions])].sort((a, b) => a - b);
+        if (result.ranges) sites.ssBondRanges = [...sites.ssBondRanges, ...result.ranges];
+    });
+    return {
+        ...sites,
+        predictedSites: {
+            ssBonds: sites.ssBonds,
+            nLinked: sites.nLinked,
+            oLinked: sites.oLinked,
+            phosphorylation: sites.phosphorylation
+        },
+        topology
+    };
+};
+
+// --- DISORDER ---
+
+// FoldIndex (Prilusky et al. 2005, after Uversky's charge-hydropathy plot): 2.785 <H> - |<R>| - 1.151 over
+// a window, with H the Kyte-Doolittle hydropathy rescaled to 0..1 and R the net charge per residue.
+// Negative values mark intrinsically unfolded segments.
+const FOLD_INDEX_WINDOW = 51;
+const CHARGE = { K: 1, R: 1, D: -1, E: -1 };
+
+// Per-residue disorder propensity (0 = folded, 1 = disordered), a logistic of -FoldIndex so that
+// FoldIndex 0 maps to 0.5. Sequence-only stand-in when no AlphaFold pLDDT is available.
+export const predictDisorder = (sequence, windowSize = FOLD_INDEX_WINDOW) => {
+    const n = sequence.length;
+    const hydropathyUpTo = new Float64Array(n + 1);
+    const chargeUpTo = new Float64Array(n + 1);
+    for (let i = 0; i < n; i++) {
+        hydropathyUpTo[i + 1] = hydropathyUpTo[i] + ((HYDROPATHY[sequence[i]] ?? -0.5) + 4.5) / 9;
+        chargeUpTo[i + 1] = chargeUpTo[i] + (CHARGE[sequence[i]] || 0);
+    }
+    const half = Math.floor(windowSize / 2);
+    return Array.from({ length: n }, (_, i) => {
+        const from = Math.max(0, i - half);
+        const to = Math.min(n, i + half + 1);
+        const size = to - from;
+        const foldIndex = 2.785 * ((hydropathyUpTo[to] - hydropathyUpTo[from]) / size)
+            - Math.abs((chargeUpTo[to] - chargeUpTo[from]) / size) - 1.151;
+        return 1 / (1 + Math.exp(10 * foldIndex));
+    });
+};
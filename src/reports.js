@@ -0,0 +1,154 @@
+// Report tables shared by the CSV downloads and the multi-sheet workbook.
+// A table is { name, columns: [{ title, value(row), quoted? }], rows }.
+// Summaries of runs stored before per-track counts existed leave those columns empty.
+
+import { DENSITY_TRACKS, formatPValue, siteEvidence } from './analysis.js';
+
+const bool = (v) => (v ? "TRUE" : "FALSE");
+
+export const siteReportTable = (rows) => ({
+    name: 'Sites',
+    rows,
+    columns: [
+        { title: 'Scientific_Name', value: r => r.scientificName, quoted: true },
+        { title: 'Gene_Name', value: r => r.gene },
+        { title: 'Type', value: r => r.type },
+        { title: 'Site_ID', value: r => r.glycosite },
+        { title: 'In_UniProt_Disulfide_Bond', value: r => bool(r.inUniProtDisulfide) },
+        { title: 'In_HighDensity_Colocalization_Zone', value: r => bool(r.inHighDensityZone) },
+        { title: 'Protein_Zone_P_Value', value: r => formatPValue(r.zonePValue) },
+        { title: 'Protein_Zone_Q_Value_BH', value: r => formatPValue(r.zoneQValue) },
+        { title: 'Site_Evidence', value: r => (r.evidence || (r.predicted ? 'predicted' : 'unknown')).toUpperCase() },
+        { title: 'Residue', value: r => r.residue || "" },
+        { title: 'Domain', value: r => r.domain || "", quoted: true },
+        { title: 'Topology', value: r => r.topology || "", quoted: true },
+        { title: 'Evidence_Codes', value: r => (r.evidenceCodes || []).join(';') },
+        { title: 'Glycan', value: r => r.glycan || "", quoted: true },
+        { title: 'Enzyme', value: r => r.enzyme || "", quoted: true },
+        { title: 'Description', value: r => r.description || "", quoted: true }
+    ]
+});
+
+export const proteinReportTable = (summaries) => ({
+    name: 'Proteins',
+    rows: summaries,
+    columns: [
+        { title: 'Scientific_Name', value: s => s.scientificName, quoted: true },
+        { title: 'Gene_Name', value: s => s.gene },
+        { title: 'Accession', value: s => s.accession },
+        { title: 'Length', value: s => s.length },
+        ...DENSITY_TRACKS.map(t => ({ title: `${t.csvName}_Sites`, value: s => (s.siteCounts ? s.siteCounts[t.key] : "") })),
+        { title: 'Zone_Count', value: s => s.zones.length },
+        // Zones are stored as 0-based [start, end) indices; reports give 1-based inclusive residues
+        { title: 'Zones', value: s => s.zones.map(z => `${z.start + 1}-${z.end}`).join(';') },
+        { title: 'Zone_Coverage_aa', value: s => s.zoneCoverage },
+        { title: 'Zone_Coverage_Fraction', value: s => (s.length ? s.zoneCoverage / s.length : 0).toFixed(4) },
+        ...DENSITY_TRACKS.map(t => ({ title: `Max_${t.csvName}_Density`, value: s => (s.maxDensities ? s.maxDensities[t.key].toFixed(4) : "") })),
+        { title: 'Protein_Zone_P_Value', value: s => formatPValue(s.zonePValue) },
+        { title: 'Protein_Zone_Q_Value_BH', value: s => formatPValue(s.zoneQValue) },
+        // Context filters the protein had no data for (exposure without a structure): they counted every site
+        { title: 'Unapplied_Context_Filters', value: s => (s.unappliedContextFilters || []).join(';') }
+    ]
+});
+
+// One row per zone, for the workbook
+export const zoneReportTable = (summaries) => ({
+    name: 'Zones',
+    rows: summaries.flatMap(s => s.zones.map((z, i) => ({ ...z, index: i + 1, gene: s.gene, accession: s.accession, scientificName: s.scientificName }))),
+    columns: [
+        { title: 'Scientific_Name', value: z => z.scientificName, quoted: true },
+        { title: 'Gene_Name', value: z => z.gene },
+        { title: 'Accession', value: z => z.accession },
+        { title: 'Zone', value: z => z.index },
+        { title: 'Start', value: z => z.start + 1 },
+        { title: 'End', value: z => z.end },
+        { title: 'Length_aa', value: z => z.end - z.start }
+    ]
+});
+
+// One row per residue of a single protein, as drawn in the Analysis view. `profile` holds the
+// evidence-filtered protein with its densities, zone mask, scored regions, stability (null without a
+// robustness sweep) and residue context.
+export const residueReportRows = ({ protein, densities, isZone, regions, stability, context }) => {
+    // Sites at each position with their evidence level, e.g. "N-Linked:EXPERIMENTAL"
+    const sitesAt = new Map();
+    DENSITY_TRACKS.forEach(track => {
+        (protein[track.siteField] || []).forEach(pos => {
+            const label = `${track.label}:${siteEvidence(protein, track.siteField, pos).evidence.toUpperCase()}`;
+            sitesAt.set(pos, [...(sitesAt.get(pos) || []), label]);
+        });
+    });
+    const at = (values, i) => (values && values[i] !== null && values[i] !== undefined ? values[i] : null);
+
+    return Array.from({ length: protein.length }, (_, i) => {
+        const regionIndex = regions.findIndex(r => i >= r.start && i < r.end);
+        return {
+            scientificName: protein.scientificName,
+            position: i + 1,
+            residue: protein.sequence[i] || '-',
+            densities: Object.fromEntries(DENSITY_TRACKS.map(track => [track.key, densities[track.key][i]])),
+            inZone: isZone[i],
+            region: regionIndex >= 0 ? { ...regions[regionIndex], number: regionIndex + 1 } : null,
+            stability: stability ? stability[i] : null,
+            rsa: at(context.rsa, i),
+            disorder: at(context.disorder, i),
+            sites: sitesAt.get(i + 1) || []
+        };
+    });
+};
+
+const fixed = (value, digits) => (value === null ? "" : value.toFixed(digits));
+
+export const residueReportTable = (rows) => ({
+    name: 'Residues',
+    rows,
+    columns: [
+        { title: 'Scientific_Name', value: r => r.scientificName, quoted: true },
+        { title: 'Position', value: r => r.position },
+        { title: 'Amino_Acid', value: r => r.residue },
+        ...DENSITY_TRACKS.map(t => ({ title: `${t.csvName}_Density`, value: r => r.densities[t.key].toFixed(4) })),
+        { title: 'Is_HighDensity_Zone', value: r => bool(r.inZone) },
+        { title: 'Zone_Region', value: r => (r.region ? r.region.number : "") },
+        { title: 'Zone_P_Value', value: r => formatPValue(r.region && r.region.pValue) },
+        { title: 'Zone_Q_Value_BH', value: r => formatPValue(r.region && r.region.qValue) },
+        { title: 'Zone_Stability', value: r => fixed(r.stability, 3) },
+        { title: 'RSA', value: r => fixed(r.rsa, 3) },
+        { title: 'Disorder', value: r => fixed(r.disorder, 3) },
+        { title: 'Sites', value: r => r.sites.join(';') }
+    ]
+});
+
+const csvCell = (value, quoted) => (quoted ? `"${String(value ?? "").replace(/"/g, '""')}"` : String(value ?? ""));
+
+export const tableToCsv = (table) => {
+    const header = table.columns.map(c => c.title).join(',') + '\n';
+    const body = table.rows.map(r => table.columns.map(c => csvCell(c.value(r), c.quoted)).join(',')).join('\n');
+    return header + body;
+};
+
+const xmlEscape = (value) => String(value ?? "")
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const xmlCell = (value) => {
+    const isNumber = typeof value === 'number' || (typeof value === 'string' && value !== "" && !isNaN(Number(value)));
+    return `<Cell><Data ss:Type="${isNumber ? 'Number' : 'String'}">${xmlEscape(value)}</Data></Cell>`;
+};
+
+// Excel 2003 XML Spreadsheet: a single file with one worksheet per table, no extra dependency
+export const tablesToWorkbookXml = (tables) => {
+    const sheets = tables.map(table => {
+        const header = `<Row>${table.columns.map(c => `<Cell ss:StyleID="header"><Data ss:Type="String">${xmlEscape(c.title)}</Data></Cell>`).join('')}</Row>`;
+        const rows = table.rows.map(r => `<Row>${table.columns.map(c => xmlCell(c.value(r))).join('')}</Row>`).join('\n');
+        return `<Worksheet ss:Name="${xmlEscape(table.name)}"><Table>\n${header}\n${rows}\n</Table></Worksheet>`;
+    }).join('\n');
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<?mso-application progid="Excel.Sheet"?>
+<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet" xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">
+<Styles><Style ss:ID="header"><Font ss:Bold="1"/></Style></Styles>
+${sheets}
+</Workbook>
+`;
+};
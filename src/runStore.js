@@ -0,0 +1,36 @@
+// IndexedDB persistence for proteome runs: one record per run plus the results of each page
+
+import { STORES, withStores } from './db.js';
+
+const { RUNS, RUN_PAGES } = STORES;
+
+const pageRange = (runId, pageCount) => IDBKeyRange.bound([runId, 0], [runId, Math.max(0, pageCount - 1)]);
+
+export const saveRun = (run) => withStores([RUNS], 'readwrite', (runs) => {
+    runs.put({ ...run, updatedAt: Date.now() });
+});
+
+export const listRuns = async () => {
+    const runs = await withStores([RUNS], 'readonly', (store) => store.getAll());
+    return (runs || []).sort((a, b) => b.startedAt - a.startedAt);
+};
+
+export const savePageResults = (runId, page, rows, summaries) => withStores([RUN_PAGES], 'readwrite', (pages) => {
+    pages.put({ runId, page, rows, summaries });
+});
+
+// Site rows and protein summaries of the first `pageCount` pages, in page order
+export const loadRunResults = async (runId, pageCount) => {
+    if (pageCount <= 0) return { rows: [], summaries: [] };
+    const pages = await withStores([RUN_PAGES], 'readonly', (store) => store.getAll(pageRange(runId, pageCount)));
+    return {
+        rows: (pages || []).flatMap(p => p.rows),
+        // Pages stored before protein summaries existed have none
+        summaries: (pages || []).flatMap(p => p.summaries || [])
+    };
+};
+
+export const deleteRun = (runId) => withStores([RUNS, RUN_PAGES], 'readwrite', (runs, pages) => {
+    runs.delete(runId);
+    pages.delete(IDBKeyRange.bound([runId, 0], [runId, Infinity]));
+});
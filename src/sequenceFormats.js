@@ -0,0 +1,226 @@
+// Sequence file ingestion: FASTA (UniProt, NCBI and generic headers), GenPept and UniProt flat text.
+// Every format ends in the internal protein shape used by analyzeProtein, plus a per-entry error report.
+
+import { parseUniProtEntry, parseUniProtFlatText } from './analysis.js';
+import { predictSites, DEFAULT_PREDICTOR_KEYS } from './predictors.js';
+
+// 20 standard residues plus U (Sec), O (Pyl) and the IUPAC ambiguity codes B, Z, J, X
+const VALID_RESIDUES = /^[ACDEFGHIKLMNPQRSTVWYUOBZJX]+$/;
+
+// --- HEADERS ---
+
+// Parses a FASTA header line (with or without the leading '>') into identifiers and organism.
+//   UniProt: sp|P02751|FINC_HUMAN Fibronectin OS=Homo sapiens OX=9606 GN=FN1 PE=1 SV=4
+//   NCBI:    NP_002017.1 fibronectin isoform 1 [Homo sapiens]   (also legacy gi|...|ref|NP_002017.1|)
+//   Generic: anything else; the first word is the identifier
+export const parseFastaHeader = (header) => {
+    const text = header.replace(/^>/, '').trim();
+    const [idToken = "", ...rest] = text.split(/\s+/);
+    const description = rest.join(' ');
+
+    const uniprot = idToken.match(/^(sp|tr)\|([^|]+)\|(\S+)$/);
+    if (uniprot) {
+        const tag = (key) => {
+            const m = description.match(new RegExp(`\\b${key}=(.+?)(?=\\s+[A-Z]{2}=|$)`));
+            return m ? m[1].trim() : null;
+        };
+        const entryName = uniprot[3];
+        return {
+            format: 'uniprot',
+            accession: uniprot[2],
+            gene: tag('GN') || entryName.split('_')[0],
+            scientificName: tag('OS'),
+            organismId: tag('OX'),
+            description: description.split(/\s+[A-Z]{2}=/)[0]
+        };
+    }
+
+    const organismMatch = description.match(/\[([^\]]+)\]\s*$/);
+    const legacyNcbi = idToken.match(/^gi\|\d+\|(?:ref|gb|emb|dbj|pir|prf|sp)\|([^|]+)\|?/);
+    const isNcbi = legacyNcbi || /^[A-Z]{1,3}_?\d+\.\d+$/.test(idToken);
+    if (isNcbi) {
+        const accession = legacyNcbi ? legacyNcbi[1] : idToken;
+        return {
+            format: 'ncbi',
+            accession,
+            gene: accession,
+            scientificName: organismMatch ? organismMatch[1] : null,
+            organismId: null,
+            description: description.replace(/\s*\[[^\]]+\]\s*$/, '')
+        };
+    }
+
+    const gene = description.match(/\bGN=(\S+)/);
+    return {
+        format: 'generic',
+        accession: idToken,
+        gene: gene ? gene[1] : idToken,
+        scientificName: organismMatch ? organismMatch[1] : null,
+        organismId: null,
+        description
+    };
+};
+
+// --- PROTEIN SHAPE ---
+
+// Sequence-only records carry no annotations: their sites come from the selected predictors
+export const proteinFromSequence = ({ accession, gene, scientificName, organismId, sequence }, predictorKeys = DEFAULT_PREDICTOR_KEYS) => {
+    const { topology, ...sites } = predictSites(sequence, predictorKeys);
+    // Predicted topology feeds the same domain/topology ribbon as UniProt's Signal/Transmembrane/Topological domain
+    const regions = topology.map(seg => ({
+        type: seg.type === 'signal' || seg.type === 'transmembrane' ? seg.type : 'topology',
+        start: seg.start,
+        end: seg.end,
+        description: seg.type === 'cytosolic' ? 'Cytoplasmic (predicted)' : seg.type === 'extracellular' ? 'Extracellular (predicted)' : `${seg.type === 'signal' ? 'Signal peptide' : 'Transmembrane'} (predicted)`,
+        predicted: true
+    }));
+    return {
+        id: accession,
+        gene: gene || accession,
+        scientificName: scientificName || "Unknown Species",
+        organismId: organismId || null,
+        length: sequence.length,
+        sequence,
+        ...sites,
+        regions
+    };
+};
+
+// Returns an error message for an unusable sequence, or null.
+// Expects an uppercased sequence with whitespace and a terminal stop ('*') already removed.
+export const validateSequence = (sequence) => {
+    if (!sequence) return "empty sequence";
+    if (VALID_RESIDUES.test(sequence)) return null;
+    const invalid = [...new Set(sequence.replace(/[ACDEFGHIKLMNPQRSTVWYUOBZJX]/g, ''))];
+    const firstBad = sequence.search(/[^ACDEFGHIKLMNPQRSTVWYUOBZJX]/);
+    return `invalid residue${invalid.length > 1 ? 's' : ''} ${invalid.map(c => `'${c}'`).join(', ')} (first at position ${firstBad + 1})`;
+};
+
+const cleanSequence = (raw) => raw.replace(/\s+/g, '').toUpperCase().replace(/\*$/, '');
+
+// --- FORMATS ---
+
+// Returns raw records { accession, gene, scientificName, organismId, sequence, line }
+const parseFastaRecords = (text) => {
+    const records = [];
+    let current = null;
+    text.split(/\r?\n/).forEach((line, i) => {
+        const l = line.trim();
+        if (!l || l.startsWith(';')) return;
+        if (l.startsWith('>')) {
+            current = { ...parseFastaHeader(l), sequence: "", line: i + 1 };
+            records.push(current);
+        } else if (current) {
+            current.sequence += l;
+        }
+    });
+    return records;
+};
+
+// GenPept (GenBank protein) records: LOCUS ... ORIGIN ... //
+const parseGenPeptRecords = (text) => {
+    const records = [];
+    let lines = [];
+    let startLine = 1;
+    const finishRecord = () => {
+        if (lines.length === 0) return;
+        const block = lines.join('\n');
+        const value = (key) => {
+            const m = block.match(new RegExp(`^${key}\\s+(.+)$`, 'm'));
+            return m ? m[1].trim() : null;
+        };
+        const qualifier = (key) => {
+            const m = block.match(new RegExp(`/${key}="([^"]*)"`));
+            return m ? m[1] : null;
+        };
+        const originIndex = lines.findIndex(l => l.startsWith('ORIGIN'));
+        const sequence = originIndex < 0 ? "" : lines.slice(originIndex + 1).join('').replace(/[\d\s]/g, '');
+        const accession = (value('VERSION') || value('ACCESSION') || value('LOCUS') || "").split(/\s+/)[0];
+        const organism = block.match(/^\s+ORGANISM\s+(.+)$/m);
+        const taxon = block.match(/\/db_xref="taxon:(\d+)"/);
+        records.push({
+            accession,
+            gene: qualifier('gene'),
+            scientificName: organism ? organism[1].trim() : qualifier('organism'),
+            organismId: taxon ? taxon[1] : null,
+            sequence,
+            line: startLine
+        });
+        lines = [];
+    };
+    text.split(/\r?\n/).forEach((line, i) => {
+        if (line.startsWith('//')) {
+            finishRecord();
+            startLine = i + 2;
+        } else if (line.trim()) {
+            lines.push(line);
+        }
+    });
+    finishRecord();
+    return records;
+};
+
+export const detectSequenceFormat = (text) => {
+    const head = text.trimStart();
+    if (head.startsWith('>')) return 'fasta';
+    if (head.startsWith('LOCUS')) return 'genpept';
+    if (head.startsWith('ID   ')) return 'uniprot-flat';
+    return null;
+};
+
+const FORMAT_LABELS = { fasta: 'FASTA', genpept: 'GenPept', 'uniprot-flat': 'UniProt flat text' };
+export const formatLabel = (format) => FORMAT_LABELS[format] || format;
+
+// Parses any supported sequence file; `predictors` selects the site predictors for sequence-only formats.
+// Returns { format, proteins, errors } where errors are { entry, line, id, message } for skipped entries.
+export const parseSequenceFile = (text, { predictors = DEFAULT_PREDICTOR_KEYS } = {}) => {
+    const format = detectSequenceFormat(text);
+    if (!format) throw new Error("Unrecognized file: expected FASTA ('>'), GenPept ('LOCUS') or UniProt flat text ('ID').");
+
+    const proteins = [];
+    const errors = [];
+    const seen = new Set();
+    const accept = (protein, entry, line) => {
+        const message = validateSequence(protein.sequence)
+            || (!protein.id ? "missing identifier" : null)
+            || (seen.has(protein.id) ? `duplicate identifier ${protein.id}` : null);
+        if (message) {
+            errors.push({ entry, line, id: protein.id || "", message });
+            return;
+        }
+        seen.add(protein.id);
+        proteins.push(protein);
+    };
+
+    if (format === 'uniprot-flat') {
+        // Annotated entries: keep the UniProt features instead of predicting sites
+        parseUniProtFlatText(text).forEach((entry, i) => {
+            const sequence = cleanSequence(entry.sequence.value);
+            const protein = parseUniProtEntry({ ...entry, sequence: { value: sequence, length: sequence.length } });
+            accept(protein, i + 1, null);
+        });
+    } else {
+        const records = format === 'fasta' ? parseFastaRecords(text) : parseGenPeptRecords(text);
+        records.forEach((record, i) => {
+            accept(proteinFromSequence({ ...record, sequence: cleanSequence(record.sequence) }, predictors), i + 1, record.line);
+        });
+    }
+
+    return { format, proteins, errors };
+};
+
+// --- FILE READING ---
+
+// Reads an uploaded File as text, transparently gunzipping it (detected by magic bytes, not by extension)
+export const readSequenceFile = async (file) => {
+    const buffer = await file.arrayBuffer();
+    const bytes = new Uint8Array(buffer);
+    if (bytes[0] === 0x1f && bytes[1] === 0x8b) {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error("This browser cannot decompress gzip files; please upload the uncompressed file.");
+        }
+        const stream = new Blob([buffer]).stream().pipeThrough(new DecompressionStream('gzip'));
+        return new Response(stream).text();
+    }
+    return new TextDecoder().decode(bytes);
+};
@@ -0,0 +1,286 @@
+// Shareable analysis sessions: a versioned JSON format (with its JSON Schema) holding the protein(s),
+// UniProt release, parameters, shown tracks and view. Saved as a file or encoded into the URL hash;
+// older parameter files are migrated on load.
+
+import {
+    DENSITY_TRACKS, DEFAULT_CHART_TRACKS, DEFAULT_ZONE_RULE, DISULFIDE_COUNTING_MODES, DEFAULT_DISULFIDE_COUNTING,
+    EVIDENCE_FILTERS, DEFAULT_EVIDENCE_FILTER, DENSITY_MODES, DEFAULT_DENSITY_MODE, DEFAULT_SPATIAL_RADIUS,
+    SITE_CONTEXT_FILTERS, DEFAULT_PERMUTATION_SETTINGS, legacyParamsToZoneRule
+} from './analysis.js';
+
+export const SESSION_FORMAT = 'proteincoloc-session';
+// 1: bare parameter objects written by "Export Params" (.txt), 2: session files
+export const SESSION_VERSION = 2;
+export const SESSION_VIEWS = ['calibration', 'analysis', 'database', 'compare'];
+
+export const DEFAULT_SESSION_PARAMS = {
+    ssWindowSize: 50, ssSmoothing: 5, ssCounting: DEFAULT_DISULFIDE_COUNTING,
+    glycoWindowSize: 50, glycoSmoothing: 5,
+    phosphoWindowSize: 50, phosphoSmoothing: 5,
+    otherWindowSize: 50, otherSmoothing: 5,
+    densityMode: DEFAULT_DENSITY_MODE, spatialRadius: DEFAULT_SPATIAL_RADIUS,
+    evidenceFilter: DEFAULT_EVIDENCE_FILTER,
+    zoneRule: DEFAULT_ZONE_RULE,
+    permutation: DEFAULT_PERMUTATION_SETTINGS
+};
+
+// --- SCHEMA ---
+
+const windowSize = { type: 'integer', minimum: 5, maximum: 500 };
+const smoothing = { type: 'integer', minimum: 0, maximum: 50 };
+const trackKey = { enum: DENSITY_TRACKS.map(t => t.key) };
+
+export const SESSION_SCHEMA = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    title: 'ProteinCoLoc analysis session',
+    type: 'object',
+    required: ['format', 'version', 'params'],
+    properties: {
+        format: { const: SESSION_FORMAT },
+        version: { const: SESSION_VERSION },
+        savedAt: { type: 'string' },
+        proteins: {
+            type: 'object',
+            properties: {
+                current: { oneOf: [{ type: 'null' }, { $ref: '#/$defs/proteinRef' }] },
+                compared: { type: 'array', items: { $ref: '#/$defs/proteinRef' } }
+            }
+        },
+        params: {
+            type: 'object',
+            properties: {
+                ssWindowSize: windowSize, ssSmoothing: smoothing,
+                ssCounting: { enum: DISULFIDE_COUNTING_MODES.map(m => m.key) },
+                glycoWindowSize: windowSize, glycoSmoothing: smoothing,
+                phosphoWindowSize: windowSize, phosphoSmoothing: smoothing,
+                otherWindowSize: windowSize, otherSmoothing: smoothing,
+                densityMode: { enum: DENSITY_MODES.map(m => m.key) },
+                spatialRadius: { type: 'number', minimum: 1, maximum: 100 },
+                evidenceFilter: { enum: EVIDENCE_FILTERS.map(f => f.key) },
+                zoneRule: {
+                    type: 'object',
+                    required: ['combinator', 'conditions'],
+                    properties: {
+                        combinator: { enum: ['AND', 'OR', 'AT_LEAST'] },
+                        minCount: { type: 'integer', minimum: 1 },
+                        conditions: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                required: ['track', 'threshold'],
+                                properties: {
+                                    track: trackKey,
+                                    threshold: { type: 'number', minimum: 0 },
+                                    context: { enum: SITE_CONTEXT_FILTERS.map(f => f.key) }
+                                }
+                            }
+                        }
+                    }
+                },
+                permutation: {
+                    type: 'object',
+                    properties: {
+                        enabled: { type: 'boolean' },
+                        iterations: { type: 'integer', minimum: 1, maximum: 100000 },
+                        constrained: { type: 'boolean' }
+                    }
+                }
+            }
+        },
+        view: {
+            type: 'object',
+            properties: {
+                tab: { enum: SESSION_VIEWS },
+                chartTracks: { type: 'array', items: trackKey },
+                range: {
+                    oneOf: [
+                        { type: 'null' },
+                        { type: 'object', required: ['start', 'end'], properties: { start: { type: 'integer', minimum: 0 }, end: { type: 'integer', minimum: 1 } } }
+                    ]
+                },
+                organismId: { type: 'string' }
+            }
+        }
+    },
+    $defs: {
+        // UniProt entries are reloaded by accession; uploaded proteins travel inside session files only
+        proteinRef: {
+            type: 'object',
+            required: ['accession', 'source'],
+            properties: {
+                accession: { type: 'string', minLength: 1 },
+                canonical: { type: 'string' },
+                source: { enum: ['uniprot', 'file'] },
+                uniprotRelease: { type: 'string' },
+                protein: { type: 'object', required: ['id', 'sequence'] }
+            }
+        }
+    }
+};
+
+// --- VALIDATION ---
+
+const typeOf = (value) => (value === null ? 'null' : Array.isArray(value) ? 'array'
+    : Number.isInteger(value) ? 'integer' : typeof value);
+
+const matchesType = (value, type) => typeOf(value) === type || (type === 'number' && typeOf(value) === 'integer');
+
+// Checks `value` against the subset of JSON Schema used by SESSION_SCHEMA (type, const, enum, bounds,
+// required, properties, items, oneOf, local $ref). Returns [{ path, message }], empty when valid.
+export const validateAgainstSchema = (value, schema, root = schema, path = '') => {
+    if (schema.$ref) return validateAgainstSchema(value, root.$defs[schema.$ref.replace('#/$defs/', '')], root, path);
+    const at = path || '(session)';
+    if (schema.oneOf) {
+        const passing = schema.oneOf.filter(option => validateAgainstSchema(value, option, root, path).length === 0);
+        if (passing.length === 1) return [];
+        const branch = schema.oneOf.find(option => !option.type || matchesType(value, option.type));
+        return branch ? validateAgainstSchema(value, branch, root, path) : [{ path: at, message: 'has an unexpected type' }];
+    }
+    if ('const' in schema && value !== schema.const) return [{ path: at, message: `must be ${JSON.stringify(schema.const)}` }];
+    if (schema.enum && !schema.enum.includes(value)) return [{ path: at, message: `must be one of ${schema.enum.join(', ')}` }];
+    if (schema.type && !matchesType(value, schema.type)) return [{ path: at, message: `must be ${schema.type === 'integer' ? 'an integer' : `a${/^[aeiou]/.test(schema.type) ? 'n' : ''} ${schema.type}`}` }];
+    if (schema.minimum !== undefined && value < schema.minimum) return [{ path: at, message: `must be >= ${schema.minimum}` }];
+    if (schema.maximum !== undefined && value > schema.maximum) return [{ path: at, message: `must be <= ${schema.maximum}` }];
+    if (schema.minLength !== undefined && value.length < schema.minLength) return [{ path: at, message: 'must not be empty' }];
+
+    const errors = [];
+    if (typeOf(value) === 'object') {
+        (schema.required || []).filter(key => !(key in value)).forEach(key => {
+            errors.push({ path: path ? `${path}.${key}` : key, message: 'is missing' });
+        });
+        Object.entries(schema.properties || {}).forEach(([key, sub]) => {
+            if (key in value) errors.push(...validateAgainstSchema(value[key], sub, root, path ? `${path}.${key}` : key));
+        });
+    }
+    if (typeOf(value) === 'array' && schema.items) {
+        value.forEach((item, i) => errors.push(...validateAgainstSchema(item, schema.items, root, `${path}[${i}]`)));
+    }
+    return errors;
+};
+
+// --- MIGRATION ---
+
+const PARAM_NUMBERS = ['ssWindowSize', 'ssSmoothing', 'glycoWindowSize', 'glycoSmoothing', 'phosphoWindowSize',
+    'phosphoSmoothing', 'otherWindowSize', 'otherSmoothing', 'spatialRadius'];
+
+// Parameters of a version 1 file: numbers are taken by type (a smoothing or threshold of 0 is a value,
+// not a missing field) and per-group thresholds become the equivalent zone rule
+const migrateParams = (legacy) => {
+    const params = {};
+    PARAM_NUMBERS.forEach(key => { if (typeof legacy[key] === 'number') params[key] = legacy[key]; });
+    ['ssCounting', 'evidenceFilter', 'densityMode'].forEach(key => { if (typeof legacy[key] === 'string') params[key] = legacy[key]; });
+    if (legacy.zoneRule && Array.isArray(legacy.zoneRule.conditions)) {
+        params.zoneRule = legacy.zoneRule;
+    } else if (typeof legacy.ssThreshold === 'number' || typeof legacy.glycoThreshold === 'number') {
+        params.zoneRule = legacyParamsToZoneRule(legacy);
+    }
+    if (legacy.permutation && typeof legacy.permutation === 'object') params.permutation = legacy.permutation;
+    return params;
+};
+
+// Brings any supported file content up to SESSION_VERSION. Throws for content that is not a session
+// or parameter file, and for sessions written by a newer version of the app.
+export const migrateSession = (raw) => {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new Error('not a session or parameter file');
+    if (raw.format === SESSION_FORMAT) {
+        if (typeof raw.version !== 'number') throw new Error('session has no version');
+        if (raw.version > SESSION_VERSION) throw new Error(`session version ${raw.version} was written by a newer version of the app`);
+        return raw;
+    }
+    const params = migrateParams(raw);
+    if (Object.keys(params).length === 0) throw new Error('no recognised parameters in the file');
+    return { format: SESSION_FORMAT, version: SESSION_VERSION, migratedFrom: 1, params };
+};
+
+// Parses file or hash content into a valid, current session with every parameter present.
+// Returns { session, errors }; `session` is null when the content cannot be used.
+export const readSession = (text) => {
+    let raw;
+    try {
+        raw = JSON.parse(text);
+    } catch (err) {
+        return { session: null, errors: [{ path: '(file)', message: `is not valid JSON (${err.message})` }] };
+    }
+    let session;
+    try {
+        session = migrateSession(raw);
+    } catch (err) {
+        return { session: null, errors: [{ path: '(file)', message: err.message }] };
+    }
+    const errors = validateAgainstSchema(session, SESSION_SCHEMA);
+    if (errors.length > 0) return { session: null, errors };
+    return {
+        session: {
+            ...session,
+            params: {
+                ...DEFAULT_SESSION_PARAMS,
+                ...session.params,
+                permutation: { ...DEFAULT_SESSION_PARAMS.permutation, ...(session.params.permutation || {}) }
+            },
+            proteins: { current: null, compared: [], ...(session.proteins || {}) },
+            view: { tab: 'calibration', chartTracks: DEFAULT_CHART_TRACKS, range: null, ...(session.view || {}) }
+        },
+        errors: []
+    };
+};
+
+// --- BUILDING / SHARING ---
+
+// Reference to a loaded protein: UniProt entries (they carry `uniprotRelease`) by accession, anything
+// else embedded so that the file reproduces it without network access
+export const proteinRef = (protein, { embed = true } = {}) => {
+    if (!protein) return null;
+    if (protein.uniprotRelease) {
+        return {
+            accession: protein.id,
+            source: 'uniprot',
+            uniprotRelease: protein.uniprotRelease,
+            ...(protein.isoformOf && { canonical: protein.isoformOf })
+        };
+    }
+    // Coordinates and structural context belong to a loaded structure, not to the protein
+    const plain = { ...protein };
+    delete plain.residueCoords;
+    delete plain.residueRsa;
+    delete plain.residueDisorder;
+    return { accession: protein.id, source: 'file', ...(embed && { protein: plain }) };
+};
+
+export const buildSession = ({ protein, compared = [], params, view }) => ({
+    format: SESSION_FORMAT,
+    version: SESSION_VERSION,
+    savedAt: new Date().toISOString(),
+    proteins: { current: proteinRef(protein), compared: compared.map(p => proteinRef(p)) },
+    params,
+    view
+});
+
+const HASH_KEY = 'session=';
+
+// URL-safe base64 of the session JSON. Embedded proteins are dropped to keep links short; only their
+// accession travels.
+export const encodeSessionHash = (session) => {
+    const strip = (ref) => (ref && ref.protein ? { accession: ref.accession, source: ref.source } : ref);
+    const compact = {
+        ...session,
+        savedAt: undefined,
+        proteins: session.proteins && { current: strip(session.proteins.current), compared: (session.proteins.compared || []).map(strip) }
+    };
+    const bytes = new TextEncoder().encode(JSON.stringify(compact));
+    let binary = '';
+    bytes.forEach(b => { binary += String.fromCharCode(b); });
+    return `#${HASH_KEY}${btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')}`;
+};
+
+// JSON text of a session in a URL hash, or null when the hash holds none (or cannot be decoded)
+export const decodeSessionHash = (hash) => {
+    const value = (hash || '').replace(/^#/, '');
+    if (!value.startsWith(HASH_KEY)) return null;
+    try {
+        const base64 = value.slice(HASH_KEY.length).replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+        return new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+    } catch {
+        return null;
+    }
+};
@@ -0,0 +1,244 @@
+// 3D structures (PDB / mmCIF, e.g. AlphaFold models): atoms per chain, solvent accessibility and the
+// mapping onto the loaded protein's residues. Pure, like analysis.js; the viewer lives in App.jsx.
+
+import { alignPair, columnMap } from './alignment.js';
+
+// --- PARSING ---
+
+const THREE_TO_ONE = {
+    ALA: 'A', ARG: 'R', ASN: 'N', ASP: 'D', CYS: 'C', GLN: 'Q', GLU: 'E', GLY: 'G', HIS: 'H', ILE: 'I',
+    LEU: 'L', LYS: 'K', MET: 'M', PHE: 'F', PRO: 'P', SER: 'S', THR: 'T', TRP: 'W', TYR: 'Y', VAL: 'V',
+    SEC: 'U', PYL: 'O', MSE: 'M', HYP: 'P', SEP: 'S', TPO: 'T', PTR: 'Y', CSO: 'C', CME: 'C'
+};
+
+// Collects the heavy atoms of the first model into chains of residues
+// ({ id, residues: [{ seqId, aa, ca, bFactor, atoms: [{ name, element, xyz }] }] }); residues without a C-alpha are dropped
+const chainCollector = () => {
+    const chains = new Map();
+    const residues = new Map();
+    return {
+        add: ({ chain, seqId, resName, atom, element, x, y, z, bFactor }) => {
+            const aa = THREE_TO_ONE[resName];
+            // Ligands and nucleotides have no one-letter code here; hydrogens do not enter the surface
+            if (!aa || element === 'H' || element === 'D' || ![x, y, z].every(Number.isFinite)) return;
+            const key = `${chain}:${seqId}`;
+            if (!residues.has(key)) {
+                const residue = { seqId, aa, ca: null, bFactor, atoms: [] };
+                residues.set(key, residue);
+                if (!chains.has(chain)) chains.set(chain, { id: chain, residues: [] });
+                chains.get(chain).residues.push(residue);
+            }
+            const residue = residues.get(key);
+            // First alternate location of each atom wins
+            if (residue.atoms.some(a => a.name === atom)) return;
+            residue.atoms.push({ name: atom, element: element || atom[0], xyz: [x, y, z] });
+            if (atom === 'CA') {
+                residue.ca = [x, y, z];
+                residue.bFactor = bFactor;
+            }
+        },
+        chains: () => [...chains.values()]
+            .map(c => ({ ...c, residues: c.residues.filter(r => r.ca) }))
+            .filter(c => c.residues.length > 0)
+    };
+};
+
+// Fixed-column ATOM/HETATM records; stops at the end of the first MODEL
+const parsePdb = (text) => {
+    const collector = chainCollector();
+    for (const line of text.split(/\r?\n/)) {
+        if (line.startsWith('ENDMDL')) break;
+        if (!line.startsWith('ATOM') && !line.startsWith('HETATM')) continue;
+        const atom = line.slice(12, 16).trim();
+        collector.add({
+            atom,
+            element: (line.slice(76, 78).trim() || atom.replace(/^\d+/, '')[0] || '').toUpperCase(),
+            chain: line[21] && line[21].trim() ? line[21] : 'A',
+            seqId: line.slice(22, 27).trim(), // residue number + insertion code
+            resName: line.slice(17, 20).trim().toUpperCase(),
+            x: parseFloat(line.slice(30, 38)),
+            y: parseFloat(line.slice(38, 46)),
+            z: parseFloat(line.slice(46, 54)),
+            bFactor: parseFloat(line.slice(60, 66)) || 0
+        });
+    }
+    return collector.chains();
+};
+
+// Whitespace tokens of an mmCIF data line, honouring '...' and "..." quoting
+const cifTokens = (line) => (line.match(/'[^']*'|"[^"]*"|\S+/g) || []).map(t => t.replace(/^(['"])(.*)\1$/, '$2'));
+
+// The _atom_site loop of the first data block, first model only (author chain IDs and numbering)
+const parseMmCif = (text) => {
+    const lines = text.split(/\r?\n/);
+    const collector = chainCollector();
+    for (let i = 0; i < lines.length; i++) {
+        if (lines[i].trim() !== 'loop_' || !(lines[i + 1] || '').startsWith('_atom_site.')) continue;
+        const fields = [];
+        let k = i + 1;
+        while (k < lines.length && lines[k].startsWith('_atom_site.')) fields.push(lines[k++].trim().slice('_atom_site.'.length));
+        const col = (...names) => names.map(n => fields.indexOf(n)).find(idx => idx >= 0);
+        const c = {
+            atom: col('label_atom_id', 'auth_atom_id'),
+            element: col('type_symbol'),
+            resName: col('label_comp_id', 'auth_comp_id'),
+            chain: col('auth_asym_id', 'label_asym_id'),
+            seqId: col('auth_seq_id', 'label_seq_id'),
+            insCode: col('pdbx_PDB_ins_code'),
+            x: col('Cartn_x'), y: col('Cartn_y'), z: col('Cartn_z'),
+            bFactor: col('B_iso_or_equiv'),
+            model: col('pdbx_PDB_model_num')
+        };
+        if ([c.atom, c.resName, c.chain, c.seqId, c.x, c.y, c.z].some(idx => idx === undefined)) {
+            throw new Error('mmCIF atom_site loop lacks coordinate columns');
+        }
+        let firstModel = null;
+        for (; k < lines.length; k++) {
+            const line = lines[k].trim();
+            if (!line || line === '#' || line.startsWith('_') || line === 'loop_') break;
+            const t = cifTokens(line);
+            if (c.model !== undefined) {
+                if (firstModel === null) firstModel = t[c.model];
+                if (t[c.model] !== firstModel) break;
+            }
+            const insCode = c.insCode !== undefined && t[c.insCode] !== '?' && t[c.insCode] !== '.' ? t[c.insCode] : '';
+            collector.add({
+                atom: t[c.atom],
+                element: (c.element !== undefined ? t[c.element] : t[c.atom][0]).toUpperCase(),
+                chain: t[c.chain],
+                seqId: `${t[c.seqId]}${insCode}`,
+                resName: t[c.resName].toUpperCase(),
+                x: parseFloat(t[c.x]),
+                y: parseFloat(t[c.y]),
+                z: parseFloat(t[c.z]),
+                bFactor: c.bFactor !== undefined ? parseFloat(t[c.bFactor]) || 0 : 0
+            });
+        }
+        break;
+    }
+    return collector.chains();
+};
+
+// Parses a PDB or mmCIF file (detected from the content, the name is only a hint).
+// Returns { format, predicted, chains: [{ id, residues: [{ seqId, aa, ca: [x, y, z], bFactor, atoms }] }] };
+// `predicted` flags AlphaFold models, whose B-factor column holds the pLDDT.
+export const parseStructureFile = (text, fileName = '') => {
+    const isCif = /\.(cif|mmcif)$/i.test(fileName) || /^data_/m.test(text.slice(0, 2000)) || text.includes('_atom_site.');
+    const chains = isCif ? parseMmCif(text) : parsePdb(text);
+    if (chains.length === 0) throw new Error('no protein C-alpha atoms found');
+    const predicted = /^AF-/i.test(fileName) || /ALPHAFOLD|_ma_qa_metric_local/i.test(text.slice(0, 20000));
+    return { format: isCif ? 'mmCIF' : 'PDB', predicted, chains };
+};
+
+export const chainSequence = (chain) => chain.residues.map(r => r.aa).join('');
+
+// --- SOLVENT ACCESSIBILITY ---
+
+const PROBE_RADIUS = 1.4;
+const ATOM_RADII = { C: 1.7, N: 1.55, O: 1.52, S: 1.8, SE: 1.9 };
+const SPHERE_POINTS = 96;
+
+// Maximal accessible surface areas in Gly-X-Gly (Tien et al. 2013, theoretical), in Å²
+const MAX_ASA = {
+    A: 129, R: 274, N: 195, D: 193, C: 167, Q: 225, E: 223, G: 104, H: 224, I: 197,
+    L: 201, K: 236, M: 224, F: 240, P: 159, S: 155, T: 172, W: 285, Y: 263, V: 174, U: 167, O: 236
+};
+
+// Evenly spread unit vectors (golden-section spiral)
+const spherePoints = (n) => Array.from({ length: n }, (_, k) => {
+    const y = 1 - (2 * (k + 0.5)) / n;
+    const r = Math.sqrt(1 - y * y);
+    const phi = k * Math.PI * (3 - Math.sqrt(5));
+    return [r * Math.cos(phi), y, r * Math.sin(phi)];
+});
+
+// Relative solvent accessibility of every residue of a chain (Shrake-Rupley on the heavy atoms of that
+// chain alone, divided by the residue's maximal ASA and capped at 1). Models with C-alpha atoms only
+// give meaningless values, so null is returned for them.
+export const relativeAccessibility = (chain) => {
+    const atoms = chain.residues.flatMap((residue, r) => residue.atoms.map(a => ({
+        r, xyz: a.xyz, radius: (ATOM_RADII[a.element] || ATOM_RADII.C) + PROBE_RADIUS
+    })));
+    if (atoms.length < chain.residues.length * 3) return null;
+
+    // Neighbour search on a cubic grid with cells as large as the widest atom pair can reach
+    const cell = 2 * (Math.max(...Object.values(ATOM_RADII)) + PROBE_RADIUS);
+    const cellKey = (x, y, z) => `${Math.floor(x / cell)},${Math.floor(y / cell)},${Math.floor(z / cell)}`;
+    const grid = new Map();
+    atoms.forEach((a, idx) => {
+        const key = cellKey(...a.xyz);
+        if (!grid.has(key)) grid.set(key, []);
+        grid.get(key).push(idx);
+    });
+
+    const points = spherePoints(SPHERE_POINTS);
+    const asa = new Array(chain.residues.length).fill(0);
+    atoms.forEach((a, idx) => {
+        const [cx, cy, cz] = [0, 1, 2].map(k => Math.floor(a.xyz[k] / cell));
+        const neighbours = [];
+        for (let dx = -1; dx <= 1; dx++) for (let dy = -1; dy <= 1; dy++) for (let dz = -1; dz <= 1; dz++) {
+            (grid.get(`${cx + dx},${cy + dy},${cz + dz}`) || []).forEach(j => {
+                if (j === idx) return;
+                const b = atoms[j];
+                const reach = a.radius + b.radius;
+                const d0 = b.xyz[0] - a.xyz[0], d1 = b.xyz[1] - a.xyz[1], d2 = b.xyz[2] - a.xyz[2];
+                if (d0 * d0 + d1 * d1 + d2 * d2 < reach * reach) neighbours.push(b);
+            });
+        }
+        let exposed = 0;
+        for (const [px, py, pz] of points) {
+            const x = a.xyz[0] + px * a.radius, y = a.xyz[1] + py * a.radius, z = a.xyz[2] + pz * a.radius;
+            if (!neighbours.some(b => {
+                const d0 = b.xyz[0] - x, d1 = b.xyz[1] - y, d2 = b.xyz[2] - z;
+                return d0 * d0 + d1 * d1 + d2 * d2 < b.radius * b.radius;
+            })) exposed++;
+        }
+        asa[a.r] += (4 * Math.PI * a.radius * a.radius * exposed) / SPHERE_POINTS;
+    });
+    return asa.map((area, r) => Math.min(1, area / (MAX_ASA[chain.residues[r].aa] || 200)));
+};
+
+// --- MAPPING ---
+
+// Places the residues of a chain on the protein's sequence by alignment, so that partial models and
+// constructs with their own numbering map too. Only identical aligned residues get coordinates.
+// Returns { chainId, coords, bFactors, chainResidues, mapped, coverage } with per-residue arrays (null
+// where unmapped; `chainResidues` holds the index of the chain residue, -1 where unmapped).
+export const mapChainToProtein = (chain, protein) => {
+    const sequence = protein.sequence || '';
+    const coords = new Array(protein.length).fill(null);
+    const bFactors = new Array(protein.length).fill(null);
+    const chainResidues = new Array(protein.length).fill(-1);
+    const pair = alignPair(chainSequence(chain), sequence);
+    const chainColumns = columnMap(pair.a).toResidue;
+    const proteinColumns = columnMap(pair.b).toResidue;
+    let mapped = 0;
+    for (let col = 0; col < chainColumns.length; col++) {
+        const r = chainColumns[col];
+        const i = proteinColumns[col];
+        if (r < 0 || i < 0 || i >= protein.length) continue;
+        const residue = chain.residues[r];
+        if (residue.aa !== sequence[i]) continue;
+        coords[i] = residue.ca;
+        bFactors[i] = residue.bFactor;
+        chainResidues[i] = r;
+        mapped++;
+    }
+    return { chainId: chain.id, coords, bFactors, chainResidues, mapped, coverage: protein.length ? mapped / protein.length : 0 };
+};
+
+// Maps the requested chain, or the one covering most of the protein when `chainId` is not given, and adds
+// its per-residue context: `rsa` (relative solvent accessibility, null without side-chain atoms) and
+// `plddt` (the B-factors, for AlphaFold models only).
+export const mapStructureToProtein = (structure, protein, chainId = null) => {
+    const chains = chainId ? structure.chains.filter(c => c.id === chainId) : structure.chains;
+    const mappings = chains.map(chain => mapChainToProtein(chain, protein));
+    if (mappings.length === 0) throw new Error(`chain ${chainId} not found`);
+    const best = mappings.reduce((a, m) => (m.mapped > a.mapped ? m : a));
+    const chainRsa = relativeAccessibility(structure.chains.find(c => c.id === best.chainId));
+    return {
+        ...best,
+        rsa: chainRsa ? best.chainResidues.map(r => (r >= 0 ? chainRsa[r] : null)) : null,
+        plddt: structure.predicted ? best.bFactors : null
+    };
+};
@@ -0,0 +1,68 @@
+// Local list of commonly searched organisms for the gene search autocomplete (UniProt taxonomy IDs).
+// Any other organism can still be searched by typing its numeric TaxID.
+
+export const ORGANISMS = [
+    { id: '9606', scientificName: 'Homo sapiens', commonName: 'Human' },
+    { id: '10090', scientificName: 'Mus musculus', commonName: 'Mouse' },
+    { id: '10116', scientificName: 'Rattus norvegicus', commonName: 'Rat' },
+    { id: '9598', scientificName: 'Pan troglodytes', commonName: 'Chimpanzee' },
+    { id: '9544', scientificName: 'Macaca mulatta', commonName: 'Rhesus macaque' },
+    { id: '9913', scientificName: 'Bos taurus', commonName: 'Bovine' },
+    { id: '9823', scientificName: 'Sus scrofa', commonName: 'Pig' },
+    { id: '9940', scientificName: 'Ovis aries', commonName: 'Sheep' },
+    { id: '9925', scientificName: 'Capra hircus', commonName: 'Goat' },
+    { id: '9796', scientificName: 'Equus caballus', commonName: 'Horse' },
+    { id: '9615', scientificName: 'Canis lupus familiaris', commonName: 'Dog' },
+    { id: '9685', scientificName: 'Felis catus', commonName: 'Cat' },
+    { id: '9986', scientificName: 'Oryctolagus cuniculus', commonName: 'Rabbit' },
+    { id: '10029', scientificName: 'Cricetulus griseus', commonName: 'Chinese hamster' },
+    { id: '10036', scientificName: 'Mesocricetus auratus', commonName: 'Golden hamster' },
+    { id: '13616', scientificName: 'Monodelphis domestica', commonName: 'Gray short-tailed opossum' },
+    { id: '9258', scientificName: 'Ornithorhynchus anatinus', commonName: 'Platypus' },
+    { id: '9031', scientificName: 'Gallus gallus', commonName: 'Chicken' },
+    { id: '8364', scientificName: 'Xenopus tropicalis', commonName: 'Western clawed frog' },
+    { id: '8355', scientificName: 'Xenopus laevis', commonName: 'African clawed frog' },
+    { id: '7955', scientificName: 'Danio rerio', commonName: 'Zebrafish' },
+    { id: '8090', scientificName: 'Oryzias latipes', commonName: 'Japanese medaka' },
+    { id: '7227', scientificName: 'Drosophila melanogaster', commonName: 'Fruit fly' },
+    { id: '7460', scientificName: 'Apis mellifera', commonName: 'Honeybee' },
+    { id: '6239', scientificName: 'Caenorhabditis elegans', commonName: 'Nematode' },
+    { id: '559292', scientificName: 'Saccharomyces cerevisiae (strain ATCC 204508 / S288c)', commonName: "Baker's yeast" },
+    { id: '284812', scientificName: 'Schizosaccharomyces pombe (strain 972 / ATCC 24843)', commonName: 'Fission yeast' },
+    { id: '237561', scientificName: 'Candida albicans (strain SC5314 / ATCC MYA-2876)', commonName: 'Yeast' },
+    { id: '44689', scientificName: 'Dictyostelium discoideum', commonName: 'Social amoeba' },
+    { id: '36329', scientificName: 'Plasmodium falciparum (isolate 3D7)', commonName: 'Malaria parasite' },
+    { id: '3702', scientificName: 'Arabidopsis thaliana', commonName: 'Mouse-ear cress' },
+    { id: '39947', scientificName: 'Oryza sativa subsp. japonica', commonName: 'Rice' },
+    { id: '4577', scientificName: 'Zea mays', commonName: 'Maize' },
+    { id: '3847', scientificName: 'Glycine max', commonName: 'Soybean' },
+    { id: '4081', scientificName: 'Solanum lycopersicum', commonName: 'Tomato' },
+    { id: '83333', scientificName: 'Escherichia coli (strain K12)', commonName: 'E. coli' },
+    { id: '224308', scientificName: 'Bacillus subtilis (strain 168)', commonName: 'B. subtilis' },
+    { id: '83332', scientificName: 'Mycobacterium tuberculosis (strain ATCC 25618 / H37Rv)', commonName: 'M. tuberculosis' },
+    { id: '2697049', scientificName: 'Severe acute respiratory syndrome coronavirus 2', commonName: 'SARS-CoV-2' },
+    { id: '11676', scientificName: 'Human immunodeficiency virus type 1', commonName: 'HIV-1' }
+];
+
+export const DEFAULT_ORGANISM_ID = '9606';
+
+export const getOrganism = (id) => ORGANISMS.find(o => o.id === String(id)) || null;
+
+// "Homo sapiens (Human)" for listed organisms, "TaxID 1234" otherwise
+export const organismLabel = (id) => {
+    const organism = getOrganism(id);
+    return organism ? `${organism.scientificName} (${organism.commonName})` : `TaxID ${id}`;
+};
+
+// Autocomplete matches for a name fragment or TaxID: prefix matches before substring matches
+export const findOrganisms = (query, limit = 8) => {
+    const q = query.trim().toLowerCase();
+    if (!q) return ORGANISMS.slice(0, limit);
+    if (/^\d+$/.test(q)) return ORGANISMS.filter(o => o.id.startsWith(q)).slice(0, limit);
+    const scored = ORGANISMS.map(o => {
+        const names = [o.scientificName.toLowerCase(), o.commonName.toLowerCase()];
+        const rank = names.some(n => n.startsWith(q)) ? 0 : names.some(n => n.includes(q)) ? 1 : -1;
+        return { o, rank };
+    }).filter(x => x.rank >= 0);
+    return scored.sort((a, b) => a.rank - b.rank).slice(0, limit).map(x => x.o);
+};
@@ -0,0 +1,123 @@
+// Fixed-size pool of analysis workers with abortable jobs
+
+const createWorker = () => new Worker(new URL('./analysisWorker.js', import.meta.url), { type: 'module' });
+
+export const createWorkerPool = (size = Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1))) => {
+    const idle = Array.from({ length: size }, createWorker);
+    const queue = [];          // jobs waiting for a free worker
+    const running = new Map(); // job id -> { worker, job }
+    let nextId = 0;
+
+    const dispatch = () => {
+        while (idle.length > 0 && queue.length > 0) {
+            const worker = idle.pop();
+            const job = queue.shift();
+            running.set(job.id, { worker, job });
+            worker.onmessage = (e) => {
+                running.delete(job.id);
+                idle.push(worker);
+                job.cleanup();
+                if (e.data.error) job.reject(new Error(e.data.error));
+                else job.resolve(e.data);
+                dispatch();
+            };
+            worker.onerror = (e) => {
+                running.delete(job.id);
+                // A crashed worker is shut down and replaced so the pool keeps its size
+                worker.terminate();
+                idle.push(createWorker());
+                job.cleanup();
+                job.reject(new Error(e.message || 'Worker error'));
+                dispatch();
+            };
+            worker.postMessage({ id: job.id, ...job.payload });
+        }
+    };
+
+    // Queues a job; resolves with { rows, count } or rejects with an AbortError when `signal` fires
+    const run = (payload, signal) => new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(new DOMException('Aborted', 'AbortError'));
+            return;
+        }
+        const id = nextId++;
+        const onAbort = () => {
+            const queued = queue.findIndex(j => j.id === id);
+            if (queued >= 0) {
+                queue.splice(queued, 1);
+            } else if (running.has(id)) {
+                // Terminating is the only way to stop a busy worker
+                running.get(id).worker.terminate();
+                running.delete(id);
+                idle.push(createWorker());
+            }
+            reject(new DOMException('Aborted', 'AbortError'));
+            dispatch();
+        };
+        const cleanup = () => signal && signal.removeEventListener('abort', onAbort);
+        if (signal) signal.addEventListener('abort', onAbort);
+        queue.push({ id, payload, resolve, reject, cleanup });
+        dispatch();
+    });
+
+    const terminate = () => {
+        idle.forEach(w => w.terminate());
+        running.forEach(({ worker, job }) => {
+            worker.terminate();
+            job.cleanup();
+            job.reject(new DOMException('Aborted', 'AbortError'));
+        });
+        queue.forEach(job => {
+            job.cleanup();
+            job.reject(new DOMException('Aborted', 'AbortError'));
+        });
+        idle.length = 0;
+        queue.length = 0;
+        running.clear();
+    };
+
+    return { run, terminate, size };
+};
+
+// Runs one multiple alignment in a throwaway worker; resolves with the gapped rows in input order
+export const alignInWorker = (sequences, settings) => new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./alignmentWorker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = (e) => {
+        worker.terminate();
+        if (e.data.error) reject(new Error(e.data.error));
+        else resolve(e.data.rows);
+    };
+    worker.onerror = (e) => {
+        worker.terminate();
+        reject(new Error(e.message || 'Alignment worker error'));
+    };
+    worker.postMessage({ sequences, settings });
+});
+
+// Runs an auto-calibration search in a throwaway worker; aborting terminates it
+export const calibrateInWorker = ({ examples, params, settings }, onProgress, signal) => new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./calibrationWorker.js', import.meta.url), { type: 'module' });
+    const onAbort = () => {
+        worker.terminate();
+        reject(new DOMException('Aborted', 'AbortError'));
+    };
+    const finish = () => {
+        worker.terminate();
+        if (signal) signal.removeEventListener('abort', onAbort);
+    };
+    if (signal) signal.addEventListener('abort', onAbort);
+    worker.onmessage = (e) => {
+        if (e.data.progress) {
+            if (onProgress) onProgress(e.data.progress.done, e.data.progress.total);
+            return;
+        }
+        finish();
+        if (e.data.error) reject(new Error(e.data.error));
+        else resolve(e.data.result);
+    };
+    worker.onerror = (e) => {
+        finish();
+        reject(new Error(e.message || 'Calibration worker error'));
+    };
+    worker.postMessage({ examples, params, settings });
+});
@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import { parseUniProtEntry } from '../src/analysis.js';
+import { calibrationPlan, runCalibration, sensitivityGrid, MAX_GRID_POINTS } from '../src/calibration.js';
+import { DEFAULT_SESSION_PARAMS } from '../src/session.js';
+import { loadFixture } from './helpers.js';
+
+// The EGFR stand-in with its co-localization zone (residues 518-524) as the reference, MUC1 as a protein without one
+const examples = [
+    { protein: parseUniProtEntry(loadFixture('EGFR')), zones: [{ start: 518, end: 524 }], label: true },
+    { protein: parseUniProtEntry(loadFixture('MUC1')), zones: [], label: false }
+];
+const rule = DEFAULT_SESSION_PARAMS.zoneRule;
+const threeGroups = { ...rule, conditions: [...rule.conditions, { track: 'phos', threshold: 2 }] };
+
+describe('calibrationPlan', () => {
+    it('counts the grid points before the search starts', () => {
+        // SS and glyco window x smoothing, two thresholds: 5 x 3 x 5 x 3 x 5 x 5
+        expect(calibrationPlan(rule)).toMatchObject({ gridPoints: 5625, strategy: 'grid', downgraded: false, evaluations: 5625 });
+    });
+
+    it('downgrades grids above the limit to random search with the evaluation budget', () => {
+        const plan = calibrationPlan(threeGroups, { budget: 300 });
+        expect(plan.gridPoints).toBeGreaterThan(MAX_GRID_POINTS);
+        expect(plan).toMatchObject({ strategy: 'random', downgraded: true, evaluations: 300 });
+    });
+});
+
+describe('runCalibration', () => {
+    it('keeps the best score of every value pair, the same for either axis order', () => {
+        const calibration = runCalibration(examples, DEFAULT_SESSION_PARAMS, { level: 'residue' });
+        expect(calibration.evaluations).toBe(5625);
+        const grid = sensitivityGrid(calibration, 0, 5);
+        expect(grid.cells.flat().every(score => score !== null)).toBe(true);
+        expect(Math.max(...grid.cells.flat())).toBe(calibration.best.score);
+        expect(grid.cells[calibration.best.point[5]][calibration.best.point[0]]).toBe(calibration.best.score);
+        const transposed = sensitivityGrid(calibration, 5, 0);
+        expect(transposed.cells).toEqual(grid.cells[0].map((_, x) => grid.cells.map(row => row[x])));
+    });
+
+    it('stays within the budget when a large grid is downgraded', () => {
+        const params = { ...DEFAULT_SESSION_PARAMS, zoneRule: threeGroups };
+        const calibration = runCalibration(examples, params, { level: 'residue', budget: 200 });
+        expect(calibration).toMatchObject({ strategy: 'random', downgraded: true });
+        expect(calibration.evaluations).toBeLessThanOrEqual(200);
+    });
+});
@@ -0,0 +1,111 @@
+import { describe, it, expect } from 'vitest';
+import { calculateDensity, calculateSpatialDensity } from '../src/analysis.js';
+import { seededRandom, randomInt, randomPositions } from './helpers.js';
+
+// Direct definition: residue index i counts the 1-based sites p with |(p - 1) - i| <= half,
+// then a moving average of ±smoothing residues clipped at the ends
+const naiveDensity = (positions, length, windowSize, smoothing = 0) => {
+    const half = Math.floor(windowSize / 2);
+    const raw = Array.from({ length }, (_, i) => positions.filter(p => p >= 1 && p <= length && Math.abs(p - 1 - i) <= half).length);
+    if (smoothing <= 0) return raw;
+    return raw.map((_, i) => {
+        const from = Math.max(0, i - smoothing);
+        const to = Math.min(length - 1, i + smoothing);
+        return raw.slice(from, to + 1).reduce((a, b) => a + b, 0) / (to - from + 1);
+    });
+};
+
+describe('calculateDensity', () => {
+    it('returns an empty profile for an empty sequence', () => {
+        expect(calculateDensity([1, 2], 0, 5)).toEqual([]);
+    });
+
+    it('reads positions as 1-based residues', () => {
+        // Window of one residue: each site only counts at its own index
+        expect(calculateDensity([1], 5, 1)).toEqual([1, 0, 0, 0, 0]);
+        expect(calculateDensity([5], 5, 1)).toEqual([0, 0, 0, 0, 1]);
+        expect(calculateDensity([3], 5, 3)).toEqual([0, 1, 1, 1, 0]);
+    });
+
+    it('ignores positions outside the sequence', () => {
+        expect(calculateDensity([0, 6, -3, 100], 5, 3)).toEqual([0, 0, 0, 0, 0]);
+    });
+
+    it('clips the window at both ends of the sequence', () => {
+        expect(calculateDensity([1, 2, 3, 4, 5], 5, 5)).toEqual([3, 4, 5, 4, 3]);
+    });
+
+    it('averages over ±smoothing residues', () => {
+        expect(calculateDensity([3], 5, 1, 1)).toEqual([0, 1 / 3, 1 / 3, 1 / 3, 0]);
+    });
+
+    it('matches the direct definition on random inputs', () => {
+        const random = seededRandom(7);
+        for (let run = 0; run < 200; run++) {
+            const length = randomInt(random, 1, 120);
+            const positions = randomPositions(random, length, randomInt(random, 0, 25));
+            const windowSize = randomInt(random, 1, 40);
+            const smoothing = randomInt(random, 0, 6);
+            const density = calculateDensity(positions, length, windowSize, smoothing);
+            const expected = naiveDensity(positions, length, windowSize, smoothing);
+            expect(density).toHaveLength(length);
+            density.forEach((value, i) => expect(value).toBeCloseTo(expected[i], 10));
+        }
+    });
+
+    it('mirrors with the sequence for odd windows', () => {
+        const random = seededRandom(11);
+        for (let run = 0; run < 50; run++) {
+            const length = randomInt(random, 5, 80);
+            const positions = randomPositions(random, length, randomInt(random, 1, 10));
+            const windowSize = 2 * randomInt(random, 0, 10) + 1;
+            const mirrored = positions.map(p => length + 1 - p);
+            expect(calculateDensity(mirrored, length, windowSize)).toEqual(calculateDensity(positions, length, windowSize).reverse());
+        }
+    });
+
+    it('counts every site (2 * half + 1) times away from the ends', () => {
+        const random = seededRandom(23);
+        for (let run = 0; run < 50; run++) {
+            const windowSize = 2 * randomInt(random, 1, 8) + 1;
+            const half = (windowSize - 1) / 2;
+            const length = randomInt(random, 2 * windowSize + 2, 150);
+            const positions = randomPositions(random, length - 2 * half, randomInt(random, 1, 12)).map(p => p + half);
+            const total = calculateDensity(positions, length, windowSize).reduce((a, b) => a + b, 0);
+            expect(total).toBe(positions.length * windowSize);
+        }
+    });
+
+    it('keeps the smoothed profile within the range of the raw one', () => {
+        const random = seededRandom(31);
+        for (let run = 0; run < 50; run++) {
+            const length = randomInt(random, 1, 100);
+            const positions = randomPositions(random, length, randomInt(random, 0, 20));
+            const raw = calculateDensity(positions, length, 9);
+            const smoothed = calculateDensity(positions, length, 9, randomInt(random, 1, 5));
+            smoothed.forEach(v => {
+                expect(v).toBeGreaterThanOrEqual(Math.min(...raw) - 1e-12);
+                expect(v).toBeLessThanOrEqual(Math.max(...raw) + 1e-12);
+            });
+        }
+    });
+});
+
+describe('calculateSpatialDensity', () => {
+    it('uses the same residue indexing as the sequence density', () => {
+        // Residues 1 Å apart on a line: a radius of `half` Å is the sequence window of 2 * half + 1
+        const random = seededRandom(5);
+        for (let run = 0; run < 30; run++) {
+            const length = randomInt(random, 1, 60);
+            const coords = Array.from({ length }, (_, i) => [i, 0, 0]);
+            const positions = randomPositions(random, length, randomInt(random, 0, 10));
+            const half = randomInt(random, 0, 8);
+            expect(calculateSpatialDensity(positions, coords, half)).toEqual(calculateDensity(positions, length, 2 * half + 1));
+        }
+    });
+
+    it('gives uncovered residues no density and does not count uncovered sites', () => {
+        const coords = [[0, 0, 0], null, [1, 0, 0]];
+        expect(calculateSpatialDensity([1, 2], coords, 2)).toEqual([1, 0, 1]);
+    });
+});
@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { parseUniProtEntry } from '../src/analysis.js';
+import { parseSequenceFile } from '../src/sequenceFormats.js';
+import { buildReport } from '../src/pipeline.js';
+import { DEFAULT_SESSION_PARAMS } from '../src/session.js';
+import { FIXTURE_NAMES, loadFixture, expectGolden } from './helpers.js';
+
+// Reports of the fixtures with the default parameters, byte for byte what the web app and the CLI write.
+// A diff here means the analysis changed: regenerate with UPDATE_GOLDEN=1 only if that was the intent.
+
+const proteins = FIXTURE_NAMES.map(name => parseUniProtEntry(loadFixture(name)));
+
+describe('golden reports', () => {
+    ['sites', 'proteins', 'zones'].forEach(kind => {
+        it(`writes the ${kind} report of the three fixtures`, () => {
+            const { text, failed } = buildReport(kind, proteins, DEFAULT_SESSION_PARAMS);
+            expect(failed).toEqual([]);
+            expectGolden(`${kind}.csv`, text);
+        });
+    });
+
+    FIXTURE_NAMES.forEach((name, i) => {
+        it(`writes the residue report of ${name}`, () => {
+            const { text } = buildReport('residues', [proteins[i]], DEFAULT_SESSION_PARAMS);
+            expect(text.split('\n')).toHaveLength(proteins[i].length + 1);
+            expectGolden(`residues_${name}.csv`, text);
+        });
+    });
+
+    it('writes the sites report of sequence-only records with predicted sites', () => {
+        const fasta = proteins.map(p => `>sp|${p.id}|${p.id}_HUMAN OS=Homo sapiens OX=9606 GN=${p.gene}\n${p.sequence}\n`).join('');
+        const { proteins: predicted, errors } = parseSequenceFile(fasta);
+        expect(errors).toEqual([]);
+        expectGolden('sites_predicted.csv', buildReport('sites', predicted, DEFAULT_SESSION_PARAMS).text);
+    });
+
+    it('does not depend on the order of the other proteins for per-protein rows', () => {
+        const { text: together } = buildReport('residues', proteins, DEFAULT_SESSION_PARAMS);
+        const alone = proteins.map(p => buildReport('residues', [p], DEFAULT_SESSION_PARAMS).text.split('\n').slice(1).join('\n'));
+        expect(together.split('\n').slice(1).join('\n')).toBe(alone.join('\n'));
+    });
+});
@@ -0,0 +1,40 @@
+// Shared test helpers: fixtures, golden files and a seeded random source for the property tests
+import { readFileSync, writeFileSync, existsSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { expect } from 'vitest';
+
+const here = (path) => fileURLToPath(new URL(path, import.meta.url));
+
+// Fixture files, named after the UniProt entries they imitate (their accessions are TEST_<name>)
+export const FIXTURE_NAMES = ['FN1', 'MUC1', 'EGFR'];
+
+// Raw UniProt JSON entry of a fixture
+export const loadFixture = (name) => JSON.parse(readFileSync(here(`./fixtures/${name}.json`), 'utf8'));
+
+// Compares `text` with test/golden/<name>; UPDATE_GOLDEN=1 rewrites the file instead
+export const expectGolden = (name, text) => {
+    const path = here(`./golden/${name}`);
+    if (process.env.UPDATE_GOLDEN) {
+        writeFileSync(path, text);
+        return;
+    }
+    if (!existsSync(path)) throw new Error(`missing golden file ${name}; run UPDATE_GOLDEN=1 npm test`);
+    expect(text).toBe(readFileSync(path, 'utf8'));
+};
+
+// mulberry32: small, fast and reproducible across runs
+export const seededRandom = (seed) => () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+export const randomInt = (random, min, max) => min + Math.floor(random() * (max - min + 1));
+
+// `count` distinct 1-based positions in 1..length, sorted
+export const randomPositions = (random, length, count) => {
+    const positions = new Set();
+    while (positions.size < Math.min(count, length)) positions.add(randomInt(random, 1, length));
+    return [...positions].sort((a, b) => a - b);
+};
@@ -0,0 +1,164 @@
+import { describe, it, expect } from 'vitest';
+import { parseUniProtEntry, parseUniProtDump, filterSitesByEvidence, siteEvidence } from '../src/analysis.js';
+import { parseSequenceFile, parseFastaHeader } from '../src/sequenceFormats.js';
+import { proteinsFromUniProtDump } from '../src/pipeline.js';
+import { FIXTURE_NAMES, loadFixture } from './helpers.js';
+
+const siteCounts = (protein) => Object.fromEntries(
+    ['ssBonds', 'nLinked', 'oLinked', 'phosphorylation', 'lipidation', 'acetylation', 'ubiquitination', 'crossLinks']
+        .map(field => [field, protein[field].length])
+);
+
+// 60-residue lines, as UniProt writes them
+const fastaRecord = (header, sequence) => `>${header}\n${sequence.match(/.{1,60}/g).join('\n')}\n`;
+
+describe('parseUniProtEntry', () => {
+    it('reads identifiers, organism and sequence', () => {
+        const protein = parseUniProtEntry(loadFixture('FN1'));
+        expect(protein).toMatchObject({ id: 'TEST_FN1', gene: 'TEST_FN1', scientificName: 'Homo sapiens', organismId: '9606', length: 620 });
+        expect(protein.sequence).toHaveLength(620);
+    });
+
+    it('sorts the features into site tracks', () => {
+        expect(siteCounts(parseUniProtEntry(loadFixture('FN1')))).toEqual({
+            ssBonds: 12, nLinked: 4, oLinked: 2, phosphorylation: 2, lipidation: 0, acetylation: 0, ubiquitination: 0, crossLinks: 1
+        });
+        expect(siteCounts(parseUniProtEntry(loadFixture('MUC1')))).toEqual({
+            ssBonds: 0, nLinked: 2, oLinked: 36, phosphorylation: 4, lipidation: 2, acetylation: 0, ubiquitination: 0, crossLinks: 0
+        });
+        expect(siteCounts(parseUniProtEntry(loadFixture('EGFR')))).toEqual({
+            ssBonds: 12, nLinked: 13, oLinked: 0, phosphorylation: 8, lipidation: 0, acetylation: 1, ubiquitination: 2, crossLinks: 0
+        });
+    });
+
+    it('keeps sites 1-based, on the residue the annotation names', () => {
+        const expected = { ssBonds: 'C', nLinked: 'N', lipidation: 'C', acetylation: 'K', ubiquitination: 'K' };
+        FIXTURE_NAMES.forEach(name => {
+            const protein = parseUniProtEntry(loadFixture(name));
+            Object.entries(expected).forEach(([field, residue]) => {
+                protein[field].forEach(pos => expect(protein.sequence[pos - 1]).toBe(residue));
+            });
+            protein.oLinked.forEach(pos => expect('ST').toContain(protein.sequence[pos - 1]));
+            protein.phosphorylation.forEach(pos => expect('STY').toContain(protein.sequence[pos - 1]));
+        });
+    });
+
+    it('flags interchain disulfides', () => {
+        const { ssBondRanges } = parseUniProtEntry(loadFixture('FN1'));
+        expect(ssBondRanges.filter(r => r.interchain).map(r => r.start)).toEqual([606, 610]);
+        ssBondRanges.filter(r => !r.interchain).forEach(r => expect(r.end).toBeGreaterThan(r.start));
+    });
+
+    it('records the evidence level of every site', () => {
+        const protein = parseUniProtEntry(loadFixture('FN1'));
+        expect(protein.nLinked.map(pos => siteEvidence(protein, 'nLinked', pos).evidence))
+            .toEqual(['experimental', 'experimental', 'predicted', 'curated']);
+        expect(siteEvidence(protein, 'nLinked', 430)).toMatchObject({ residue: 'N', glycan: 'GlcNAc...' });
+        expect(filterSitesByEvidence(protein, 'experimental').nLinked).toEqual([430, 468]);
+        expect(filterSitesByEvidence(protein, 'noPredicted').nLinked).toEqual([430, 468, 528]);
+    });
+
+    it('keeps signal peptides, topology and domains as regions', () => {
+        const { regions } = parseUniProtEntry(loadFixture('EGFR'));
+        expect(regions.map(r => `${r.type}:${r.start}-${r.end}`)).toEqual([
+            'signal:1-24', 'topology:25-645', 'transmembrane:646-668', 'topology:669-900', 'domain:712-880'
+        ]);
+    });
+});
+
+describe('parseUniProtDump', () => {
+    const entries = FIXTURE_NAMES.map(loadFixture);
+
+    it('reads REST JSON exports and bare arrays', () => {
+        expect(parseUniProtDump(JSON.stringify({ results: entries }))).toEqual(entries);
+        expect(parseUniProtDump(JSON.stringify(entries))).toEqual(entries);
+    });
+
+    it('reads a single REST entry as a one-entry dump', () => {
+        expect(parseUniProtDump(JSON.stringify(entries[0]))).toEqual([entries[0]]);
+        expect(proteinsFromUniProtDump(JSON.stringify(entries[2])).proteins.map(p => p.gene)).toEqual(['TEST_EGFR']);
+    });
+
+    it('reads TSV exports with the same sites as the JSON entry', () => {
+        const entry = loadFixture('FN1');
+        const glycans = entry.features.filter(f => f.type === 'Glycosylation')
+            .map(f => `CARBOHYD ${f.location.start.value}; /note="${f.description}"; /evidence="${f.evidences.map(e => e.evidenceCode).join(', ')}"`)
+            .join('; ');
+        const tsv = [
+            ['Entry', 'Gene Names', 'Organism', 'Organism (ID)', 'Sequence', 'Glycosylation'].join('\t'),
+            ['TEST_FN1', 'TEST_FN1 FN', 'Homo sapiens', '9606', entry.sequence.value, glycans].join('\t')
+        ].join('\n');
+        const fromTsv = parseUniProtEntry(parseUniProtDump(tsv)[0]);
+        const fromJson = parseUniProtEntry(entry);
+        expect(fromTsv).toMatchObject({ id: 'TEST_FN1', gene: 'TEST_FN1', organismId: '9606', length: 620 });
+        expect(fromTsv.nLinked).toEqual(fromJson.nLinked);
+        expect(fromTsv.oLinked).toEqual(fromJson.oLinked);
+        expect(fromTsv.siteDetails.nLinked).toEqual(fromJson.siteDetails.nLinked);
+    });
+
+    it('lists entries that cannot be parsed instead of failing the whole dump', () => {
+        const dump = JSON.stringify([loadFixture('MUC1'), { primaryAccession: 'BROKEN' }]);
+        const { proteins, errors } = proteinsFromUniProtDump(dump);
+        expect(proteins.map(p => p.id)).toEqual(['TEST_MUC1']);
+        expect(errors).toHaveLength(1);
+        expect(errors[0]).toMatchObject({ entry: 2, id: 'BROKEN' });
+    });
+});
+
+describe('FASTA', () => {
+    const fn1 = loadFixture('FN1').sequence.value;
+    const egfr = loadFixture('EGFR').sequence.value;
+
+    it('parses UniProt, NCBI and generic headers', () => {
+        expect(parseFastaHeader('>sp|P02751|FINC_HUMAN Fibronectin OS=Homo sapiens OX=9606 GN=FN1 PE=1 SV=4')).toMatchObject({
+            format: 'uniprot', accession: 'P02751', gene: 'FN1', scientificName: 'Homo sapiens', organismId: '9606', description: 'Fibronectin'
+        });
+        expect(parseFastaHeader('NP_002017.1 fibronectin isoform 1 [Homo sapiens]')).toMatchObject({
+            format: 'ncbi', accession: 'NP_002017.1', scientificName: 'Homo sapiens', description: 'fibronectin isoform 1'
+        });
+        expect(parseFastaHeader('gi|4503671|ref|NP_002017.1| fibronectin [Homo sapiens]')).toMatchObject({ format: 'ncbi', accession: 'NP_002017.1' });
+        expect(parseFastaHeader('>my_protein GN=ABC1')).toMatchObject({ format: 'generic', accession: 'my_protein', gene: 'ABC1' });
+    });
+
+    it('joins wrapped lines, uppercases and drops the stop codon', () => {
+        const text = fastaRecord('sp|TEST_FN1|TEST_FN1_HUMAN Fibronectin-like OS=Homo sapiens OX=9606 GN=TEST_FN1 PE=1 SV=1', fn1)
+            + fastaRecord('XP_000001.1 EGFR-like test protein [Homo sapiens]', `${egfr.toLowerCase()}*`);
+        const { format, proteins, errors } = parseSequenceFile(text);
+        expect(format).toBe('fasta');
+        expect(errors).toEqual([]);
+        expect(proteins.map(p => [p.id, p.gene, p.organismId, p.sequence])).toEqual([
+            ['TEST_FN1', 'TEST_FN1', '9606', fn1],
+            ['XP_000001.1', 'XP_000001.1', null, egfr]
+        ]);
+    });
+
+    it('reports unusable entries with their position and keeps the rest', () => {
+        const text = fastaRecord('sp|TEST_FN1|TEST_FN1_HUMAN OS=Homo sapiens OX=9606 GN=TEST_FN1', fn1)
+            + '>bad1 digits\nMKT1LLA\n'
+            + '>empty\n\n'
+            + fastaRecord('sp|TEST_FN1|TEST_FN1_HUMAN OS=Homo sapiens OX=9606 GN=TEST_FN1', fn1);
+        const { proteins, errors } = parseSequenceFile(text);
+        expect(proteins).toHaveLength(1);
+        expect(errors).toEqual([
+            { entry: 2, line: 13, id: 'bad1', message: "invalid residue '1' (first at position 4)" },
+            { entry: 3, line: 15, id: 'empty', message: 'empty sequence' },
+            { entry: 4, line: 17, id: 'TEST_FN1', message: 'duplicate identifier TEST_FN1' }
+        ]);
+        expect(() => parseSequenceFile('MKTLLA')).toThrow(/Unrecognized file/);
+    });
+
+    it('predicts 1-based sites on sequence-only records', () => {
+        const { proteins: [protein] } = parseSequenceFile(fastaRecord('EGFR_SEQ', egfr));
+        expect(protein.nLinked.length).toBeGreaterThan(0);
+        protein.nLinked.forEach(pos => {
+            // N-X-S/T with X not proline
+            expect(egfr[pos - 1]).toBe('N');
+            expect(egfr[pos]).not.toBe('P');
+            expect('ST').toContain(egfr[pos + 1]);
+            expect(siteEvidence(protein, 'nLinked', pos).evidence).toBe('predicted');
+        });
+        const { proteins: [bare] } = parseSequenceFile(fastaRecord('EGFR_SEQ', egfr), { predictors: [] });
+        expect(bare.nLinked).toEqual([]);
+        expect(bare.ssBonds).toEqual([]);
+    });
+});
@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import { parseUniProtEntry, stabilitySweepPlan, MAX_STABILITY_COMBINATIONS, DEFAULT_ROBUSTNESS_SETTINGS } from '../src/analysis.js';
+import { analyzeBatch, buildReport } from '../src/pipeline.js';
+import { DEFAULT_SESSION_PARAMS } from '../src/session.js';
+import { loadFixture } from './helpers.js';
+
+// A record whose site list cannot be read: every analysis step throws on it
+const broken = {
+    id: 'BROKEN1', gene: 'BROKEN', length: 30, sequence: 'A'.repeat(30),
+    get nLinked() { throw new Error('corrupt site list'); }
+};
+const muc1 = parseUniProtEntry(loadFixture('MUC1'));
+
+describe('failed proteins', () => {
+    it('lists the id and reason of each protein the batch could not analyze', () => {
+        const { summaries, failed } = analyzeBatch([broken, muc1], DEFAULT_SESSION_PARAMS);
+        expect(summaries.map(s => s.accession)).toEqual([muc1.id]);
+        expect(failed).toEqual([{ id: 'BROKEN1', message: 'corrupt site list' }]);
+    });
+
+    it('keeps the other proteins of every report kind', () => {
+        ['sites', 'proteins', 'zones', 'residues'].forEach(kind => {
+            const { text, failed } = buildReport(kind, [broken, muc1], DEFAULT_SESSION_PARAMS);
+            expect(failed.map(f => f.id)).toEqual(['BROKEN1']);
+            expect(text).toBe(buildReport(kind, [muc1], DEFAULT_SESSION_PARAMS).text);
+        });
+    });
+});
+
+describe('zone stability in residue reports', () => {
+    const stabilityColumn = (text) => {
+        const [header, ...lines] = text.split('\n');
+        const index = header.split(',').indexOf('Zone_Stability');
+        return lines.map(line => line.split(',')[index]);
+    };
+
+    it('runs the sweep only when robustness settings are given', () => {
+        expect(new Set(stabilityColumn(buildReport('residues', [muc1], DEFAULT_SESSION_PARAMS).text))).toEqual(new Set(['']));
+        const swept = stabilityColumn(buildReport('residues', [muc1], DEFAULT_SESSION_PARAMS, { robustness: DEFAULT_ROBUSTNESS_SETTINGS }).text);
+        expect(swept).toHaveLength(muc1.length);
+        swept.forEach(value => expect(Number(value)).toBeGreaterThanOrEqual(0));
+    });
+
+    it('refuses sweeps with more parameter sets than the limit', () => {
+        const wide = { windowSpread: 50, windowStep: 5, thresholdSpread: 2, thresholdStep: 0.25 };
+        expect(stabilitySweepPlan(DEFAULT_SESSION_PARAMS, wide).combinations).toBeGreaterThan(MAX_STABILITY_COMBINATIONS);
+        const { failed } = buildReport('residues', [muc1], DEFAULT_SESSION_PARAMS, { robustness: wide });
+        expect(failed).toEqual([{ id: muc1.id, message: expect.stringMatching(/^the stability sweep has \d+ parameter sets/) }]);
+    });
+});
@@ -0,0 +1,14 @@
+// Test setup. jsdom lacks the layout APIs the charts rely on, and React trees are unmounted after each UI test.
+import { afterEach } from 'vitest';
+
+if (typeof window !== 'undefined') {
+    const { cleanup } = await import('@testing-library/react');
+    afterEach(cleanup);
+
+    // recharts' ResponsiveContainer observes its parent's size
+    window.ResizeObserver = window.ResizeObserver || class {
+        observe() {}
+        unobserve() {}
+        disconnect() {}
+    };
+}
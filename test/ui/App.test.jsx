@@ -0,0 +1,279 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import App from '../../src/App.jsx';
+import { parseUniProtEntry, stabilitySweepPlan, DEFAULT_CHART_TRACKS } from '../../src/analysis.js';
+import { buildSession, encodeSessionHash, DEFAULT_SESSION_PARAMS } from '../../src/session.js';
+import { buildReport, analyzeBatch } from '../../src/pipeline.js';
+import { saveRun, savePageResults } from '../../src/runStore.js';
+import { FIXTURE_NAMES, loadFixture } from '../helpers.js';
+
+// Spies over the run store, which fails like every IndexedDB call in jsdom unless a test makes a write succeed
+vi.mock('../../src/runStore.js', async (importOriginal) => {
+    const store = await importOriginal();
+    return { ...store, saveRun: vi.fn(store.saveRun), savePageResults: vi.fn(store.savePageResults) };
+});
+
+// The calibration and analysis views against a UniProt REST endpoint that serves the fixtures.
+// jsdom has no IndexedDB, so the entry cache fails and every lookup goes to the mocked network.
+
+const RELEASE = '2024_01';
+// Searches for a real gene symbol (FN1, the default search) are answered with its stand-in (TEST_FN1)
+const entries = Object.fromEntries(FIXTURE_NAMES.map(name => [name, loadFixture(name)]));
+
+const jsonResponse = (body, status = 200, headers = {}) => new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json', 'x-uniprot-release': RELEASE, ...headers }
+});
+
+// Gene searches (`gene_exact:"FN1"`), the proteome search (every fixture on one page) and
+// accession lookups (`/uniprotkb/TEST_FN1?...`)
+const mockUniProt = (url) => {
+    const { pathname, searchParams } = new URL(url);
+    if (pathname === '/uniprotkb/search') {
+        const gene = (searchParams.get('query').match(/gene_exact:"([^"]+)"/) || [])[1];
+        if (!gene) return jsonResponse({ results: Object.values(entries) }, 200, { 'x-total-results': String(FIXTURE_NAMES.length) });
+        return jsonResponse({ results: entries[gene] ? [entries[gene]] : [] });
+    }
+    const accession = pathname.replace('/uniprotkb/', '');
+    const entry = Object.values(entries).find(e => e.primaryAccession === accession);
+    return entry ? jsonResponse(entry) : jsonResponse({ messages: [`${accession} not found`] }, 404);
+};
+
+const search = (term) => {
+    fireEvent.change(screen.getByPlaceholderText(/e\.g\. FN1/), { target: { value: term } });
+    fireEvent.click(screen.getByRole('button', { name: /Analyze Protein/ }));
+};
+
+// jsdom's Blob has no text()
+const readBlob = (blob) => new Promise(resolve => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.readAsText(blob);
+});
+
+const openTab = (name) => fireEvent.click(screen.getByRole('button', { name }));
+
+const THREE_LETTER = {
+    A: 'ALA', R: 'ARG', N: 'ASN', D: 'ASP', C: 'CYS', Q: 'GLN', E: 'GLU', G: 'GLY', H: 'HIS', I: 'ILE',
+    L: 'LEU', K: 'LYS', M: 'MET', F: 'PHE', P: 'PRO', S: 'SER', T: 'THR', W: 'TRP', Y: 'TYR', V: 'VAL'
+};
+
+// AlphaFold-style PDB of a stretched backbone (N, CA, C per residue) with the same pLDDT everywhere
+const backbonePdb = (sequence, plddt) => [...sequence].flatMap((aa, i) => [['N', -1, 1], ['CA', 0, 0], ['C', 1, 1]].map(([atom, dx, dy], k) => {
+    const xyz = [i * 3.8 + dx, dy, 0].map(v => v.toFixed(3).padStart(8)).join('');
+    return `ATOM  ${String(3 * i + k + 1).padStart(5)} ${` ${atom}`.padEnd(4)} ${THREE_LETTER[aa]} A${String(i + 1).padStart(4)}    ${xyz}  1.00${plddt.toFixed(2).padStart(6)}           ${atom[0]}`;
+})).join('\n');
+
+const column = (csv, title) => {
+    const [header, ...lines] = csv.split('\n');
+    const index = header.split(',').indexOf(title);
+    return lines.map(line => line.split(',')[index]);
+};
+
+// Analysis worker of the proteome pool, answering on a later task like the real one
+class AnalysisWorker {
+    postMessage({ id, entries: items, params }) {
+        setTimeout(() => {
+            const { rows, summaries, failed } = analyzeBatch(items, params, { parse: true });
+            this.onmessage({ data: { id, rows, summaries, failed, count: items.length } });
+        });
+    }
+    terminate() {}
+}
+
+beforeEach(() => {
+    window.history.replaceState(null, '', '/');
+    vi.spyOn(window, 'fetch').mockImplementation(async (url) => mockUniProt(String(url)));
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+});
+
+describe('calibration view', () => {
+    it('loads the default protein from UniProt on start', async () => {
+        render(<App />);
+        expect(await screen.findByText('ID: TEST_FN1')).toBeTruthy();
+        expect(screen.getByText('Length: 620 aa')).toBeTruthy();
+        expect(screen.getByText('12 Disulfides')).toBeTruthy();
+        expect(screen.getByText('4 N-Linked')).toBeTruthy();
+
+        const [url] = window.fetch.mock.calls[0];
+        expect(url).toContain('https://rest.uniprot.org/uniprotkb/search?');
+        expect(decodeURIComponent(url)).toContain('(gene_exact:"FN1") AND (organism_id:9606) AND (reviewed:true)');
+    });
+
+    it('searches another gene and shows its site counts', async () => {
+        render(<App />);
+        await screen.findByText('ID: TEST_FN1');
+        search('EGFR');
+        expect(await screen.findByText('ID: TEST_EGFR')).toBeTruthy();
+        expect(screen.getByText('13 N-Linked')).toBeTruthy();
+        expect(screen.getByText('8 Phospho')).toBeTruthy();
+    });
+
+    it('reports a gene that UniProt does not know', async () => {
+        render(<App />);
+        await screen.findByText('ID: TEST_FN1');
+        search('NOPE1');
+        expect(await screen.findByText(/No UniProt entry matches "NOPE1" in/)).toBeTruthy();
+    });
+});
+
+describe('cache settings', () => {
+    it('shows why pruning or clearing the cache failed', async () => {
+        render(<App />);
+        await screen.findByText('ID: TEST_FN1');
+        fireEvent.click(screen.getByTitle('Local cache & offline mode'));
+        fireEvent.click(screen.getByRole('button', { name: 'Prune older' }));
+        expect(await screen.findByText(/^Prune failed: /)).toBeTruthy();
+        fireEvent.click(screen.getByRole('button', { name: /Clear all/ }));
+        expect(await screen.findByText(/^Clear failed: /)).toBeTruthy();
+    });
+});
+
+describe('analysis view', () => {
+    it('lists the co-localization zones as 1-based residue ranges', async () => {
+        render(<App />);
+        await screen.findByText('ID: TEST_FN1');
+        search('EGFR');
+        await screen.findByText('ID: TEST_EGFR');
+        openTab('2. Analysis');
+        expect(await screen.findByText('Analysis View')).toBeTruthy();
+        // The same zone as the golden zone report: residues 518-524
+        const region = (await screen.findByText('Region 1')).parentElement;
+        expect(within(region).getByText('AA 518 - 524')).toBeTruthy();
+        expect(screen.queryByText('Region 2')).toBeNull();
+    });
+
+    it('downloads the same residue and protein reports as the pipeline', async () => {
+        const blobs = [];
+        URL.createObjectURL = vi.fn(blob => { blobs.push(blob); return 'blob:report'; });
+        URL.revokeObjectURL = vi.fn();
+        vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+        render(<App />);
+        await screen.findByText('ID: TEST_FN1');
+        search('EGFR');
+        await screen.findByText('ID: TEST_EGFR');
+        openTab('2. Analysis');
+        fireEvent.click(await screen.findByRole('button', { name: /Download CSV/ }));
+        fireEvent.click(screen.getByRole('button', { name: /Protein Summary CSV/ }));
+
+        const egfr = [parseUniProtEntry(entries.EGFR)];
+        const [residues, proteins] = await Promise.all(blobs.map(readBlob));
+        expect(residues).toBe(buildReport('residues', egfr, DEFAULT_SESSION_PARAMS).text);
+        expect(proteins).toBe(buildReport('proteins', egfr, DEFAULT_SESSION_PARAMS).text);
+        expect(proteins).toContain('518-524');
+    });
+
+    it('downloads the structural context of a loaded structure', async () => {
+        const blobs = [];
+        URL.createObjectURL = vi.fn(blob => { blobs.push(blob); return 'blob:report'; });
+        URL.revokeObjectURL = vi.fn();
+        vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+        // jsdom has no 2D canvas for the structure viewer: every drawing call is a no-op
+        vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockImplementation(() => new Proxy({}, { get: () => () => {} }));
+        render(<App />);
+        await screen.findByText('ID: TEST_FN1');
+        search('EGFR');
+        await screen.findByText('ID: TEST_EGFR');
+        openTab('2. Analysis');
+        const pdb = backbonePdb(entries.EGFR.sequence.value, 80);
+        const input = (await screen.findByText('Load PDB / mmCIF')).querySelector('input[type=file]');
+        fireEvent.change(input, { target: { files: [new File([pdb], 'AF-TEST_EGFR-F1-model_v4.pdb')] } });
+        expect(await screen.findByText(/Solvent accessibility computed from the model · disorder from pLDDT/)).toBeTruthy();
+        fireEvent.click(screen.getByRole('button', { name: /Download CSV/ }));
+
+        const [residues] = await Promise.all(blobs.map(readBlob));
+        expect(column(residues, 'RSA').every(value => value !== '')).toBe(true);
+        // pLDDT 80 everywhere: disorder 1 - 80/100, not the sequence estimate
+        expect(new Set(column(residues, 'Disorder'))).toEqual(new Set(['0.200']));
+    });
+
+    it('runs the robustness sweep only on request', async () => {
+        render(<App />);
+        await screen.findByText('ID: TEST_FN1');
+        openTab('2. Analysis');
+        fireEvent.click(await screen.findByLabelText('Robustness sweep'));
+        const { combinations } = stabilitySweepPlan(DEFAULT_SESSION_PARAMS);
+        expect(screen.queryByText(`100% of ${combinations} parameter sets`, { exact: false })).toBeNull();
+        fireEvent.click(screen.getByRole('button', { name: `Run sweep (${combinations} parameter sets)` }));
+        expect(await screen.findByText(`100% of ${combinations} parameter sets`, { exact: false })).toBeTruthy();
+        expect(screen.queryByRole('button', { name: /Run sweep/ })).toBeNull();
+    });
+
+    it('has no zone for a protein without co-localized sites', async () => {
+        render(<App />);
+        await screen.findByText('ID: TEST_FN1');
+        openTab('2. Analysis');
+        expect(await screen.findByText(/No significant co-localization zones found/)).toBeTruthy();
+    });
+});
+
+describe('proteome runs', () => {
+    const runProteome = async () => {
+        const blobs = [];
+        URL.createObjectURL = vi.fn(blob => { blobs.push(blob); return 'blob:report'; });
+        URL.revokeObjectURL = vi.fn();
+        vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+        vi.stubGlobal('Worker', AnalysisWorker);
+        render(<App />);
+        await screen.findByText('ID: TEST_FN1');
+        openTab('3. Full Proteome');
+        fireEvent.click(screen.getByRole('button', { name: 'Run' }));
+        await screen.findByRole('button', { name: /Sites CSV/ }, { timeout: 5000 });
+        return readBlob(blobs[0]);
+    };
+    const proteins = Object.values(entries).map(parseUniProtEntry);
+
+    it('reports every protein of the run without IndexedDB', async () => {
+        const sites = await runProteome();
+        expect(sites).toBe(buildReport('sites', proteins, DEFAULT_SESSION_PARAMS).text);
+        expect(screen.queryByText(/Progress was saved/)).toBeNull();
+    });
+
+    it('keeps the results of a page it could not store and leaves the checkpoint before it', async () => {
+        saveRun.mockResolvedValue();
+        savePageResults.mockRejectedValue(new Error('QuotaExceededError'));
+        const sites = await runProteome();
+        expect(sites).toBe(buildReport('sites', proteins, DEFAULT_SESSION_PARAMS).text);
+        // The stored run can still be resumed from its first page
+        const [run] = saveRun.mock.calls.at(-1);
+        expect(run).toMatchObject({ completedPages: 0, processedCount: 0, status: 'interrupted' });
+    });
+});
+
+describe('shared links', () => {
+    const egfr = { ...parseUniProtEntry(entries.EGFR), uniprotRelease: RELEASE };
+
+    it('restores the protein, parameters and tab of a session link', async () => {
+        const session = buildSession({
+            protein: egfr,
+            params: DEFAULT_SESSION_PARAMS,
+            view: { tab: 'analysis', chartTracks: DEFAULT_CHART_TRACKS, range: null, organismId: '9606' }
+        });
+        window.history.replaceState(null, '', `/${encodeSessionHash(session)}`);
+        render(<App />);
+        expect(await screen.findByText('Session restored from the shared link.')).toBeTruthy();
+        expect(screen.getByText('ID: TEST_EGFR')).toBeTruthy();
+        expect(screen.getByText('Analysis View')).toBeTruthy();
+        expect(screen.getByText('AA 518 - 524')).toBeTruthy();
+        expect(window.fetch.mock.calls.map(([url]) => String(url)).some(url => url.includes('/uniprotkb/TEST_EGFR?'))).toBe(true);
+    });
+
+    it('shows why an invalid session link was not loaded', async () => {
+        const session = buildSession({
+            protein: egfr,
+            params: { ...DEFAULT_SESSION_PARAMS, ssWindowSize: 2 },
+            view: { tab: 'analysis', chartTracks: DEFAULT_CHART_TRACKS, range: null }
+        });
+        window.history.replaceState(null, '', `/${encodeSessionHash(session)}`);
+        render(<App />);
+        expect(await screen.findByText('Could not load the shared link:')).toBeTruthy();
+        expect(screen.getByText(/params\.ssWindowSize/)).toBeTruthy();
+        expect(screen.queryByText('ID: TEST_EGFR')).toBeNull();
+    });
+});
@@ -0,0 +1,51 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createWorkerPool } from '../src/workerPool.js';
+
+// Stand-in for the browser Worker: records the instances and lets a test answer or crash them
+let workers = [];
+class FakeWorker {
+    constructor() {
+        this.terminated = false;
+        this.posted = [];
+        workers.push(this);
+    }
+    postMessage(message) { this.posted.push(message); }
+    terminate() { this.terminated = true; }
+}
+const busy = () => workers.filter(w => w.posted.length > 0 && !w.terminated);
+
+beforeEach(() => {
+    workers = [];
+    vi.stubGlobal('Worker', FakeWorker);
+});
+
+afterEach(() => {
+    vi.unstubAllGlobals();
+});
+
+describe('createWorkerPool', () => {
+    it('resolves a job with the message of its worker', async () => {
+        const pool = createWorkerPool(1);
+        const job = pool.run({ page: 1 });
+        const [worker] = busy();
+        expect(worker.posted[0]).toMatchObject({ page: 1 });
+        worker.onmessage({ data: { count: 3 } });
+        await expect(job).resolves.toEqual({ count: 3 });
+    });
+
+    it('terminates a crashed worker and replaces it', async () => {
+        const pool = createWorkerPool(1);
+        const first = pool.run({ page: 1 });
+        const [crashed] = busy();
+        crashed.onerror({ message: 'out of memory' });
+        await expect(first).rejects.toThrow('out of memory');
+        expect(crashed.terminated).toBe(true);
+
+        const second = pool.run({ page: 2 });
+        const [replacement] = busy();
+        expect(replacement).not.toBe(crashed);
+        replacement.onmessage({ data: { count: 1 } });
+        await expect(second).resolves.toEqual({ count: 1 });
+        expect(workers.filter(w => !w.terminated)).toHaveLength(1);
+    });
+});
@@ -0,0 +1,176 @@
+import { describe, it, expect } from 'vitest';
+import {
+    evaluateZoneRule, findZoneRegions, scoredZoneRegions, computeTrackDensities, analyzeProtein, parseUniProtEntry, DENSITY_TRACKS
+} from '../src/analysis.js';
+import { proteinReportTable, zoneReportTable, tableToCsv } from '../src/reports.js';
+import { DEFAULT_SESSION_PARAMS } from '../src/session.js';
+import { seededRandom, randomInt, randomPositions, loadFixture } from './helpers.js';
+
+// Sequence-only protein with the given 1-based site lists (every other track empty)
+const makeProtein = (length, sites = {}) => {
+    const protein = { id: 'TEST1', gene: 'TEST', scientificName: 'Testus testus', length, sequence: 'A'.repeat(length), ssBondRanges: [], regions: [] };
+    DENSITY_TRACKS.forEach(track => { protein[track.siteField] = sites[track.siteField] || []; });
+    return protein;
+};
+
+const params = (overrides = {}) => ({ ...DEFAULT_SESSION_PARAMS, permutation: { ...DEFAULT_SESSION_PARAMS.permutation, enabled: false }, ...overrides });
+
+describe('findZoneRegions', () => {
+    it('finds no region without zone residues', () => {
+        expect(findZoneRegions([])).toEqual([]);
+        expect(findZoneRegions([false, false])).toEqual([]);
+    });
+
+    it('returns 0-based [start, end) runs, including runs touching either end', () => {
+        expect(findZoneRegions([true, true, false, true, false, true])).toEqual([
+            { start: 0, end: 2 }, { start: 3, end: 4 }, { start: 5, end: 6 }
+        ]);
+    });
+
+    it('reconstructs the mask from its regions', () => {
+        const random = seededRandom(3);
+        for (let run = 0; run < 100; run++) {
+            const mask = Array.from({ length: randomInt(random, 0, 80) }, () => random() < 0.4);
+            const regions = findZoneRegions(mask);
+            const rebuilt = new Array(mask.length).fill(false);
+            regions.forEach(r => { for (let i = r.start; i < r.end; i++) rebuilt[i] = true; });
+            expect(rebuilt).toEqual(mask);
+            // Sorted, non-empty and never adjacent (adjacent runs would be one region)
+            regions.forEach((r, k) => {
+                expect(r.end).toBeGreaterThan(r.start);
+                if (k > 0) expect(r.start).toBeGreaterThan(regions[k - 1].end);
+            });
+        }
+    });
+});
+
+describe('evaluateZoneRule', () => {
+    const densities = { ss: [0, 3, 3, 1, 5], nLinked: [3, 1, 3, 3, 0], phos: [0, 0, 0, 4, 4] };
+    const conditions = [{ track: 'ss', threshold: 3 }, { track: 'nLinked', threshold: 3 }, { track: 'phos', threshold: 3 }];
+
+    it('combines the conditions with AND, OR and AT_LEAST (thresholds inclusive)', () => {
+        expect(evaluateZoneRule(densities, { combinator: 'AND', conditions }, 5)).toEqual([false, false, false, false, false]);
+        expect(evaluateZoneRule(densities, { combinator: 'AND', conditions: conditions.slice(0, 2) }, 5)).toEqual([false, false, true, false, false]);
+        expect(evaluateZoneRule(densities, { combinator: 'OR', conditions }, 5)).toEqual([true, true, true, true, true]);
+        expect(evaluateZoneRule(densities, { combinator: 'AT_LEAST', minCount: 2, conditions }, 5)).toEqual([false, false, true, true, true]);
+    });
+
+    it('ignores conditions on tracks without a density and is empty without conditions', () => {
+        const rule = { combinator: 'AND', conditions: [{ track: 'ss', threshold: 3 }, { track: 'unknown', threshold: 1 }] };
+        expect(evaluateZoneRule(densities, rule, 5)).toEqual([false, true, true, false, true]);
+        expect(evaluateZoneRule(densities, { combinator: 'OR', conditions: [] }, 5)).toEqual(new Array(5).fill(false));
+    });
+});
+
+describe('zones of a protein', () => {
+    // Three disulfide and three N-glycan sites around residues 10-15; 7-residue windows, no smoothing
+    const protein = makeProtein(40, { ssBonds: [10, 12, 14], nLinked: [11, 13, 15] });
+    const zoneParams = params({ ssWindowSize: 7, ssSmoothing: 0, glycoWindowSize: 7, glycoSmoothing: 0 });
+
+    it('places the zone on the residues that have the sites (1-based sites, 0-based indices)', () => {
+        const densities = computeTrackDensities(protein, zoneParams);
+        const isZone = evaluateZoneRule(densities, zoneParams.zoneRule, protein.length);
+        // Only residues 12-13 have all three sites of both tracks within ±3 residues: indices 11 and 12
+        expect(findZoneRegions(isZone)).toEqual([{ start: 11, end: 13 }]);
+    });
+
+    it('flags the site rows inside the zone and reports the zone as 1-based residues', () => {
+        const { rows, summary } = analyzeProtein(protein, zoneParams);
+        const inZone = rows.filter(r => r.inHighDensityZone).map(r => r.glycosite);
+        expect(inZone).toEqual(['N13']);
+        expect(summary.zones).toEqual([{ start: 11, end: 13, length: 2 }]);
+        expect(summary.zoneCoverage).toBe(2);
+
+        const [header, line] = tableToCsv(proteinReportTable([summary])).split('\n');
+        const zones = line.split(',')[header.split(',').indexOf('Zones')];
+        expect(zones).toBe('12-13');
+        const zoneRow = tableToCsv(zoneReportTable([summary])).split('\n')[1];
+        expect(zoneRow).toBe('"Testus testus",TEST,TEST1,1,12,13,2');
+    });
+
+    it('counts sites on the first and last residue', () => {
+        const edges = makeProtein(20, { ssBonds: [1, 20], nLinked: [1, 20] });
+        const oneResidue = params({ ssWindowSize: 1, glycoWindowSize: 1, ssSmoothing: 0, glycoSmoothing: 0,
+            zoneRule: { combinator: 'AND', minCount: 2, conditions: [{ track: 'ss', threshold: 1 }, { track: 'nLinked', threshold: 1 }] } });
+        const { rows, summary } = analyzeProtein(edges, oneResidue);
+        expect(summary.zones).toEqual([{ start: 0, end: 1, length: 1 }, { start: 19, end: 20, length: 1 }]);
+        expect(rows.every(r => r.inHighDensityZone)).toBe(true);
+    });
+
+    it('reports an exposure filter that it cannot apply without a structure', () => {
+        const exposedParams = { ...zoneParams, zoneRule: { ...zoneParams.zoneRule, conditions: [
+            { track: 'ss', threshold: 3 }, { track: 'nLinked', threshold: 3, context: 'exposed' }
+        ] } };
+        const { summary } = analyzeProtein(protein, exposedParams);
+        // Every N-glycan counts: the same zone as without the filter
+        expect(summary.zones).toEqual([{ start: 11, end: 13, length: 2 }]);
+        expect(summary.unappliedContextFilters).toEqual(['exposed']);
+        const [header, line] = tableToCsv(proteinReportTable([summary])).split('\n');
+        expect(line.split(',')[header.split(',').indexOf('Unapplied_Context_Filters')]).toBe('exposed');
+
+        const buried = analyzeProtein({ ...protein, residueRsa: new Array(protein.length).fill(0) }, exposedParams).summary;
+        expect(buried.zones).toEqual([]);
+        expect(buried.unappliedContextFilters).toEqual([]);
+        expect(analyzeProtein(protein, zoneParams).summary.unappliedContextFilters).toEqual([]);
+    });
+
+    it('agrees with the residue mask for every site of random proteins', () => {
+        const random = seededRandom(17);
+        for (let run = 0; run < 40; run++) {
+            const length = randomInt(random, 20, 200);
+            const candidate = makeProtein(length, {
+                ssBonds: randomPositions(random, length, randomInt(random, 0, 15)),
+                nLinked: randomPositions(random, length, randomInt(random, 0, 15)),
+                phosphorylation: randomPositions(random, length, randomInt(random, 0, 10))
+            });
+            const runParams = params({ ssWindowSize: randomInt(random, 5, 40), glycoWindowSize: randomInt(random, 5, 40) });
+            const isZone = evaluateZoneRule(computeTrackDensities(candidate, runParams), runParams.zoneRule, length);
+            const { rows, summary } = analyzeProtein(candidate, runParams);
+            rows.forEach(r => {
+                const pos = Number(r.glycosite.replace(/^\D+/, ''));
+                expect(r.inHighDensityZone).toBe(isZone[pos - 1]);
+            });
+            expect(summary.zones.map(({ start, end }) => ({ start, end }))).toEqual(findZoneRegions(isZone));
+        }
+    });
+});
+
+describe('scoredZoneRegions', () => {
+    const protein = makeProtein(120, { ssBonds: [40, 42, 44, 46], nLinked: [41, 43, 45, 47] });
+    protein.sequence = 'A'.repeat(38) + 'CNCTCSCNCT' + 'A'.repeat(72);
+
+    it('leaves the regions unscored when the permutation test is off', () => {
+        const off = params();
+        const isZone = evaluateZoneRule(computeTrackDensities(protein, off), off.zoneRule, protein.length);
+        const regions = scoredZoneRegions(protein, off, isZone);
+        expect(regions.length).toBeGreaterThan(0);
+        regions.forEach(r => expect(r.pValue).toBeUndefined());
+    });
+
+    it('scores each region reproducibly', () => {
+        const on = params({ permutation: { enabled: true, iterations: 50, constrained: false } });
+        const isZone = evaluateZoneRule(computeTrackDensities(protein, on), on.zoneRule, protein.length);
+        const first = scoredZoneRegions(protein, on, isZone);
+        expect(scoredZoneRegions(protein, on, isZone)).toEqual(first);
+        first.forEach(r => {
+            expect(r.pValue).toBeGreaterThan(0);
+            expect(r.pValue).toBeLessThanOrEqual(1);
+            expect(r.qValue).toBeGreaterThanOrEqual(r.pValue);
+        });
+    });
+
+    // TEST_EGFR: one zone in the second cysteine-rich block; 200 constrained shuffles, p = (exceed + 1) / 201.
+    // Bonds move as units, so 'both' and 'span' keep each partner cysteine and span with its bond
+    // instead of scattering every counted residue across the protein.
+    it('shuffles disulfide bonds as units under every counting mode', () => {
+        const egfr = parseUniProtEntry(loadFixture('EGFR'));
+        const pValues = ['first', 'both', 'span'].map(ssCounting => {
+            const counted = { ...DEFAULT_SESSION_PARAMS, ssCounting, permutation: { ...DEFAULT_SESSION_PARAMS.permutation, enabled: true } };
+            const isZone = evaluateZoneRule(computeTrackDensities(egfr, counted), counted.zoneRule, egfr.length);
+            const regions = scoredZoneRegions(egfr, counted, isZone);
+            expect(regions).toHaveLength(1);
+            return regions[0].pValue;
+        });
+        expect(pValues).toEqual([14 / 201, 56 / 201, 162 / 201]);
+    });
+});
@@ -4,4 +4,10 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  test: {
+    include: ['test/**/*.test.{js,jsx}'],
+    // Algorithm tests run in Node; files under test/ui opt into jsdom with a @vitest-environment comment
+    environment: 'node',
+    setupFiles: ['test/setup.js'],
+  },
 })